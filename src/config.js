@@ -1,28 +1,162 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+const isProduction = process.env.NODE_ENV === 'production';
+
 export const config = {
   port: process.env.PORT || 4000,
   ocr: {
     serviceUrl: process.env.OCR_SERVICE_URL,
+    // Documents OCR'd at once per worker process, and re-tries on HTTP 429
+    concurrency: parseInt(process.env.OCR_CONCURRENCY) || 4,
+    rateLimitRetries: parseInt(process.env.OCR_RATE_LIMIT_RETRIES ?? '5'),
+    // Reuse OCR text already extracted from identical content (same SHA-256) instead of re-running OCR
+    reuseByContentHash: process.env.OCR_REUSE_BY_CONTENT_HASH !== 'false',
   },
   ai: {
+    // openai | azure | openai_compatible | fixture
+    provider: process.env.AI_PROVIDER || 'openai',
     apiKey: process.env.OPENAI_API_KEY,
     model: process.env.OPENAI_MODEL || 'gpt-4o',
+    // Base URL of a self-hosted OpenAI-compatible server (vLLM, Ollama, LM Studio...)
+    baseUrl: process.env.AI_BASE_URL,
+    // Token limit parameter name - defaults to max_completion_tokens (max_tokens for openai_compatible)
+    maxTokensParam: process.env.AI_MAX_TOKENS_PARAM,
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 10 * 60 * 1000,
+    // Model context window and completion budget - charts over the window are coded in chunks
+    contextTokens: parseInt(process.env.AI_CONTEXT_TOKENS) || 128000,
+    maxCompletionTokens: parseInt(process.env.AI_MAX_COMPLETION_TOKENS) || 12000,
+    charsPerToken: parseFloat(process.env.AI_CHARS_PER_TOKEN || '4'),
+    // Model calls in flight at once per process, and re-tries on HTTP 429
+    concurrency: parseInt(process.env.AI_CONCURRENCY) || 3,
+    rateLimitRetries: parseInt(process.env.AI_RATE_LIMIT_RETRIES ?? '5'),
+    // Re-ask round-trips when the coding response fails schema validation
+    repairAttempts: parseInt(process.env.AI_REPAIR_ATTEMPTS ?? '1'),
+    azure: {
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT
+    },
+    // USD per 1M tokens by model name prefix ("gpt-4o" prices "gpt-4o-2024-08-06");
+    // AI_PRICING replaces the table with JSON like {"my-model": {"input": 1, "output": 4}}
+    pricing: process.env.AI_PRICING ? JSON.parse(process.env.AI_PRICING) : {
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4.1': { input: 2, output: 8 },
+      'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+      'gpt-4.1-nano': { input: 0.1, output: 0.4 }
+    },
+    fixtures: {
+      // Recorded responses served by the fixture provider
+      dir: process.env.AI_FIXTURE_DIR || './fixtures/ai',
+      // Record live responses into the fixture dir
+      record: process.env.AI_FIXTURE_RECORD === 'true'
+    }
   },
   database: {
     url: process.env.DATABASE_URL,
+    migrateOnStartup: process.env.MIGRATE_ON_STARTUP !== 'false',
+  },
+  auth: {
+    // Signs every session token - required in production
+    jwtSecret: process.env.JWT_SECRET || (isProduction ? null : 'medcode-ai-secret-key-change-in-production'),
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10
+  },
+  worker: {
+    // Jobs processed at once per worker process
+    concurrency: parseInt(process.env.WORKER_CONCURRENCY) || 2,
+    // Idle slots wake on the job_enqueued notification; polling is the fallback for missed ones
+    pollIntervalMs: parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 30000,
+    // Used instead while the LISTEN connection is down
+    disconnectedPollIntervalMs: parseInt(process.env.WORKER_DISCONNECTED_POLL_INTERVAL_MS) || 2000,
+    // Heartbeat row refresh and locked_at renewal for in-flight jobs
+    heartbeatIntervalMs: parseInt(process.env.WORKER_HEARTBEAT_INTERVAL_MS) || 15000,
+    // On SIGTERM, in-flight jobs get this long to finish before they are released back to the queue
+    drainTimeoutMs: parseInt(process.env.WORKER_DRAIN_TIMEOUT_MS) || 2 * 60 * 1000,
+    // Jobs whose lock has not been renewed for this long are reclaimed on startup
+    stuckJobMinutes: parseInt(process.env.WORKER_STUCK_JOB_MINUTES) || 30
+  },
+  housekeeping: {
+    enabled: process.env.HOUSEKEEPING_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.HOUSEKEEPING_INTERVAL_MS) || 10 * 60 * 1000,
+    // Completed and cancelled jobs are deleted after this many days
+    jobRetentionDays: parseInt(process.env.QUEUE_JOB_RETENTION_DAYS) || 7
+  },
+  queue: {
+    // Relative share of worker time per facility when several have work waiting,
+    // e.g. {"Mercy ED": 3, "St. Luke": 1}; unlisted facilities weigh 1
+    facilityWeights: JSON.parse(process.env.QUEUE_FACILITY_WEIGHTS || '{}'),
+    // Claims within this window count towards a facility's share
+    fairnessWindowMinutes: parseInt(process.env.QUEUE_FAIRNESS_WINDOW_MINUTES) || 15
+  },
+  assignment: {
+    // Assign charts to coders automatically when AI processing completes
+    autoAssign: process.env.AUTO_ASSIGN !== 'false',
+    // 'least_loaded' (fewest open charts) or 'round_robin' (longest since last assignment)
+    strategy: process.env.ASSIGNMENT_STRATEGY || 'least_loaded'
+  },
+  qa: {
+    enabled: process.env.QA_ENABLED !== 'false',
+    // Fraction of each coder's submissions routed to QA
+    sampleRate: parseFloat(process.env.QA_SAMPLE_RATE || '0.10'),
+    // Coders with fewer submitted charts than this get 100% QA
+    newCoderThreshold: parseInt(process.env.QA_NEW_CODER_THRESHOLD) || 50,
+    // Compliance alert severities that always route to QA
+    alertSeverities: (process.env.QA_ALERT_SEVERITIES || 'high').split(',').map(s => s.trim()).filter(Boolean)
+  },
+  evidence: {
+    // Check every code's evidence quote against the OCR text it cites
+    verify: process.env.EVIDENCE_VERIFY !== 'false',
+    // Match score (0-1) at which a quote counts as found
+    minScore: parseFloat(process.env.EVIDENCE_MIN_SCORE || '0.8'),
+    // Quotes may wrap across up to this many OCR lines
+    maxLineSpan: parseInt(process.env.EVIDENCE_MAX_LINE_SPAN) || 3
+  },
+  codeSets: {
+    // Validate AI-produced codes against the loaded ICD-10-CM / CPT / HCPCS releases
+    validate: process.env.CODE_SET_VALIDATION !== 'false',
+    // Directory relative file paths given to the loader are resolved against
+    dir: process.env.CODE_SET_DIR || './codesets',
+    suggestionLimit: parseInt(process.env.CODE_SET_SUGGESTION_LIMIT) || 5
+  },
+  ncci: {
+    // Run NCCI PTP / MUE edits when codes are submitted
+    enabled: process.env.NCCI_ENABLED !== 'false',
+    // 'block' rejects the submission, 'warn' submits and returns the failures
+    ptpAction: process.env.NCCI_PTP_ACTION || 'warn',
+    mueAction: process.env.NCCI_MUE_ACTION || 'warn'
   },
   s3: {
     endpoint: process.env.S3_ENDPOINT_URL,
     accessKey: process.env.S3_ACCESS_KEY,
     secretKey: process.env.S3_SECRET_KEY,
     bucket: process.env.S3_BUCKET_NAME,
-    region: process.env.S3_REGION || 'auto'
+    region: process.env.S3_REGION || 'auto',
+    // Server-side encryption for uploads: AES256 | aws:kms | none (for providers that reject the header)
+    sse: process.env.S3_SSE || 'AES256',
+    kmsKeyId: process.env.S3_KMS_KEY_ID || null,
+    // Uploads stream to S3 in parts of this size (min 5MB) - the most buffered per file
+    multipartPartSize: parseInt(process.env.S3_MULTIPART_PART_SIZE) || 8 * 1024 * 1024,
+    // Send SHA-256 checksums for S3 to verify (disable for stores that reject them)
+    uploadChecksums: process.env.S3_UPLOAD_CHECKSUMS !== 'false'
+  },
+  storage: {
+    // Where new uploads go: s3 | local | memory (tests only - lost on exit)
+    driver: process.env.STORAGE_DRIVER || 's3',
+    // Lifetime of presigned document URLs handed to the browser
+    signedUrlExpiresSeconds: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRES_SECONDS || process.env.S3_SIGNED_URL_EXPIRES_SECONDS) || 300,
+    local: {
+      root: process.env.STORAGE_LOCAL_ROOT || './storage',
+      // HMAC key for local presigned URLs (served by /api/storage/local) - required in production
+      signingSecret: process.env.STORAGE_SIGNING_SECRET || (isProduction ? null : 'medcode-ai-storage-dev-key'),
+      // Prefix for presigned URLs when the API is reached through another origin
+      baseUrl: process.env.STORAGE_PUBLIC_BASE_URL || ''
+    }
   },
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 25 * 1024 * 1024,
-    uploadDir: process.env.UPLOAD_DIR || './uploads',
     allowedMimeTypes: [
       'application/pdf',
       'image/jpeg',
@@ -32,6 +166,30 @@ export const config = {
       'text/plain',  // Added for clinical text paste functionality
       'application/msword',                                                          // .doc files
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document'     // .docx files
-    ]
+    ],
+    scan: {
+      // Malware scanner for uploads: none | clamd | stub (flags only the EICAR test file - for tests)
+      scanner: process.env.UPLOAD_MALWARE_SCANNER || 'none',
+      // When the scanner errors or is unreachable: quarantine | reject | allow
+      onError: process.env.UPLOAD_SCAN_ON_ERROR || 'quarantine',
+      clamd: {
+        // Unix socket path; host/port are used when unset
+        socket: process.env.CLAMD_SOCKET || null,
+        host: process.env.CLAMD_HOST || '127.0.0.1',
+        port: parseInt(process.env.CLAMD_PORT) || 3310,
+        timeoutMs: parseInt(process.env.CLAMD_TIMEOUT_MS) || 30000
+      },
+      // Quarantine PDFs that are encrypted or carry JavaScript instead of sending them to OCR
+      quarantineEncryptedPdfs: process.env.UPLOAD_QUARANTINE_ENCRYPTED_PDFS !== 'false',
+      quarantineScriptedPdfs: process.env.UPLOAD_QUARANTINE_SCRIPTED_PDFS !== 'false'
+    }
   }
 };
+
+// Refuse to start in production on a development fallback secret
+if (isProduction && !config.auth.jwtSecret) {
+  throw new Error('JWT_SECRET must be set in production');
+}
+if (isProduction && config.storage.driver === 'local' && !config.storage.local.signingSecret) {
+  throw new Error('STORAGE_SIGNING_SECRET must be set when STORAGE_DRIVER=local in production');
+}
@@ -1,9 +1,7 @@
 import jwt from 'jsonwebtoken';
+import { config } from '../config.js';
 import { UserRepository, ROLES } from '../db/userRepository.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'medcode-ai-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
-
 class AuthController {
 
   /**
@@ -38,10 +36,12 @@ class AuthController {
           name: user.name,
           role: user.role
         },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
+        config.auth.jwtSecret,
+        { expiresIn: config.auth.jwtExpiresIn }
       );
 
+      await UserRepository.updateLastLogin(user.id);
+
       console.log(`✅ User logged in: ${user.user_id} (${user.role})`);
 
       res.json({
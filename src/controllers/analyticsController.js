@@ -0,0 +1,148 @@
+import { AIUsageRepository, USAGE_DIMENSIONS, USAGE_SOURCES } from '../db/aiUsageRepository.js';
+
+const formatTotals = (row) => ({
+  calls: parseInt(row.calls || 0),
+  failedCalls: parseInt(row.failed_calls || 0),
+  unpricedCalls: parseInt(row.unpriced_calls || 0),
+  charts: parseInt(row.charts || 0),
+  promptTokens: parseInt(row.prompt_tokens || 0),
+  completionTokens: parseInt(row.completion_tokens || 0),
+  totalTokens: parseInt(row.total_tokens || 0),
+  costUsd: parseFloat(row.cost_usd || 0)
+});
+
+// URL segment -> repository dimension
+const DIMENSION_PARAMS = {
+  facility: 'facility',
+  specialty: 'specialty',
+  day: 'day',
+  month: 'month',
+  model: 'model',
+  'call-type': 'call_type',
+  chart: 'chart'
+};
+
+// Evaluation runs replay real charts (with their facility) - leave them out of cost
+// figures unless asked for with source=evaluation or source=all
+const DEFAULT_SOURCE = 'processing';
+
+const getFilters = (req) => {
+  const { startDate, endDate, facility, specialty, model, source = DEFAULT_SOURCE } = req.query;
+  return { startDate, endDate, facility, specialty, model, source: source === 'all' ? null : source };
+};
+
+const invalidSource = (res) => res.status(400).json({
+  success: false,
+  error: `Invalid source. Must be one of: ${[...USAGE_SOURCES, 'all'].join(', ')}`
+});
+
+class AnalyticsController {
+
+  /**
+   * AI usage and cost totals, with a per call type split
+   * GET /api/analytics/ai-cost?startDate=&endDate=&facility=&specialty=&model=&source=
+   * (source: processing (default) | evaluation | all)
+   */
+  async getAICostSummary(req, res) {
+    try {
+      const filters = getFilters(req);
+      if (filters.source && !USAGE_SOURCES.includes(filters.source)) return invalidSource(res);
+
+      const [summary, byCallType] = await Promise.all([
+        AIUsageRepository.getSummary(filters),
+        AIUsageRepository.getBreakdown('call_type', filters)
+      ]);
+
+      res.json({
+        success: true,
+        filters,
+        summary: formatTotals(summary),
+        byCallType: byCallType.map(row => ({ callType: row.key, ...formatTotals(row) }))
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching AI cost summary:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * AI usage and cost grouped by facility, specialty, day, month, model, call type or chart
+   * GET /api/analytics/ai-cost/by/:dimension?limit=100
+   * (by/chart lists the most expensive charts first - for spotting runaway charts)
+   */
+  async getAICostBreakdown(req, res) {
+    try {
+      const dimension = DIMENSION_PARAMS[req.params.dimension];
+      if (!dimension || !USAGE_DIMENSIONS[dimension]) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid dimension. Must be one of: ${Object.keys(DIMENSION_PARAMS).join(', ')}`
+        });
+      }
+
+      const filters = getFilters(req);
+      if (filters.source && !USAGE_SOURCES.includes(filters.source)) return invalidSource(res);
+
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+      const rows = await AIUsageRepository.getBreakdown(dimension, filters, limit);
+
+      res.json({
+        success: true,
+        dimension: req.params.dimension,
+        filters,
+        rows: rows.map(row => ({ key: row.key, ...formatTotals(row) }))
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching AI cost breakdown:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Every model call recorded for one chart
+   * GET /api/analytics/ai-cost/charts/:chartNumber
+   */
+  async getChartAICost(req, res) {
+    try {
+      const { chartNumber } = req.params;
+      const calls = await AIUsageRepository.getByChartNumber(chartNumber);
+
+      const total = calls.reduce((sum, call) => ({
+        totalTokens: sum.totalTokens + (call.total_tokens || 0),
+        costUsd: sum.costUsd + parseFloat(call.cost_usd || 0)
+      }), { totalTokens: 0, costUsd: 0 });
+
+      res.json({
+        success: true,
+        chartNumber,
+        total: { calls: calls.length, ...total },
+        calls: calls.map(call => ({
+          id: call.id,
+          jobId: call.job_id,
+          documentId: call.document_id,
+          source: call.source,
+          callType: call.call_type,
+          provider: call.provider,
+          model: call.model,
+          promptTokens: call.prompt_tokens,
+          completionTokens: call.completion_tokens,
+          totalTokens: call.total_tokens,
+          costUsd: call.cost_usd !== null ? parseFloat(call.cost_usd) : null,
+          durationMs: call.duration_ms,
+          success: call.success,
+          error: call.error,
+          createdAt: call.created_at
+        }))
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching chart AI cost:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
+
+export const analyticsController = new AnalyticsController();
@@ -1,6 +1,14 @@
 import { ChartRepository, DocumentRepository } from '../db/chartRepository.js';
 import { QueueService } from '../db/queueService.js';
+import { UserRepository, ROLES } from '../db/userRepository.js';
+import { QAReviewRepository } from '../db/qaReviewRepository.js';
+import { qaService } from '../services/qaService.js';
+import { ncciService } from '../services/ncciService.js';
+import { auditService } from '../services/auditService.js';
+import { ChartEventRepository, EVENT_TYPES } from '../db/chartEventRepository.js';
+import { diffJson } from '../utils/jsonDiff.js';
 import { calculateSLAHours, calculateProcessingDuration } from '../utils/slaTracker.js';
+import { canTransition, forbidden } from '../middleware/permissions.js';
 
 class ChartController {
 
@@ -15,6 +23,8 @@ class ChartController {
         specialty,
         aiStatus,
         reviewStatus,
+        queue,
+        assignedTo,
         search,
         page = 1,
         limit = 10,
@@ -22,11 +32,14 @@ class ChartController {
         sortOrder
       } = req.query;
 
+      // queue=mine -> charts assigned to the caller, queue=unassigned -> the shared pool
       const result = await ChartRepository.getAll({
         facility,
         specialty,
         aiStatus,
         reviewStatus,
+        assignedTo: queue === 'mine' ? req.user.userId : assignedTo,
+        unassigned: queue === 'unassigned',
         search,
         page: parseInt(page),
         limit: parseInt(limit),
@@ -50,6 +63,8 @@ class ChartController {
           documentCount: chart.document_count,
           aiStatus: chart.ai_status,
           reviewStatus: chart.review_status,
+          assignedTo: chart.assigned_to,
+          assignedAt: chart.assigned_at,
           // NEW: Error tracking fields
           lastError: chart.last_error,
           lastErrorAt: chart.last_error_at,
@@ -101,6 +116,13 @@ class ChartController {
         });
       }
 
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber: chart.chart_number,
+        eventType: EVENT_TYPES.PHI_VIEWED,
+        details: { view: 'chart', documentIds: chart.documents?.map(d => d.id) || [] }
+      });
+
       const slaInfo = calculateProcessingDuration(chart.created_at, chart.processing_completed_at);
 
       res.json({
@@ -116,6 +138,8 @@ class ChartController {
           documentCount: chart.document_count,
           aiStatus: chart.ai_status,
           reviewStatus: chart.review_status,
+          assignedTo: chart.assigned_to,
+          assignedAt: chart.assigned_at,
 
           // AI Results (current state - may include modifications)
           aiSummary: chart.ai_summary,
@@ -125,6 +149,9 @@ class ChartController {
           vitalsSummary: chart.vitals_summary,
           labResultsSummary: chart.lab_results_summary,
           codingNotes: chart.coding_notes,
+          promptProfile: chart.prompt_profile_id
+            ? { id: chart.prompt_profile_id, version: chart.prompt_profile_version }
+            : null,
 
           // Original AI codes (unmodified - for comparison)
           originalAICodes: chart.original_ai_codes,
@@ -155,9 +182,11 @@ class ChartController {
             filename: doc.original_name,
             fileSize: doc.file_size,
             mimeType: doc.mime_type,
-            s3Url: doc.s3_url,
-            s3Key: doc.s3_key,
+            // Presigned on request - the stored object is private
+            contentUrl: `/api/documents/${doc.id}/content`,
             ocrStatus: doc.ocr_status,
+            scanStatus: doc.scan_status,
+            quarantineReason: doc.quarantine_reason,
             ocrText: doc.ocr_text,
             ocrProcessingTime: doc.ocr_processing_time,
             aiDocumentSummary: doc.ai_document_summary,
@@ -209,6 +238,13 @@ class ChartController {
         }
       }
 
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber: chart.chart_number,
+        eventType: EVENT_TYPES.PHI_VIEWED,
+        details: { view: 'session', sessionId, documentIds: chart.documents?.map(d => d.id) || [] }
+      });
+
       const slaInfo = calculateProcessingDuration(chart.created_at, chart.processing_completed_at);
 
       res.json({
@@ -225,6 +261,8 @@ class ChartController {
           documentCount: chart.document_count,
           aiStatus: chart.ai_status,
           reviewStatus: chart.review_status,
+          assignedTo: chart.assigned_to,
+          assignedAt: chart.assigned_at,
           activeJobId,
           activeJobPhase,
           activeJobStatus,
@@ -237,6 +275,9 @@ class ChartController {
           vitalsSummary: chart.vitals_summary,
           labResultsSummary: chart.lab_results_summary,
           codingNotes: chart.coding_notes,
+          promptProfile: chart.prompt_profile_id
+            ? { id: chart.prompt_profile_id, version: chart.prompt_profile_version }
+            : null,
 
           // Original AI codes (unmodified - for comparison)
           originalAICodes: chart.original_ai_codes,
@@ -267,9 +308,11 @@ class ChartController {
             filename: doc.original_name,
             fileSize: doc.file_size,
             mimeType: doc.mime_type,
-            s3Url: doc.s3_url,
-            s3Key: doc.s3_key,
+            // Presigned on request - the stored object is private
+            contentUrl: `/api/documents/${doc.id}/content`,
             ocrStatus: doc.ocr_status,
+            scanStatus: doc.scan_status,
+            quarantineReason: doc.quarantine_reason,
             ocrText: doc.ocr_text,
             ocrProcessingTime: doc.ocr_processing_time,
             aiDocumentSummary: doc.ai_document_summary,
@@ -308,6 +351,22 @@ class ChartController {
         });
       }
 
+      const existing = await ChartRepository.getByChartNumber(chartNumber);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chart not found'
+        });
+      }
+
+      if (existing.review_status === 'qa_review') {
+        return res.status(409).json({
+          success: false,
+          error: 'Chart is awaiting QA review and cannot be modified'
+        });
+      }
+
       // Add timestamp to modifications
       const timestampedModifications = {
         ...modifications,
@@ -316,10 +375,20 @@ class ChartController {
 
       const chart = await ChartRepository.saveUserModifications(chartNumber, timestampedModifications);
 
-      if (!chart) {
-        return res.status(404).json({
-          success: false,
-          error: 'Chart not found'
+      // Autosaves overwrite user_modifications, so the audit trail keeps the diff
+      const changes = diffJson(existing.user_modifications || {}, timestampedModifications, {
+        ignore: ['last_modified_at', 'submitted_at']
+      });
+      if (changes.length > 0 || existing.review_status !== chart.review_status) {
+        await auditService.record(req, {
+          chartId: chart.id,
+          chartNumber,
+          eventType: EVENT_TYPES.MODIFICATIONS_SAVED,
+          details: {
+            changes,
+            fromStatus: existing.review_status,
+            toStatus: chart.review_status
+          }
         });
       }
 
@@ -345,11 +414,15 @@ class ChartController {
   /**
    * Submit final codes to NextCode
    * POST /api/charts/:chartNumber/submit
+   *
+   * NCCI edit failures are returned as `ncciEdits`; with an edit type set to
+   * 'block' the submission is rejected with 422 instead
    */
   async submitCodes(req, res) {
     try {
       const { chartNumber } = req.params;
-      const { finalCodes, modifications, submittedBy } = req.body;
+      const { finalCodes, modifications, requestQA } = req.body;
+      const submittedBy = req.user.userId;
 
       if (!finalCodes) {
         return res.status(400).json({
@@ -358,6 +431,35 @@ class ChartController {
         });
       }
 
+      const existing = await ChartRepository.getByChartNumber(chartNumber);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chart not found'
+        });
+      }
+
+      if (existing.review_status === 'qa_review') {
+        return res.status(409).json({
+          success: false,
+          error: 'Chart is awaiting QA review and cannot be resubmitted'
+        });
+      }
+
+      // NCCI PTP / MUE edits - failures either block the submission or ride along as warnings
+      const ncciEdits = await ncciService.check(finalCodes, existing.date_of_service);
+      if (ncciEdits.blocking) {
+        return res.status(422).json({
+          success: false,
+          error: 'Submission blocked by NCCI edits',
+          code: 'NCCI_EDIT_FAILED',
+          ncciEdits
+        });
+      }
+
+      const routing = await qaService.evaluateRouting(existing, submittedBy, { requested: requestQA === true });
+
       // First save the modifications if provided
       if (modifications) {
         await ChartRepository.saveUserModifications(chartNumber, {
@@ -366,22 +468,51 @@ class ChartController {
         });
       }
 
-      // Then submit the final codes
-      const chart = await ChartRepository.submitFinalCodes(chartNumber, finalCodes, submittedBy);
+      // Then submit the final codes - held in qa_review until QA accepts them
+      const chart = await ChartRepository.submitFinalCodes(
+        chartNumber,
+        finalCodes,
+        submittedBy,
+        routing.route ? 'qa_review' : 'submitted'
+      );
 
-      if (!chart) {
-        return res.status(404).json({
-          success: false,
-          error: 'Chart not found'
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber,
+        eventType: EVENT_TYPES.CODES_SUBMITTED,
+        details: {
+          fromStatus: existing.review_status,
+          toStatus: chart.review_status,
+          qaReason: routing.reason,
+          previousFinalCodes: existing.final_codes,
+          finalCodes,
+          ncciFailures: ncciEdits.failures,
+          ncciBypassed: ncciEdits.bypassed
+        }
+      });
+
+      if (routing.route) {
+        await QAReviewRepository.create({
+          chartId: chart.id,
+          chartNumber,
+          routingReason: routing.reason,
+          coderUserId: submittedBy,
+          coderCodes: finalCodes
         });
+        console.log(`🔎 Chart ${chartNumber} routed to QA (${routing.reason})`);
+      } else {
+        console.log(`✅ Chart ${chartNumber} submitted to NextCode`);
       }
-
-      console.log(`✅ Chart ${chartNumber} submitted to NextCode`);
       console.log(`   Final codes:`, JSON.stringify(finalCodes, null, 2).substring(0, 500));
 
       res.json({
         success: true,
-        message: 'Codes submitted successfully to NextCode',
+        message: routing.route
+          ? 'Codes submitted for QA review'
+          : 'Codes submitted successfully to NextCode',
+        qaRequired: routing.route,
+        qaReason: routing.reason,
+        ncciEdits,
         chart: {
           chartNumber: chart.chart_number,
           reviewStatus: chart.review_status,
@@ -409,7 +540,15 @@ class ChartController {
       const { chartNumber } = req.params;
       const { reviewStatus } = req.body;
 
-      const validStatuses = ['pending', 'in_review', 'submitted', 'rejected'];
+      // Submitting goes through submitCodes, which applies the NCCI edits and QA routing
+      if (reviewStatus === 'submitted') {
+        return res.status(400).json({
+          success: false,
+          error: `Charts are submitted with POST /api/charts/${chartNumber}/submit, not by a status update`
+        });
+      }
+
+      const validStatuses = ['pending', 'in_review', 'rejected'];
       if (!validStatuses.includes(reviewStatus)) {
         return res.status(400).json({
           success: false,
@@ -417,15 +556,31 @@ class ChartController {
         });
       }
 
-      const chart = await ChartRepository.updateReviewStatus(chartNumber, reviewStatus);
+      const existing = await ChartRepository.getByChartNumber(chartNumber);
 
-      if (!chart) {
+      if (!existing) {
         return res.status(404).json({
           success: false,
           error: 'Chart not found'
         });
       }
 
+      if (!canTransition(req.user.role, existing.review_status, reviewStatus)) {
+        return forbidden(res, `Role '${req.user.role}' cannot move a chart from '${existing.review_status}' to '${reviewStatus}'`, {
+          fromStatus: existing.review_status,
+          toStatus: reviewStatus
+        });
+      }
+
+      const chart = await ChartRepository.updateReviewStatus(chartNumber, reviewStatus);
+
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber,
+        eventType: EVENT_TYPES.STATUS_CHANGED,
+        details: { fromStatus: existing.review_status, toStatus: reviewStatus }
+      });
+
       res.json({
         success: true,
         message: 'Status updated',
@@ -444,6 +599,246 @@ class ChartController {
     }
   }
 
+  /**
+   * Check that a user can own charts in a work queue
+   * Returns an error message, or null when the user is assignable
+   */
+  async validateAssignee(userId) {
+    const user = await UserRepository.findByUserId(userId);
+    if (!user) return `User '${userId}' not found`;
+    if (!user.is_active) return `User '${userId}' is deactivated`;
+    if (user.role !== ROLES.CODER) return `User '${userId}' is not a coder`;
+    return null;
+  }
+
+  /**
+   * Assign an unassigned chart to a coder
+   * POST /api/charts/:chartNumber/assign
+   * Body: { userId }
+   */
+  async assignChart(req, res) {
+    try {
+      const { chartNumber } = req.params;
+      const { userId } = req.body;
+
+      if (!userId) {
+        return res.status(400).json({ success: false, error: 'userId is required' });
+      }
+
+      const assigneeError = await this.validateAssignee(userId);
+      if (assigneeError) {
+        return res.status(400).json({ success: false, error: assigneeError });
+      }
+
+      const existing = await ChartRepository.getByChartNumber(chartNumber);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Chart not found' });
+      }
+
+      const chart = await ChartRepository.assign(chartNumber, userId, { onlyIfUnassigned: true });
+
+      if (!chart) {
+        return res.status(409).json({
+          success: false,
+          error: `Chart is already assigned to ${existing.assigned_to}. Use reassign instead.`
+        });
+      }
+
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber,
+        eventType: EVENT_TYPES.ASSIGNMENT_CHANGED,
+        details: { action: 'assign', from: null, to: userId }
+      });
+
+      console.log(`👤 Chart ${chartNumber} assigned to ${userId} by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: 'Chart assigned',
+        chart: {
+          chartNumber: chart.chart_number,
+          assignedTo: chart.assigned_to,
+          assignedAt: chart.assigned_at
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error assigning chart:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Move a chart to another coder, or back to the unassigned pool
+   * POST /api/charts/:chartNumber/reassign
+   * Body: { userId } - userId null returns the chart to the pool
+   */
+  async reassignChart(req, res) {
+    try {
+      const { chartNumber } = req.params;
+      const { userId } = req.body;
+
+      if (userId === undefined) {
+        return res.status(400).json({ success: false, error: 'userId is required (null to unassign)' });
+      }
+
+      if (userId !== null) {
+        const assigneeError = await this.validateAssignee(userId);
+        if (assigneeError) {
+          return res.status(400).json({ success: false, error: assigneeError });
+        }
+      }
+
+      const existing = await ChartRepository.getByChartNumber(chartNumber);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Chart not found' });
+      }
+
+      const chart = userId === null
+        ? await ChartRepository.unassign(chartNumber)
+        : await ChartRepository.assign(chartNumber, userId);
+
+      // Deleted since it was looked up
+      if (!chart) {
+        return res.status(404).json({ success: false, error: 'Chart not found' });
+      }
+
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber,
+        eventType: EVENT_TYPES.ASSIGNMENT_CHANGED,
+        details: { action: 'reassign', from: existing.assigned_to, to: userId }
+      });
+
+      console.log(`👤 Chart ${chartNumber} reassigned to ${userId || 'unassigned pool'} by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: userId === null ? 'Chart returned to unassigned pool' : 'Chart reassigned',
+        chart: {
+          chartNumber: chart.chart_number,
+          assignedTo: chart.assigned_to,
+          assignedAt: chart.assigned_at
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error reassigning chart:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Claim the next unassigned chart that is ready for review
+   * POST /api/charts/claim-next
+   * Body: { facility?, specialty? }
+   */
+  async claimNextChart(req, res) {
+    try {
+      const { facility, specialty } = req.body || {};
+
+      const chart = await ChartRepository.claimNext(req.user.userId, { facility, specialty });
+
+      if (!chart) {
+        return res.json({
+          success: true,
+          message: 'No unassigned charts ready for review',
+          chart: null
+        });
+      }
+
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber: chart.chart_number,
+        eventType: EVENT_TYPES.ASSIGNMENT_CHANGED,
+        details: { action: 'claim', from: null, to: req.user.userId }
+      });
+
+      console.log(`👤 Chart ${chart.chart_number} claimed by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: 'Chart claimed',
+        chart: {
+          id: chart.id,
+          sessionId: chart.session_id,
+          chartNumber: chart.chart_number,
+          mrn: chart.mrn,
+          facility: chart.facility,
+          specialty: chart.specialty,
+          aiStatus: chart.ai_status,
+          reviewStatus: chart.review_status,
+          assignedTo: chart.assigned_to,
+          assignedAt: chart.assigned_at
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error claiming chart:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get open chart counts per active coder
+   * GET /api/charts/assignments/workload
+   */
+  async getWorkload(req, res) {
+    try {
+      const workloads = await ChartRepository.getCoderWorkloads();
+
+      res.json({
+        success: true,
+        coders: workloads.map(w => ({
+          userId: w.user_id,
+          name: w.name,
+          openCharts: parseInt(w.open_charts || 0),
+          lastAssignedAt: w.last_assigned_at
+        }))
+      });
+    } catch (error) {
+      console.error('❌ Error fetching workload:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get the audit timeline for a chart
+   * GET /api/charts/:chartNumber/history
+   */
+  async getChartHistory(req, res) {
+    try {
+      const { chartNumber } = req.params;
+      const { eventType, page = 1, limit = 100 } = req.query;
+
+      const result = await ChartEventRepository.getByChartNumber(chartNumber, {
+        eventType,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        chartNumber,
+        events: result.events.map(e => ({
+          id: e.id,
+          eventType: e.event_type,
+          userId: e.user_id,
+          userRole: e.user_role,
+          details: e.details,
+          requestMeta: e.request_meta,
+          createdAt: e.created_at
+        })),
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching chart history:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
   /**
    * Retry a failed chart's processing
    * POST /api/charts/:chartNumber/retry
@@ -503,13 +898,29 @@ class ChartController {
           mimeType: doc.mime_type,
           fileSize: doc.file_size,
           s3Key: doc.s3_key,
-          s3Url: doc.s3_url,
+          s3Bucket: doc.s3_bucket,
+          storageDriver: doc.storage_driver,
           transactionId: doc.transaction_id
         }))
       };
 
-      // Add new job to queue
-      const job = await QueueService.addJob(chart.id, chartNumber, jobData);
+      // Add new job to queue, keeping the priority the chart was queued with
+      const [previousJob] = await QueueService.getJobsByChart(chartNumber);
+      const job = await QueueService.addJob(chart.id, chartNumber, jobData, {
+        priority: previousJob?.priority ?? undefined
+      });
+
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber,
+        eventType: EVENT_TYPES.RETRY_REQUESTED,
+        details: {
+          jobId: job.job_id,
+          previousStatus: chart.ai_status,
+          previousError: chart.last_error,
+          previousAttempts: chart.retry_count
+        }
+      });
 
       res.json({
         success: true,
@@ -547,6 +958,8 @@ class ChartController {
           failed: parseInt(stats.failed || 0),
           inReview: parseInt(stats.in_review || 0),
           submitted: parseInt(stats.submitted || 0),
+          qaReview: parseInt(stats.qa_review || 0),
+          qaReturned: parseInt(stats.qa_returned || 0),
           slaWarning: parseInt(stats.sla_warning || 0),
           slaCritical: parseInt(stats.sla_critical || 0),
           total: parseInt(stats.total || 0)
@@ -1048,6 +1461,21 @@ class ChartController {
         });
       }
 
+      // Snapshot identifying fields - the chart row (and its documents) are gone after this
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber,
+        eventType: EVENT_TYPES.CHART_DELETED,
+        details: {
+          sessionId: chart.session_id,
+          mrn: chart.mrn,
+          facility: chart.facility,
+          aiStatus: chart.ai_status,
+          reviewStatus: chart.review_status,
+          finalCodes: chart.final_codes
+        }
+      });
+
       res.json({
         success: true,
         message: 'Chart deleted',
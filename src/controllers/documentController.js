@@ -1,8 +1,12 @@
-import { s3Service } from '../services/s3Service.js';
-import { cleanupFiles } from '../middleware/upload.js';
+import { storageService } from '../services/storageService.js';
+import { discardUploads } from '../middleware/upload.js';
+import { SCAN_STATUS } from '../services/uploadInspectionService.js';
 import { ChartRepository, DocumentRepository } from '../db/chartRepository.js';
-import { QueueService } from '../db/queueService.js';
+import { QueueService, parsePriority, priorityLabel } from '../db/queueService.js';
+import { config } from '../config.js';
 import { websocketService } from '../services/websocketService.js';
+import { auditService } from '../services/auditService.js';
+import { EVENT_TYPES } from '../db/chartEventRepository.js';
 import { v4 as uuidv4 } from 'uuid';
 
 // ═══════════════════════════════════════════════════════════════
@@ -19,6 +23,10 @@ const log = {
     console.log(`[${timestamp}] ✅ [${stage}] ${message}`);
     if (data) console.log(`    └─ Data:`, typeof data === 'object' ? JSON.stringify(data, null, 2).substring(0, 500) : data);
   },
+  warn: (stage, message) => {
+    const timestamp = new Date().toISOString();
+    console.warn(`[${timestamp}] ⚠️  [${stage}] ${message}`);
+  },
   error: (stage, message, error = null) => {
     const timestamp = new Date().toISOString();
     console.error(`[${timestamp}] ❌ [${stage}] ${message}`);
@@ -38,9 +46,14 @@ class DocumentController {
    * POST /api/documents/process
    */
   async processDocuments(req, res) {
+    // Keys of stored files that now belong to a document row
+    const recordedKeys = new Set();
+
     try {
       const files = req.files || [];
       const { documentType, mrn, chartNumber, facility, specialty, dateOfService, provider, transactions, sessionId } = req.body;
+      // routine | urgent | stat, or 0-100 (default routine)
+      const priority = parsePriority(req.body.priority);
 
       log.divider();
       log.info('UPLOAD_START', `Received upload request`);
@@ -55,17 +68,23 @@ class DocumentController {
       }
 
       if (!sessionId) {
-        cleanupFiles(files);
+        await discardUploads(files);
         log.error('UPLOAD_VALIDATION', 'Session ID is required');
         return res.status(400).json({ success: false, error: 'Session ID is required' });
       }
 
       if (!chartNumber) {
-        cleanupFiles(files);
+        await discardUploads(files);
         log.error('UPLOAD_VALIDATION', 'Chart number is required');
         return res.status(400).json({ success: false, error: 'Chart number is required' });
       }
 
+      if (priority === null) {
+        await discardUploads(files);
+        log.error('UPLOAD_VALIDATION', `Invalid priority: ${req.body.priority}`);
+        return res.status(400).json({ success: false, error: 'Invalid priority. Must be routine, urgent, stat or an integer 0-100' });
+      }
+
       // Log file details
       files.forEach((f, i) => {
         log.info('UPLOAD_FILE', `File ${i + 1}: ${f.originalname} (${(f.size / 1024).toFixed(1)}KB, ${f.mimetype})`);
@@ -85,6 +104,9 @@ class DocumentController {
 
       log.info('UPLOAD_DB', `Creating/updating chart record: ${chartNumber}`);
 
+      // Status before this upload - restored if none of its files can be processed
+      const previousStatus = (await ChartRepository.getBySessionId(sessionId))?.ai_status || null;
+
       const chart = await ChartRepository.createQueued({
         sessionId,
         chartNumber,
@@ -146,24 +168,26 @@ class DocumentController {
       }
 
       const uniqueTransactions = new Set([...fileTransactionMap.values()].map(t => t.transactionId));
-      log.info('UPLOAD_S3', `Uploading ${files.length} files to S3...`);
+      log.info('UPLOAD_DB', `Recording ${files.length} stored file(s)...`);
 
       const documentRecords = [];
+      // Files skipped because the chart already has the same content: { file, original }
+      const duplicates = [];
+      const seenHashes = new Map();
 
+      // Files were streamed into storage by the upload middleware as they arrived
       for (let i = 0; i < files.length; i++) {
         const file = files[i];
-        log.info('UPLOAD_S3', `Uploading file ${i + 1}/${files.length}: ${file.originalname}`);
-
-        // Upload to S3
-        const s3Result = await s3Service.uploadFile(file, chartNumber, documentType);
 
-        if (!s3Result.success) {
-          log.error('UPLOAD_S3', `Failed to upload ${file.originalname}: ${s3Result.error}`);
+        // Exact re-uploads (same SHA-256) of a document already on this chart are skipped
+        const original = seenHashes.get(file.sha256)
+          || (file.sha256 && await DocumentRepository.findByChartAndHash(chart.id, file.sha256));
+        if (original) {
+          log.info('UPLOAD_DEDUP', `Skipping ${file.originalname} - same content as document ${original.id}`);
+          duplicates.push({ file, original });
           continue;
         }
 
-        log.success('UPLOAD_S3', `File uploaded: ${file.originalname}`, { s3Key: s3Result.key });
-
         const txnInfo = fileTransactionMap.get(i) || {
           transactionId: `txn_${uuidv4().substring(0, 8)}`,
           transactionLabel: 'Unknown',
@@ -173,17 +197,29 @@ class DocumentController {
         // Create document record in database
         const docRecord = await DocumentRepository.create(chart.id, {
           documentType: documentType || 'unknown',
-          filename: file.filename,
+          filename: file.key.split('/').pop(),
           originalName: file.originalname,
           fileSize: file.size,
           mimeType: file.mimetype,
-          s3Key: s3Result.key,
-          s3Url: s3Result.url,
-          s3Bucket: s3Result.bucket,
+          s3Key: file.key,
+          s3Url: null,
+          s3Bucket: file.bucket,
+          storageDriver: file.driver,
           transactionId: txnInfo.transactionId,
           transactionLabel: txnInfo.transactionLabel,
-          isGroupMember: txnInfo.isGroupMember
+          isGroupMember: txnInfo.isGroupMember,
+          detectedMimeType: file.detectedType,
+          scanStatus: file.scanStatus,
+          scanner: file.scanner,
+          quarantineReason: file.quarantineReason,
+          contentSha256: file.sha256
         });
+        recordedKeys.add(file.key);
+        if (file.sha256) seenHashes.set(file.sha256, docRecord);
+
+        if (docRecord.scan_status === SCAN_STATUS.QUARANTINED) {
+          log.warn('UPLOAD_SCAN', `Quarantined ${file.originalname}: ${docRecord.quarantine_reason}`);
+        }
 
         documentRecords.push({
           documentId: docRecord.id,
@@ -192,20 +228,88 @@ class DocumentController {
           mimeType: docRecord.mime_type,
           fileSize: docRecord.file_size,
           s3Key: docRecord.s3_key,
-          s3Url: docRecord.s3_url,
-          transactionId: docRecord.transaction_id
+          s3Bucket: docRecord.s3_bucket,
+          storageDriver: docRecord.storage_driver,
+          transactionId: docRecord.transaction_id,
+          scanStatus: docRecord.scan_status,
+          quarantineReason: docRecord.quarantine_reason
         });
       }
 
-      // Cleanup local temp files
-      cleanupFiles(files);
+      if (duplicates.length > 0) {
+        await discardUploads(duplicates.map(({ file }) => file));
+        await ChartRepository.adjustDocumentCount(chart.id, -duplicates.length);
+      }
+
+      const isQuarantined = doc => doc.scanStatus === SCAN_STATUS.QUARANTINED;
+      const quarantined = documentRecords.filter(isQuarantined);
+      const processable = documentRecords.filter(doc => !isQuarantined(doc));
+      // Duplicates of processable documents still warrant (re)processing the chart
+      const linkedDuplicates = duplicates.filter(({ original }) => original.scan_status !== SCAN_STATUS.QUARANTINED);
+
+      const documentView = doc => ({
+        id: doc.documentId,
+        filename: doc.originalName,
+        documentType: doc.documentType,
+        // Quarantined files are never served
+        contentUrl: isQuarantined(doc) ? null : `/api/documents/${doc.documentId}/content`,
+        transactionId: doc.transactionId,
+        status: isQuarantined(doc) ? 'quarantined' : 'uploaded',
+        ...(isQuarantined(doc) && { quarantineReason: doc.quarantineReason })
+      });
+      const duplicateView = ({ file, original }) => ({
+        id: original.id,
+        filename: file.originalname,
+        documentType: original.document_type,
+        contentUrl: original.scan_status === SCAN_STATUS.QUARANTINED ? null : `/api/documents/${original.id}/content`,
+        transactionId: original.transaction_id,
+        status: 'duplicate',
+        duplicateOf: original.id
+      });
+      const duplicatesSkipped = duplicates.map(({ file, original }) => ({
+        filename: file.originalname,
+        duplicateOf: original.id
+      }));
+      const quarantineView = quarantined.map(doc => ({
+        id: doc.documentId,
+        filename: doc.originalName,
+        reason: doc.quarantineReason
+      }));
+
+      if (quarantined.length > 0) {
+        await auditService.record(req, {
+          chartId: chart.id,
+          chartNumber,
+          eventType: EVENT_TYPES.DOCUMENTS_QUARANTINED,
+          details: { sessionId, documents: quarantineView }
+        });
+      }
+
+      // Nothing in this upload to code - no job is queued
+      if (processable.length === 0 && linkedDuplicates.length === 0) {
+        log.error('UPLOAD_SCAN', `All ${quarantined.length} file(s) quarantined - chart ${chartNumber} not queued`);
+
+        // A chart with earlier processable documents keeps its state (and results);
+        // only a chart with nothing else to code is failed
+        const chartDocs = await DocumentRepository.getByChartId(chart.id);
+        const hasOtherDocuments = chartDocs.some(doc => doc.scan_status !== SCAN_STATUS.QUARANTINED);
 
-      if (documentRecords.length === 0) {
-        log.error('UPLOAD_COMPLETE', 'All file uploads failed');
-        await ChartRepository.updateStatus(chartNumber, 'failed');
-        return res.status(500).json({
+        if (!hasOtherDocuments) {
+          await ChartRepository.updateStatus(chartNumber, 'failed');
+        } else if (previousStatus && previousStatus !== chart.ai_status) {
+          await ChartRepository.updateStatus(chartNumber, previousStatus);
+        }
+        log.divider();
+
+        return res.status(422).json({
           success: false,
-          error: 'All file uploads failed'
+          error: 'All uploaded files were quarantined',
+          sessionId,
+          chartNumber,
+          chartId: chart.id,
+          documents: [...documentRecords.map(documentView), ...duplicates.map(duplicateView)],
+          quarantined: quarantineView,
+          duplicates: duplicatesSkipped
         });
       }
 
@@ -216,10 +320,30 @@ class DocumentController {
         chartNumber,
         chartInfo,
         documentType,
-        documents: documentRecords
+        documents: processable
       };
 
-      const job = await QueueService.addJob(chart.id, chartNumber, jobData);
+      const job = await QueueService.addJob(chart.id, chartNumber, jobData, { priority });
+
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber,
+        eventType: EVENT_TYPES.DOCUMENTS_UPLOADED,
+        details: {
+          jobId: job.job_id,
+          priority,
+          sessionId,
+          documents: documentRecords.map(doc => ({
+            documentId: doc.documentId,
+            originalName: doc.originalName,
+            mimeType: doc.mimeType,
+            fileSize: doc.fileSize,
+            transactionId: doc.transactionId,
+            scanStatus: doc.scanStatus
+          })),
+          duplicates: duplicatesSkipped
+        }
+      });
 
       // Notify dashboard clients that this chart is now queued (direct broadcast, no PG NOTIFY)
       try {
@@ -233,37 +357,40 @@ class DocumentController {
         chartId: chart.id,
         jobId: job.job_id,
         documentsUploaded: documentRecords.length,
+        documentsQuarantined: quarantined.length,
+        duplicatesSkipped: duplicates.length,
         transactionCount: uniqueTransactions.size
       });
       log.divider();
 
       res.json({
         success: true,
-        message: `${files.length} document(s) uploaded and queued for processing`,
+        message: [
+          `${processable.length} document(s) uploaded and queued for processing`,
+          quarantined.length > 0 && `${quarantined.length} quarantined`,
+          duplicates.length > 0 && `${duplicates.length} duplicate(s) skipped`
+        ].filter(Boolean).join(', '),
         status: 'queued',
         sessionId,
         chartNumber,
         chartId: chart.id,
         jobId: job.job_id,
+        priority: priorityLabel(priority),
         chartInfo,
         documentType,
         transactionCount: uniqueTransactions.size,
-        documents: documentRecords.map(doc => ({
-          id: doc.documentId,
-          filename: doc.originalName,
-          documentType: doc.documentType,
-          s3Url: doc.s3Url,
-          transactionId: doc.transactionId,
-          status: 'uploaded'
-        })),
+        documents: [...documentRecords.map(documentView), ...duplicates.map(duplicateView)],
+        quarantined: quarantineView,
+        duplicates: duplicatesSkipped,
         estimatedProcessingTime: '30-60 seconds'
       });
 
     } catch (error) {
       log.error('UPLOAD_ERROR', 'Upload processing failed', error);
 
+      // Stored files not yet recorded against a document would be orphaned
       if (req.files) {
-        cleanupFiles(req.files);
+        await discardUploads(req.files.filter(file => !recordedKeys.has(file.key)));
       }
 
       res.status(500).json({
@@ -273,6 +400,103 @@ class DocumentController {
     }
   }
 
+  /**
+   * Short-lived presigned URL for one uploaded document (objects are private)
+   * GET /api/documents/:id/content[?download=true][&redirect=true]
+   * Every issued URL is audited as a PHI view
+   */
+  async getDocumentContent(req, res) {
+    try {
+      const documentId = parseInt(req.params.id);
+      if (!Number.isInteger(documentId)) {
+        return res.status(400).json({ success: false, error: 'Invalid document id' });
+      }
+
+      const doc = await DocumentRepository.getByIdWithChart(documentId);
+      if (!doc || !doc.s3_key) {
+        return res.status(404).json({ success: false, error: 'Document not found' });
+      }
+
+      if (doc.scan_status === SCAN_STATUS.QUARANTINED) {
+        return res.status(403).json({ success: false, error: `Document is quarantined: ${doc.quarantine_reason}` });
+      }
+
+      const expiresIn = config.storage.signedUrlExpiresSeconds;
+
+      let url;
+      try {
+        url = await storageService.presign(storageService.locationOf(doc), {
+          expiresIn,
+          filename: doc.original_name,
+          contentType: doc.mime_type,
+          inline: req.query.download !== 'true'
+        });
+      } catch (signError) {
+        log.error('DOCUMENT_CONTENT', `Could not presign document ${documentId}`, signError);
+        return res.status(502).json({ success: false, error: 'Could not create a document link' });
+      }
+
+      await auditService.record(req, {
+        chartId: doc.chart_id,
+        chartNumber: doc.chart_number,
+        eventType: EVENT_TYPES.PHI_VIEWED,
+        details: { view: 'document_content', documentId, expiresIn }
+      });
+
+      if (req.query.redirect === 'true') {
+        return res.redirect(302, url);
+      }
+
+      res.json({
+        success: true,
+        documentId,
+        filename: doc.original_name,
+        mimeType: doc.mime_type,
+        url,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+      });
+
+    } catch (error) {
+      log.error('DOCUMENT_CONTENT', 'Failed to issue document URL', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Serve a file presigned by the local storage driver
+   * GET /api/storage/local?key=&expires=&signature= (no session - the signature is the credential)
+   */
+  async serveLocalContent(req, res) {
+    try {
+      const driver = storageService.driver('local');
+      const signed = driver.verify(req.query);
+
+      if (!signed) {
+        return res.status(403).json({ success: false, error: 'Invalid or expired link' });
+      }
+
+      const { stream, contentType, contentLength } = await driver.getStream(signed.key);
+
+      res.setHeader('Content-Type', signed.contentType || contentType);
+      res.setHeader('Content-Length', contentLength);
+      res.setHeader('Cache-Control', 'private, no-store');
+      if (signed.disposition) res.setHeader('Content-Disposition', signed.disposition);
+
+      stream.on('error', (streamError) => {
+        log.error('LOCAL_CONTENT', 'Failed while streaming file', streamError);
+        res.destroy(streamError);
+      });
+      stream.pipe(res);
+
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ success: false, error: 'Document not found' });
+      }
+      log.error('LOCAL_CONTENT', 'Failed to serve file', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
   /**
    * Get processing status for a chart
    * GET /api/documents/status/:chartNumber
@@ -306,6 +530,7 @@ class DocumentController {
         job: latestJob ? {
           jobId: latestJob.job_id,
           status: latestJob.status,
+          priority: priorityLabel(latestJob.priority),
           attempts: latestJob.attempts,
           maxAttempts: latestJob.max_attempts,
           createdAt: latestJob.created_at,
@@ -330,7 +555,11 @@ class DocumentController {
    */
   async getQueueStats(req, res) {
     try {
-      const stats = await QueueService.getStats();
+      const [stats, workers, backlog] = await Promise.all([
+        QueueService.getStats(),
+        QueueService.getWorkers(),
+        QueueService.getFacilityBacklog()
+      ]);
 
       res.json({
         success: true,
@@ -343,7 +572,32 @@ class DocumentController {
           waitingForRetry: parseInt(stats.waiting_for_retry || 0),
           readyToRetry: parseInt(stats.ready_to_retry || 0),
           total: parseInt(stats.total || 0)
-        }
+        },
+        // Current backlog per facility (not limited to the last 24 hours)
+        byFacility: backlog.map(row => ({
+          facility: row.facility || null,
+          pending: parseInt(row.pending || 0),
+          processing: parseInt(row.processing || 0),
+          readyToRetry: parseInt(row.ready_to_retry || 0),
+          waitingForRetry: parseInt(row.waiting_for_retry || 0),
+          statWaiting: parseInt(row.stat_waiting || 0),
+          oldestWaitingAt: row.oldest_waiting_at
+        })),
+        // Workers with a heartbeat in the last hour; stale ones are flagged rather than hidden
+        workers: workers.map(worker => ({
+          workerId: worker.worker_id,
+          hostname: worker.hostname,
+          pid: worker.pid,
+          status: worker.status,
+          slots: worker.slots,
+          activeJobs: worker.active_jobs || [],
+          jobsCompleted: worker.jobs_completed,
+          jobsFailed: worker.jobs_failed,
+          startedAt: worker.started_at,
+          lastHeartbeatAt: worker.last_heartbeat_at,
+          stale: worker.status !== 'stopped' &&
+            worker.seconds_since_heartbeat * 1000 > config.worker.heartbeatIntervalMs * 3
+        }))
       });
 
     } catch (error) {
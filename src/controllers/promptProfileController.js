@@ -0,0 +1,236 @@
+import { PromptProfileRepository } from '../db/promptProfileRepository.js';
+import { promptProfileService } from '../services/promptProfileService.js';
+
+const formatVersion = (version) => ({
+  version: version.version,
+  systemPrompt: version.system_prompt,
+  guidelines: version.guidelines,
+  emCodeFamilies: version.em_code_families,
+  outputCategories: version.output_categories,
+  createdBy: version.created_by,
+  createdAt: version.created_at
+});
+
+const formatProfile = (profile) => ({
+  id: profile.id,
+  name: profile.name,
+  description: profile.description,
+  specialty: profile.specialty,
+  facility: profile.facility,
+  documentType: profile.document_type,
+  priority: profile.priority,
+  isActive: profile.is_active,
+  currentVersion: profile.current_version,
+  systemPrompt: profile.system_prompt,
+  guidelines: profile.guidelines,
+  emCodeFamilies: profile.em_code_families,
+  outputCategories: profile.output_categories,
+  createdBy: profile.created_by,
+  createdAt: profile.created_at,
+  updatedAt: profile.updated_at
+});
+
+class PromptProfileController {
+
+  /**
+   * List prompt profiles
+   * GET /api/prompt-profiles?includeInactive=true
+   */
+  async list(req, res) {
+    try {
+      const profiles = await PromptProfileRepository.list({
+        includeInactive: req.query.includeInactive === 'true'
+      });
+
+      res.json({ success: true, profiles: profiles.map(formatProfile) });
+
+    } catch (error) {
+      console.error('❌ Error listing prompt profiles:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Preview which profile a chart would be coded with
+   * GET /api/prompt-profiles/resolve?specialty=&facility=&documentType=
+   */
+  async resolve(req, res) {
+    try {
+      const { specialty, facility, documentType } = req.query;
+
+      const profile = await promptProfileService.resolve({
+        specialty,
+        facility,
+        documentTypes: [].concat(documentType || [])
+      });
+
+      res.json({
+        success: true,
+        profile: profile
+          ? { id: profile.id, name: profile.name, version: profile.version }
+          : { id: null, name: 'default', version: null }
+      });
+
+    } catch (error) {
+      console.error('❌ Error resolving prompt profile:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get a profile with its version history and charts coded per version
+   * GET /api/prompt-profiles/:id
+   */
+  async get(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      if (!Number.isInteger(id)) {
+        return res.status(400).json({ success: false, error: 'Invalid prompt profile id' });
+      }
+
+      const profile = await PromptProfileRepository.findById(id);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'Prompt profile not found' });
+      }
+
+      const [versions, chartCounts] = await Promise.all([
+        PromptProfileRepository.getVersions(profile.id),
+        PromptProfileRepository.getChartCounts(profile.id)
+      ]);
+      const countByVersion = new Map(chartCounts.map(row => [row.version, parseInt(row.chart_count)]));
+
+      res.json({
+        success: true,
+        profile: formatProfile(profile),
+        versions: versions.map(version => ({
+          ...formatVersion(version),
+          chartCount: countByVersion.get(version.version) || 0
+        }))
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching prompt profile:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get one version of a profile (what coded a given chart)
+   * GET /api/prompt-profiles/:id/versions/:version
+   */
+  async getVersion(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      const versionNumber = parseInt(req.params.version);
+      if (!Number.isInteger(id) || !Number.isInteger(versionNumber)) {
+        return res.status(400).json({ success: false, error: 'Invalid prompt profile id or version' });
+      }
+
+      const version = await PromptProfileRepository.getVersion(id, versionNumber);
+      if (!version) {
+        return res.status(404).json({ success: false, error: 'Prompt profile version not found' });
+      }
+
+      res.json({ success: true, profileId: version.profile_id, version: formatVersion(version) });
+
+    } catch (error) {
+      console.error('❌ Error fetching prompt profile version:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Create a profile (version 1)
+   * POST /api/prompt-profiles
+   */
+  async create(req, res) {
+    try {
+      const errors = promptProfileService.validate(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join('; '), errors });
+      }
+
+      if (await PromptProfileRepository.findByName(req.body.name)) {
+        return res.status(409).json({ success: false, error: 'A prompt profile with this name already exists' });
+      }
+
+      const { profile, content } = promptProfileService.splitInput(req.body);
+      const created = await PromptProfileRepository.create(profile, content, req.user.userId);
+
+      console.log(`✅ Prompt profile created: ${created.name} by ${req.user.userId}`);
+
+      res.status(201).json({ success: true, profile: formatProfile(created) });
+
+    } catch (error) {
+      console.error('❌ Error creating prompt profile:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Update a profile - changes to prompt content create a new version,
+   * changes to selection criteria alone do not
+   * PATCH /api/prompt-profiles/:id
+   */
+  async update(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      if (!Number.isInteger(id)) {
+        return res.status(400).json({ success: false, error: 'Invalid prompt profile id' });
+      }
+
+      const existing = await PromptProfileRepository.findById(id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Prompt profile not found' });
+      }
+
+      const errors = promptProfileService.validate(req.body, existing);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join('; '), errors });
+      }
+
+      if (req.body.name && req.body.name !== existing.name && await PromptProfileRepository.findByName(req.body.name)) {
+        return res.status(409).json({ success: false, error: 'A prompt profile with this name already exists' });
+      }
+
+      const { profile, content } = promptProfileService.splitInput(req.body, existing);
+      const updated = await PromptProfileRepository.update(id, profile, content, req.user.userId);
+
+      console.log(`✅ Prompt profile updated: ${updated.name} v${updated.current_version} by ${req.user.userId}`);
+
+      res.json({ success: true, profile: formatProfile(updated), newVersion: Boolean(content) });
+
+    } catch (error) {
+      console.error('❌ Error updating prompt profile:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Deactivate a profile - its versions stay, charts coded with them keep their reference
+   * DELETE /api/prompt-profiles/:id
+   */
+  async deactivate(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      if (!Number.isInteger(id)) {
+        return res.status(400).json({ success: false, error: 'Invalid prompt profile id' });
+      }
+
+      const profile = await PromptProfileRepository.deactivate(id);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'Prompt profile not found' });
+      }
+
+      console.log(`✅ Prompt profile deactivated: ${profile.name} by ${req.user.userId}`);
+
+      res.json({ success: true, message: 'Prompt profile deactivated' });
+
+    } catch (error) {
+      console.error('❌ Error deactivating prompt profile:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
+
+export const promptProfileController = new PromptProfileController();
@@ -0,0 +1,373 @@
+import { ChartRepository } from '../db/chartRepository.js';
+import { QAReviewRepository } from '../db/qaReviewRepository.js';
+import { qaService, ROUTING_REASONS } from '../services/qaService.js';
+import { forbidden } from '../middleware/permissions.js';
+import { auditService } from '../services/auditService.js';
+import { EVENT_TYPES } from '../db/chartEventRepository.js';
+
+const formatReview = (review) => ({
+  id: review.id,
+  chartNumber: review.chart_number,
+  round: review.round,
+  status: review.status,
+  routingReason: review.routing_reason,
+  coderUserId: review.coder_user_id,
+  qaUserId: review.qa_user_id,
+  coderCodes: review.coder_codes,
+  correctedCodes: review.corrected_codes,
+  codeFeedback: review.code_feedback,
+  codeDiff: review.code_diff,
+  comments: review.comments,
+  coderCodeCount: review.coder_code_count,
+  errorCount: review.error_count,
+  createdAt: review.created_at,
+  reviewedAt: review.reviewed_at
+});
+
+class QAController {
+
+  /**
+   * Get charts waiting for QA
+   * GET /api/charts/qa/queue
+   */
+  async getQueue(req, res) {
+    try {
+      const { facility, page = 1, limit = 20 } = req.query;
+
+      const result = await QAReviewRepository.getQueue({
+        facility,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        reviews: result.reviews.map(r => ({
+          reviewId: r.review_id,
+          round: r.round,
+          routingReason: r.routing_reason,
+          coderUserId: r.coder_user_id,
+          queuedAt: r.queued_at,
+          chartNumber: r.chart_number,
+          mrn: r.mrn,
+          facility: r.facility,
+          specialty: r.specialty,
+          dateOfService: r.date_of_service,
+          submittedAt: r.submitted_at
+        })),
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching QA queue:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get coder accuracy measured by QA verdicts
+   * GET /api/charts/qa/accuracy
+   */
+  async getCoderAccuracy(req, res) {
+    try {
+      const { startDate, endDate } = req.query;
+
+      const rows = await QAReviewRepository.getCoderAccuracy({ startDate, endDate });
+
+      res.json({
+        success: true,
+        coders: rows.map(r => {
+          const totalCodes = parseInt(r.total_codes || 0);
+          const totalErrors = parseInt(r.total_errors || 0);
+          return {
+            coderUserId: r.coder_user_id,
+            reviews: parseInt(r.reviews || 0),
+            accepted: parseInt(r.accepted || 0),
+            returned: parseInt(r.returned || 0),
+            totalCodes,
+            totalErrors,
+            accuracy: totalCodes > 0
+              ? parseFloat((Math.max(totalCodes - totalErrors, 0) / totalCodes * 100).toFixed(1))
+              : null
+          };
+        })
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching coder accuracy:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get QA rounds for a chart
+   * GET /api/charts/:chartNumber/qa
+   */
+  async getChartReviews(req, res) {
+    try {
+      const { chartNumber } = req.params;
+
+      const chart = await ChartRepository.getByChartNumber(chartNumber);
+      if (!chart) {
+        return res.status(404).json({ success: false, error: 'Chart not found' });
+      }
+
+      const reviews = await QAReviewRepository.getByChartId(chart.id);
+
+      res.json({
+        success: true,
+        chartNumber,
+        reviewStatus: chart.review_status,
+        qaRequired: chart.qa_required,
+        reviews: reviews.map(formatReview)
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching QA reviews:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Send a chart to QA on demand
+   * POST /api/charts/:chartNumber/qa/request
+   *
+   * Submitted charts go straight into the QA queue;
+   * charts still being coded are flagged so their submission routes to QA
+   */
+  async requestReview(req, res) {
+    try {
+      const { chartNumber } = req.params;
+
+      const chart = await ChartRepository.getByChartNumber(chartNumber);
+      if (!chart) {
+        return res.status(404).json({ success: false, error: 'Chart not found' });
+      }
+
+      if (chart.review_status === 'qa_review') {
+        return res.status(409).json({ success: false, error: 'Chart is already awaiting QA review' });
+      }
+
+      if (chart.review_status === 'submitted') {
+        await ChartRepository.updateReviewStatus(chartNumber, 'qa_review');
+        const review = await QAReviewRepository.create({
+          chartId: chart.id,
+          chartNumber,
+          routingReason: ROUTING_REASONS.ON_DEMAND,
+          coderUserId: chart.submitted_by,
+          coderCodes: chart.final_codes
+        });
+
+        await auditService.record(req, {
+          chartId: chart.id,
+          chartNumber,
+          eventType: EVENT_TYPES.QA_REQUESTED,
+          details: { reviewId: review.id, fromStatus: 'submitted', toStatus: 'qa_review' }
+        });
+
+        console.log(`🔎 Chart ${chartNumber} sent to QA on demand by ${req.user.userId}`);
+
+        return res.json({
+          success: true,
+          message: 'Chart moved to QA review',
+          review: formatReview(review)
+        });
+      }
+
+      await ChartRepository.setQARequired(chartNumber, true);
+
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber,
+        eventType: EVENT_TYPES.QA_REQUESTED,
+        details: { onSubmission: true }
+      });
+
+      console.log(`🔎 Chart ${chartNumber} flagged for QA on submission by ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: 'Chart will be routed to QA when submitted',
+        chartNumber,
+        qaRequired: true
+      });
+
+    } catch (error) {
+      console.error('❌ Error requesting QA review:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Load the open QA round for a verdict, or send the error response
+   * Returns { chart, review } or null when a response was already sent
+   */
+  async loadPendingReview(req, res) {
+    const { chartNumber } = req.params;
+
+    const chart = await ChartRepository.getByChartNumber(chartNumber);
+    if (!chart) {
+      res.status(404).json({ success: false, error: 'Chart not found' });
+      return null;
+    }
+
+    const review = await QAReviewRepository.getPendingByChartId(chart.id);
+    if (chart.review_status !== 'qa_review' || !review) {
+      res.status(409).json({ success: false, error: 'Chart is not awaiting QA review' });
+      return null;
+    }
+
+    if (review.coder_user_id === req.user.userId) {
+      forbidden(res, 'You cannot QA your own submission');
+      return null;
+    }
+
+    return { chart, review };
+  }
+
+  /**
+   * Accept the coder's codes (optionally with QA corrections) and finalize the chart
+   * POST /api/charts/:chartNumber/qa/accept
+   * Body: { codeFeedback?, correctedCodes?, comments? }
+   */
+  async acceptReview(req, res) {
+    try {
+      const { chartNumber } = req.params;
+      const { codeFeedback = [], correctedCodes = null, comments = null } = req.body;
+
+      const feedbackError = qaService.validateFeedback(codeFeedback);
+      if (feedbackError) {
+        return res.status(400).json({ success: false, error: feedbackError });
+      }
+
+      const loaded = await this.loadPendingReview(req, res);
+      if (!loaded) return;
+      const { review } = loaded;
+
+      const score = qaService.scoreReview(review.coder_codes, { correctedCodes, codeFeedback });
+
+      const completed = await QAReviewRepository.complete(review.id, {
+        status: 'accepted',
+        qaUserId: req.user.userId,
+        correctedCodes,
+        codeFeedback,
+        codeDiff: score.codeDiff,
+        comments,
+        coderCodeCount: score.coderCodeCount,
+        errorCount: score.errorCount
+      });
+
+      if (!completed) {
+        return res.status(409).json({ success: false, error: 'QA review was already completed' });
+      }
+
+      const chart = await ChartRepository.finalizeAfterQA(chartNumber, correctedCodes);
+
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber,
+        eventType: EVENT_TYPES.QA_ACCEPTED,
+        details: {
+          reviewId: review.id,
+          fromStatus: 'qa_review',
+          toStatus: chart.review_status,
+          errorCount: score.errorCount,
+          codeDiff: score.codeDiff
+        }
+      });
+
+      console.log(`✅ Chart ${chartNumber} accepted by QA ${req.user.userId} (${score.errorCount} error(s))`);
+
+      res.json({
+        success: true,
+        message: 'QA accepted - codes finalized',
+        review: formatReview(completed),
+        chart: {
+          chartNumber: chart.chart_number,
+          reviewStatus: chart.review_status,
+          finalCodes: chart.final_codes
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error accepting QA review:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Return the chart to the coder with per-code feedback
+   * POST /api/charts/:chartNumber/qa/return
+   * Body: { codeFeedback, comments? }
+   */
+  async returnReview(req, res) {
+    try {
+      const { chartNumber } = req.params;
+      const { codeFeedback, comments = null } = req.body;
+
+      const feedbackError = qaService.validateFeedback(codeFeedback);
+      if (feedbackError) {
+        return res.status(400).json({ success: false, error: feedbackError });
+      }
+
+      if (!codeFeedback.some(f => f.verdict !== 'correct')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Returning a chart requires feedback on at least one code that is not correct'
+        });
+      }
+
+      const loaded = await this.loadPendingReview(req, res);
+      if (!loaded) return;
+      const { review } = loaded;
+
+      const score = qaService.scoreReview(review.coder_codes, { codeFeedback });
+
+      const completed = await QAReviewRepository.complete(review.id, {
+        status: 'returned',
+        qaUserId: req.user.userId,
+        codeFeedback,
+        comments,
+        coderCodeCount: score.coderCodeCount,
+        errorCount: score.errorCount
+      });
+
+      if (!completed) {
+        return res.status(409).json({ success: false, error: 'QA review was already completed' });
+      }
+
+      const chart = await ChartRepository.updateReviewStatus(chartNumber, 'qa_returned');
+
+      await auditService.record(req, {
+        chartId: chart.id,
+        chartNumber,
+        eventType: EVENT_TYPES.QA_RETURNED,
+        details: {
+          reviewId: review.id,
+          fromStatus: 'qa_review',
+          toStatus: chart.review_status,
+          errorCount: score.errorCount,
+          codeFeedback
+        }
+      });
+
+      console.log(`↩️ Chart ${chartNumber} returned to ${review.coder_user_id} by QA ${req.user.userId}`);
+
+      res.json({
+        success: true,
+        message: 'Chart returned to coder',
+        review: formatReview(completed),
+        chart: {
+          chartNumber: chart.chart_number,
+          reviewStatus: chart.review_status
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error returning QA review:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
+
+export const qaController = new QAController();
@@ -0,0 +1,418 @@
+import { QueueService, parsePriority, priorityLabel } from '../db/queueService.js';
+import { ChartRepository } from '../db/chartRepository.js';
+import { auditService } from '../services/auditService.js';
+import { housekeepingService } from '../services/housekeepingService.js';
+import { EVENT_TYPES } from '../db/chartEventRepository.js';
+import { JOB_ERROR_CLASSES } from '../utils/jobErrors.js';
+
+const JOB_STATUSES = ['pending', 'processing', 'retrying', 'dead_letter', 'completed', 'cancelled'];
+const ERROR_CLASSES = Object.values(JOB_ERROR_CLASSES);
+// Bulk purges never touch jobs younger than this - recent failures are still being looked at
+const MIN_PURGE_AGE_DAYS = 1;
+
+const parseJobData = (job) => (typeof job.job_data === 'string' ? JSON.parse(job.job_data) : job.job_data);
+
+const formatJob = (job) => ({
+  jobId: job.job_id,
+  chartNumber: job.chart_number,
+  facility: job.facility,
+  status: job.status,
+  deadLetter: job.status === 'failed' && job.attempts >= job.max_attempts,
+  superseded: job.superseded === undefined ? undefined : job.superseded,
+  priority: priorityLabel(job.priority),
+  attempts: job.attempts,
+  maxAttempts: job.max_attempts,
+  error: job.error_message,
+  errorClass: job.error_class,
+  phase: job.current_phase,
+  workerId: job.worker_id,
+  retryAfter: job.retry_after,
+  createdAt: job.created_at,
+  startedAt: job.started_at,
+  completedAt: job.completed_at,
+  cancelledAt: job.cancelled_at,
+  cancelledBy: job.cancelled_by
+});
+
+/**
+ * Put the chart of a requeued job back to 'queued' and tell its dashboard session
+ */
+const markChartRequeued = async (job) => {
+  await ChartRepository.resetForRetry(job.chart_number);
+  const sessionId = parseJobData(job)?.chartInfo?.sessionId;
+  if (sessionId) await QueueService.notifyChartStatus(sessionId, 'queued');
+};
+
+class QueueController {
+
+  /**
+   * Jobs for the admin console, newest first
+   * GET /api/queue/jobs?status=&facility=&errorClass=&chartNumber=&limit=50&offset=0
+   */
+  async listJobs(req, res) {
+    try {
+      const { status, facility, errorClass, chartNumber } = req.query;
+
+      if (status && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `Invalid status. Must be one of: ${JOB_STATUSES.join(', ')}` });
+      }
+      if (errorClass && !ERROR_CLASSES.includes(errorClass)) {
+        return res.status(400).json({ success: false, error: `Invalid errorClass. Must be one of: ${ERROR_CLASSES.join(', ')}` });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { jobs, total } = await QueueService.listJobs({ status, facility, errorClass, chartNumber, limit, offset });
+
+      res.json({
+        success: true,
+        jobs: jobs.map(formatJob),
+        pagination: { total, limit, offset }
+      });
+
+    } catch (error) {
+      console.error('❌ Error listing queue jobs:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * One job with its full job_data
+   * GET /api/queue/jobs/:jobId
+   */
+  async getJob(req, res) {
+    try {
+      const job = await QueueService.inspectJob(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+
+      res.json({
+        success: true,
+        job: {
+          ...formatJob(job),
+          jobData: parseJobData(job)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching queue job:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Dead-letter view - counts per error class plus the jobs themselves
+   * GET /api/queue/dead-letter?errorClass=&facility=&limit=50&offset=0
+   */
+  async getDeadLetters(req, res) {
+    try {
+      const { errorClass, facility } = req.query;
+      if (errorClass && !ERROR_CLASSES.includes(errorClass)) {
+        return res.status(400).json({ success: false, error: `Invalid errorClass. Must be one of: ${ERROR_CLASSES.join(', ')}` });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const [summary, { jobs, total }] = await Promise.all([
+        QueueService.getDeadLetterSummary(),
+        QueueService.listJobs({ status: 'dead_letter', errorClass, facility, limit, offset })
+      ]);
+
+      res.json({
+        success: true,
+        byErrorClass: summary.map(row => ({
+          errorClass: row.error_class,
+          jobs: parseInt(row.jobs || 0),
+          superseded: parseInt(row.superseded || 0),
+          latestAt: row.latest_at
+        })),
+        jobs: jobs.map(formatJob),
+        pagination: { total, limit, offset }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching dead-letter jobs:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Requeue a dead-lettered or cancelled job with a fresh set of attempts
+   * POST /api/queue/jobs/:jobId/requeue
+   */
+  async requeueJob(req, res) {
+    try {
+      const { jobId } = req.params;
+
+      const existing = await QueueService.inspectJob(jobId);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+      if (existing.superseded) {
+        return res.status(409).json({ success: false, error: 'A newer job exists for this chart - requeue that one instead' });
+      }
+      if (!existing.dead_letter && existing.status !== 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          error: `Job is ${existing.status} - only dead-lettered or cancelled jobs can be requeued`
+        });
+      }
+
+      // The job may have moved on since the check above (requeued or claimed elsewhere)
+      const job = await QueueService.retryJob(jobId);
+      if (!job) {
+        return res.status(409).json({ success: false, error: 'Job changed state while requeueing - refresh and try again' });
+      }
+      await markChartRequeued(job);
+
+      await auditService.record(req, {
+        chartId: job.chart_id,
+        chartNumber: job.chart_number,
+        eventType: EVENT_TYPES.RETRY_REQUESTED,
+        details: {
+          jobId,
+          source: 'queue_admin',
+          previousStatus: existing.status,
+          previousError: existing.error_message,
+          previousErrorClass: existing.error_class
+        }
+      });
+
+      res.json({ success: true, job: formatJob(job) });
+
+    } catch (error) {
+      console.error('❌ Error requeueing job:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Requeue every dead-lettered job of one error class (e.g. after an OCR outage)
+   * POST /api/queue/dead-letter/requeue { errorClass, facility?, limit? }
+   */
+  async requeueDeadLetters(req, res) {
+    try {
+      const { errorClass, facility } = req.body || {};
+      if (!ERROR_CLASSES.includes(errorClass)) {
+        return res.status(400).json({ success: false, error: `errorClass is required and must be one of: ${ERROR_CLASSES.join(', ')}` });
+      }
+
+      const limit = Math.min(parseInt(req.body.limit) || 500, 5000);
+      const jobs = await QueueService.requeueDeadLetters({ errorClass, facility: facility || null, limit });
+
+      for (const job of jobs) {
+        await markChartRequeued(job);
+        await auditService.record(req, {
+          chartId: job.chart_id,
+          chartNumber: job.chart_number,
+          eventType: EVENT_TYPES.RETRY_REQUESTED,
+          details: { jobId: job.job_id, source: 'queue_admin_bulk', previousErrorClass: errorClass }
+        });
+      }
+
+      res.json({
+        success: true,
+        requeued: jobs.length,
+        jobs: jobs.map(job => ({ jobId: job.job_id, chartNumber: job.chart_number }))
+      });
+
+    } catch (error) {
+      console.error('❌ Error bulk requeueing dead-letter jobs:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Cancel a pending or failed job - the chart is marked failed
+   * POST /api/queue/jobs/:jobId/cancel { reason? }
+   */
+  async cancelJob(req, res) {
+    try {
+      const { jobId } = req.params;
+      const reason = req.body?.reason || 'Processing cancelled by an administrator';
+
+      const existing = await QueueService.getJob(jobId);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+
+      const job = await QueueService.cancelJob(jobId, req.user.userId);
+      if (!job) {
+        return res.status(409).json({
+          success: false,
+          error: `Job is ${existing.status} - only pending or failed jobs can be cancelled`
+        });
+      }
+
+      await ChartRepository.markFailed(job.chart_number, reason);
+      const sessionId = parseJobData(job)?.chartInfo?.sessionId;
+      if (sessionId) await QueueService.notifyChartStatus(sessionId, 'failed');
+
+      await auditService.record(req, {
+        chartId: job.chart_id,
+        chartNumber: job.chart_number,
+        eventType: EVENT_TYPES.JOB_CANCELLED,
+        details: { jobId, previousStatus: existing.status, reason }
+      });
+
+      res.json({ success: true, job: formatJob(job) });
+
+    } catch (error) {
+      console.error('❌ Error cancelling job:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Delete a completed, cancelled or dead-lettered job
+   * DELETE /api/queue/jobs/:jobId
+   */
+  async purgeJob(req, res) {
+    try {
+      const { jobId } = req.params;
+
+      const existing = await QueueService.getJob(jobId);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+
+      const job = await QueueService.purgeJob(jobId);
+      if (!job) {
+        return res.status(409).json({
+          success: false,
+          error: `Job is ${existing.status} - only completed, cancelled or dead-lettered jobs can be purged`
+        });
+      }
+
+      await auditService.record(req, {
+        chartId: job.chart_id,
+        chartNumber: job.chart_number,
+        eventType: EVENT_TYPES.JOB_PURGED,
+        details: { jobId, status: job.status, errorClass: job.error_class }
+      });
+
+      res.json({ success: true, purged: jobId });
+
+    } catch (error) {
+      console.error('❌ Error purging job:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Delete dead-lettered jobs (one error class, or all plus cancelled ones)
+   * POST /api/queue/dead-letter/purge { errorClass } | { all: true }, olderThanDays? (min 1)
+   */
+  async purgeDeadLetters(req, res) {
+    try {
+      const { errorClass, all } = req.body || {};
+      if (errorClass && !ERROR_CLASSES.includes(errorClass)) {
+        return res.status(400).json({ success: false, error: `Invalid errorClass. Must be one of: ${ERROR_CLASSES.join(', ')}` });
+      }
+      // An empty body must not wipe the dead-letter queue
+      if (!errorClass && all !== true) {
+        return res.status(400).json({ success: false, error: 'Specify an errorClass, or all: true to purge every dead-lettered and cancelled job' });
+      }
+
+      const olderThanDays = Math.max(parseInt(req.body.olderThanDays) || MIN_PURGE_AGE_DAYS, MIN_PURGE_AGE_DAYS);
+      const jobs = await QueueService.purgeJobs({ errorClass: errorClass || null, olderThanDays });
+
+      for (const job of jobs) {
+        await auditService.record(req, {
+          chartId: job.chart_id,
+          chartNumber: job.chart_number,
+          eventType: EVENT_TYPES.JOB_PURGED,
+          details: { jobId: job.job_id, status: job.status, errorClass: job.error_class, bulk: true }
+        });
+      }
+
+      res.json({ success: true, purged: jobs.length, olderThanDays });
+
+    } catch (error) {
+      console.error('❌ Error purging dead-letter jobs:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Run a housekeeping pass now
+   * POST /api/queue/housekeeping/run
+   */
+  async runHousekeeping(req, res) {
+    try {
+      const result = await housekeepingService.runOnce();
+
+      if (!result) {
+        return res.status(409).json({ success: false, error: 'Housekeeping is already running (or failed - see server logs)' });
+      }
+
+      res.json({ success: true, ...result });
+
+    } catch (error) {
+      console.error('❌ Error running housekeeping:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Move a queued, running or retrying job up or down the queue
+   * PATCH /api/queue/jobs/:jobId/priority { priority: 'stat' }
+   */
+  async setJobPriority(req, res) {
+    try {
+      const { jobId } = req.params;
+      const priority = req.body?.priority === undefined ? null : parsePriority(req.body.priority);
+
+      if (priority === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid priority. Must be routine, urgent, stat or an integer 0-100'
+        });
+      }
+
+      const existing = await QueueService.getJob(jobId);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+
+      const job = await QueueService.setPriority(jobId, priority);
+      if (!job) {
+        return res.status(409).json({
+          success: false,
+          error: `Job is ${existing.status} - only unfinished jobs can be reprioritized`
+        });
+      }
+
+      await auditService.record(req, {
+        chartId: job.chart_id,
+        chartNumber: job.chart_number,
+        eventType: EVENT_TYPES.PRIORITY_CHANGED,
+        details: {
+          jobId,
+          previousPriority: existing.priority,
+          priority
+        }
+      });
+
+      res.json({
+        success: true,
+        job: {
+          jobId: job.job_id,
+          chartNumber: job.chart_number,
+          facility: job.facility,
+          status: job.status,
+          priority: priorityLabel(job.priority)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error setting job priority:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
+
+export const queueController = new QueueController();
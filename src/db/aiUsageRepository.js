@@ -0,0 +1,139 @@
+import { query } from './connection.js';
+
+// Breakdown dimensions -> grouping expression
+export const USAGE_DIMENSIONS = {
+  facility: `COALESCE(facility, 'Unknown')`,
+  specialty: `COALESCE(specialty, 'Unknown')`,
+  day: `TO_CHAR(created_at, 'YYYY-MM-DD')`,
+  month: `TO_CHAR(created_at, 'YYYY-MM')`,
+  model: `COALESCE(model, 'Unknown')`,
+  call_type: 'call_type',
+  chart: `COALESCE(chart_number, 'none')`
+};
+
+// What made a call: chart processing (billable) or an offline evaluation run (src/eval)
+export const USAGE_SOURCES = ['processing', 'evaluation'];
+
+const TOTALS = `
+  COUNT(*) AS calls,
+  COUNT(*) FILTER (WHERE success = false) AS failed_calls,
+  COUNT(*) FILTER (WHERE cost_usd IS NULL AND success = true) AS unpriced_calls,
+  COUNT(DISTINCT chart_id) AS charts,
+  COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+  COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+  COALESCE(SUM(total_tokens), 0) AS total_tokens,
+  COALESCE(SUM(cost_usd), 0) AS cost_usd`;
+
+/**
+ * Build the WHERE clause shared by the usage queries
+ */
+const buildFilters = (filters = {}) => {
+  const { startDate, endDate, facility, specialty, model, source, chartNumber } = filters;
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (startDate) add('created_at >= ?', startDate);
+  if (endDate) add(`created_at < (?::date + INTERVAL '1 day')`, endDate);
+  if (facility) add('facility = ?', facility);
+  if (specialty) add('specialty = ?', specialty);
+  if (model) add('model = ?', model);
+  if (source) add('source = ?', source);
+  if (chartNumber) add('chart_number = ?', chartNumber);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * Model call ledger (ai_usage) - append-only from the application's side
+ */
+export const AIUsageRepository = {
+
+  /**
+   * Append one model call
+   */
+  async record(entry) {
+    const result = await query(
+      `INSERT INTO ai_usage (
+        chart_id, chart_number, job_id, document_id, facility, specialty,
+        source, call_type, provider, model,
+        prompt_tokens, completion_tokens, total_tokens, cost_usd,
+        duration_ms, success, error
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      RETURNING id`,
+      [
+        entry.chartId || null,
+        entry.chartNumber || null,
+        entry.jobId || null,
+        entry.documentId || null,
+        entry.facility || null,
+        entry.specialty || null,
+        entry.source || 'processing',
+        entry.callType,
+        entry.provider || null,
+        entry.model || null,
+        entry.promptTokens || 0,
+        entry.completionTokens || 0,
+        entry.totalTokens || 0,
+        entry.costUsd ?? null,
+        entry.durationMs ?? null,
+        entry.success !== false,
+        entry.error || null
+      ]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Totals over the filtered ledger
+   */
+  async getSummary(filters = {}) {
+    const { where, params } = buildFilters(filters);
+    const result = await query(`SELECT ${TOTALS} FROM ai_usage ${where}`, params);
+    return result.rows[0];
+  },
+
+  /**
+   * Totals grouped by one dimension (see USAGE_DIMENSIONS), highest cost first
+   * ('day' and 'month' are ordered chronologically)
+   */
+  async getBreakdown(dimension, filters = {}, limit = 100) {
+    const expression = USAGE_DIMENSIONS[dimension];
+    if (!expression) {
+      throw new Error(`Unknown usage dimension: ${dimension}`);
+    }
+
+    const { where, params } = buildFilters(filters);
+    const chronological = dimension === 'day' || dimension === 'month';
+
+    const result = await query(
+      `SELECT ${expression} AS key, ${TOTALS}
+       FROM ai_usage ${where}
+       GROUP BY 1
+       ORDER BY ${chronological ? '1 ASC' : 'cost_usd DESC, total_tokens DESC'}
+       LIMIT $${params.length + 1}`,
+      [...params, limit]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Every call recorded for one chart (oldest first)
+   */
+  async getByChartNumber(chartNumber) {
+    const result = await query(
+      `SELECT * FROM ai_usage WHERE chart_number = $1 ORDER BY created_at ASC, id ASC`,
+      [chartNumber]
+    );
+    return result.rows;
+  }
+};
+
+export default AIUsageRepository;
@@ -0,0 +1,111 @@
+import { query } from './connection.js';
+
+/**
+ * Audit event types recorded in chart_events
+ */
+export const EVENT_TYPES = {
+  DOCUMENTS_UPLOADED: 'documents_uploaded',
+  DOCUMENTS_QUARANTINED: 'documents_quarantined',
+  AI_COMPLETED: 'ai_completed',
+  AI_FAILED: 'ai_failed',
+  PHI_VIEWED: 'phi_viewed',
+  MODIFICATIONS_SAVED: 'modifications_saved',
+  CODES_SUBMITTED: 'codes_submitted',
+  STATUS_CHANGED: 'status_changed',
+  ASSIGNMENT_CHANGED: 'assignment_changed',
+  QA_REQUESTED: 'qa_requested',
+  QA_ACCEPTED: 'qa_accepted',
+  QA_RETURNED: 'qa_returned',
+  RETRY_REQUESTED: 'retry_requested',
+  PRIORITY_CHANGED: 'priority_changed',
+  JOB_CANCELLED: 'job_cancelled',
+  JOB_PURGED: 'job_purged',
+  CHART_DELETED: 'chart_deleted'
+};
+
+/**
+ * Append-only audit trail - there are deliberately no update or delete methods
+ * (the table itself rejects UPDATE/DELETE/TRUNCATE via trigger)
+ */
+export const ChartEventRepository = {
+
+  /**
+   * Append an event
+   */
+  async record(event) {
+    const {
+      chartId = null,
+      chartNumber = null,
+      eventType,
+      userId = null,
+      userRole = null,
+      details = {},
+      requestMeta = null
+    } = event;
+
+    const result = await query(
+      `INSERT INTO chart_events (
+        chart_id, chart_number, event_type, user_id, user_role, details, request_meta
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        chartId,
+        chartNumber,
+        eventType,
+        userId,
+        userRole,
+        JSON.stringify(details || {}),
+        requestMeta ? JSON.stringify(requestMeta) : null
+      ]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get the event timeline for a chart (oldest first)
+   * Works for deleted charts too, since events are keyed by chart_number
+   */
+  async getByChartNumber(chartNumber, filters = {}) {
+    const { eventType, page = 1, limit = 100 } = filters;
+
+    let whereConditions = [`chart_number = $1`];
+    let params = [chartNumber];
+    let paramIndex = 2;
+
+    if (eventType) {
+      whereConditions.push(`event_type = $${paramIndex}`);
+      params.push(eventType);
+      paramIndex++;
+    }
+
+    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM chart_events ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const offset = (page - 1) * limit;
+
+    const dataResult = await query(
+      `SELECT * FROM chart_events ${whereClause}
+       ORDER BY created_at ASC, id ASC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      events: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+};
+
+export default ChartEventRepository;
@@ -85,6 +85,7 @@ export const ChartRepository = {
 
   /**
    * Update chart with AI results - also saves original_ai_codes for comparison
+   * and the prompt profile version that produced them (NULL = built-in prompt)
    * Clears any previous error state
    */
   async updateWithAIResults(chartNumber, aiResults, slaData) {
@@ -110,6 +111,8 @@ export const ChartRepository = {
         coding_notes = $8,
         sla_data = $9,
         original_ai_codes = $10,
+        prompt_profile_id = $11,
+        prompt_profile_version = $12,
         processing_completed_at = CURRENT_TIMESTAMP,
         last_error = NULL,
         last_error_at = NULL,
@@ -127,7 +130,9 @@ export const ChartRepository = {
         JSON.stringify(aiResults.lab_results_summary || []),
         JSON.stringify(aiResults.coding_notes || {}),
         JSON.stringify(slaData || {}),
-        JSON.stringify(originalAICodes)
+        JSON.stringify(originalAICodes),
+        aiResults.ai_metadata?.prompt_profile?.id ?? null,
+        aiResults.ai_metadata?.prompt_profile?.version ?? null
       ]
     );
 
@@ -176,12 +181,13 @@ export const ChartRepository = {
 
   /**
    * Save user modifications to codes
+   * A chart returned by QA keeps 'qa_returned' so its resubmission goes back to QA
    */
   async saveUserModifications(chartNumber, modifications) {
     const result = await query(
       `UPDATE charts SET
         user_modifications = $2,
-        review_status = 'in_review',
+        review_status = CASE WHEN review_status = 'qa_returned' THEN review_status ELSE 'in_review' END,
         updated_at = CURRENT_TIMESTAMP
       WHERE chart_number = $1
       RETURNING *`,
@@ -193,23 +199,77 @@ export const ChartRepository = {
 
   /**
    * Submit final codes to NextCode
+   * reviewStatus is 'qa_review' when the submission is routed to QA first
    */
-  async submitFinalCodes(chartNumber, finalCodes, submittedBy = null) {
+  async submitFinalCodes(chartNumber, finalCodes, submittedBy = null, reviewStatus = 'submitted') {
     const result = await query(
       `UPDATE charts SET
         final_codes = $2,
-        review_status = 'submitted',
+        review_status = $4,
         submitted_at = CURRENT_TIMESTAMP,
         submitted_by = $3,
         updated_at = CURRENT_TIMESTAMP
       WHERE chart_number = $1
       RETURNING *`,
-      [chartNumber, JSON.stringify(finalCodes), submittedBy]
+      [chartNumber, JSON.stringify(finalCodes), submittedBy, reviewStatus]
     );
 
     return result.rows[0];
   },
 
+  /**
+   * Finalize a chart after QA acceptance
+   * correctedCodes (optional) replaces the coder's final codes
+   */
+  async finalizeAfterQA(chartNumber, correctedCodes = null) {
+    const result = await query(
+      `UPDATE charts SET
+        final_codes = COALESCE($2, final_codes),
+        review_status = 'submitted',
+        qa_required = FALSE,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE chart_number = $1
+      RETURNING *`,
+      [chartNumber, correctedCodes ? JSON.stringify(correctedCodes) : null]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Flag a chart so its next submission goes to QA
+   */
+  async setQARequired(chartNumber, required = true) {
+    const result = await query(
+      `UPDATE charts SET qa_required = $2, updated_at = CURRENT_TIMESTAMP WHERE chart_number = $1 RETURNING *`,
+      [chartNumber, required]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Count charts a coder has submitted (including those in QA)
+   */
+  async countSubmittedBy(userId) {
+    const result = await query(
+      `SELECT COUNT(*) FROM charts
+       WHERE submitted_by = $1
+       AND review_status IN ('submitted', 'qa_review', 'qa_returned')`,
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  },
+
+  /**
+   * Correct document_count after createQueued (e.g. duplicate uploads that were skipped)
+   */
+  async adjustDocumentCount(chartId, delta) {
+    await query(
+      `UPDATE charts SET document_count = GREATEST(document_count + $2, 0), updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [chartId, delta]
+    );
+  },
+
   /**
    * Update chart status
    */
@@ -319,6 +379,8 @@ export const ChartRepository = {
       specialty,
       aiStatus,
       reviewStatus,
+      assignedTo,
+      unassigned,
       search,
       page = 1,
       limit = 10,
@@ -354,6 +416,16 @@ export const ChartRepository = {
       paramIndex++;
     }
 
+    if (assignedTo) {
+      whereConditions.push(`assigned_to = $${paramIndex}`);
+      params.push(assignedTo);
+      paramIndex++;
+    }
+
+    if (unassigned) {
+      whereConditions.push(`assigned_to IS NULL`);
+    }
+
     if (search) {
       whereConditions.push(`(mrn ILIKE $${paramIndex} OR chart_number ILIKE $${paramIndex})`);
       params.push(`%${search}%`);
@@ -373,7 +445,7 @@ export const ChartRepository = {
 
     // Get paginated results (now includes error fields)
     const offset = (page - 1) * limit;
-    const validSortColumns = ['created_at', 'updated_at', 'date_of_service', 'mrn', 'chart_number'];
+    const validSortColumns = ['created_at', 'updated_at', 'date_of_service', 'mrn', 'chart_number', 'assigned_at'];
     const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
     const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
@@ -381,6 +453,7 @@ export const ChartRepository = {
       `SELECT
         id, session_id, chart_number, mrn, facility, specialty, date_of_service, provider,
         ai_status, review_status, document_count,
+        assigned_to, assigned_at,
         last_error, last_error_at, retry_count,
         processing_started_at, processing_completed_at,
         created_at, updated_at
@@ -401,6 +474,158 @@ export const ChartRepository = {
     };
   },
 
+  /**
+   * Submitted charts usable as an evaluation gold set - final codes present and
+   * at least one document with stored OCR text
+   * Most recent first, or a random sample with `random`
+   */
+  async getEvaluationSample(filters = {}) {
+    const { chartNumbers, facility, specialty, since, until, limit = 50, random = false } = filters;
+
+    const whereConditions = [
+      `c.review_status = 'submitted'`,
+      `c.final_codes IS NOT NULL`,
+      `EXISTS (SELECT 1 FROM documents d WHERE d.chart_id = c.id AND d.ocr_status = 'completed' AND d.ocr_text IS NOT NULL)`
+    ];
+    const params = [];
+
+    if (chartNumbers?.length) {
+      params.push(chartNumbers);
+      whereConditions.push(`c.chart_number = ANY($${params.length})`);
+    }
+    if (facility) {
+      params.push(facility);
+      whereConditions.push(`c.facility = $${params.length}`);
+    }
+    if (specialty) {
+      params.push(specialty);
+      whereConditions.push(`c.specialty = $${params.length}`);
+    }
+    if (since) {
+      params.push(since);
+      whereConditions.push(`c.submitted_at >= $${params.length}`);
+    }
+    if (until) {
+      params.push(until);
+      whereConditions.push(`c.submitted_at < $${params.length}`);
+    }
+
+    params.push(limit);
+
+    const result = await query(
+      `SELECT c.id, c.chart_number, c.mrn, c.facility, c.specialty, c.date_of_service, c.provider,
+              c.original_ai_codes, c.final_codes, c.prompt_profile_id, c.prompt_profile_version, c.submitted_at
+       FROM charts c
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY ${random ? 'RANDOM()' : 'c.submitted_at DESC'}
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return result.rows;
+  },
+
+  /**
+   * Assign a chart to a user
+   * With onlyIfUnassigned, returns undefined when someone already owns the chart
+   */
+  async assign(chartNumber, userId, { onlyIfUnassigned = false } = {}) {
+    const result = await query(
+      `UPDATE charts SET
+        assigned_to = $2,
+        assigned_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE chart_number = $1
+      ${onlyIfUnassigned ? 'AND assigned_to IS NULL' : ''}
+      RETURNING *`,
+      [chartNumber, userId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Return a chart to the unassigned pool
+   */
+  async unassign(chartNumber) {
+    const result = await query(
+      `UPDATE charts SET
+        assigned_to = NULL,
+        assigned_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE chart_number = $1
+      RETURNING *`,
+      [chartNumber]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Claim the oldest unassigned chart that is ready for review
+   * Uses FOR UPDATE SKIP LOCKED so two coders never claim the same chart
+   */
+  async claimNext(userId, filters = {}) {
+    const { facility, specialty } = filters;
+
+    let whereConditions = [
+      `ai_status = 'ready'`,
+      `review_status = 'pending'`,
+      `assigned_to IS NULL`
+    ];
+    let params = [userId];
+    let paramIndex = 2;
+
+    if (facility) {
+      whereConditions.push(`facility = $${paramIndex}`);
+      params.push(facility);
+      paramIndex++;
+    }
+
+    if (specialty) {
+      whereConditions.push(`specialty = $${paramIndex}`);
+      params.push(specialty);
+      paramIndex++;
+    }
+
+    const result = await query(
+      `WITH next_chart AS (
+        SELECT id FROM charts
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY processing_completed_at ASC NULLS LAST, created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      UPDATE charts c SET
+        assigned_to = $1,
+        assigned_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      FROM next_chart
+      WHERE c.id = next_chart.id
+      RETURNING c.*`,
+      params
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Get open workload per active coder
+   * open_charts = assigned charts not yet submitted
+   */
+  async getCoderWorkloads() {
+    const result = await query(`
+      SELECT
+        u.user_id,
+        u.name,
+        COUNT(c.id) FILTER (WHERE c.review_status IN ('pending', 'in_review')) as open_charts,
+        MAX(c.assigned_at) as last_assigned_at
+      FROM users u
+      LEFT JOIN charts c ON c.assigned_to = u.user_id
+      WHERE u.role = 'coder' AND u.is_active = TRUE
+      GROUP BY u.user_id, u.name
+      ORDER BY u.name
+    `);
+    return result.rows;
+  },
+
   /**
    * Get SLA statistics - includes 'queued', 'retry_pending', and 'failed' statuses
    */
@@ -414,6 +639,8 @@ export const ChartRepository = {
         COUNT(*) FILTER (WHERE ai_status = 'failed') as failed,
         COUNT(*) FILTER (WHERE review_status = 'in_review') as in_review,
         COUNT(*) FILTER (WHERE review_status = 'submitted') as submitted,
+        COUNT(*) FILTER (WHERE review_status = 'qa_review') as qa_review,
+        COUNT(*) FILTER (WHERE review_status = 'qa_returned') as qa_returned,
         COUNT(*) FILTER (
           WHERE ai_status = 'ready' 
           AND review_status = 'pending'
@@ -599,7 +826,7 @@ export const ChartRepository = {
 export const DocumentRepository = {
 
   /**
-   * Add document to chart with S3 info and transaction tracking
+   * Add document to chart with storage location and transaction tracking
    */
   async create(chartId, documentData) {
     const {
@@ -611,18 +838,36 @@ export const DocumentRepository = {
       s3Key,
       s3Url,
       s3Bucket,
+      storageDriver = 's3',
       transactionId = null,
       transactionLabel = null,
-      isGroupMember = false
+      isGroupMember = false,
+      detectedMimeType = null,
+      scanStatus = null,
+      scanner = null,
+      quarantineReason = null,
+      contentSha256 = null
     } = documentData;
 
+    // Quarantined uploads never reach OCR
     const result = await query(
       `INSERT INTO documents (
         chart_id, document_type, filename, original_name, file_size, mime_type,
-        s3_key, s3_url, s3_bucket, ocr_status, transaction_id, transaction_label, is_group_member
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', $10, $11, $12)
+        s3_key, s3_url, s3_bucket, storage_driver, ocr_status, transaction_id, transaction_label, is_group_member,
+        detected_mime_type, scan_status, scanner, quarantine_reason, quarantined_at, content_sha256
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+        CASE WHEN $15 = 'quarantined' THEN 'quarantined' ELSE 'pending' END,
+        $11, $12, $13, $14, $15, $16, $17,
+        CASE WHEN $15 = 'quarantined' THEN CURRENT_TIMESTAMP END,
+        $18
+      )
       RETURNING *`,
-      [chartId, documentType, filename, originalName, fileSize, mimeType, s3Key, s3Url, s3Bucket, transactionId, transactionLabel, isGroupMember]
+      [
+        chartId, documentType, filename, originalName, fileSize, mimeType, s3Key, s3Url, s3Bucket, storageDriver,
+        transactionId, transactionLabel, isGroupMember, detectedMimeType, scanStatus, scanner, quarantineReason,
+        contentSha256
+      ]
     );
 
     return result.rows[0];
@@ -713,6 +958,47 @@ export const DocumentRepository = {
     return result.rows[0];
   },
 
+  /**
+   * First document in a chart with this content hash (exact duplicate check)
+   */
+  async findByChartAndHash(chartId, contentSha256) {
+    const result = await query(
+      `SELECT * FROM documents
+       WHERE chart_id = $1 AND content_sha256 = $2
+       ORDER BY created_at
+       LIMIT 1`,
+      [chartId, contentSha256]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Most recent successful OCR text for identical content (any chart)
+   */
+  async findCompletedOCRByHash(contentSha256) {
+    const result = await query(
+      `SELECT id, ocr_text FROM documents
+       WHERE content_sha256 = $1 AND ocr_status = 'completed' AND ocr_text IS NOT NULL
+       ORDER BY ocr_completed_at DESC NULLS LAST
+       LIMIT 1`,
+      [contentSha256]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get document by ID with its chart number (for auditing access)
+   */
+  async getByIdWithChart(documentId) {
+    const result = await query(
+      `SELECT d.*, c.chart_number FROM documents d
+       JOIN charts c ON c.id = d.chart_id
+       WHERE d.id = $1`,
+      [documentId]
+    );
+    return result.rows[0];
+  },
+
   /**
    * Get documents by transaction ID
    */
@@ -0,0 +1,155 @@
+import { pool, query } from './connection.js';
+
+export const CODE_SYSTEMS = {
+  ICD10CM: 'ICD10CM',
+  CPT: 'CPT',
+  HCPCS: 'HCPCS'
+};
+
+const INSERT_BATCH_SIZE = 1000;
+
+export const CodeSetRepository = {
+
+  /**
+   * Load (or reload) one release of a code system
+   * Replaces any existing entries for the same code_system + version in a single transaction
+   * `entries` is an array of { code, isBillable, shortDescription, longDescription, effectiveFrom, effectiveTo }
+   */
+  async replaceVersion(release, entries) {
+    const { codeSystem, version, effectiveFrom, effectiveTo = null, sourceFile = null } = release;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const versionResult = await client.query(
+        `INSERT INTO code_set_versions (code_system, version, effective_from, effective_to, source_file)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (code_system, version) DO UPDATE SET
+           effective_from = EXCLUDED.effective_from,
+           effective_to = EXCLUDED.effective_to,
+           source_file = EXCLUDED.source_file,
+           loaded_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [codeSystem, version, effectiveFrom, effectiveTo, sourceFile]
+      );
+      const versionRow = versionResult.rows[0];
+
+      await client.query(`DELETE FROM code_set_entries WHERE version_id = $1`, [versionRow.id]);
+
+      for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+        const batch = entries.slice(i, i + INSERT_BATCH_SIZE);
+        await client.query(
+          `INSERT INTO code_set_entries (
+            version_id, code_system, code, is_billable, short_description, long_description,
+            effective_from, effective_to
+          )
+          SELECT $1::integer, $2::varchar, * FROM UNNEST(
+            $3::varchar[], $4::boolean[], $5::text[], $6::text[], $7::date[], $8::date[]
+          )
+          ON CONFLICT (version_id, code) DO NOTHING`,
+          [
+            versionRow.id,
+            codeSystem,
+            batch.map(e => e.code),
+            batch.map(e => e.isBillable !== false),
+            batch.map(e => e.shortDescription || null),
+            batch.map(e => e.longDescription || null),
+            batch.map(e => e.effectiveFrom || null),
+            batch.map(e => e.effectiveTo || null)
+          ]
+        );
+      }
+
+      const countResult = await client.query(
+        `UPDATE code_set_versions
+         SET code_count = (SELECT COUNT(*) FROM code_set_entries WHERE version_id = $1)
+         WHERE id = $1
+         RETURNING *`,
+        [versionRow.id]
+      );
+
+      await client.query('COMMIT');
+      return countResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * List loaded releases
+   */
+  async getVersions(codeSystem = null) {
+    const result = await query(
+      `SELECT * FROM code_set_versions
+       WHERE ($1::varchar IS NULL OR code_system = $1)
+       ORDER BY code_system, effective_from DESC`,
+      [codeSystem]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Get the release in effect on a date, or the most recent release when no date is given
+   */
+  async getVersionForDate(codeSystem, dateOfService = null) {
+    const result = await query(
+      `SELECT * FROM code_set_versions
+       WHERE code_system = $1
+         AND ($2::date IS NULL OR (effective_from <= $2::date AND (effective_to IS NULL OR effective_to >= $2::date)))
+       ORDER BY effective_from DESC
+       LIMIT 1`,
+      [codeSystem, dateOfService]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Look up normalized codes in one release
+   */
+  async findCodes(versionId, codes) {
+    if (codes.length === 0) return [];
+
+    const result = await query(
+      `SELECT * FROM code_set_entries WHERE version_id = $1 AND code = ANY($2::varchar[])`,
+      [versionId, codes]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Find the releases that contain a code (newest first)
+   * Used to tell "never existed" apart from "not valid on this date"
+   */
+  async findCodeReleases(codeSystem, code) {
+    const result = await query(
+      `SELECT v.version, v.effective_from, v.effective_to
+       FROM code_set_entries e
+       JOIN code_set_versions v ON v.id = e.version_id
+       WHERE e.code_system = $1 AND e.code = $2
+       ORDER BY v.effective_from DESC`,
+      [codeSystem, code]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Billable codes in a release starting with a prefix, shortest first
+   */
+  async findBillableByPrefix(versionId, prefix, limit = 5) {
+    const result = await query(
+      `SELECT code, short_description, long_description
+       FROM code_set_entries
+       WHERE version_id = $1 AND code LIKE $2 AND is_billable = TRUE
+       ORDER BY LENGTH(code), code
+       LIMIT $3`,
+      [versionId, `${prefix}%`, limit]
+    );
+    return result.rows;
+  }
+};
+
+export default CodeSetRepository;
@@ -0,0 +1,114 @@
+import { pool } from './connection.js';
+import { CodeSetRepository, CODE_SYSTEMS } from './codeSetRepository.js';
+import { NcciRepository, NCCI_EDIT_TYPES } from './ncciRepository.js';
+import { codeSetService } from '../services/codeSetService.js';
+import { ncciService } from '../services/ncciService.js';
+import { parseFileDate, toDateString } from '../utils/codeSetParsers.js';
+
+/**
+ * Load CMS / AMA code set and NCCI edit files from local disk
+ *
+ *   node src/db/loadCodeSets.js load <ICD10CM|CPT|HCPCS> <file> --version 2025 [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *   node src/db/loadCodeSets.js load <PTP|MUE> <file> [file...] --version 2025Q1 [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *   node src/db/loadCodeSets.js list
+ *
+ * Relative file paths resolve against CODE_SET_DIR. Year versions get default
+ * dates (ICD-10-CM fiscal year, CPT/HCPCS calendar year), NCCI quarter versions
+ * (2025Q1) get the quarter; other versions need --from
+ */
+
+const parseOptions = (args) => {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { options, positional };
+};
+
+async function load(args) {
+  const { options, positional } = parseOptions(args);
+  const [system, ...filePaths] = positional;
+
+  if (!system || filePaths.length === 0) {
+    throw new Error('Usage: load <ICD10CM|CPT|HCPCS|PTP|MUE> <file> [file...] --version <version> [--from YYYY-MM-DD] [--to YYYY-MM-DD]');
+  }
+
+  for (const key of ['from', 'to']) {
+    if (options[key] && !parseFileDate(options[key])) {
+      throw new Error(`Invalid --${key} date "${options[key]}"`);
+    }
+  }
+
+  const type = system.toUpperCase();
+  const dates = {
+    version: options.version,
+    effectiveFrom: parseFileDate(options.from),
+    effectiveTo: parseFileDate(options.to)
+  };
+
+  console.log(`📚 Loading ${type} ${options.version} from ${filePaths.join(', ')}...`);
+
+  if (Object.values(NCCI_EDIT_TYPES).includes(type)) {
+    const release = await ncciService.loadFiles({ editType: type, filePaths, ...dates });
+    console.log(`✅ Loaded ${release.row_count} rows into NCCI ${release.edit_type} ${release.version}`);
+    return;
+  }
+
+  if (filePaths.length > 1) {
+    throw new Error(`${type} releases are loaded from a single file`);
+  }
+
+  const release = await codeSetService.loadFile({ codeSystem: type, filePath: filePaths[0], ...dates });
+  console.log(`✅ Loaded ${release.code_count} codes into ${release.code_system} ${release.version}`);
+}
+
+async function list() {
+  const versions = await CodeSetRepository.getVersions();
+  const releases = await NcciRepository.getReleases();
+
+  if (versions.length === 0 && releases.length === 0) {
+    console.log(`Nothing loaded. Supported: ${[...Object.values(CODE_SYSTEMS), ...Object.values(NCCI_EDIT_TYPES)].join(', ')}`);
+    return;
+  }
+
+  const range = (row) => {
+    return `${toDateString(row.effective_from)} → ${toDateString(row.effective_to) || 'open'}`;
+  };
+
+  console.log('\n📚 Loaded code sets:');
+  for (const v of versions) {
+    console.log(`   ${v.code_system.padEnd(8)} ${v.version.padEnd(12)} ${range(v)}  ${v.code_count} codes`);
+  }
+  for (const r of releases) {
+    console.log(`   ${r.edit_type.padEnd(8)} ${r.version.padEnd(12)} ${range(r)}  ${r.row_count} rows`);
+  }
+  console.log('');
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+const run = async () => {
+  if (command === 'load') {
+    await load(args);
+  } else if (command === 'list') {
+    await list();
+  } else {
+    throw new Error(`Unknown command "${command || ''}" - use "load" or "list"`);
+  }
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Code set error:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
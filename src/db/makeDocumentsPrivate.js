@@ -0,0 +1,50 @@
+import { pool, query } from './connection.js';
+import { s3Service } from '../services/s3Service.js';
+
+/**
+ * One-off remediation for documents uploaded while objects were public-read:
+ * re-encrypts each object, resets its ACL to private and drops the stored public URL
+ *
+ *   node src/db/makeDocumentsPrivate.js [--dry-run]
+ *
+ * Safe to re-run - only documents that still have an s3_url are touched
+ */
+
+async function run(args) {
+  const dryRun = args.includes('--dry-run');
+
+  const result = await query(
+    `SELECT id, s3_key, s3_bucket FROM documents
+     WHERE storage_driver = 's3' AND s3_url IS NOT NULL AND s3_key IS NOT NULL
+     ORDER BY id`
+  );
+
+  console.log(`🔐 ${result.rows.length} document(s) still have a public URL${dryRun ? ' (dry run)' : ''}`);
+  if (dryRun) return;
+
+  let done = 0;
+  let failed = 0;
+
+  for (const doc of result.rows) {
+    const outcome = await s3Service.makePrivate(doc.s3_key, doc.s3_bucket || s3Service.bucket);
+
+    if (outcome.success) {
+      await query(`UPDATE documents SET s3_url = NULL WHERE id = $1`, [doc.id]);
+      done++;
+    } else {
+      console.error(`   ❌ Document ${doc.id} (${doc.s3_key}): ${outcome.error}`);
+      failed++;
+    }
+  }
+
+  console.log(`✅ Made ${done} object(s) private, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+run(process.argv.slice(2))
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Remediation error:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { pool } from './connection.js';
+
+/**
+ * Forward-only schema migrations
+ *
+ * Each file in ./migrations is named NNN_description.js and exports
+ * `description` and `async up(client)`. Applied versions are recorded in
+ * schema_migrations; every migration runs in its own transaction and a
+ * Postgres advisory lock serializes concurrent runners (server + worker startup).
+ */
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary constant shared by every process that runs migrations
+const ADVISORY_LOCK_ID = 727115;
+
+/**
+ * List migration files on disk, ordered by version
+ */
+async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = [];
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const filePath = path.join(MIGRATIONS_DIR, file);
+    const source = await fs.readFile(filePath);
+
+    migrations.push({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      file,
+      filePath,
+      checksum: crypto.createHash('sha256').update(source).digest('hex')
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Apply every pending migration
+ * Idempotent - safe to call on every server/worker start
+ * Returns the list of versions applied by this call
+ */
+export async function runMigrations({ log = console.log } = {}) {
+  const migrations = await loadMigrations();
+  const client = await pool.connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_ID]);
+
+    try {
+      await ensureMigrationsTable(client);
+      const done = await getAppliedMigrations(client);
+
+      for (const migration of migrations) {
+        const existing = done.get(migration.version);
+        if (existing) {
+          if (existing.checksum !== migration.checksum) {
+            log(`⚠️ Migration ${migration.file} changed after it was applied - write a new migration instead`);
+          }
+          continue;
+        }
+
+        const module = await import(pathToFileURL(migration.filePath).href);
+        if (typeof module.up !== 'function') {
+          throw new Error(`Migration ${migration.file} does not export up()`);
+        }
+
+        log(`🔧 Applying migration ${migration.file}${module.description ? ` - ${module.description}` : ''}`);
+
+        try {
+          await client.query('BEGIN');
+          await module.up(client);
+          await client.query(
+            `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+            [migration.version, migration.name, migration.checksum]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+        }
+
+        applied.push(migration.version);
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+
+  if (applied.length > 0) {
+    log(`✅ Applied ${applied.length} migration(s)`);
+  } else {
+    log('✅ Database schema is up to date');
+  }
+
+  return applied;
+}
+
+/**
+ * Report applied/pending state of every known migration
+ */
+export async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    await ensureMigrationsTable(client);
+    const done = await getAppliedMigrations(client);
+
+    const status = migrations.map(migration => {
+      const existing = done.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        file: migration.file,
+        status: existing ? 'applied' : 'pending',
+        appliedAt: existing?.applied_at || null,
+        checksumMismatch: existing ? existing.checksum !== migration.checksum : false
+      };
+    });
+
+    // Versions recorded in the database with no file on disk
+    for (const [version, row] of done) {
+      if (!migrations.some(m => m.version === version)) {
+        status.push({
+          version,
+          name: row.name,
+          file: null,
+          status: 'missing',
+          appliedAt: row.applied_at,
+          checksumMismatch: false
+        });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CLI: node src/db/migrate.js [up|status]
+// ═══════════════════════════════════════════════════════════════
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  const command = process.argv[2] || 'up';
+
+  const run = async () => {
+    if (command === 'up') {
+      await runMigrations();
+    } else if (command === 'status') {
+      const status = await getMigrationStatus();
+      console.log('\n📋 Migration status:');
+      for (const m of status) {
+        const icon = m.status === 'applied' ? '✅' : m.status === 'pending' ? '⏳' : '❓';
+        const when = m.appliedAt ? ` (${new Date(m.appliedAt).toISOString()})` : '';
+        const drift = m.checksumMismatch ? ' ⚠️ modified since applied' : '';
+        console.log(`   ${icon} ${String(m.version).padStart(3, '0')} ${m.name} - ${m.status}${when}${drift}`);
+      }
+      const pending = status.filter(m => m.status === 'pending').length;
+      console.log(`\n   ${pending} pending\n`);
+    } else {
+      throw new Error(`Unknown command "${command}" - use "up" or "status"`);
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error('❌ Migration error:', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
@@ -0,0 +1,174 @@
+/**
+ * Baseline schema - the tables the old db:init script created
+ * Uses IF NOT EXISTS throughout so databases created by db:init adopt it without data loss
+ */
+export const description = 'Baseline schema: charts, documents, processing_queue, users';
+
+export async function up(client) {
+  // ═══════════════════════════════════════════════════════════════
+  // CHARTS TABLE
+  // ═══════════════════════════════════════════════════════════════
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS charts (
+      id SERIAL PRIMARY KEY,
+      session_id VARCHAR(255) UNIQUE NOT NULL,
+      chart_number VARCHAR(100) NOT NULL,
+      mrn VARCHAR(100),
+      facility VARCHAR(255),
+      specialty VARCHAR(255),
+      date_of_service DATE,
+      provider VARCHAR(255),
+      document_count INTEGER DEFAULT 0,
+      
+      -- AI Processing Status
+      ai_status VARCHAR(50) DEFAULT 'queued',
+      review_status VARCHAR(50) DEFAULT 'pending',
+      
+      -- AI Results (JSON fields)
+      ai_summary JSONB,
+      diagnosis_codes JSONB,
+      procedures JSONB,
+      medications JSONB,
+      vitals_summary JSONB,
+      lab_results_summary JSONB,
+      coding_notes JSONB,
+      sla_data JSONB,
+      
+      -- Original AI codes for comparison
+      original_ai_codes JSONB,
+      
+      -- User modifications
+      user_modifications JSONB,
+      
+      -- Final submitted codes
+      final_codes JSONB,
+      submitted_at TIMESTAMP,
+      submitted_by VARCHAR(100),
+      
+      -- Error tracking
+      last_error TEXT,
+      last_error_at TIMESTAMP,
+      retry_count INTEGER DEFAULT 0,
+      
+      -- Processing timestamps
+      processing_started_at TIMESTAMP,
+      processing_completed_at TIMESTAMP,
+      
+      -- Record timestamps
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // ═══════════════════════════════════════════════════════════════
+  // DOCUMENTS TABLE
+  // ═══════════════════════════════════════════════════════════════
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id SERIAL PRIMARY KEY,
+      chart_id INTEGER REFERENCES charts(id) ON DELETE CASCADE,
+      document_type VARCHAR(100),
+      filename VARCHAR(255),
+      original_name VARCHAR(255),
+      file_size INTEGER,
+      mime_type VARCHAR(100),
+      
+      -- S3 Storage
+      s3_key VARCHAR(500),
+      s3_url TEXT,
+      s3_bucket VARCHAR(255),
+      
+      -- OCR Processing
+      ocr_status VARCHAR(50) DEFAULT 'pending',
+      ocr_text TEXT,
+      ocr_processing_time INTEGER,
+      ocr_completed_at TIMESTAMP,
+      
+      -- AI Document Summary
+      ai_document_summary JSONB,
+      
+      -- Transaction tracking
+      transaction_id VARCHAR(100),
+      transaction_label VARCHAR(255),
+      is_group_member BOOLEAN DEFAULT FALSE,
+      
+      -- Timestamps
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // ═══════════════════════════════════════════════════════════════
+  // PROCESSING QUEUE TABLE (current_phase is added by 002)
+  // ═══════════════════════════════════════════════════════════════
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS processing_queue (
+      id SERIAL PRIMARY KEY,
+      job_id VARCHAR(100) UNIQUE NOT NULL,
+      chart_id INTEGER REFERENCES charts(id) ON DELETE CASCADE,
+      chart_number VARCHAR(100),
+      
+      -- Job status
+      status VARCHAR(50) DEFAULT 'pending',
+      job_data JSONB,
+      
+      -- Worker tracking
+      worker_id VARCHAR(100),
+      locked_at TIMESTAMP,
+      
+      -- Timing
+      started_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      
+      -- Retry logic
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 3,
+      error_message TEXT,
+      retry_after TIMESTAMP,
+      
+      -- Timestamps
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // ═══════════════════════════════════════════════════════════════
+  // USERS TABLE
+  // ═══════════════════════════════════════════════════════════════
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      user_id VARCHAR(100) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      role VARCHAR(50) DEFAULT 'coder',
+      email VARCHAR(255),
+      is_active BOOLEAN DEFAULT TRUE,
+      last_login TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // ═══════════════════════════════════════════════════════════════
+  // INDEXES
+  // ═══════════════════════════════════════════════════════════════
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_charts_session_id ON charts(session_id)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_charts_ai_status ON charts(ai_status)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_charts_review_status ON charts(review_status)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_charts_facility ON charts(facility)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_charts_specialty ON charts(specialty)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_charts_mrn ON charts(mrn)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_charts_created_at ON charts(created_at DESC)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_charts_date_of_service ON charts(date_of_service)`);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_documents_chart_id ON documents(chart_id)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_documents_transaction_id ON documents(transaction_id)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_documents_ocr_status ON documents(ocr_status)`);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_queue_status ON processing_queue(status)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_queue_chart_number ON processing_queue(chart_number)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_queue_created_at ON processing_queue(created_at)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_queue_retry_after ON processing_queue(retry_after)`);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_users_is_active ON users(is_active)`);
+}
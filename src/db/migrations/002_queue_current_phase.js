@@ -0,0 +1,11 @@
+/**
+ * Persist the worker's current phase so WebSocket clients get it on (re)subscribe
+ */
+export const description = 'Add processing_queue.current_phase';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE processing_queue
+    ADD COLUMN IF NOT EXISTS current_phase VARCHAR(50) DEFAULT 'pending'
+  `);
+}
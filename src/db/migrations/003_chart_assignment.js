@@ -0,0 +1,10 @@
+/**
+ * Work queue ownership - assigned_to holds users.user_id
+ */
+export const description = 'Add chart assignment columns';
+
+export async function up(client) {
+  await client.query(`ALTER TABLE charts ADD COLUMN IF NOT EXISTS assigned_to VARCHAR(100)`);
+  await client.query(`ALTER TABLE charts ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_charts_assigned_to ON charts(assigned_to)`);
+}
@@ -0,0 +1,42 @@
+/**
+ * QA second-level review - one row per QA round, kept apart from user_modifications
+ */
+export const description = 'Add qa_reviews table and charts.qa_required';
+
+export async function up(client) {
+  await client.query(`ALTER TABLE charts ADD COLUMN IF NOT EXISTS qa_required BOOLEAN DEFAULT FALSE`);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS qa_reviews (
+      id SERIAL PRIMARY KEY,
+      chart_id INTEGER REFERENCES charts(id) ON DELETE CASCADE,
+      chart_number VARCHAR(100),
+      round INTEGER DEFAULT 1,
+      
+      -- Routing
+      routing_reason VARCHAR(50),
+      coder_user_id VARCHAR(100),
+      qa_user_id VARCHAR(100),
+      
+      -- Verdict: pending | accepted | returned
+      status VARCHAR(50) DEFAULT 'pending',
+      coder_codes JSONB,
+      corrected_codes JSONB,
+      code_feedback JSONB,
+      code_diff JSONB,
+      comments TEXT,
+      
+      -- Accuracy (per round)
+      coder_code_count INTEGER,
+      error_count INTEGER,
+      
+      -- Timestamps
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      reviewed_at TIMESTAMP
+    )
+  `);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_qa_reviews_chart_id ON qa_reviews(chart_id)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_qa_reviews_status ON qa_reviews(status)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_qa_reviews_coder ON qa_reviews(coder_user_id)`);
+}
@@ -0,0 +1,54 @@
+/**
+ * Append-only audit trail
+ * No FK to charts - events must outlive a deleted chart
+ */
+export const description = 'Add append-only chart_events audit table';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS chart_events (
+      id BIGSERIAL PRIMARY KEY,
+      chart_id INTEGER,
+      chart_number VARCHAR(100),
+      event_type VARCHAR(50) NOT NULL,
+      
+      -- Actor ('system' for worker events)
+      user_id VARCHAR(100),
+      user_role VARCHAR(50),
+      
+      -- Event payload (diffs, status transitions, document ids...)
+      details JSONB,
+      
+      -- Request metadata: requestId, ip, userAgent, method, path
+      request_meta JSONB,
+      
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE OR REPLACE FUNCTION chart_events_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'chart_events is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await client.query(`DROP TRIGGER IF EXISTS chart_events_no_update_delete ON chart_events`);
+  await client.query(`
+    CREATE TRIGGER chart_events_no_update_delete
+    BEFORE UPDATE OR DELETE ON chart_events
+    FOR EACH ROW EXECUTE FUNCTION chart_events_append_only()
+  `);
+
+  await client.query(`DROP TRIGGER IF EXISTS chart_events_no_truncate ON chart_events`);
+  await client.query(`
+    CREATE TRIGGER chart_events_no_truncate
+    BEFORE TRUNCATE ON chart_events
+    FOR EACH STATEMENT EXECUTE FUNCTION chart_events_append_only()
+  `);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_chart_events_chart_number ON chart_events(chart_number, created_at)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_chart_events_user_id ON chart_events(user_id)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_chart_events_event_type ON chart_events(event_type)`);
+}
@@ -0,0 +1,34 @@
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+
+/**
+ * Create the first admin account when none exists
+ * Password comes from ADMIN_INITIAL_PASSWORD; otherwise a random one is generated and printed once
+ */
+export const description = 'Bootstrap the initial admin user';
+
+export async function up(client) {
+  const existing = await client.query(`SELECT 1 FROM users WHERE role = 'admin' LIMIT 1`);
+  if (existing.rows.length > 0) {
+    console.log('   ℹ️  Admin user already exists - skipping bootstrap');
+    return;
+  }
+
+  const userId = process.env.ADMIN_INITIAL_USER_ID || 'admin';
+  const fromEnv = Boolean(process.env.ADMIN_INITIAL_PASSWORD);
+  const password = process.env.ADMIN_INITIAL_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  await client.query(
+    `INSERT INTO users (user_id, password_hash, name, role, email)
+     VALUES ($1, $2, 'System Administrator', 'admin', $3)
+     ON CONFLICT (user_id) DO NOTHING`,
+    [userId, passwordHash, process.env.ADMIN_INITIAL_EMAIL || null]
+  );
+
+  console.log(`   👤 Admin user created: ${userId}`);
+  if (!fromEnv) {
+    console.log(`   🔑 Generated password (shown once): ${password}`);
+  }
+  console.log('   ⚠️  Please change the password after first login!');
+}
@@ -0,0 +1,51 @@
+/**
+ * Reference code sets (ICD-10-CM, CPT, HCPCS) loaded from local CMS/AMA files
+ * One code_set_versions row per loaded release; entries are keyed by release
+ * so a chart is validated against the release in effect on its date of service
+ */
+export const description = 'Add code_set_versions and code_set_entries';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS code_set_versions (
+      id SERIAL PRIMARY KEY,
+      code_system VARCHAR(20) NOT NULL,
+      version VARCHAR(50) NOT NULL,
+      
+      -- Date range the release applies to (effective_to NULL = open-ended)
+      effective_from DATE NOT NULL,
+      effective_to DATE,
+      
+      source_file TEXT,
+      code_count INTEGER DEFAULT 0,
+      loaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      
+      UNIQUE (code_system, version)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS code_set_entries (
+      version_id INTEGER REFERENCES code_set_versions(id) ON DELETE CASCADE,
+      code_system VARCHAR(20) NOT NULL,
+      
+      -- Normalized: uppercase, no dot (E1165)
+      code VARCHAR(10) NOT NULL,
+      
+      -- FALSE for ICD-10-CM category headers
+      is_billable BOOLEAN DEFAULT TRUE,
+      short_description TEXT,
+      long_description TEXT,
+      
+      -- Per-code dates from the source file, when it has them (HCPCS)
+      effective_from DATE,
+      effective_to DATE,
+      
+      PRIMARY KEY (version_id, code)
+    )
+  `);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_code_set_versions_system ON code_set_versions(code_system, effective_from)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_code_set_entries_lookup ON code_set_entries(code_system, code)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_code_set_entries_prefix ON code_set_entries(version_id, code varchar_pattern_ops)`);
+}
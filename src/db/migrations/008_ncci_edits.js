@@ -0,0 +1,56 @@
+/**
+ * CMS NCCI procedure-to-procedure (PTP) edit pairs and Medically Unlikely Edits (MUE)
+ * loaded from the quarterly practitioner files; one ncci_releases row per loaded quarter
+ */
+export const description = 'Add NCCI PTP edit and MUE tables';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ncci_releases (
+      id SERIAL PRIMARY KEY,
+      edit_type VARCHAR(10) NOT NULL,
+      version VARCHAR(50) NOT NULL,
+      
+      -- Quarter the release applies to (effective_to NULL = open-ended)
+      effective_from DATE NOT NULL,
+      effective_to DATE,
+      
+      source_file TEXT,
+      row_count INTEGER DEFAULT 0,
+      loaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      
+      UNIQUE (edit_type, version)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ncci_ptp_edits (
+      release_id INTEGER REFERENCES ncci_releases(id) ON DELETE CASCADE,
+      column1_code VARCHAR(10) NOT NULL,
+      column2_code VARCHAR(10) NOT NULL,
+      effective_date DATE,
+      deletion_date DATE,
+      
+      -- 0 = no modifier allowed, 1 = NCCI-associated modifier bypasses, 9 = not applicable
+      modifier_indicator CHAR(1),
+      rationale TEXT,
+      
+      PRIMARY KEY (release_id, column1_code, column2_code)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ncci_mue_limits (
+      release_id INTEGER REFERENCES ncci_releases(id) ON DELETE CASCADE,
+      code VARCHAR(10) NOT NULL,
+      mue_value INTEGER NOT NULL,
+      adjudication_indicator TEXT,
+      rationale TEXT,
+      
+      PRIMARY KEY (release_id, code)
+    )
+  `);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_ncci_releases_type ON ncci_releases(edit_type, effective_from)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_ncci_ptp_column2 ON ncci_ptp_edits(release_id, column2_code)`);
+}
@@ -0,0 +1,59 @@
+/**
+ * AI coding prompt profiles - per specialty / facility / document type prompts
+ * Profile content is versioned: every edit writes a new immutable version row,
+ * and each chart records the version that coded it
+ */
+export const description = 'Add prompt profiles and record the profile version on charts';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS prompt_profiles (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      description TEXT,
+
+      -- Selection criteria (NULL = any); the most specific active match wins
+      specialty VARCHAR(100),
+      facility VARCHAR(100),
+      document_type VARCHAR(100),
+
+      -- Breaks ties between equally specific profiles (higher wins)
+      priority INTEGER DEFAULT 0,
+      is_active BOOLEAN DEFAULT true,
+      current_version INTEGER NOT NULL DEFAULT 1,
+
+      created_by VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS prompt_profile_versions (
+      profile_id INTEGER REFERENCES prompt_profiles(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+
+      system_prompt TEXT NOT NULL,
+      guidelines TEXT,
+
+      -- E/M code ranges the profile may report, e.g. ["99281-99285"]; [] = no E/M level
+      em_code_families JSONB DEFAULT '[]',
+      -- Coding categories the profile requests, e.g. ["primary_diagnosis", "procedures"]
+      output_categories JSONB DEFAULT '[]',
+
+      created_by VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (profile_id, version)
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE charts
+      ADD COLUMN IF NOT EXISTS prompt_profile_id INTEGER,
+      ADD COLUMN IF NOT EXISTS prompt_profile_version INTEGER
+  `);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_prompt_profiles_active ON prompt_profiles(is_active)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_charts_prompt_profile ON charts(prompt_profile_id, prompt_profile_version)`);
+}
@@ -0,0 +1,42 @@
+/**
+ * AI usage ledger - one row per model call, priced when written so later
+ * price-table changes do not rewrite history
+ * Facility and specialty are copied from the chart so billing survives chart deletion
+ */
+export const description = 'Add AI usage ledger';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ai_usage (
+      id BIGSERIAL PRIMARY KEY,
+      chart_id INTEGER,
+      chart_number VARCHAR(100),
+      job_id VARCHAR(100),
+      document_id INTEGER,
+      facility VARCHAR(100),
+      specialty VARCHAR(100),
+
+      -- 'processing' (worker) or 'evaluation' (offline harness)
+      source VARCHAR(20) DEFAULT 'processing',
+      -- Provider purpose: coding, coding_repair, document_summary
+      call_type VARCHAR(50) NOT NULL,
+      provider VARCHAR(50),
+      model VARCHAR(100),
+
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      total_tokens INTEGER DEFAULT 0,
+      -- NULL when the model is missing from the price table
+      cost_usd NUMERIC(12, 6),
+
+      duration_ms INTEGER,
+      success BOOLEAN DEFAULT true,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_chart ON ai_usage(chart_id)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_facility ON ai_usage(facility, created_at)`);
+}
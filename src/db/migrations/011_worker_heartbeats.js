@@ -0,0 +1,28 @@
+/**
+ * One row per worker process, refreshed on every heartbeat
+ * Lets the API show which workers are alive, how busy they are and what they hold
+ */
+export const description = 'Add worker heartbeats';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS worker_heartbeats (
+      worker_id VARCHAR(150) PRIMARY KEY,
+      hostname VARCHAR(255),
+      pid INTEGER,
+      slots INTEGER NOT NULL,
+
+      -- running | draining | stopped
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      -- Job IDs in flight at the last heartbeat
+      active_jobs JSONB DEFAULT '[]',
+      jobs_completed INTEGER DEFAULT 0,
+      jobs_failed INTEGER DEFAULT 0,
+
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_heartbeat_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_worker_heartbeats_last ON worker_heartbeats(last_heartbeat_at)`);
+}
@@ -0,0 +1,26 @@
+/**
+ * Job priority and the facility each job belongs to, so claiming can put STAT
+ * charts first and share workers fairly across facilities
+ */
+export const description = 'Add processing_queue priority, facility and claimed_at';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE processing_queue
+    ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0,
+    -- Copied from the chart at enqueue time (claiming must not join charts)
+    ADD COLUMN IF NOT EXISTS facility VARCHAR(255),
+    -- Last time any worker claimed the job - feeds the per-facility fairness window
+    ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP
+  `);
+
+  await client.query(`
+    UPDATE processing_queue q SET facility = c.facility
+    FROM charts c
+    WHERE q.chart_id = c.id AND q.facility IS NULL
+  `);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_queue_priority ON processing_queue(status, priority DESC, created_at)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_queue_facility ON processing_queue(facility)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_queue_claimed_at ON processing_queue(claimed_at)`);
+}
@@ -0,0 +1,54 @@
+/**
+ * Error class on failed jobs (for the dead-letter view) and admin cancellation
+ */
+export const description = 'Add processing_queue error_class and cancelled_at';
+
+// Frozen copy of utils/jobErrors.js as of this migration - the backfill must not
+// change when the application's classifier does
+const BACKFILL_PATTERNS = [
+  ['worker', /^Released:|worker timeout|drain deadline|stopped by SIG/i],
+  ['db', /relation .* does not exist|duplicate key|deadlock detected|violates .* constraint|Connection terminated|timeout exceeded when trying to connect|ECONNREFUSED .*:5432/i],
+  ['s3', /S3 download failed|NoSuchKey|NoSuchBucket|AccessDenied|SignatureDoesNotMatch/i],
+  ['ai', /AI processing failed|No response from AI|coding response|rate limit|OpenAI|Azure/i],
+  ['ocr', /OCR|text extraction/i]
+];
+
+const BACKFILL_PHASES = {
+  ocr_started: 'ocr',
+  ocr_progress: 'ocr',
+  ocr_completed: 'ocr',
+  ai_started: 'ai',
+  ai_completed: 'ai',
+  summary_progress: 'ai',
+  saving_results: 'db'
+};
+
+const classifyRecordedFailure = (message, phase) => {
+  const match = BACKFILL_PATTERNS.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : (BACKFILL_PHASES[phase] || 'unknown');
+};
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE processing_queue
+    -- ocr | ai | s3 | db | worker | unknown (see utils/jobErrors.js)
+    ADD COLUMN IF NOT EXISTS error_class VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(100)
+  `);
+
+  // Classify failures recorded before the column existed (message and phase only)
+  const failed = await client.query(`
+    SELECT id, error_message, current_phase FROM processing_queue
+    WHERE status = 'failed' AND error_class IS NULL
+  `);
+
+  for (const row of failed.rows) {
+    await client.query(
+      `UPDATE processing_queue SET error_class = $2 WHERE id = $1`,
+      [row.id, classifyRecordedFailure(row.error_message || '', row.current_phase)]
+    );
+  }
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_queue_error_class ON processing_queue(error_class)`);
+}
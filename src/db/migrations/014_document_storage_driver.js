@@ -0,0 +1,12 @@
+/**
+ * Which storage driver holds each document (s3 | local | memory)
+ * s3_key / s3_bucket keep their names and hold the driver's key and bucket
+ */
+export const description = 'Add documents.storage_driver';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE documents
+    ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20) NOT NULL DEFAULT 's3'
+  `);
+}
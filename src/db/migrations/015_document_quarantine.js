@@ -0,0 +1,23 @@
+/**
+ * Upload inspection results per document (content sniffing, malware scan, PDF checks)
+ * Quarantined documents are kept for review but never processed or served
+ */
+export const description = 'Add document scan status and quarantine reason';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE documents
+    -- Type sniffed from the file's bytes (mime_type is what the client declared)
+    ADD COLUMN IF NOT EXISTS detected_mime_type VARCHAR(100),
+    -- clean | unscanned | quarantined (NULL: uploaded before inspection existed)
+    ADD COLUMN IF NOT EXISTS scan_status VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS scanner VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS quarantine_reason TEXT,
+    ADD COLUMN IF NOT EXISTS quarantined_at TIMESTAMP
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_documents_quarantined
+    ON documents(quarantined_at) WHERE scan_status = 'quarantined'
+  `);
+}
@@ -0,0 +1,19 @@
+/**
+ * SHA-256 of each uploaded file (computed while it streams into storage)
+ * Lets uploads skip exact duplicates within a chart and lets the worker reuse
+ * OCR text already extracted from identical content. Earlier uploads stay NULL.
+ */
+export const description = 'Add documents.content_sha256';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE documents
+    ADD COLUMN IF NOT EXISTS content_sha256 CHAR(64)
+  `);
+
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_documents_chart_sha256 ON documents(chart_id, content_sha256)`);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_documents_sha256_ocr
+    ON documents(content_sha256) WHERE ocr_status = 'completed'
+  `);
+}
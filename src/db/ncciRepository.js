@@ -0,0 +1,174 @@
+import { pool, query } from './connection.js';
+
+export const NCCI_EDIT_TYPES = {
+  PTP: 'PTP',
+  MUE: 'MUE'
+};
+
+const INSERT_BATCH_SIZE = 1000;
+
+const insertPtpBatch = (client, releaseId, batch) => client.query(
+  `INSERT INTO ncci_ptp_edits (
+    release_id, column1_code, column2_code, effective_date, deletion_date, modifier_indicator, rationale
+  )
+  SELECT $1::integer, * FROM UNNEST(
+    $2::varchar[], $3::varchar[], $4::date[], $5::date[], $6::char[], $7::text[]
+  )
+  ON CONFLICT (release_id, column1_code, column2_code) DO UPDATE SET
+    effective_date = EXCLUDED.effective_date,
+    deletion_date = EXCLUDED.deletion_date,
+    modifier_indicator = EXCLUDED.modifier_indicator,
+    rationale = EXCLUDED.rationale
+  WHERE EXCLUDED.effective_date >= ncci_ptp_edits.effective_date`,
+  [
+    releaseId,
+    batch.map(r => r.column1Code),
+    batch.map(r => r.column2Code),
+    batch.map(r => r.effectiveDate),
+    batch.map(r => r.deletionDate),
+    batch.map(r => r.modifierIndicator),
+    batch.map(r => r.rationale)
+  ]
+);
+
+const insertMueBatch = (client, releaseId, batch) => client.query(
+  `INSERT INTO ncci_mue_limits (release_id, code, mue_value, adjudication_indicator, rationale)
+  SELECT $1::integer, * FROM UNNEST($2::varchar[], $3::integer[], $4::text[], $5::text[])
+  ON CONFLICT (release_id, code) DO UPDATE SET
+    mue_value = EXCLUDED.mue_value,
+    adjudication_indicator = EXCLUDED.adjudication_indicator,
+    rationale = EXCLUDED.rationale`,
+  [
+    releaseId,
+    batch.map(r => r.code),
+    batch.map(r => r.mueValue),
+    batch.map(r => r.adjudicationIndicator),
+    batch.map(r => r.rationale)
+  ]
+);
+
+export const NcciRepository = {
+
+  /**
+   * Load (or reload) one quarterly release in a single transaction
+   * `rows` is an (async) iterable of parsed PTP or MUE rows - streamed in batches
+   * so the multi-million-row PTP files never sit in memory at once
+   */
+  async replaceRelease(release, rows) {
+    const { editType, version, effectiveFrom, effectiveTo = null, sourceFile = null } = release;
+    const insertBatch = editType === NCCI_EDIT_TYPES.PTP ? insertPtpBatch : insertMueBatch;
+    const table = editType === NCCI_EDIT_TYPES.PTP ? 'ncci_ptp_edits' : 'ncci_mue_limits';
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const releaseResult = await client.query(
+        `INSERT INTO ncci_releases (edit_type, version, effective_from, effective_to, source_file)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (edit_type, version) DO UPDATE SET
+           effective_from = EXCLUDED.effective_from,
+           effective_to = EXCLUDED.effective_to,
+           source_file = EXCLUDED.source_file,
+           loaded_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [editType, version, effectiveFrom, effectiveTo, sourceFile]
+      );
+      const releaseRow = releaseResult.rows[0];
+
+      await client.query(`DELETE FROM ${table} WHERE release_id = $1`, [releaseRow.id]);
+
+      let batch = [];
+      for await (const row of rows) {
+        batch.push(row);
+        if (batch.length >= INSERT_BATCH_SIZE) {
+          await insertBatch(client, releaseRow.id, batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        await insertBatch(client, releaseRow.id, batch);
+      }
+
+      const countResult = await client.query(
+        `UPDATE ncci_releases
+         SET row_count = (SELECT COUNT(*) FROM ${table} WHERE release_id = $1)
+         WHERE id = $1
+         RETURNING *`,
+        [releaseRow.id]
+      );
+
+      await client.query('COMMIT');
+      return countResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * List loaded releases
+   */
+  async getReleases(editType = null) {
+    const result = await query(
+      `SELECT * FROM ncci_releases
+       WHERE ($1::varchar IS NULL OR edit_type = $1)
+       ORDER BY edit_type, effective_from DESC`,
+      [editType]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Get the release in effect on a date, or the most recent release when no date is given
+   */
+  async getReleaseForDate(editType, dateOfService = null) {
+    const result = await query(
+      `SELECT * FROM ncci_releases
+       WHERE edit_type = $1
+         AND ($2::date IS NULL OR (effective_from <= $2::date AND (effective_to IS NULL OR effective_to >= $2::date)))
+       ORDER BY effective_from DESC
+       LIMIT 1`,
+      [editType, dateOfService]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * PTP edits where both codes of the pair are among `codes` and the edit is active on the date
+   */
+  async findPtpEdits(releaseId, codes, dateOfService = null) {
+    if (codes.length < 2) return [];
+
+    const result = await query(
+      `SELECT * FROM ncci_ptp_edits
+       WHERE release_id = $1
+         AND column1_code = ANY($2::varchar[])
+         AND column2_code = ANY($2::varchar[])
+         AND column1_code <> column2_code
+         AND ($3::date IS NULL OR (
+           (effective_date IS NULL OR effective_date <= $3::date)
+           AND (deletion_date IS NULL OR deletion_date > $3::date)
+         ))`,
+      [releaseId, codes, dateOfService]
+    );
+    return result.rows;
+  },
+
+  /**
+   * MUE limits for a set of codes
+   */
+  async findMueLimits(releaseId, codes) {
+    if (codes.length === 0) return [];
+
+    const result = await query(
+      `SELECT * FROM ncci_mue_limits WHERE release_id = $1 AND code = ANY($2::varchar[])`,
+      [releaseId, codes]
+    );
+    return result.rows;
+  }
+};
+
+export default NcciRepository;
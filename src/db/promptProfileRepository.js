@@ -0,0 +1,219 @@
+import { pool, query } from './connection.js';
+
+// Profile row joined with the content of its current version
+const SELECT_CURRENT = `
+  SELECT p.*, v.system_prompt, v.guidelines, v.em_code_families, v.output_categories,
+         v.created_by AS version_created_by, v.created_at AS version_created_at
+  FROM prompt_profiles p
+  JOIN prompt_profile_versions v ON v.profile_id = p.id AND v.version = p.current_version`;
+
+/**
+ * AI coding prompt profiles - selection criteria on prompt_profiles,
+ * immutable content in prompt_profile_versions
+ */
+export const PromptProfileRepository = {
+
+  /**
+   * Create a profile with its first version
+   */
+  async create(profile, content, createdBy) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO prompt_profiles (
+          name, description, specialty, facility, document_type, priority, is_active, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id`,
+        [
+          profile.name,
+          profile.description || null,
+          profile.specialty || null,
+          profile.facility || null,
+          profile.documentType || null,
+          profile.priority || 0,
+          profile.isActive !== false,
+          createdBy
+        ]
+      );
+      const id = result.rows[0].id;
+
+      await this.insertVersion(client, id, 1, content, createdBy);
+
+      await client.query('COMMIT');
+      return this.findById(id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Update selection criteria and, when content is given, write it as the next version
+   * Returns null when the profile does not exist
+   */
+  async update(id, profile, content, updatedBy) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT current_version FROM prompt_profiles WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      let version = existing.rows[0].current_version;
+      if (content) {
+        version++;
+        await this.insertVersion(client, id, version, content, updatedBy);
+      }
+
+      // undefined keeps the current value; null clears a selection criterion
+      await client.query(
+        `UPDATE prompt_profiles SET
+          name = COALESCE($2, name),
+          description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+          specialty = CASE WHEN $5::boolean THEN $6 ELSE specialty END,
+          facility = CASE WHEN $7::boolean THEN $8 ELSE facility END,
+          document_type = CASE WHEN $9::boolean THEN $10 ELSE document_type END,
+          priority = COALESCE($11, priority),
+          is_active = COALESCE($12, is_active),
+          current_version = $13,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1`,
+        [
+          id,
+          profile.name ?? null,
+          profile.description !== undefined, profile.description ?? null,
+          profile.specialty !== undefined, profile.specialty ?? null,
+          profile.facility !== undefined, profile.facility ?? null,
+          profile.documentType !== undefined, profile.documentType ?? null,
+          profile.priority ?? null,
+          profile.isActive ?? null,
+          version
+        ]
+      );
+
+      await client.query('COMMIT');
+      return this.findById(id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  async insertVersion(client, profileId, version, content, createdBy) {
+    await client.query(
+      `INSERT INTO prompt_profile_versions (
+        profile_id, version, system_prompt, guidelines, em_code_families, output_categories, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        profileId,
+        version,
+        content.systemPrompt,
+        content.guidelines || null,
+        JSON.stringify(content.emCodeFamilies || []),
+        JSON.stringify(content.outputCategories || []),
+        createdBy
+      ]
+    );
+  },
+
+  /**
+   * Get a profile with its current version content
+   */
+  async findById(id) {
+    const result = await query(`${SELECT_CURRENT} WHERE p.id = $1`, [id]);
+    return result.rows[0];
+  },
+
+  async findByName(name) {
+    const result = await query('SELECT * FROM prompt_profiles WHERE name = $1', [name]);
+    return result.rows[0];
+  },
+
+  /**
+   * List profiles with their current version content
+   */
+  async list({ includeInactive = false } = {}) {
+    const result = await query(
+      `${SELECT_CURRENT}
+       ${includeInactive ? '' : 'WHERE p.is_active = true'}
+       ORDER BY p.name`
+    );
+    return result.rows;
+  },
+
+  /**
+   * Version history of a profile (newest first)
+   */
+  async getVersions(profileId) {
+    const result = await query(
+      `SELECT * FROM prompt_profile_versions WHERE profile_id = $1 ORDER BY version DESC`,
+      [profileId]
+    );
+    return result.rows;
+  },
+
+  async getVersion(profileId, version) {
+    const result = await query(
+      `SELECT * FROM prompt_profile_versions WHERE profile_id = $1 AND version = $2`,
+      [profileId, version]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Active profiles whose criteria are compatible with a chart
+   * (each criterion NULL or equal, case-insensitive); ranking is left to the service
+   */
+  async findCandidates({ specialty, facility, documentTypes = [] }) {
+    const result = await query(
+      `${SELECT_CURRENT}
+       WHERE p.is_active = true
+         AND (p.specialty IS NULL OR LOWER(p.specialty) = LOWER($1))
+         AND (p.facility IS NULL OR LOWER(p.facility) = LOWER($2))
+         AND (p.document_type IS NULL OR LOWER(p.document_type) = ANY($3::text[]))`,
+      [specialty || null, facility || null, documentTypes.map(type => String(type).toLowerCase())]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Deactivate a profile - versions are kept because charts reference them
+   */
+  async deactivate(id) {
+    const result = await query(
+      `UPDATE prompt_profiles SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Number of charts coded with each version of a profile
+   */
+  async getChartCounts(profileId) {
+    const result = await query(
+      `SELECT prompt_profile_version AS version, COUNT(*) AS chart_count
+       FROM charts WHERE prompt_profile_id = $1
+       GROUP BY prompt_profile_version ORDER BY prompt_profile_version DESC`,
+      [profileId]
+    );
+    return result.rows;
+  }
+};
+
+export default PromptProfileRepository;
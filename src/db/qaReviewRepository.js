@@ -0,0 +1,185 @@
+import { query } from './connection.js';
+
+/**
+ * QA review rounds - kept apart from charts.user_modifications
+ * so coder accuracy can be measured from QA verdicts
+ */
+export const QAReviewRepository = {
+
+  /**
+   * Open a new QA round for a chart
+   */
+  async create(reviewData) {
+    const { chartId, chartNumber, routingReason, coderUserId, coderCodes } = reviewData;
+
+    const result = await query(
+      `INSERT INTO qa_reviews (
+        chart_id, chart_number, round, routing_reason, coder_user_id, coder_codes, status
+      ) VALUES (
+        $1, $2,
+        (SELECT COALESCE(MAX(round), 0) + 1 FROM qa_reviews WHERE chart_id = $1),
+        $3, $4, $5, 'pending'
+      )
+      RETURNING *`,
+      [chartId, chartNumber, routingReason, coderUserId, JSON.stringify(coderCodes || {})]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get the open QA round for a chart
+   */
+  async getPendingByChartId(chartId) {
+    const result = await query(
+      `SELECT * FROM qa_reviews WHERE chart_id = $1 AND status = 'pending' ORDER BY round DESC LIMIT 1`,
+      [chartId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Get all QA rounds for a chart (oldest first)
+   */
+  async getByChartId(chartId) {
+    const result = await query(
+      `SELECT * FROM qa_reviews WHERE chart_id = $1 ORDER BY round ASC`,
+      [chartId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Record the QA verdict on an open round
+   */
+  async complete(id, verdict) {
+    const {
+      status,
+      qaUserId,
+      correctedCodes = null,
+      codeFeedback = [],
+      codeDiff = null,
+      comments = null,
+      coderCodeCount,
+      errorCount
+    } = verdict;
+
+    const result = await query(
+      `UPDATE qa_reviews SET
+        status = $2,
+        qa_user_id = $3,
+        corrected_codes = $4,
+        code_feedback = $5,
+        code_diff = $6,
+        comments = $7,
+        coder_code_count = $8,
+        error_count = $9,
+        reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *`,
+      [
+        id,
+        status,
+        qaUserId,
+        correctedCodes ? JSON.stringify(correctedCodes) : null,
+        JSON.stringify(codeFeedback),
+        codeDiff ? JSON.stringify(codeDiff) : null,
+        comments,
+        coderCodeCount,
+        errorCount
+      ]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get charts waiting for QA with pagination
+   */
+  async getQueue(filters = {}) {
+    const { facility, page = 1, limit = 20 } = filters;
+
+    let whereConditions = [`q.status = 'pending'`];
+    let params = [];
+    let paramIndex = 1;
+
+    if (facility) {
+      whereConditions.push(`c.facility = $${paramIndex}`);
+      params.push(facility);
+      paramIndex++;
+    }
+
+    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM qa_reviews q JOIN charts c ON c.id = q.chart_id ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const offset = (page - 1) * limit;
+
+    const dataResult = await query(
+      `SELECT
+        q.id as review_id, q.round, q.routing_reason, q.coder_user_id, q.created_at as queued_at,
+        c.chart_number, c.mrn, c.facility, c.specialty, c.date_of_service, c.submitted_at
+       FROM qa_reviews q
+       JOIN charts c ON c.id = q.chart_id
+       ${whereClause}
+       ORDER BY q.created_at ASC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      reviews: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  },
+
+  /**
+   * Get coder accuracy from completed QA rounds
+   */
+  async getCoderAccuracy(filters = {}) {
+    const { startDate, endDate } = filters;
+
+    let whereConditions = [`status IN ('accepted', 'returned')`];
+    let params = [];
+    let paramIndex = 1;
+
+    if (startDate) {
+      whereConditions.push(`reviewed_at >= $${paramIndex}`);
+      params.push(startDate);
+      paramIndex++;
+    }
+
+    if (endDate) {
+      whereConditions.push(`reviewed_at <= $${paramIndex}`);
+      params.push(endDate);
+      paramIndex++;
+    }
+
+    const result = await query(`
+      SELECT
+        coder_user_id,
+        COUNT(*) as reviews,
+        COUNT(*) FILTER (WHERE status = 'accepted') as accepted,
+        COUNT(*) FILTER (WHERE status = 'returned') as returned,
+        COALESCE(SUM(coder_code_count), 0) as total_codes,
+        COALESCE(SUM(error_count), 0) as total_errors
+      FROM qa_reviews
+      WHERE ${whereConditions.join(' AND ')}
+      GROUP BY coder_user_id
+      ORDER BY coder_user_id
+    `, params);
+
+    return result.rows;
+  }
+};
+
+export default QAReviewRepository;
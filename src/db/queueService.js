@@ -1,6 +1,65 @@
 import { pool, query } from './connection.js';
+import { config } from '../config.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Named job priorities - higher is claimed first, whatever the facility
+export const QUEUE_PRIORITIES = {
+  routine: 0,
+  urgent: 50,
+  stat: 100
+};
+
+// A job that can be claimed now: new, or failed with retries left and retry_after passed
+const READY_CONDITION = `(
+  status = 'pending'
+  OR (
+    status = 'failed'
+    AND attempts < max_attempts
+    AND (retry_after IS NULL OR retry_after <= NOW())
+  )
+)`;
+
+// Failed with no attempts left - the dead-letter queue
+const DEAD_LETTER_CONDITION = `(status = 'failed' AND attempts >= max_attempts)`;
+
+// A newer job exists for the same chart (e.g. after a chart retry), so requeueing this one would double-process
+const SUPERSEDED_EXPRESSION = `EXISTS (
+  SELECT 1 FROM processing_queue newer
+  WHERE newer.chart_id = processing_queue.chart_id AND newer.created_at > processing_queue.created_at
+)`;
+
+// Admin list filter -> condition
+const JOB_STATUS_FILTERS = {
+  pending: `status = 'pending'`,
+  processing: `status = 'processing'`,
+  completed: `status = 'completed'`,
+  cancelled: `status = 'cancelled'`,
+  retrying: `(status = 'failed' AND attempts < max_attempts)`,
+  dead_letter: DEAD_LETTER_CONDITION
+};
+
+/**
+ * Normalise a priority given as a name (routine/urgent/stat) or an integer 0-100
+ * Returns null when it is neither
+ */
+export function parsePriority(value) {
+  if (value === undefined || value === null || value === '') return QUEUE_PRIORITIES.routine;
+
+  const named = QUEUE_PRIORITIES[String(value).toLowerCase()];
+  if (named !== undefined) return named;
+
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 && number <= 100 ? number : null;
+}
+
+/**
+ * Name of a numeric priority when it matches one, otherwise the number
+ */
+export function priorityLabel(priority) {
+  const entry = Object.entries(QUEUE_PRIORITIES).find(([, value]) => value === priority);
+  return entry ? entry[0] : priority;
+}
+
 /**
  * Database-backed job queue for async document processing
  * Uses PostgreSQL with FOR UPDATE SKIP LOCKED for safe concurrent access
@@ -9,6 +68,9 @@ import { v4 as uuidv4 } from 'uuid';
  */
 export const QueueService = {
 
+  // Channel workers LISTEN on to pick up new and retryable jobs without waiting for a poll
+  JOB_ENQUEUED_CHANNEL: 'job_enqueued',
+
   // Retry backoff configuration (in milliseconds)
   RETRY_DELAYS: [
     30 * 1000,      // 1st retry: 30 seconds
@@ -28,27 +90,67 @@ export const QueueService = {
 
   /**
    * Add a new job to the processing queue
+   * priority is numeric (see parsePriority); the facility comes from jobData.chartInfo
    */
-  async addJob(chartId, chartNumber, jobData) {
+  async addJob(chartId, chartNumber, jobData, { priority = QUEUE_PRIORITIES.routine } = {}) {
     const jobId = uuidv4();
 
     const result = await query(
       `INSERT INTO processing_queue (
-        job_id, chart_id, chart_number, status, job_data
-      ) VALUES ($1, $2, $3, 'pending', $4)
+        job_id, chart_id, chart_number, status, job_data, priority, facility
+      ) VALUES ($1, $2, $3, 'pending', $4, $5, $6)
       RETURNING *`,
-      [jobId, chartId, chartNumber, JSON.stringify(jobData)]
+      [jobId, chartId, chartNumber, JSON.stringify(jobData), priority, jobData.chartInfo?.facility || null]
     );
 
-    console.log(`📋 Job queued: ${jobId} for chart ${chartNumber}`);
+    console.log(`📋 Job queued: ${jobId} for chart ${chartNumber} (priority ${priorityLabel(priority)})`);
+    await this.notifyJobEnqueued(jobId);
     return result.rows[0];
   },
 
+  /**
+   * Pick the facility whose turn it is among those with ready jobs at the highest waiting priority
+   * Weighted round-robin: fewest claims in the fairness window relative to its weight,
+   * then the facility served longest ago, then the one with the oldest waiting job
+   */
+  async pickFacility(client) {
+    const result = await client.query(
+      `WITH ready AS (
+         SELECT COALESCE(facility, '') AS facility, priority, created_at
+         FROM processing_queue
+         WHERE ${READY_CONDITION}
+       ),
+       top AS (
+         SELECT facility, MIN(created_at) AS oldest, MAX(priority) AS priority
+         FROM ready
+         WHERE priority = (SELECT MAX(priority) FROM ready)
+         GROUP BY facility
+       ),
+       recent AS (
+         SELECT COALESCE(facility, '') AS facility, COUNT(*) AS claims, MAX(claimed_at) AS last_claimed_at
+         FROM processing_queue
+         WHERE claimed_at > NOW() - INTERVAL '1 minute' * $2
+         GROUP BY 1
+       )
+       SELECT top.facility, top.priority
+       FROM top
+       LEFT JOIN recent ON recent.facility = top.facility
+       ORDER BY
+         COALESCE(recent.claims, 0) / GREATEST(COALESCE(($1::jsonb ->> top.facility)::numeric, 1), 0.01) ASC,
+         recent.last_claimed_at ASC NULLS FIRST,
+         top.oldest ASC
+       LIMIT 1`,
+      [JSON.stringify(config.queue.facilityWeights), config.queue.fairnessWindowMinutes]
+    );
+    return result.rows[0] || null;
+  },
+
   /**
    * Claim the next available job for processing
    * Uses FOR UPDATE SKIP LOCKED to prevent race conditions
    * 
    * UPDATED: Now respects retry_after for failed jobs
+   * UPDATED: Highest priority first, then weighted round-robin across facilities
    */
   async claimNextJob(workerId) {
     const client = await pool.connect();
@@ -58,21 +160,36 @@ export const QueueService = {
 
       // Find and lock the next pending job OR failed job ready for retry
       // Failed jobs are only picked up if retry_after has passed (or is null)
-      const result = await client.query(
-        `SELECT * FROM processing_queue 
-         WHERE 
-           status = 'pending' 
-           OR (
-             status = 'failed' 
-             AND attempts < max_attempts 
-             AND (retry_after IS NULL OR retry_after <= NOW())
-           )
-         ORDER BY 
-           CASE WHEN status = 'pending' THEN 0 ELSE 1 END,  -- Prioritize pending
-           created_at ASC
-         LIMIT 1
-         FOR UPDATE SKIP LOCKED`
-      );
+      const turn = await this.pickFacility(client);
+      let result = { rows: [] };
+
+      if (turn) {
+        result = await client.query(
+          `SELECT * FROM processing_queue
+           WHERE ${READY_CONDITION}
+           AND priority = $1 AND COALESCE(facility, '') = $2
+           ORDER BY
+             CASE WHEN status = 'pending' THEN 0 ELSE 1 END,  -- Prioritize pending
+             created_at ASC
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED`,
+          [turn.priority, turn.facility]
+        );
+      }
+
+      // Another worker locked that facility's last ready job - take anything by priority
+      if (result.rows.length === 0) {
+        result = await client.query(
+          `SELECT * FROM processing_queue
+           WHERE ${READY_CONDITION}
+           ORDER BY
+             priority DESC,
+             CASE WHEN status = 'pending' THEN 0 ELSE 1 END,
+             created_at ASC
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED`
+        );
+      }
 
       if (result.rows.length === 0) {
         await client.query('COMMIT');
@@ -87,6 +204,7 @@ export const QueueService = {
           status = 'processing',
           worker_id = $1,
           locked_at = CURRENT_TIMESTAMP,
+          claimed_at = CURRENT_TIMESTAMP,
           started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
           attempts = attempts + 1,
           retry_after = NULL
@@ -97,7 +215,7 @@ export const QueueService = {
       await client.query('COMMIT');
 
       const isRetry = job.attempts > 0;
-      console.log(`🔒 Job ${isRetry ? 'retrying' : 'claimed'}: ${job.job_id} by worker ${workerId} (attempt ${job.attempts + 1}/${job.max_attempts})`);
+      console.log(`🔒 Job ${isRetry ? 'retrying' : 'claimed'}: ${job.job_id} by worker ${workerId} (attempt ${job.attempts + 1}/${job.max_attempts}, priority ${priorityLabel(job.priority)}, facility ${job.facility || '-'})`);
 
       return { ...job, status: 'processing', worker_id: workerId, attempts: job.attempts + 1 };
 
@@ -119,7 +237,8 @@ export const QueueService = {
         completed_at = CURRENT_TIMESTAMP,
         locked_at = NULL,
         retry_after = NULL,
-        error_message = NULL
+        error_message = NULL,
+        error_class = NULL
        WHERE job_id = $1
        RETURNING *`,
       [jobId]
@@ -135,9 +254,10 @@ export const QueueService = {
    * Mark a job as failed with retry scheduling
    * 
    * UPDATED: Now calculates retry_after based on attempt count
+   * UPDATED: Records the error class (utils/jobErrors.js) for the dead-letter view
    * Returns additional info about whether it will retry
    */
-  async failJob(jobId, errorMessage) {
+  async failJob(jobId, errorMessage, errorClass = null) {
     // First get the current job state
     const currentJob = await query(
       `SELECT attempts, max_attempts FROM processing_queue WHERE job_id = $1`,
@@ -163,11 +283,12 @@ export const QueueService = {
       `UPDATE processing_queue SET 
         status = 'failed',
         error_message = $2,
+        error_class = $4,
         locked_at = NULL,
         retry_after = $3
        WHERE job_id = $1
        RETURNING *`,
-      [jobId, errorMessage, retryAfter]
+      [jobId, errorMessage, retryAfter, errorClass]
     );
 
     if (result.rows[0]) {
@@ -177,6 +298,7 @@ export const QueueService = {
       } else {
         const retryInSeconds = Math.round(this.getRetryDelay(attempts) / 1000);
         console.log(`⚠️ Job failed, will retry in ${retryInSeconds}s: ${jobId} (${job.attempts}/${job.max_attempts} attempts)`);
+        await this.notifyJobEnqueued(jobId, retryAfter);
       }
     }
 
@@ -222,6 +344,7 @@ export const QueueService = {
         COUNT(*) FILTER (WHERE status = 'processing') as processing,
         COUNT(*) FILTER (WHERE status = 'completed') as completed,
         COUNT(*) FILTER (WHERE status = 'failed' AND attempts >= max_attempts) as permanently_failed,
+        COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled,
         COUNT(*) FILTER (WHERE status = 'failed' AND attempts < max_attempts AND retry_after > NOW()) as waiting_for_retry,
         COUNT(*) FILTER (WHERE status = 'failed' AND attempts < max_attempts AND (retry_after IS NULL OR retry_after <= NOW())) as ready_to_retry,
         COUNT(*) as total
@@ -231,6 +354,46 @@ export const QueueService = {
     return result.rows[0];
   },
 
+  /**
+   * Queue depth per facility - what is waiting, running and due for retry
+   */
+  async getFacilityBacklog() {
+    const result = await query(`
+      SELECT
+        COALESCE(facility, '') AS facility,
+        COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+        COUNT(*) FILTER (WHERE status = 'processing') AS processing,
+        COUNT(*) FILTER (WHERE status = 'failed' AND attempts < max_attempts AND (retry_after IS NULL OR retry_after <= NOW())) AS ready_to_retry,
+        COUNT(*) FILTER (WHERE status = 'failed' AND attempts < max_attempts AND retry_after > NOW()) AS waiting_for_retry,
+        COUNT(*) FILTER (WHERE ${READY_CONDITION} AND priority >= $1) AS stat_waiting,
+        MIN(created_at) FILTER (WHERE ${READY_CONDITION}) AS oldest_waiting_at
+      FROM processing_queue
+      WHERE status IN ('pending', 'processing', 'failed')
+      GROUP BY 1
+      HAVING COUNT(*) FILTER (WHERE status = 'pending' OR status = 'processing' OR (status = 'failed' AND attempts < max_attempts)) > 0
+      ORDER BY COUNT(*) FILTER (WHERE status = 'pending') DESC, 1
+    `, [QUEUE_PRIORITIES.stat]);
+    return result.rows;
+  },
+
+  /**
+   * Change the priority of a job that has not finished yet
+   */
+  async setPriority(jobId, priority) {
+    const result = await query(
+      `UPDATE processing_queue SET priority = $2
+       WHERE job_id = $1 AND status IN ('pending', 'processing', 'failed')
+       RETURNING *`,
+      [jobId, priority]
+    );
+
+    if (result.rows[0]) {
+      console.log(`⏫ Job ${jobId} priority set to ${priorityLabel(priority)}`);
+      if (result.rows[0].status !== 'processing') await this.notifyJobEnqueued(jobId);
+    }
+    return result.rows[0];
+  },
+
   /**
    * Get detailed status for a specific chart's job
    */
@@ -239,6 +402,7 @@ export const QueueService = {
       SELECT 
         job_id,
         status,
+        priority,
         attempts,
         max_attempts,
         error_message,
@@ -267,19 +431,19 @@ export const QueueService = {
   },
 
   /**
-   * Clean up old completed jobs (run periodically)
+   * Clean up old completed and cancelled jobs (run by the housekeeping task)
    */
   async cleanupOldJobs(olderThanDays = 7) {
     const result = await query(
       `DELETE FROM processing_queue 
-       WHERE status = 'completed' 
-       AND completed_at < NOW() - INTERVAL '1 day' * $1
+       WHERE (status = 'completed' AND completed_at < NOW() - INTERVAL '1 day' * $1)
+       OR (status = 'cancelled' AND cancelled_at < NOW() - INTERVAL '1 day' * $1)
        RETURNING id`,
       [olderThanDays]
     );
 
     if (result.rows.length > 0) {
-      console.log(`🧹 Cleaned up ${result.rows.length} old completed jobs`);
+      console.log(`🧹 Cleaned up ${result.rows.length} old completed/cancelled jobs`);
     }
     return result.rows.length;
   },
@@ -298,6 +462,7 @@ export const QueueService = {
         worker_id = NULL,
         locked_at = NULL,
         error_message = 'Released: worker timeout after ' || $1 || ' minutes',
+        error_class = 'worker',
         retry_after = $2
        WHERE status = 'processing'
        AND locked_at < NOW() - INTERVAL '1 minute' * $1
@@ -307,12 +472,261 @@ export const QueueService = {
 
     if (result.rows.length > 0) {
       console.log(`🔓 Released ${result.rows.length} stuck jobs (will retry in 30s)`);
+      await this.notifyJobEnqueued(null, retryAfter);
     }
     return result.rows;
   },
 
   /**
-   * Manually retry a permanently failed job
+   * Refresh locked_at on jobs a live worker is still processing,
+   * so releaseStuckJobs only reclaims jobs whose worker went away
+   */
+  async renewLocks(workerId, jobIds) {
+    if (jobIds.length === 0) return 0;
+
+    const result = await query(
+      `UPDATE processing_queue SET locked_at = CURRENT_TIMESTAMP
+       WHERE job_id = ANY($1) AND worker_id = $2 AND status = 'processing'`,
+      [jobIds, workerId]
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * Hand in-flight jobs back to the queue when a worker stops before finishing them
+   * The interrupted attempt is not counted and the jobs are retryable immediately
+   */
+  async releaseJobs(workerId, jobIds, reason) {
+    if (jobIds.length === 0) return [];
+
+    const result = await query(
+      `UPDATE processing_queue SET
+        status = 'failed',
+        worker_id = NULL,
+        locked_at = NULL,
+        attempts = GREATEST(attempts - 1, 0),
+        error_message = $3,
+        error_class = 'worker',
+        retry_after = CURRENT_TIMESTAMP
+       WHERE job_id = ANY($1) AND worker_id = $2 AND status = 'processing'
+       RETURNING *`,
+      [jobIds, workerId, reason]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`🔓 Released ${result.rows.length} in-flight job(s) from worker ${workerId}: ${reason}`);
+      await this.notifyJobEnqueued(null);
+    }
+    return result.rows;
+  },
+
+  /**
+   * Upsert a worker's heartbeat row
+   */
+  async heartbeat(worker) {
+    const { workerId, hostname, pid, slots, status, activeJobs, jobsCompleted, jobsFailed } = worker;
+
+    await query(
+      `INSERT INTO worker_heartbeats (
+        worker_id, hostname, pid, slots, status, active_jobs, jobs_completed, jobs_failed
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (worker_id) DO UPDATE SET
+        slots = EXCLUDED.slots,
+        status = EXCLUDED.status,
+        active_jobs = EXCLUDED.active_jobs,
+        jobs_completed = EXCLUDED.jobs_completed,
+        jobs_failed = EXCLUDED.jobs_failed,
+        last_heartbeat_at = CURRENT_TIMESTAMP`,
+      [workerId, hostname, pid, slots, status, JSON.stringify(activeJobs || []), jobsCompleted || 0, jobsFailed || 0]
+    );
+  },
+
+  /**
+   * Workers seen within the last `withinMinutes` (stale rows are reported as such, not hidden)
+   */
+  async getWorkers(withinMinutes = 60) {
+    const result = await query(
+      `SELECT *,
+        EXTRACT(EPOCH FROM (NOW() - last_heartbeat_at))::integer AS seconds_since_heartbeat
+       FROM worker_heartbeats
+       WHERE last_heartbeat_at > NOW() - INTERVAL '1 minute' * $1
+       ORDER BY started_at DESC`,
+      [withinMinutes]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Admin job list, newest first
+   * status: pending | processing | completed | cancelled | retrying | dead_letter
+   */
+  async listJobs(filters = {}) {
+    const { status, facility, errorClass, chartNumber, limit = 50, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (status) conditions.push(JOB_STATUS_FILTERS[status]);
+    if (facility) {
+      params.push(facility);
+      conditions.push(`facility = $${params.length}`);
+    }
+    if (errorClass) {
+      params.push(errorClass);
+      conditions.push(`error_class = $${params.length}`);
+    }
+    if (chartNumber) {
+      params.push(chartNumber);
+      conditions.push(`chart_number = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      query(
+        `SELECT
+          id, job_id, chart_id, chart_number, facility, status, priority, attempts, max_attempts,
+          error_message, error_class, current_phase, worker_id, retry_after,
+          created_at, started_at, completed_at, cancelled_at, cancelled_by,
+          ${SUPERSEDED_EXPRESSION} AS superseded
+         FROM processing_queue
+         ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*) AS total FROM processing_queue ${where}`, params)
+    ]);
+
+    return { jobs: rows.rows, total: parseInt(count.rows[0].total) };
+  },
+
+  /**
+   * Dead-letter counts per error class (superseded jobs counted separately)
+   */
+  async getDeadLetterSummary() {
+    const result = await query(`
+      SELECT
+        COALESCE(error_class, 'unknown') AS error_class,
+        COUNT(*) FILTER (WHERE NOT superseded) AS jobs,
+        COUNT(*) FILTER (WHERE superseded) AS superseded,
+        MAX(created_at) AS latest_at
+      FROM (
+        SELECT error_class, created_at, ${SUPERSEDED_EXPRESSION} AS superseded
+        FROM processing_queue
+        WHERE ${DEAD_LETTER_CONDITION}
+      ) dead
+      GROUP BY 1
+      ORDER BY 2 DESC
+    `);
+    return result.rows;
+  },
+
+  /**
+   * Full job row, including job_data, plus whether a newer job replaced it
+   */
+  async inspectJob(jobId) {
+    const result = await query(
+      `SELECT *, ${SUPERSEDED_EXPRESSION} AS superseded,
+        ${DEAD_LETTER_CONDITION} AS dead_letter
+       FROM processing_queue WHERE job_id = $1`,
+      [jobId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Requeue every dead-lettered job of an error class (optionally one facility)
+   * Superseded jobs are skipped. Returns the requeued rows.
+   */
+  async requeueDeadLetters({ errorClass, facility = null, limit = 500 }) {
+    const result = await query(
+      `UPDATE processing_queue SET
+        status = 'pending',
+        attempts = 0,
+        error_message = NULL,
+        error_class = NULL,
+        retry_after = NULL,
+        worker_id = NULL,
+        locked_at = NULL
+       WHERE id IN (
+         SELECT id FROM processing_queue
+         WHERE ${DEAD_LETTER_CONDITION}
+         AND COALESCE(error_class, 'unknown') = $1
+         AND ($2::varchar IS NULL OR facility = $2)
+         AND NOT ${SUPERSEDED_EXPRESSION}
+         ORDER BY created_at ASC
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       -- Re-checked against the locked row: only jobs still dead-lettered are requeued
+       AND ${DEAD_LETTER_CONDITION}
+       RETURNING *`,
+      [errorClass, facility, limit]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`🔄 Requeued ${result.rows.length} dead-lettered ${errorClass} job(s)`);
+      await this.notifyJobEnqueued(null);
+    }
+    return result.rows;
+  },
+
+  /**
+   * Cancel a job that is not running - it stays visible until purged or cleaned up
+   */
+  async cancelJob(jobId, cancelledBy) {
+    const result = await query(
+      `UPDATE processing_queue SET
+        status = 'cancelled',
+        cancelled_at = CURRENT_TIMESTAMP,
+        cancelled_by = $2,
+        retry_after = NULL
+       WHERE job_id = $1 AND status IN ('pending', 'failed')
+       RETURNING *`,
+      [jobId, cancelledBy]
+    );
+
+    if (result.rows[0]) {
+      console.log(`🚫 Job cancelled: ${jobId} by ${cancelledBy}`);
+    }
+    return result.rows[0];
+  },
+
+  /**
+   * Delete a finished job - completed, cancelled or dead-lettered only
+   */
+  async purgeJob(jobId) {
+    const result = await query(
+      `DELETE FROM processing_queue
+       WHERE job_id = $1
+       AND (status IN ('completed', 'cancelled') OR ${DEAD_LETTER_CONDITION})
+       RETURNING *`,
+      [jobId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Delete dead-lettered (optionally one error class) and cancelled jobs older than N days
+   */
+  async purgeJobs({ errorClass = null, olderThanDays = 0 }) {
+    const result = await query(
+      `DELETE FROM processing_queue
+       WHERE (${DEAD_LETTER_CONDITION} AND ($1::varchar IS NULL OR COALESCE(error_class, 'unknown') = $1)
+              OR ($1::varchar IS NULL AND status = 'cancelled'))
+       AND created_at < NOW() - INTERVAL '1 day' * $2
+       RETURNING *`,
+      [errorClass, olderThanDays]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`🗑️ Purged ${result.rows.length} dead-lettered/cancelled job(s)`);
+    }
+    return result.rows;
+  },
+
+  /**
+   * Manually retry a permanently failed (or cancelled) job
    */
   async retryJob(jobId) {
     const result = await query(
@@ -320,34 +734,61 @@ export const QueueService = {
         status = 'pending',
         attempts = 0,
         error_message = NULL,
+        error_class = NULL,
         retry_after = NULL,
         worker_id = NULL,
-        locked_at = NULL
-       WHERE job_id = $1 AND status = 'failed'
+        locked_at = NULL,
+        cancelled_at = NULL,
+        cancelled_by = NULL
+       WHERE job_id = $1 AND status IN ('failed', 'cancelled')
        RETURNING *`,
       [jobId]
     );
 
     if (result.rows[0]) {
       console.log(`🔄 Job manually reset for retry: ${jobId}`);
+      await this.notifyJobEnqueued(jobId);
     }
     return result.rows[0];
   },
 
+  /**
+   * Tell listening workers a job is claimable - now, or at readyAt for scheduled retries
+   * Never throws: workers fall back to polling, so a lost notification only delays pickup
+   */
+  async notifyJobEnqueued(jobId, readyAt = null) {
+    try {
+      const payload = JSON.stringify({
+        jobId,
+        readyAt: readyAt ? new Date(readyAt).toISOString() : null
+      });
+      await query(`SELECT pg_notify('${this.JOB_ENQUEUED_CHANNEL}', $1)`, [payload]);
+    } catch (error) {
+      console.warn(`⚠️ Failed to send ${this.JOB_ENQUEUED_CHANNEL} notification: ${error.message}`);
+    }
+  },
+
+  /**
+   * Earliest retry_after among failed jobs still waiting to be retried (null when none)
+   */
+  async getNextRetryAt() {
+    const result = await query(
+      `SELECT MIN(retry_after) AS next_retry_at FROM processing_queue
+       WHERE status = 'failed' AND attempts < max_attempts AND retry_after > NOW()`
+    );
+    return result.rows[0]?.next_retry_at || null;
+  },
+
   /**
    * Send a PostgreSQL NOTIFY with job status update
    * Used by the worker to broadcast status changes to WebSocket clients via PG LISTEN/NOTIFY
    */
   async notifyStatusChange(jobId, status, phase, message = null) {
-    // Persist current_phase so WebSocket can send it on reconnect (best-effort, don't block notify)
-    try {
-      await query(
-        `UPDATE processing_queue SET current_phase = $2 WHERE job_id = $1`,
-        [jobId, phase]
-      );
-    } catch (e) {
-      // Column may not exist yet — continue so pg_notify still fires
-    }
+    // Persist current_phase so WebSocket can send it on reconnect
+    await query(
+      `UPDATE processing_queue SET current_phase = $2 WHERE job_id = $1`,
+      [jobId, phase]
+    );
 
     const payload = JSON.stringify({
       jobId,
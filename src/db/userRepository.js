@@ -0,0 +1,255 @@
+import bcrypt from 'bcrypt';
+import { query } from './connection.js';
+import { config } from '../config.js';
+
+/**
+ * User roles
+ * - admin: full access, manages users
+ * - coder: reviews and submits AI codes
+ * - qa: second-level review of coder submissions
+ */
+export const ROLES = {
+  ADMIN: 'admin',
+  CODER: 'coder',
+  QA: 'qa'
+};
+
+// Columns safe to return to callers (never the password hash)
+const PUBLIC_COLUMNS = `id, user_id, name, role, email, is_active, last_login, created_at, updated_at`;
+
+export const UserRepository = {
+
+  /**
+   * Create a new user with a hashed password
+   */
+  async create(userData) {
+    const { userId, password, name, role = ROLES.CODER, email = null } = userData;
+
+    const passwordHash = await bcrypt.hash(password, config.auth.bcryptRounds);
+
+    const result = await query(
+      `INSERT INTO users (user_id, password_hash, name, role, email)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [userId, passwordHash, name, role, email]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get user by primary key
+   */
+  async findById(id) {
+    const result = await query(
+      `SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Get user by login ID
+   */
+  async findByUserId(userId) {
+    const result = await query(
+      `SELECT ${PUBLIC_COLUMNS} FROM users WHERE user_id = $1`,
+      [userId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Check a password against the stored hash
+   * Returns { valid, user, reason } - user never includes the hash
+   */
+  async verifyPassword(userId, password) {
+    const result = await query(
+      `SELECT * FROM users WHERE user_id = $1`,
+      [userId]
+    );
+
+    const row = result.rows[0];
+    if (!row) {
+      return { valid: false, user: null, reason: 'Invalid credentials' };
+    }
+
+    if (!row.is_active) {
+      return { valid: false, user: null, reason: 'Account is deactivated' };
+    }
+
+    const matches = await bcrypt.compare(password, row.password_hash);
+    if (!matches) {
+      return { valid: false, user: null, reason: 'Invalid credentials' };
+    }
+
+    const { password_hash, ...user } = row;
+    return { valid: true, user, reason: null };
+  },
+
+  /**
+   * Record a successful login
+   */
+  async updateLastLogin(id) {
+    await query(
+      `UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1`,
+      [id]
+    );
+  },
+
+  /**
+   * Set a new password for a user
+   */
+  async changePassword(userId, newPassword) {
+    const passwordHash = await bcrypt.hash(newPassword, config.auth.bcryptRounds);
+
+    const result = await query(
+      `UPDATE users SET
+        password_hash = $2,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+      RETURNING ${PUBLIC_COLUMNS}`,
+      [userId, passwordHash]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get all users with filters and pagination
+   */
+  async getAll(filters = {}) {
+    const { role, isActive, search, page = 1, limit = 20 } = filters;
+
+    let whereConditions = [];
+    let params = [];
+    let paramIndex = 1;
+
+    if (role) {
+      whereConditions.push(`role = $${paramIndex}`);
+      params.push(role);
+      paramIndex++;
+    }
+
+    if (isActive !== undefined) {
+      whereConditions.push(`is_active = $${paramIndex}`);
+      params.push(isActive);
+      paramIndex++;
+    }
+
+    if (search) {
+      whereConditions.push(`(user_id ILIKE $${paramIndex} OR name ILIKE $${paramIndex} OR email ILIKE $${paramIndex})`);
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM users ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const offset = (page - 1) * limit;
+
+    const dataResult = await query(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM users ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      users: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  },
+
+  /**
+   * Update profile fields - undefined fields are left unchanged
+   */
+  async update(userId, updates) {
+    const { name, email, role, isActive } = updates;
+
+    const result = await query(
+      `UPDATE users SET
+        name = COALESCE($2, name),
+        email = COALESCE($3, email),
+        role = COALESCE($4, role),
+        is_active = COALESCE($5, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+      RETURNING ${PUBLIC_COLUMNS}`,
+      [userId, name ?? null, email ?? null, role ?? null, isActive ?? null]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Deactivate a user (soft delete - keeps submitted_by history intact)
+   */
+  async deactivate(userId) {
+    const result = await query(
+      `UPDATE users SET
+        is_active = FALSE,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+      RETURNING ${PUBLIC_COLUMNS}`,
+      [userId]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get user counts by role and status
+   */
+  async getStats() {
+    const result = await query(`
+      SELECT
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE role = 'admin') as admins,
+        COUNT(*) FILTER (WHERE role = 'coder') as coders,
+        COUNT(*) FILTER (WHERE role = 'qa') as qa_users,
+        COUNT(*) FILTER (WHERE is_active = TRUE) as active,
+        COUNT(*) FILTER (WHERE is_active = FALSE) as inactive
+      FROM users
+    `);
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get active coders (for assignment dropdowns)
+   */
+  async getCoders() {
+    const result = await query(
+      `SELECT ${PUBLIC_COLUMNS} FROM users WHERE role = $1 AND is_active = TRUE ORDER BY name`,
+      [ROLES.CODER]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Get active QA users (for assignment dropdowns)
+   */
+  async getQAUsers() {
+    const result = await query(
+      `SELECT ${PUBLIC_COLUMNS} FROM users WHERE role = $1 AND is_active = TRUE ORDER BY name`,
+      [ROLES.QA]
+    );
+    return result.rows;
+  }
+};
+
+export default UserRepository;
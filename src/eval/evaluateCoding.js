@@ -0,0 +1,293 @@
+import fs from 'fs';
+import { pool } from '../db/connection.js';
+import { config } from '../config.js';
+import { ChartRepository, DocumentRepository } from '../db/chartRepository.js';
+import { AIService } from '../services/aiService.js';
+import { ocrService } from '../services/ocrService.js';
+import { promptProfileService } from '../services/promptProfileService.js';
+import { CODE_CATEGORIES, scoreCodeSets, scoreCounts } from '../utils/codeDiff.js';
+
+/**
+ * Offline coding evaluation - replays the stored OCR text of submitted charts
+ * through AIService.processForCoding and scores the result against the
+ * coder-approved final_codes. Nothing is written back to the charts.
+ *
+ *   node src/eval/evaluateCoding.js [--limit 50] [--random] [--charts C1,C2]
+ *     [--facility F] [--specialty S] [--since YYYY-MM-DD] [--until YYYY-MM-DD]
+ *     [--profile <id|name|default>[@version]] [--model <model>] [--output report.json]
+ *
+ * Without --profile each chart uses the profile production would select.
+ * The stored original_ai_codes are scored too, as the baseline to beat.
+ */
+
+const parseOptions = (args) => {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      throw new Error(`Unexpected argument "${args[i]}"`);
+    }
+    const key = args[i].slice(2);
+    // Flags without a value
+    if (key === 'random') {
+      options.random = true;
+    } else {
+      options[key] = args[i + 1];
+      i++;
+    }
+  }
+
+  return options;
+};
+
+/**
+ * AIService for the candidate model (the shared instance when no override)
+ */
+const createCandidateService = (model) => {
+  if (!model) return new AIService();
+
+  return new AIService(config.ai.provider === 'azure'
+    ? { ...config.ai, azure: { ...config.ai.azure, deployment: model } }
+    : { ...config.ai, model });
+};
+
+/**
+ * Profile selection: undefined = per-chart production resolution,
+ * null = built-in prompt, otherwise the loaded profile
+ */
+const loadCandidateProfile = async (spec) => {
+  if (!spec) return undefined;
+
+  const [ref, version] = spec.split('@');
+  if (ref === 'default') return null;
+
+  // Number() rather than parseInt - "2x" is a typo, not version 2
+  const profile = await promptProfileService.load(ref, version ? Number(version) : null);
+  if (!profile) {
+    throw new Error(`Prompt profile "${spec}" not found`);
+  }
+  return profile;
+};
+
+/**
+ * Flatten the AIService result into the code set shape of final_codes
+ */
+const toCodeSet = (data) => ({
+  reason_for_admit: data.diagnosis_codes?.reason_for_admit || [],
+  ed_em_level: data.diagnosis_codes?.ed_em_level || [],
+  procedures: data.procedures || [],
+  primary_diagnosis: data.diagnosis_codes?.primary_diagnosis || [],
+  secondary_diagnoses: data.diagnosis_codes?.secondary_diagnoses || [],
+  modifiers: data.diagnosis_codes?.modifiers || []
+});
+
+/**
+ * Keep only the gold categories the baseline carries (stored AI codes predate
+ * some categories, which would otherwise count as misses)
+ */
+const goldForBaseline = (gold, baseline) => Object.fromEntries(
+  Object.entries(gold || {}).filter(([category]) => Array.isArray(baseline?.[category]))
+);
+
+/**
+ * Sum per-chart match counts into micro-averaged scores
+ */
+const aggregate = (scores) => {
+  const totals = Object.fromEntries(CODE_CATEGORIES.map(category => [category, { tp: 0, fp: 0, fn: 0 }]));
+  const overall = { tp: 0, fp: 0, fn: 0 };
+
+  for (const score of scores) {
+    for (const [category, counts] of Object.entries(score.byCategory)) {
+      for (const key of ['tp', 'fp', 'fn']) {
+        totals[category][key] += counts[key];
+        overall[key] += counts[key];
+      }
+    }
+  }
+
+  return {
+    byCategory: Object.fromEntries(Object.entries(totals).map(([category, counts]) => [category, scoreCounts(counts)])),
+    overall: scoreCounts(overall)
+  };
+};
+
+async function evaluateChart(chart, aiService, candidateProfile) {
+  const documents = (await DocumentRepository.getByChartId(chart.id))
+    .filter(doc => doc.ocr_status === 'completed' && doc.ocr_text);
+
+  const formattedDocs = ocrService.formatForAI(documents.map(doc => ({
+    success: true,
+    extractedText: doc.ocr_text,
+    filename: doc.original_name,
+    documentType: doc.document_type
+  })));
+
+  const chartInfo = {
+    mrn: chart.mrn,
+    chartNumber: chart.chart_number,
+    facility: chart.facility,
+    specialty: chart.specialty,
+    dateOfService: chart.date_of_service,
+    provider: chart.provider
+  };
+
+  const profile = candidateProfile !== undefined
+    ? candidateProfile
+    : await promptProfileService.resolve({
+      specialty: chart.specialty,
+      facility: chart.facility,
+      documentTypes: [...new Set(formattedDocs.map(doc => doc.documentType).filter(Boolean))]
+    });
+
+  const startTime = Date.now();
+  const result = await aiService.processForCoding(formattedDocs, chartInfo, {
+    profile,
+    usageContext: {
+      chartId: chart.id,
+      chartNumber: chart.chart_number,
+      facility: chart.facility,
+      specialty: chart.specialty,
+      source: 'evaluation'
+    }
+  });
+
+  const baseline = chart.original_ai_codes
+    ? scoreCodeSets(chart.original_ai_codes, goldForBaseline(chart.final_codes, chart.original_ai_codes))
+    : null;
+
+  if (!result.success) {
+    return { chartNumber: chart.chart_number, success: false, error: result.error, baseline };
+  }
+
+  const predicted = toCodeSet(result.data);
+
+  return {
+    chartNumber: chart.chart_number,
+    success: true,
+    durationMs: Date.now() - startTime,
+    promptProfile: result.data.ai_metadata.prompt_profile,
+    usage: {
+      promptTokens: result.data.ai_metadata.prompt_tokens || 0,
+      completionTokens: result.data.ai_metadata.completion_tokens || 0,
+      totalTokens: result.data.ai_metadata.total_tokens || 0
+    },
+    chunks: result.data.ai_metadata.chunks,
+    repairAttempts: result.data.ai_metadata.repair_attempts,
+    candidate: scoreCodeSets(predicted, chart.final_codes),
+    baseline,
+    predicted,
+    gold: chart.final_codes
+  };
+}
+
+const pct = (value) => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+function printReport(report) {
+  const { summary } = report;
+
+  console.log(`\n📊 Coding evaluation - ${summary.charts} chart(s), ${summary.failed} failed`);
+  console.log(`   Candidate: model ${report.candidate.model}, profile ${report.candidate.profile}\n`);
+  console.log(`   ${'Category'.padEnd(22)} ${'Candidate P / R / F1'.padEnd(26)} ${'Baseline P / R / F1'.padEnd(26)} ΔF1`);
+
+  const rows = [...CODE_CATEGORIES.map(category => [category, category]), ['overall', null]];
+  for (const [label, category] of rows) {
+    const candidate = category ? summary.candidate.byCategory[category] : summary.candidate.overall;
+    const baseline = category ? summary.baseline.byCategory[category] : summary.baseline.overall;
+    const delta = candidate.f1 !== null && baseline.f1 !== null
+      ? `${candidate.f1 >= baseline.f1 ? '+' : ''}${((candidate.f1 - baseline.f1) * 100).toFixed(1)}`
+      : '-';
+
+    console.log(`   ${label.padEnd(22)} ${[candidate.precision, candidate.recall, candidate.f1].map(pct).join(' ')}  ${[baseline.precision, baseline.recall, baseline.f1].map(pct).join(' ')}  ${delta}`);
+  }
+
+  const { usage } = summary;
+  console.log(`\n   Tokens: ${usage.totalTokens} total (${usage.promptTokens} prompt, ${usage.completionTokens} completion), ${usage.perChart} per chart`);
+  console.log(`   Chunked charts: ${summary.chunkedCharts}, repair round-trips: ${summary.repairAttempts}\n`);
+}
+
+async function run(args) {
+  const options = parseOptions(args);
+
+  const aiService = createCandidateService(options.model);
+  const candidateProfile = await loadCandidateProfile(options.profile);
+
+  const charts = await ChartRepository.getEvaluationSample({
+    chartNumbers: options.charts ? options.charts.split(',').map(c => c.trim()).filter(Boolean) : null,
+    facility: options.facility,
+    specialty: options.specialty,
+    since: options.since,
+    until: options.until,
+    limit: parseInt(options.limit || 50, 10),
+    random: options.random === true
+  });
+
+  if (charts.length === 0) {
+    console.log('No submitted charts with stored OCR text match the sample criteria');
+    return;
+  }
+
+  console.log(`🧪 Evaluating ${charts.length} chart(s) with ${aiService.provider.name} (${aiService.model})...`);
+
+  const results = [];
+  for (const [i, chart] of charts.entries()) {
+    let result;
+    try {
+      result = await evaluateChart(chart, aiService, candidateProfile);
+    } catch (error) {
+      result = { chartNumber: chart.chart_number, success: false, error: error.message, baseline: null };
+    }
+
+    results.push(result);
+    console.log(result.success
+      ? `   [${i + 1}/${charts.length}] ${chart.chart_number}: F1 ${pct(result.candidate.overall.f1).trim()} (baseline ${result.baseline ? pct(result.baseline.overall.f1).trim() : '-'}), ${result.usage.totalTokens} tokens`
+      : `   [${i + 1}/${charts.length}] ${chart.chart_number}: ❌ ${result.error}`);
+  }
+
+  const succeeded = results.filter(r => r.success);
+  const usage = succeeded.reduce((sum, r) => ({
+    promptTokens: sum.promptTokens + r.usage.promptTokens,
+    completionTokens: sum.completionTokens + r.usage.completionTokens,
+    totalTokens: sum.totalTokens + r.usage.totalTokens
+  }), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    options,
+    candidate: {
+      provider: aiService.provider.name,
+      model: aiService.model,
+      profile: candidateProfile === undefined
+        ? 'per-chart selection'
+        : candidateProfile ? `${candidateProfile.name} v${candidateProfile.version}` : 'built-in default'
+    },
+    summary: {
+      charts: results.length,
+      failed: results.length - succeeded.length,
+      // Both sides are scored on the charts the candidate coded, so failures do not flatter either
+      candidate: aggregate(succeeded.map(r => r.candidate)),
+      baseline: aggregate(succeeded.filter(r => r.baseline).map(r => r.baseline)),
+      usage: {
+        ...usage,
+        perChart: succeeded.length > 0 ? Math.round(usage.totalTokens / succeeded.length) : 0
+      },
+      chunkedCharts: succeeded.filter(r => r.chunks > 1).length,
+      repairAttempts: succeeded.reduce((sum, r) => sum + (r.repairAttempts || 0), 0)
+    },
+    charts: results
+  };
+
+  printReport(report);
+
+  if (options.output) {
+    await fs.promises.writeFile(options.output, JSON.stringify(report, null, 2));
+    console.log(`📝 Report written to ${options.output}`);
+  }
+}
+
+run(process.argv.slice(2))
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Evaluation error:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
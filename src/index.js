@@ -1,8 +1,10 @@
 import express from 'express';
 import cors from 'cors';
+import { v4 as uuidv4 } from 'uuid';
 import { config } from './config.js';
 import routes from './routes/index.js';
 import { pool } from './db/connection.js';
+import { runMigrations } from './db/migrate.js';
 import { websocketService } from './services/websocketService.js';
 
 const app = express();
@@ -12,6 +14,13 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Request ID (propagated from the proxy when present) for log and audit correlation
+app.use((req, res, next) => {
+  req.requestId = req.headers['x-request-id'] || uuidv4();
+  res.setHeader('X-Request-Id', req.requestId);
+  next();
+});
+
 // Request logging
 app.use((req, res, next) => {
   if (req.method !== 'GET' || req.url.includes('/api/charts')) {
@@ -36,6 +45,9 @@ app.use((error, req, res, next) => {
   if (error.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({ success: false, error: 'File too large (max 25MB)' });
   }
+  if (error.code === 'UPLOAD_REJECTED') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
   res.status(500).json({ success: false, error: error.message });
 });
 
@@ -46,6 +58,10 @@ async function startServer() {
     await pool.query('SELECT NOW()');
     console.log('✅ Database connected');
 
+    if (config.database.migrateOnStartup) {
+      await runMigrations();
+    }
+
     // Start server and capture HTTP server instance for WebSocket
     const server = app.listen(config.port, async () => {
       console.log('\n' + '═'.repeat(50));
@@ -54,7 +70,7 @@ async function startServer() {
       console.log(`🚀 Server: http://localhost:${config.port}`);
       console.log(`📡 API: http://localhost:${config.port}/api`);
       console.log(`🔗 OCR: ${config.ocr.serviceUrl}`);
-      console.log(`🤖 AI Model: ${config.ai.model}`);
+      console.log(`🤖 AI: ${config.ai.provider} (${config.ai.provider === 'azure' ? config.ai.azure.deployment : config.ai.model})`);
       console.log(`📦 Database: Connected`);
 
       // Initialize WebSocket
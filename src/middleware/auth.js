@@ -0,0 +1,45 @@
+import jwt from 'jsonwebtoken';
+import { config } from '../config.js';
+import { UserRepository } from '../db/userRepository.js';
+
+/**
+ * Require a valid bearer token
+ * Attaches req.user = { id, userId, name, role } from the current users row,
+ * so deactivations and role changes take effect without waiting for token expiry
+ */
+export const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, config.auth.jwtSecret);
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    return res.status(401).json({ success: false, error: message });
+  }
+
+  try {
+    const user = await UserRepository.findById(payload.id);
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({ success: false, error: 'User not found or deactivated' });
+    }
+
+    req.user = {
+      id: user.id,
+      userId: user.user_id,
+      name: user.name,
+      role: user.role
+    };
+
+    next();
+  } catch (error) {
+    console.error('❌ Auth lookup error:', error.message);
+    res.status(500).json({ success: false, error: 'Authentication failed' });
+  }
+};
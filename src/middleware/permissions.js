@@ -0,0 +1,131 @@
+import { ROLES } from '../db/userRepository.js';
+
+const { ADMIN, CODER, QA } = ROLES;
+const ALL_ROLES = [ADMIN, CODER, QA];
+
+/**
+ * Route permissions - which roles may call each route
+ * Keys are referenced from the route files via authorize('<key>')
+ */
+export const PERMISSIONS = {
+  // Users (/api/auth)
+  'users:manage': [ADMIN],
+  'users:list': ALL_ROLES,
+
+  // Charts (/api/charts)
+  'charts:list': ALL_ROLES,
+  'charts:read': ALL_ROLES,
+  'charts:stats': ALL_ROLES,
+  'charts:analytics': ALL_ROLES,
+  'charts:modify': [ADMIN, CODER],
+  'charts:submit': [ADMIN, CODER],
+  'charts:retry': [ADMIN, CODER],
+  'charts:status': ALL_ROLES,      // further restricted by STATUS_TRANSITIONS
+  'charts:assign': [ADMIN],
+  'charts:claim': [ADMIN, CODER],
+  'charts:workload': [ADMIN, QA],
+  'charts:history': [ADMIN, QA],
+  'charts:delete': [ADMIN],
+  'charts:debug': [ADMIN],
+
+  // QA review (/api/charts/.../qa)
+  'qa:read': ALL_ROLES,
+  'qa:request': [ADMIN, QA],
+  'qa:review': [ADMIN, QA],
+  'qa:accuracy': [ADMIN, QA],
+
+  // Documents (/api/documents)
+  'documents:stats': ALL_ROLES,
+  'documents:status': ALL_ROLES,
+  'documents:upload': [ADMIN, CODER],
+  'documents:content': ALL_ROLES,
+
+  // Processing queue administration (/api/queue)
+  'queue:manage': [ADMIN],
+
+  // Analytics (/api/analytics)
+  'analytics:cost': [ADMIN],
+
+  // AI prompt profiles (/api/prompt-profiles)
+  'prompt-profiles:read': [ADMIN, QA],
+  'prompt-profiles:manage': [ADMIN]
+};
+
+/**
+ * Review status transitions - from -> to -> roles allowed
+ * Transitions not listed here are admin-only
+ * (submitted / qa_review are only reached through POST /:chartNumber/submit, which
+ * runs the NCCI and QA checks; qa_returned is driven by the QA endpoints)
+ */
+export const STATUS_TRANSITIONS = {
+  pending: {
+    in_review: [ADMIN, CODER]
+  },
+  in_review: {
+    pending: [ADMIN, CODER]
+  },
+  submitted: {
+    rejected: [QA],
+    in_review: [ADMIN]
+  },
+  rejected: {
+    in_review: [ADMIN, CODER],
+    pending: [ADMIN]
+  }
+};
+
+/**
+ * Send the standard 403 response
+ */
+export const forbidden = (res, message, details = {}) => {
+  return res.status(403).json({
+    success: false,
+    error: message || 'Insufficient permissions',
+    code: 'FORBIDDEN',
+    ...details
+  });
+};
+
+/**
+ * Check whether a role holds a permission
+ */
+export const hasPermission = (role, permission) => {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return allowed.includes(role);
+};
+
+/**
+ * Check whether a role may move a chart between review statuses
+ * Re-saving the current status is always allowed
+ */
+export const canTransition = (role, fromStatus, toStatus) => {
+  if (fromStatus === toStatus) return true;
+
+  const allowed = STATUS_TRANSITIONS[fromStatus]?.[toStatus];
+  if (!allowed) return role === ADMIN;
+
+  return allowed.includes(role);
+};
+
+/**
+ * Restrict a route to the roles holding a permission (use after authenticate)
+ */
+export const authorize = (permission) => {
+  // Fail fast at startup on typos instead of on the first request
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return forbidden(res, 'Insufficient permissions', {
+        permission,
+        requiredRoles: PERMISSIONS[permission]
+      });
+    }
+    next();
+  };
+};
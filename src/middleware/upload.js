@@ -1,32 +1,93 @@
 import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
 import { config } from '../config.js';
+import { storageService } from '../services/storageService.js';
+import { uploadInspectionService, uploadRejected } from '../services/uploadInspectionService.js';
 
-// Ensure upload directory exists
-if (!fs.existsSync(config.upload.uploadDir)) {
-  fs.mkdirSync(config.upload.uploadDir, { recursive: true });
-}
+/**
+ * Multer storage engine that streams each file straight into document storage
+ * (multipart S3 upload for the s3 driver) - nothing is written to local disk
+ * and at most one upload part per file is held in memory.
+ *
+ * Files land under the chart number from the form, so clients should send the
+ * text fields before the files; files that arrive first go under "unassigned".
+ * Each file is inspected on the way through (see uploadInspectionService):
+ * content that does not match its declared type fails the request; malware
+ * and risky PDFs are stored but marked quarantined.
+ * req.files entries gain { key, bucket, driver, size, sha256, detectedType,
+ * scanStatus, quarantineReason, scanner }.
+ */
+const inFlight = new WeakMap();
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, config.upload.uploadDir);
+// Abort every upload still streaming when the client goes away mid-request -
+// multer then removes whatever was already stored for the request
+const trackUpload = (req, body) => {
+  if (!inFlight.has(req)) {
+    const bodies = new Set();
+    inFlight.set(req, bodies);
+
+    req.once('close', () => {
+      if (req.complete) return;
+      for (const pending of bodies) {
+        pending.destroy(new Error('Upload aborted by client'));
+      }
+    });
+  }
+
+  const bodies = inFlight.get(req);
+  bodies.add(body);
+  body.once('close', () => bodies.delete(body));
+};
+
+const storage = {
+  _handleFile(req, file, cb) {
+    // The driver reads the inspection stream, not multer's - ours can be cut
+    // off without erroring the source stream (multer tracks that one itself)
+    const body = uploadInspectionService.inspect(file);
+    // The driver may not be reading yet (e.g. creating directories) - its own
+    // read fails with the same error, so an early one must not go unhandled
+    body.on('error', () => {});
+    trackUpload(req, body);
+
+    // Busboy truncates files over the size limit - stop the upload rather than store the prefix
+    file.stream.once('limit', () => body.destroy(new Error(`File too large: ${file.originalname}`)));
+    file.stream.pipe(body);
+
+    storageService.putUpload(body, file, {
+      chartNumber: req.body?.chartNumber || 'unassigned',
+      documentType: req.body?.documentType
+    })
+      .then(async stored => {
+        let verdict;
+        try {
+          verdict = await body.verdict();
+        } catch (verdictError) {
+          await storageService.delete({ driver: stored.driver, key: stored.key, bucket: stored.bucket }).catch(() => {});
+          return cb(verdictError);
+        }
+        cb(null, { ...stored, ...verdict });
+      })
+      .catch(error => {
+        body.destroy();
+        file.stream.unpipe(body);
+        file.stream.resume();
+        cb(error);
+      });
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const basename = path.basename(file.originalname, ext);
-    cb(null, `${basename}-${uniqueSuffix}${ext}`);
+
+  _removeFile(req, file, cb) {
+    if (!file.key) return cb(null);
+
+    storageService.delete({ driver: file.driver, key: file.key, bucket: file.bucket })
+      .then(() => cb(null), cb);
   }
-});
+};
 
 // File filter
 const fileFilter = (req, file, cb) => {
   if (config.upload.allowedMimeTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error(`Invalid file type: ${file.mimetype}`), false);
+    cb(uploadRejected(`Invalid file type: ${file.mimetype}`), false);
   }
 };
 
@@ -39,15 +100,17 @@ export const upload = multer({
   }
 });
 
-// Cleanup utility
-export const cleanupFiles = (files) => {
+/**
+ * Delete stored uploads that will not be kept (validation failed, request errored)
+ * Never throws - a failed delete is logged and left for the bucket lifecycle rules
+ */
+export const discardUploads = async (files) => {
   if (!files) return;
 
   const fileArray = Array.isArray(files) ? files : [files];
 
-  fileArray.forEach(file => {
-    if (file.path && fs.existsSync(file.path)) {
-      fs.unlinkSync(file.path);
-    }
-  });
+  await Promise.all(fileArray.filter(file => file.key).map(file =>
+    storageService.delete({ driver: file.driver, key: file.key, bucket: file.bucket })
+      .catch(error => console.error(`❌ Could not discard upload ${file.key}: ${error.message}`))
+  ));
 };
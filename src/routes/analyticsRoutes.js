@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { analyticsController } from '../controllers/analyticsController.js';
+import { authorize } from '../middleware/permissions.js';
+
+const router = Router();
+
+// AI usage and cost (from the ai_usage ledger)
+router.get('/ai-cost', authorize('analytics:cost'), analyticsController.getAICostSummary.bind(analyticsController));
+router.get('/ai-cost/by/:dimension', authorize('analytics:cost'), analyticsController.getAICostBreakdown.bind(analyticsController));
+router.get('/ai-cost/charts/:chartNumber', authorize('analytics:cost'), analyticsController.getChartAICost.bind(analyticsController));
+
+export default router;
@@ -0,0 +1,33 @@
+import { Router } from 'express';
+import { authController } from '../controllers/AuthController.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+
+const router = Router();
+
+// Public
+router.post('/login', authController.login.bind(authController));
+
+// ═══════════════════════════════════════════════════════════════
+// AUTHENTICATED USER
+// ═══════════════════════════════════════════════════════════════
+router.get('/me', authenticate, authController.getCurrentUser.bind(authController));
+router.post('/change-password', authenticate, authController.changePassword.bind(authController));
+
+// Dropdown lists
+router.get('/coders', authenticate, authorize('users:list'), authController.getCoders.bind(authController));
+router.get('/qa-users', authenticate, authorize('users:list'), authController.getQAUsers.bind(authController));
+
+// ═══════════════════════════════════════════════════════════════
+// ADMIN ONLY
+// ═══════════════════════════════════════════════════════════════
+const adminOnly = [authenticate, authorize('users:manage')];
+
+router.post('/register', ...adminOnly, authController.register.bind(authController));
+router.get('/stats', ...adminOnly, authController.getStats.bind(authController));
+router.get('/users', ...adminOnly, authController.getUsers.bind(authController));
+router.patch('/users/:userId', ...adminOnly, authController.updateUser.bind(authController));
+router.post('/users/:userId/reset-password', ...adminOnly, authController.resetPassword.bind(authController));
+router.delete('/users/:userId', ...adminOnly, authController.deleteUser.bind(authController));
+
+export default router;
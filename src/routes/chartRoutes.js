@@ -1,6 +1,10 @@
 import { Router } from 'express';
 import { chartController } from '../controllers/chartController.js';
+import { qaController } from '../controllers/qaController.js';
 import { query } from '../db/connection.js';
+import { authorize } from '../middleware/permissions.js';
+import { auditService } from '../services/auditService.js';
+import { EVENT_TYPES } from '../db/chartEventRepository.js';
 
 const router = Router();
 
@@ -9,20 +13,28 @@ const router = Router();
 // ═══════════════════════════════════════════════════════════════
 
 // SLA Statistics
-router.get('/stats/sla', chartController.getSLAStats.bind(chartController));
+router.get('/stats/sla', authorize('charts:stats'), chartController.getSLAStats.bind(chartController));
 
 // Analytics endpoints
-router.get('/analytics/modifications', chartController.getModificationAnalytics.bind(chartController));
-router.get('/analytics/dashboard', chartController.getDashboardAnalytics.bind(chartController));
+router.get('/analytics/modifications', authorize('charts:analytics'), chartController.getModificationAnalytics.bind(chartController));
+router.get('/analytics/dashboard', authorize('charts:analytics'), chartController.getDashboardAnalytics.bind(chartController));
+
+// Work queue assignment
+router.post('/claim-next', authorize('charts:claim'), chartController.claimNextChart.bind(chartController));
+router.get('/assignments/workload', authorize('charts:workload'), chartController.getWorkload.bind(chartController));
+
+// QA review queue and coder accuracy
+router.get('/qa/queue', authorize('qa:review'), qaController.getQueue.bind(qaController));
+router.get('/qa/accuracy', authorize('qa:accuracy'), qaController.getCoderAccuracy.bind(qaController));
 
 // Filter options
-router.get('/filters/facilities', chartController.getFacilities.bind(chartController));
-router.get('/filters/specialties', chartController.getSpecialties.bind(chartController));
+router.get('/filters/facilities', authorize('charts:list'), chartController.getFacilities.bind(chartController));
+router.get('/filters/specialties', authorize('charts:list'), chartController.getSpecialties.bind(chartController));
 
 // ═══════════════════════════════════════════════════════════════
 // DEBUG ENDPOINT - get raw data from database with code analysis
 // ═══════════════════════════════════════════════════════════════
-router.get('/debug/:chartNumber', async (req, res) => {
+router.get('/debug/:chartNumber', authorize('charts:debug'), async (req, res) => {
   try {
     const { chartNumber } = req.params;
 
@@ -38,6 +50,13 @@ router.get('/debug/:chartNumber', async (req, res) => {
 
     const chart = chartResult.rows[0];
 
+    await auditService.record(req, {
+      chartId: chart.id,
+      chartNumber: chart.chart_number,
+      eventType: EVENT_TYPES.PHI_VIEWED,
+      details: { view: 'debug' }
+    });
+
     // Get documents with all fields
     const docsResult = await query(
       `SELECT id, document_type, filename, original_name, file_size, mime_type, 
@@ -141,30 +160,43 @@ router.get('/debug/:chartNumber', async (req, res) => {
 // ═══════════════════════════════════════════════════════════════
 
 // Get AI status for multiple charts by session IDs
-router.post('/batch-status', chartController.getBatchStatus.bind(chartController));
+router.post('/batch-status', authorize('charts:list'), chartController.getBatchStatus.bind(chartController));
 
 // Get chart by session ID (must be before /:chartNumber)
-router.get('/session/:sessionId', chartController.getChartBySessionId.bind(chartController));
+router.get('/session/:sessionId', authorize('charts:read'), chartController.getChartBySessionId.bind(chartController));
 
 // Get all charts (work queue)
-router.get('/', chartController.getCharts.bind(chartController));
+router.get('/', authorize('charts:list'), chartController.getCharts.bind(chartController));
 
 // Get single chart with full details
-router.get('/:chartNumber', chartController.getChart.bind(chartController));
+router.get('/:chartNumber', authorize('charts:read'), chartController.getChart.bind(chartController));
 
 // Save user modifications (auto-save as user edits)
-router.post('/:chartNumber/modifications', chartController.saveModifications.bind(chartController));
+router.post('/:chartNumber/modifications', authorize('charts:modify'), chartController.saveModifications.bind(chartController));
 
 // Submit final codes to NextCode
-router.post('/:chartNumber/submit', chartController.submitCodes.bind(chartController));
+router.post('/:chartNumber/submit', authorize('charts:submit'), chartController.submitCodes.bind(chartController));
+
+// Assign / reassign chart ownership
+router.post('/:chartNumber/assign', authorize('charts:assign'), chartController.assignChart.bind(chartController));
+router.post('/:chartNumber/reassign', authorize('charts:assign'), chartController.reassignChart.bind(chartController));
+
+// QA review of a chart
+router.get('/:chartNumber/qa', authorize('qa:read'), qaController.getChartReviews.bind(qaController));
+router.post('/:chartNumber/qa/request', authorize('qa:request'), qaController.requestReview.bind(qaController));
+router.post('/:chartNumber/qa/accept', authorize('qa:review'), qaController.acceptReview.bind(qaController));
+router.post('/:chartNumber/qa/return', authorize('qa:review'), qaController.returnReview.bind(qaController));
 
 // NEW: Retry failed chart processing
-router.post('/:chartNumber/retry', chartController.retryChart.bind(chartController));
+router.post('/:chartNumber/retry', authorize('charts:retry'), chartController.retryChart.bind(chartController));
 
 // Update chart review status
-router.patch('/:chartNumber/status', chartController.updateStatus.bind(chartController));
+router.patch('/:chartNumber/status', authorize('charts:status'), chartController.updateStatus.bind(chartController));
+
+// Audit timeline
+router.get('/:chartNumber/history', authorize('charts:history'), chartController.getChartHistory.bind(chartController));
 
 // Delete chart
-router.delete('/:chartNumber', chartController.deleteChart.bind(chartController));
+router.delete('/:chartNumber', authorize('charts:delete'), chartController.deleteChart.bind(chartController));
 
 export default router;
@@ -1,28 +1,37 @@
 import { Router } from 'express';
 import { documentController } from '../controllers/documentController.js';
 import { upload } from '../middleware/upload.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
 
 const router = Router();
 
 // Health check
 router.get('/health', documentController.healthCheck.bind(documentController));
 
+// Everything below requires a signed-in user
+router.use(authenticate);
+
 // Get queue statistics
-router.get('/queue/stats', documentController.getQueueStats.bind(documentController));
+router.get('/queue/stats', authorize('documents:stats'), documentController.getQueueStats.bind(documentController));
 
 // Get transaction statistics
-router.get('/transactions/stats', documentController.getTransactionStats.bind(documentController));
+router.get('/transactions/stats', authorize('documents:stats'), documentController.getTransactionStats.bind(documentController));
 
 // Get combined dashboard statistics (charts + transactions)
-router.get('/dashboard/stats', documentController.getDashboardStats.bind(documentController));
+router.get('/dashboard/stats', authorize('documents:stats'), documentController.getDashboardStats.bind(documentController));
 
 // Get processing status for a chart
-router.get('/status/:chartNumber', documentController.getProcessingStatus.bind(documentController));
+router.get('/status/:chartNumber', authorize('documents:status'), documentController.getProcessingStatus.bind(documentController));
+
+// Short-lived signed URL for an uploaded document (audited PHI view)
+router.get('/:id/content', authorize('documents:content'), documentController.getDocumentContent.bind(documentController));
 
 // Process documents - uploads to S3 and queues for background processing
 // Now supports transaction metadata for grouping images
 router.post(
   '/process',
+  authorize('documents:upload'),
   upload.array('files', 20),
   documentController.processDocuments.bind(documentController)
 );
@@ -1,11 +1,27 @@
 import { Router } from 'express';
 import documentRoutes from './documentRoutes.js';
 import chartRoutes from './chartRoutes.js';
+import authRoutes from './authRoutes.js';
+import promptProfileRoutes from './promptProfileRoutes.js';
+import analyticsRoutes from './analyticsRoutes.js';
+import queueRoutes from './queueRoutes.js';
+import storageRoutes from './storageRoutes.js';
+import { authenticate } from '../middleware/auth.js';
+import { config } from '../config.js';
 
 const router = Router();
 
-router.use('/documents', documentRoutes);
-router.use('/charts', chartRoutes);
+router.use('/auth', authRoutes);
+router.use('/documents', documentRoutes); // authenticates after the public health check
+router.use('/charts', authenticate, chartRoutes);
+router.use('/prompt-profiles', authenticate, promptProfileRoutes);
+router.use('/analytics', authenticate, analyticsRoutes);
+router.use('/queue', authenticate, queueRoutes);
+
+// Presigned local-driver URLs - only served when uploads go to local storage
+if (config.storage.driver === 'local') {
+  router.use('/storage', storageRoutes);
+}
 
 router.get('/', (req, res) => {
   res.json({
@@ -13,24 +29,75 @@ router.get('/', (req, res) => {
     version: '1.1.0',
     mode: 'async-queue',
     endpoints: {
+      auth: {
+        login: 'POST /api/auth/login',
+        me: 'GET /api/auth/me',
+        changePassword: 'POST /api/auth/change-password',
+        register: 'POST /api/auth/register',
+        users: 'GET /api/auth/users',
+        updateUser: 'PATCH /api/auth/users/:userId',
+        resetPassword: 'POST /api/auth/users/:userId/reset-password',
+        deleteUser: 'DELETE /api/auth/users/:userId',
+        stats: 'GET /api/auth/stats',
+        coders: 'GET /api/auth/coders',
+        qaUsers: 'GET /api/auth/qa-users'
+      },
       documents: {
         process: 'POST /api/documents/process',
         status: 'GET /api/documents/status/:chartNumber',
+        content: 'GET /api/documents/:id/content?download=&redirect=',
         queueStats: 'GET /api/documents/queue/stats',
         health: 'GET /api/documents/health'
       },
       charts: {
-        list: 'GET /api/charts',
+        list: 'GET /api/charts?queue=mine|unassigned',
+        claimNext: 'POST /api/charts/claim-next',
+        assign: 'POST /api/charts/:chartNumber/assign',
+        reassign: 'POST /api/charts/:chartNumber/reassign',
+        workload: 'GET /api/charts/assignments/workload',
+        qaQueue: 'GET /api/charts/qa/queue',
+        qaAccuracy: 'GET /api/charts/qa/accuracy',
+        qaReviews: 'GET /api/charts/:chartNumber/qa',
+        qaRequest: 'POST /api/charts/:chartNumber/qa/request',
+        qaAccept: 'POST /api/charts/:chartNumber/qa/accept',
+        qaReturn: 'POST /api/charts/:chartNumber/qa/return',
         get: 'GET /api/charts/:chartNumber',
         modifications: 'POST /api/charts/:chartNumber/modifications',
         submit: 'POST /api/charts/:chartNumber/submit',
         updateStatus: 'PATCH /api/charts/:chartNumber/status',
+        history: 'GET /api/charts/:chartNumber/history',
         delete: 'DELETE /api/charts/:chartNumber',
         slaStats: 'GET /api/charts/stats/sla',
         dashboardAnalytics: 'GET /api/charts/analytics/dashboard',
         modificationAnalytics: 'GET /api/charts/analytics/modifications',
         facilities: 'GET /api/charts/filters/facilities',
         specialties: 'GET /api/charts/filters/specialties'
+      },
+      queue: {
+        jobs: 'GET /api/queue/jobs?status=pending|processing|retrying|dead_letter|completed|cancelled&facility=&errorClass=&chartNumber=',
+        job: 'GET /api/queue/jobs/:jobId',
+        requeue: 'POST /api/queue/jobs/:jobId/requeue',
+        cancel: 'POST /api/queue/jobs/:jobId/cancel',
+        purge: 'DELETE /api/queue/jobs/:jobId',
+        setPriority: 'PATCH /api/queue/jobs/:jobId/priority',
+        deadLetter: 'GET /api/queue/dead-letter?errorClass=&facility=',
+        deadLetterRequeue: 'POST /api/queue/dead-letter/requeue',
+        deadLetterPurge: 'POST /api/queue/dead-letter/purge',
+        housekeeping: 'POST /api/queue/housekeeping/run'
+      },
+      analytics: {
+        aiCost: 'GET /api/analytics/ai-cost?startDate=&endDate=&facility=&specialty=&model=&source=',
+        aiCostBreakdown: 'GET /api/analytics/ai-cost/by/:dimension (facility|specialty|day|month|model|call-type|chart)',
+        chartAICost: 'GET /api/analytics/ai-cost/charts/:chartNumber'
+      },
+      promptProfiles: {
+        list: 'GET /api/prompt-profiles',
+        resolve: 'GET /api/prompt-profiles/resolve?specialty=&facility=&documentType=',
+        get: 'GET /api/prompt-profiles/:id',
+        version: 'GET /api/prompt-profiles/:id/versions/:version',
+        create: 'POST /api/prompt-profiles',
+        update: 'PATCH /api/prompt-profiles/:id',
+        deactivate: 'DELETE /api/prompt-profiles/:id'
       }
     }
   });
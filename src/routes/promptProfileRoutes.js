@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { promptProfileController } from '../controllers/promptProfileController.js';
+import { authorize } from '../middleware/permissions.js';
+
+const router = Router();
+
+// Static routes before :id
+router.get('/', authorize('prompt-profiles:read'), promptProfileController.list.bind(promptProfileController));
+router.get('/resolve', authorize('prompt-profiles:read'), promptProfileController.resolve.bind(promptProfileController));
+
+router.get('/:id', authorize('prompt-profiles:read'), promptProfileController.get.bind(promptProfileController));
+router.get('/:id/versions/:version', authorize('prompt-profiles:read'), promptProfileController.getVersion.bind(promptProfileController));
+
+router.post('/', authorize('prompt-profiles:manage'), promptProfileController.create.bind(promptProfileController));
+router.patch('/:id', authorize('prompt-profiles:manage'), promptProfileController.update.bind(promptProfileController));
+router.delete('/:id', authorize('prompt-profiles:manage'), promptProfileController.deactivate.bind(promptProfileController));
+
+export default router;
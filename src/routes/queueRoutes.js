@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { queueController } from '../controllers/queueController.js';
+import { authorize } from '../middleware/permissions.js';
+
+const router = Router();
+
+// Job console
+router.get('/jobs', authorize('queue:manage'), queueController.listJobs.bind(queueController));
+router.get('/jobs/:jobId', authorize('queue:manage'), queueController.getJob.bind(queueController));
+router.post('/jobs/:jobId/requeue', authorize('queue:manage'), queueController.requeueJob.bind(queueController));
+router.post('/jobs/:jobId/cancel', authorize('queue:manage'), queueController.cancelJob.bind(queueController));
+router.delete('/jobs/:jobId', authorize('queue:manage'), queueController.purgeJob.bind(queueController));
+
+// Job priority (routine | urgent | stat | 0-100)
+router.patch('/jobs/:jobId/priority', authorize('queue:manage'), queueController.setJobPriority.bind(queueController));
+
+// Dead-letter queue (jobs that used up max_attempts)
+router.get('/dead-letter', authorize('queue:manage'), queueController.getDeadLetters.bind(queueController));
+router.post('/dead-letter/requeue', authorize('queue:manage'), queueController.requeueDeadLetters.bind(queueController));
+router.post('/dead-letter/purge', authorize('queue:manage'), queueController.purgeDeadLetters.bind(queueController));
+
+// Run a housekeeping pass now (stuck job release + old job cleanup)
+router.post('/housekeeping/run', authorize('queue:manage'), queueController.runHousekeeping.bind(queueController));
+
+export default router;
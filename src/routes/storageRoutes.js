@@ -0,0 +1,9 @@
+import { Router } from 'express';
+import { documentController } from '../controllers/documentController.js';
+
+const router = Router();
+
+// Files presigned by the local storage driver - authorized by the URL signature, not a session
+router.get('/local', documentController.serveLocalContent.bind(documentController));
+
+export default router;
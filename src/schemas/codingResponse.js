@@ -0,0 +1,248 @@
+import Ajv from 'ajv';
+
+/**
+ * JSON Schema for the AI coding response (the structure requested in AIService.buildUserPrompt)
+ *
+ * Strict on what the coding pipeline depends on - every category present, code
+ * formats, confidence values, evidence on every code, the feedback lists - and
+ * lenient on the free-text narrative, which is displayed as-is
+ */
+
+const CONFIDENCE = { type: 'string', enum: ['high', 'medium', 'low'] };
+
+const EVIDENCE_ITEM = {
+  type: 'object',
+  required: ['exact_text'],
+  properties: {
+    document_type: { type: 'string' },
+    document_name: { type: 'string' },
+    line_number: { type: ['string', 'integer'] },
+    exact_text: { type: 'string', minLength: 1 }
+  }
+};
+
+// Diagnoses and E/M levels use an evidence array, procedures and modifiers a single object
+const EVIDENCE = {
+  anyOf: [
+    EVIDENCE_ITEM,
+    { type: 'array', items: EVIDENCE_ITEM, minItems: 1 }
+  ]
+};
+
+const ICD10_CODE = {
+  type: 'object',
+  required: ['icd_10_code', 'description', 'confidence', 'evidence'],
+  properties: {
+    icd_10_code: { type: 'string', pattern: '^[A-Za-z][0-9][0-9A-Za-z](\\.?[0-9A-Za-z]{1,4})?$' },
+    description: { type: 'string' },
+    ai_reasoning: { type: 'string' },
+    confidence: CONFIDENCE,
+    evidence: EVIDENCE
+  }
+};
+
+const PROCEDURE_CODE = {
+  type: 'object',
+  required: ['cpt_code', 'confidence', 'evidence'],
+  properties: {
+    cpt_code: { type: 'string', pattern: '^[0-9A-Za-z]{5}$' },
+    procedure_name: { type: 'string' },
+    description: { type: 'string' },
+    ai_reasoning: { type: 'string' },
+    confidence: CONFIDENCE,
+    evidence: EVIDENCE
+  }
+};
+
+const EM_CODE = {
+  type: 'object',
+  required: ['code', 'confidence', 'evidence'],
+  properties: {
+    code: { type: 'string', pattern: '^[0-9A-Za-z]{5}$' },
+    description: { type: 'string' },
+    level_justification: { type: 'object' },
+    ai_reasoning: { type: 'string' },
+    confidence: CONFIDENCE,
+    evidence: EVIDENCE
+  }
+};
+
+const MODIFIER_CODE = {
+  type: 'object',
+  required: ['modifier_code', 'applies_to_code', 'confidence'],
+  properties: {
+    modifier_code: { type: 'string', pattern: '^[0-9A-Za-z]{2}$' },
+    modifier_name: { type: 'string' },
+    applies_to_code: { type: 'string' },
+    ai_reasoning: { type: 'string' },
+    confidence: CONFIDENCE,
+    evidence: EVIDENCE
+  }
+};
+
+const category = (codeSchema, extra = {}) => ({
+  type: 'object',
+  required: ['codes'],
+  properties: {
+    codes: { type: 'array', items: codeSchema, ...extra }
+  }
+});
+
+const feedbackList = (required) => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    required,
+    properties: Object.fromEntries(required.map(key => [key, { type: 'string' }]))
+  }
+});
+
+export const CODING_RESPONSE_SCHEMA = {
+  $id: 'coding-response',
+  type: 'object',
+  required: ['ai_narrative_summary', 'coding_categories', 'feedback', 'metadata'],
+  properties: {
+    ai_narrative_summary: { type: 'object' },
+    coding_categories: {
+      type: 'object',
+      required: [
+        'reason_for_admit',
+        'primary_diagnosis',
+        'secondary_diagnoses',
+        'procedures',
+        'ed_em_level',
+        'modifiers'
+      ],
+      properties: {
+        reason_for_admit: category(ICD10_CODE),
+        primary_diagnosis: category(ICD10_CODE, { minItems: 1, maxItems: 1 }),
+        secondary_diagnoses: category(ICD10_CODE),
+        procedures: category(PROCEDURE_CODE),
+        ed_em_level: category(EM_CODE),
+        modifiers: category(MODIFIER_CODE)
+      }
+    },
+    feedback: {
+      type: 'object',
+      required: ['documentation_gaps', 'physician_queries_needed', 'coding_tips', 'compliance_alerts'],
+      properties: {
+        documentation_gaps: feedbackList(['gap']),
+        physician_queries_needed: feedbackList(['query']),
+        coding_tips: feedbackList(['tip']),
+        compliance_alerts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['alert', 'severity'],
+            properties: {
+              alert: { type: 'string' },
+              severity: { type: 'string', enum: ['high', 'medium', 'low'] }
+            }
+          }
+        }
+      }
+    },
+    medications: { type: 'array', items: { type: 'object' } },
+    vitals_summary: { type: 'object' },
+    lab_results_summary: { type: 'array', items: { type: 'object' } },
+    metadata: { type: 'object' }
+  }
+};
+
+// A chunk of a large chart may not contain the primary diagnosis - the merged result must
+const PARTIAL_CODING_RESPONSE_SCHEMA = structuredClone(CODING_RESPONSE_SCHEMA);
+PARTIAL_CODING_RESPONSE_SCHEMA.$id = 'coding-response-partial';
+PARTIAL_CODING_RESPONSE_SCHEMA.properties.coding_categories.properties.primary_diagnosis.properties.codes.minItems = 0;
+
+const ajv = new Ajv({ allErrors: true, strict: true, allowUnionTypes: true });
+const validateFull = ajv.compile(CODING_RESPONSE_SCHEMA);
+const validatePartial = ajv.compile(PARTIAL_CODING_RESPONSE_SCHEMA);
+
+// Cap on the errors reported back to the model / into the job error
+const MAX_REPORTED_ERRORS = 25;
+
+/**
+ * Validate a parsed coding response
+ * `partial` validates one chunk of a chunked chart (primary diagnosis optional)
+ * Returns { valid, errors } - errors are "path: message" strings
+ */
+export function validateCodingResponse(response, { partial = false } = {}) {
+  const validate = partial ? validatePartial : validateFull;
+
+  if (validate(response)) {
+    return { valid: true, errors: [] };
+  }
+
+  // anyOf reports every failed branch separately - fold the non-type branch
+  // failures into the anyOf summary so the message says what to fix
+  const branchDetail = (error) => {
+    const details = validate.errors
+      .filter(other => other.schemaPath.startsWith(`${error.schemaPath}/`)
+        && other.instancePath.startsWith(error.instancePath)
+        && other.keyword !== 'type')
+      .map(other => `${other.instancePath}: ${other.message}`);
+    return details.length > 0 ? ` (${[...new Set(details)].join('; ')})` : '';
+  };
+
+  const errors = validate.errors
+    .filter(error => !error.schemaPath.includes('/anyOf/'))
+    .slice(0, MAX_REPORTED_ERRORS)
+    .map(error => {
+      let detail = '';
+      if (error.keyword === 'enum') detail = ` (${error.params.allowedValues.join(', ')})`;
+      if (error.keyword === 'anyOf') detail = branchDetail(error);
+      return `${error.instancePath || '/'}: ${error.message}${detail}`;
+    });
+
+  return { valid: false, errors };
+}
+
+const LOWERCASE_ENUM_KEYS = ['confidence', 'severity', 'priority'];
+
+/**
+ * Deterministic fixes for harmless deviations, applied before validation so only
+ * real structural problems cost a round-trip to the model:
+ * - missing categories / feedback lists become empty lists
+ * - "High" / "HIGH" enum values are lowercased
+ * - a category given as a bare array is wrapped as { codes: [...] }
+ */
+export function normalizeCodingResponse(response) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) return response;
+
+  const categories = response.coding_categories;
+  if (categories && typeof categories === 'object') {
+    for (const key of CODING_RESPONSE_SCHEMA.properties.coding_categories.required) {
+      if (categories[key] === undefined || categories[key] === null) {
+        categories[key] = { codes: [] };
+      } else if (Array.isArray(categories[key])) {
+        categories[key] = { codes: categories[key] };
+      }
+    }
+  }
+
+  if (response.feedback && typeof response.feedback === 'object') {
+    for (const key of CODING_RESPONSE_SCHEMA.properties.feedback.required) {
+      if (response.feedback[key] === undefined || response.feedback[key] === null) {
+        response.feedback[key] = [];
+      }
+    }
+  }
+
+  const lowercaseEnums = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(lowercaseEnums);
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        if (LOWERCASE_ENUM_KEYS.includes(key) && typeof child === 'string') {
+          value[key] = child.trim().toLowerCase();
+        } else {
+          lowercaseEnums(child);
+        }
+      }
+    }
+  };
+  lowercaseEnums(categories);
+  lowercaseEnums(response.feedback);
+
+  return response;
+}
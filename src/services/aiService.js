@@ -1,16 +1,69 @@
-import OpenAI from 'openai';
 import { config } from '../config.js';
+import { createLLMProvider } from './llmProviders.js';
+import { validateCodingResponse, normalizeCodingResponse } from '../schemas/codingResponse.js';
+import { chunkDocuments, estimateTokens } from '../utils/documentChunker.js';
+import { mergeCodingResponses } from '../utils/codingMerge.js';
+import { aiUsageService } from './aiUsageService.js';
+import { createLimiter, withRateLimitRetry } from '../utils/concurrency.js';
+import { promptProfileService, CODING_CATEGORIES, DEFAULT_EM_CODE_FAMILIES } from './promptProfileService.js';
+
+// Guideline section of the built-in prompt (a profile's guidelines replace it)
+const DEFAULT_GUIDELINES = `1. **Reason for Admit vs Primary Diagnosis**:
+   - Reason for Admit: Why the patient came in (chief complaint as ICD-10)
+   - Primary Diagnosis: What was found/diagnosed after evaluation
+   - These may be the same or different depending on the case
 
-class AIService {
-  constructor() {
-    this.client = new OpenAI({
-      apiKey: config.ai.apiKey
-    });
-    this.model = config.ai.model;
+2. **ED/EM Level Selection (99281-99285)**:
+   - 99281: Straightforward MDM, self-limited problem
+   - 99282: Low MDM, 2+ self-limited problems or 1 acute uncomplicated
+   - 99283: Moderate MDM, 1 acute uncomplicated illness with systemic symptoms
+   - 99284: Moderate-High MDM, 1 acute illness with systemic symptoms or 1 acute complicated injury
+   - 99285: High MDM, 1+ acute/chronic illness posing threat to life or function
+
+3. **Secondary Diagnoses - Include ALL of these if documented**:
+   - Active conditions being treated
+   - Chronic conditions (diabetes, hypertension, COPD, etc.)
+   - Family history codes (Z80-Z84)
+   - Personal history codes (Z85-Z87)
+   - Status codes (Z93-Z99)
+   - BMI codes if documented
+   - Tobacco/alcohol use codes
+   - Screening encounter codes
+   - External cause codes for injuries
+
+4. **Modifiers - Common combinations**:
+   - E/M + Procedure: Usually needs modifier 25 on E/M
+   - Multiple procedures: May need 59, XE, XS, XP, or XU
+   - Screening procedures: PT modifier
+   - Bilateral: 50 or RT/LT
+
+5. **Clinical Summary Requirements**:
+   - Be comprehensive - include all documented findings
+   - Organize by clinical relevance
+   - Highlight critical values and abnormal findings
+   - Note any missing documentation`;
+
+const entryCode = (entry) => entry?.icd_10_code || entry?.cpt_code || entry?.code || entry?.modifier_code || null;
+
+/**
+ * `aiConfig` defaults to config.ai - the evaluation harness passes an override
+ * to try a candidate model without touching the shared instance
+ */
+export class AIService {
+  constructor(aiConfig = config.ai) {
+    this.provider = createLLMProvider(aiConfig);
+    this.model = this.provider.model;
+    this.repairAttempts = Math.max(aiConfig.repairAttempts || 0, 0);
+    this.contextTokens = aiConfig.contextTokens;
+    this.maxCompletionTokens = aiConfig.maxCompletionTokens;
+    this.charsPerToken = aiConfig.charsPerToken;
+    // Bounds model calls in flight across every caller of this instance
+    this.limit = createLimiter(aiConfig.concurrency);
+    this.rateLimitRetries = aiConfig.rateLimitRetries;
   }
 
   /**
-   * Build the system prompt for medical coding
+   * Build the built-in system prompt for medical coding (prompt profiles bring their own)
    */
   getSystemPrompt() {
     return `You are an expert medical coder and clinical documentation specialist with extensive experience in ED/Emergency Department coding, ICD-10-CM diagnosis coding, CPT procedure coding, and modifier application.
@@ -66,23 +119,65 @@ CRITICAL REQUIREMENTS:
 OUTPUT FORMAT: Valid JSON only, no markdown.`;
   }
 
+  /**
+   * The built-in ED/outpatient profile, used when no prompt profile matches the chart
+   */
+  getDefaultProfile() {
+    return {
+      id: null,
+      name: 'default',
+      version: null,
+      systemPrompt: this.getSystemPrompt(),
+      guidelines: DEFAULT_GUIDELINES,
+      emCodeFamilies: DEFAULT_EM_CODE_FAMILIES,
+      outputCategories: CODING_CATEGORIES
+    };
+  }
+
+  /**
+   * Prompt section telling the model which categories and E/M codes the profile allows
+   */
+  buildScopeSection(profile) {
+    const skipped = CODING_CATEGORIES.filter(category => !profile.outputCategories.includes(category));
+    const lines = [`CODING SCOPE:`];
+
+    if (skipped.length > 0) {
+      lines.push(`- Do not code these categories - return an empty codes list for each: ${skipped.join(', ')}`);
+    }
+    if (profile.outputCategories.includes('ed_em_level')) {
+      lines.push(`- E/M levels may only come from these code ranges: ${profile.emCodeFamilies.join(', ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * Build the user prompt with document content
    */
-  buildUserPrompt(formattedDocuments, chartInfo) {
+  buildUserPrompt(formattedDocuments, chartInfo, chunk = null, profile = this.getDefaultProfile()) {
     const documentContent = formattedDocuments.map(doc => {
       const lines = doc.content.map(l => `[Line ${l.lineNumber}] ${l.text}`).join('\n');
+      const part = doc.part
+        ? `\nShowing: Lines ${doc.part.startLine}-${doc.part.endLine} (part ${doc.part.index} of ${doc.part.total})`
+        : '';
       return `
 === DOCUMENT: ${doc.documentName} ===
 Type: ${doc.documentType}
-Total Lines: ${doc.totalLines}
+Total Lines: ${doc.totalLines}${part}
 
 CONTENT:
 ${lines}
 `;
     }).join('\n\n');
 
-    return `Analyze the following clinical documents and extract ALL applicable medical codes with a detailed clinical summary.
+    const chunkNote = chunk
+      ? `NOTE: This chart is too large for a single request and is being coded in ${chunk.total} parts - this is part ${chunk.index}.
+Code ONLY what is documented in the documents below. Leave primary_diagnosis.codes empty if these documents do not establish the principal diagnosis.
+
+`
+      : '';
+
+    return `${chunkNote}Analyze the following clinical documents and extract ALL applicable medical codes with a detailed clinical summary.
 
 PATIENT INFORMATION:
 - MRN: ${chartInfo.mrn || 'Not provided'}
@@ -430,97 +525,259 @@ Extract ALL codes and respond with this JSON structure:
 
 IMPORTANT CODING GUIDELINES:
 
-1. **Reason for Admit vs Primary Diagnosis**:
-   - Reason for Admit: Why the patient came in (chief complaint as ICD-10)
-   - Primary Diagnosis: What was found/diagnosed after evaluation
-   - These may be the same or different depending on the case
+${profile.guidelines || DEFAULT_GUIDELINES}
 
-2. **ED/EM Level Selection (99281-99285)**:
-   - 99281: Straightforward MDM, self-limited problem
-   - 99282: Low MDM, 2+ self-limited problems or 1 acute uncomplicated
-   - 99283: Moderate MDM, 1 acute uncomplicated illness with systemic symptoms
-   - 99284: Moderate-High MDM, 1 acute illness with systemic symptoms or 1 acute complicated injury
-   - 99285: High MDM, 1+ acute/chronic illness posing threat to life or function
+${this.buildScopeSection(profile)}
 
-3. **Secondary Diagnoses - Include ALL of these if documented**:
-   - Active conditions being treated
-   - Chronic conditions (diabetes, hypertension, COPD, etc.)
-   - Family history codes (Z80-Z84)
-   - Personal history codes (Z85-Z87)
-   - Status codes (Z93-Z99)
-   - BMI codes if documented
-   - Tobacco/alcohol use codes
-   - Screening encounter codes
-   - External cause codes for injuries
+REQUIREMENTS:
+- Extract ALL codes supported by documentation - be thorough!
+- Every code MUST have evidence with exact_text from the document
+- Return ONLY valid JSON, no markdown code blocks`;
+  }
 
-4. **Modifiers - Common combinations**:
-   - E/M + Procedure: Usually needs modifier 25 on E/M
-   - Multiple procedures: May need 59, XE, XS, XP, or XU
-   - Screening procedures: PT modifier
-   - Bilateral: 50 or RT/LT
+  /**
+   * Parse model output as JSON
+   * Returns { result } or { error } - never a placeholder object
+   */
+  parseJSON(textContent) {
+    if (!textContent) {
+      return { error: 'Empty response from AI' };
+    }
 
-5. **Clinical Summary Requirements**:
-   - Be comprehensive - include all documented findings
-   - Organize by clinical relevance
-   - Highlight critical values and abnormal findings
-   - Note any missing documentation
+    try {
+      return { result: JSON.parse(textContent) };
+    } catch (parseError) {
+      // Models occasionally wrap the object in prose or a markdown fence
+      const start = textContent.indexOf('{');
+      const end = textContent.lastIndexOf('}');
+      if (start !== -1 && end > start) {
+        try {
+          return { result: JSON.parse(textContent.slice(start, end + 1)) };
+        } catch (e) {
+          // Fall through to the original parse error
+        }
+      }
+      return { error: `Response is not valid JSON: ${parseError.message}` };
+    }
+  }
+
+  /**
+   * Parse, normalize and schema-validate a coding response
+   * `partial` relaxes the schema for one chunk of a chunked chart
+   * Returns { result, errors } - errors is empty when the response is usable
+   */
+  checkCodingResponse(textContent, { partial = false } = {}) {
+    const parsed = this.parseJSON(textContent);
+    if (parsed.error) {
+      return { result: null, errors: [parsed.error] };
+    }
+
+    const result = normalizeCodingResponse(parsed.result);
+    const { errors } = validateCodingResponse(result, { partial });
+    return { result, errors };
+  }
+
+  /**
+   * Re-ask prompt listing exactly what failed validation
+   */
+  buildRepairPrompt(errors) {
+    return `Your previous response does not match the required JSON structure. Fix these problems:
+
+${errors.map(e => `- ${e}`).join('\n')}
 
-6. Extract ALL codes supported by documentation - be thorough!
-7. Every code MUST have evidence with exact_text from the document
-8. Return ONLY valid JSON, no markdown code blocks`;
+Paths use JSON Pointer notation (e.g. /coding_categories/procedures/codes/0/evidence).
+Keep every code that is supported by the documents, and make sure each one keeps its evidence with exact_text.
+Return the COMPLETE corrected JSON object only - no markdown, no explanation.`;
+  }
+
+  /**
+   * Call the provider and write the call to the AI usage ledger
+   * Calls wait for a free slot (config.ai.concurrency) and back off on HTTP 429
+   * `usageContext` identifies the chart/job/document (see aiUsageService.record)
+   */
+  async complete(request, usageContext = null) {
+    const call = { callType: request.purpose, provider: this.provider.name, model: this.model };
+
+    return this.limit(async () => {
+      const startTime = Date.now();
+
+      try {
+        const response = await withRateLimitRetry(() => this.provider.complete(request), {
+          retries: this.rateLimitRetries,
+          label: `AI ${request.purpose}`
+        });
+        await aiUsageService.record(usageContext, {
+          ...call,
+          model: response.model || this.model,
+          usage: response.usage,
+          durationMs: Date.now() - startTime
+        });
+        return response;
+      } catch (error) {
+        await aiUsageService.record(usageContext, {
+          ...call,
+          durationMs: Date.now() - startTime,
+          success: false,
+          error: error.message
+        });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Estimated tokens available for document content in one coding request
+   */
+  getDocumentBudget(chartInfo, profile) {
+    const overhead = estimateTokens(profile.systemPrompt, this.charsPerToken)
+      + estimateTokens(this.buildUserPrompt([], chartInfo, { index: 1, total: 1 }, profile), this.charsPerToken);
+
+    // 10% margin for the estimate being off on dense text
+    return Math.floor((this.contextTokens - this.maxCompletionTokens - overhead) * 0.9);
+  }
+
+  /**
+   * Code one group of documents, re-asking while the response fails the schema
+   * Returns { result, errors, model, usage, repairAttempts }
+   */
+  async codeDocuments(formattedDocuments, chartInfo, chunk, profile, usageContext) {
+    const messages = [
+      {
+        role: 'system',
+        content: profile.systemPrompt
+      },
+      {
+        role: 'user',
+        content: this.buildUserPrompt(formattedDocuments, chartInfo, chunk, profile)
+      }
+    ];
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+    let response;
+    let checked;
+    let repairAttempts = 0;
+
+    while (true) {
+      response = await this.complete({
+        purpose: repairAttempts === 0 ? 'coding' : 'coding_repair',
+        messages,
+        maxTokens: this.maxCompletionTokens,
+        temperature: 0.1,
+        json: true
+      }, usageContext);
+
+      usage.promptTokens += response.usage.promptTokens || 0;
+      usage.completionTokens += response.usage.completionTokens || 0;
+      usage.totalTokens += response.usage.totalTokens || 0;
+
+      checked = this.checkCodingResponse(response.content, { partial: Boolean(chunk) });
+      if (checked.errors.length === 0 || repairAttempts >= this.repairAttempts) break;
+
+      repairAttempts++;
+      console.warn(`⚠️ AI coding response${chunk ? ` (part ${chunk.index}/${chunk.total})` : ''} failed validation (${checked.errors.length} error(s)) - re-asking (${repairAttempts}/${this.repairAttempts})`);
+      messages.push(
+        { role: 'assistant', content: response.content || '' },
+        { role: 'user', content: this.buildRepairPrompt(checked.errors) }
+      );
+    }
+
+    return { result: checked.result, errors: checked.errors, model: response.model, usage, repairAttempts };
   }
 
   /**
    * Process documents through AI for ICD coding
+   *
+   * Charts that fit the context window are coded in one request. Larger charts
+   * are chunked (whole documents where possible, line ranges otherwise), each
+   * chunk is coded separately and the results are merged - see utils/codingMerge.js
+   *
+   * Every response must pass the coding schema; failures get up to
+   * config.ai.repairAttempts re-ask round-trips, after which the call fails
+   * rather than returning an empty code set
+   *
+   * Options:
+   * - profile: the prompt profile selected for the chart (promptProfileService.resolve);
+   *   null uses the built-in prompt
+   * - usageContext: chart/job the model calls are recorded against in the usage ledger
    */
-  async processForCoding(formattedDocuments, chartInfo) {
+  async processForCoding(formattedDocuments, chartInfo, { profile = null, usageContext = null } = {}) {
     try {
-      const response = await this.client.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: this.buildUserPrompt(formattedDocuments, chartInfo)
-          }
-        ],
-        max_completion_tokens: 12000,
-        temperature: 0.1,
-        response_format: { type: "json_object" }
+      profile = profile || this.getDefaultProfile();
+
+      const chunks = chunkDocuments(formattedDocuments, {
+        budget: this.getDocumentBudget(chartInfo, profile),
+        charsPerToken: this.charsPerToken
       });
 
-      const textContent = response.choices[0]?.message?.content;
-      if (!textContent) {
-        throw new Error('No response from AI');
+      const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+      const results = [];
+      let repairAttempts = 0;
+      let model = this.model;
+
+      if (chunks.length > 1) {
+        console.log(`📚 Chart exceeds the context window - coding in ${chunks.length} chunks`);
       }
 
-      let result;
-      try {
-        result = JSON.parse(textContent);
-      } catch (parseError) {
-        const jsonMatch = textContent.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          result = JSON.parse(jsonMatch[0]);
-        } else {
-          result = {
-            raw_response: textContent,
-            parse_error: parseError.message
+      for (const [i, documents] of chunks.entries()) {
+        const chunk = chunks.length > 1 ? { index: i + 1, total: chunks.length } : null;
+        const coded = await this.codeDocuments(documents, chartInfo, chunk, profile, usageContext);
+
+        usage.promptTokens += coded.usage.promptTokens;
+        usage.completionTokens += coded.usage.completionTokens;
+        usage.totalTokens += coded.usage.totalTokens;
+        repairAttempts += coded.repairAttempts;
+        model = coded.model;
+
+        if (coded.errors.length > 0) {
+          return {
+            success: false,
+            error: `AI coding response${chunk ? ` for part ${chunk.index}/${chunk.total}` : ''} failed schema validation after ${coded.repairAttempts} repair attempt(s): ${coded.errors.slice(0, 5).join('; ')}`,
+            validationErrors: coded.errors
+          };
+        }
+
+        results.push(coded.result);
+      }
+
+      let result = results[0];
+      if (results.length > 1) {
+        result = mergeCodingResponses(results);
+        result.metadata.documents_analyzed = formattedDocuments.length;
+
+        const { errors } = validateCodingResponse(result);
+        if (errors.length > 0) {
+          return {
+            success: false,
+            error: `Merged coding result failed schema validation: ${errors.slice(0, 5).join('; ')}`,
+            validationErrors: errors
           };
         }
       }
 
+      const outOfScope = this.applyProfileScope(result, profile);
+      if (outOfScope.length > 0) {
+        console.warn(`⚠️ Removed ${outOfScope.length} code(s) outside prompt profile "${profile.name}"`);
+      }
+
       // Transform to database format
       const transformedResult = this.transformToDBFormat(result);
+      transformedResult.coding_notes.prompt_profile = {
+        id: profile.id,
+        name: profile.name,
+        version: profile.version,
+        out_of_scope: outOfScope
+      };
 
-      // Add token usage info
+      // Add token usage info (summed over chunks and repair round-trips)
       transformedResult.ai_metadata = {
-        model: this.model,
-        prompt_tokens: response.usage?.prompt_tokens,
-        completion_tokens: response.usage?.completion_tokens,
-        total_tokens: response.usage?.total_tokens
+        provider: this.provider.name,
+        model,
+        prompt_tokens: usage.promptTokens,
+        completion_tokens: usage.completionTokens,
+        total_tokens: usage.totalTokens,
+        repair_attempts: repairAttempts,
+        chunks: chunks.length,
+        prompt_profile: { id: profile.id, name: profile.name, version: profile.version }
       };
 
       return {
@@ -535,6 +792,37 @@ IMPORTANT CODING GUIDELINES:
     }
   }
 
+  /**
+   * Drop codes the profile does not allow, in place - categories it does not
+   * request and E/M levels outside its code families
+   * Returns the removed codes
+   */
+  applyProfileScope(result, profile) {
+    const removed = [];
+    const categories = result.coding_categories || {};
+
+    for (const category of CODING_CATEGORIES) {
+      const codes = categories[category]?.codes || [];
+
+      // The schema requires a primary diagnosis, so it is never dropped
+      if (category !== 'primary_diagnosis' && !profile.outputCategories.includes(category)) {
+        removed.push(...codes.map(entry => ({ category, code: entryCode(entry), reason: 'category_not_in_profile' })));
+        categories[category] = { ...categories[category], codes: [] };
+      }
+    }
+
+    const emCodes = categories.ed_em_level?.codes || [];
+    const allowed = emCodes.filter(entry => promptProfileService.isEmCodeAllowed(entry.code, profile.emCodeFamilies));
+    if (allowed.length < emCodes.length) {
+      removed.push(...emCodes
+        .filter(entry => !allowed.includes(entry))
+        .map(entry => ({ category: 'ed_em_level', code: entry.code, reason: 'em_family_not_in_profile' })));
+      categories.ed_em_level.codes = allowed;
+    }
+
+    return removed;
+  }
+
   /**
    * Transform AI response to database format
    */
@@ -586,14 +874,14 @@ IMPORTANT CODING GUIDELINES:
   /**
    * Generate a summary for a single document
    */
-  async generateDocumentSummary(ocrResult, chartInfo) {
+  async generateDocumentSummary(ocrResult, chartInfo, usageContext = null) {
     try {
       const text = typeof ocrResult.extractedText === 'string'
         ? ocrResult.extractedText
         : JSON.stringify(ocrResult.extractedText);
 
-      const response = await this.client.chat.completions.create({
-        model: this.model,
+      const response = await this.complete({
+        purpose: 'document_summary',
         messages: [
           {
             role: 'system',
@@ -678,12 +966,12 @@ Respond with a JSON object:
 }`
           }
         ],
-        max_tokens: 4000,
+        maxTokens: 4000,
         temperature: 0.1,
-        response_format: { type: "json_object" }
-      });
+        json: true
+      }, usageContext);
 
-      const textContent = response.choices[0]?.message?.content;
+      const textContent = response.content;
       if (!textContent) {
         throw new Error('No response from AI');
       }
@@ -0,0 +1,66 @@
+import { config } from '../config.js';
+import { AIUsageRepository } from '../db/aiUsageRepository.js';
+
+class AIUsageService {
+  constructor() {
+    this.pricing = config.ai.pricing || {};
+  }
+
+  /**
+   * Price entry for a model - exact name first, then the longest matching prefix
+   * (so dated snapshots like "gpt-4o-2024-08-06" use the "gpt-4o" price)
+   */
+  priceFor(model) {
+    if (!model) return null;
+    if (this.pricing[model]) return this.pricing[model];
+
+    const prefix = Object.keys(this.pricing)
+      .filter(key => model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.pricing[prefix] : null;
+  }
+
+  /**
+   * Cost in USD of one call, null when the model has no price
+   */
+  computeCost(model, usage) {
+    const price = this.priceFor(model);
+    if (!price) return null;
+
+    const cost = ((usage.promptTokens || 0) * (price.input || 0)
+      + (usage.completionTokens || 0) * (price.output || 0)) / 1_000_000;
+
+    return parseFloat(cost.toFixed(6));
+  }
+
+  /**
+   * Write one model call to the ledger
+   * `context` carries the chart/job/document the call was made for
+   * Never throws - a failed ledger write is logged, not surfaced to the caller
+   */
+  async record(context, call) {
+    const usage = call.usage || {};
+
+    try {
+      return await AIUsageRepository.record({
+        ...context,
+        callType: call.callType,
+        provider: call.provider,
+        model: call.model,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        totalTokens: usage.totalTokens,
+        costUsd: call.success === false ? null : this.computeCost(call.model, usage),
+        durationMs: call.durationMs,
+        success: call.success,
+        error: call.error
+      });
+    } catch (error) {
+      console.error(`❌ AI usage write failed (${call.callType} on ${context?.chartNumber || 'no chart'}):`, error.message);
+      return null;
+    }
+  }
+}
+
+export const aiUsageService = new AIUsageService();
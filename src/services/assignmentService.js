@@ -0,0 +1,60 @@
+import { ChartRepository } from '../db/chartRepository.js';
+import { config } from '../config.js';
+
+const STRATEGIES = ['least_loaded', 'round_robin'];
+
+class AssignmentService {
+  constructor() {
+    this.enabled = config.assignment.autoAssign;
+    this.strategy = STRATEGIES.includes(config.assignment.strategy)
+      ? config.assignment.strategy
+      : 'least_loaded';
+  }
+
+  /**
+   * Pick the next coder from the current workloads
+   * - least_loaded: fewest open charts, ties go to whoever waited longest
+   * - round_robin: whoever waited longest since their last assignment
+   */
+  pickCoder(workloads) {
+    if (workloads.length === 0) return null;
+
+    const lastAssigned = (w) => w.last_assigned_at ? new Date(w.last_assigned_at).getTime() : 0;
+
+    const sorted = [...workloads].sort((a, b) => {
+      if (this.strategy === 'least_loaded') {
+        const loadDiff = parseInt(a.open_charts) - parseInt(b.open_charts);
+        if (loadDiff !== 0) return loadDiff;
+      }
+      return lastAssigned(a) - lastAssigned(b);
+    });
+
+    return sorted[0];
+  }
+
+  /**
+   * Assign a freshly processed chart to an active coder
+   * Charts that already have an owner (e.g. reprocessed after retry) keep it
+   * Returns the updated chart, or null when nothing was assigned
+   */
+  async autoAssign(chartNumber) {
+    if (!this.enabled) return null;
+
+    const workloads = await ChartRepository.getCoderWorkloads();
+    const coder = this.pickCoder(workloads);
+
+    if (!coder) {
+      console.log(`⚠️ No active coders available to assign chart ${chartNumber}`);
+      return null;
+    }
+
+    const chart = await ChartRepository.assign(chartNumber, coder.user_id, { onlyIfUnassigned: true });
+
+    if (chart) {
+      console.log(`👤 Chart ${chartNumber} auto-assigned to ${coder.user_id} (${this.strategy})`);
+    }
+    return chart || null;
+  }
+}
+
+export const assignmentService = new AssignmentService();
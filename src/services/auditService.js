@@ -0,0 +1,72 @@
+import { ChartEventRepository, EVENT_TYPES } from '../db/chartEventRepository.js';
+
+// Events the compliance trail must not lose - the action fails when they cannot be recorded
+const REQUIRED_EVENTS = new Set([
+  EVENT_TYPES.PHI_VIEWED,
+  EVENT_TYPES.MODIFICATIONS_SAVED,
+  EVENT_TYPES.CODES_SUBMITTED,
+  EVENT_TYPES.STATUS_CHANGED,
+  EVENT_TYPES.QA_ACCEPTED,
+  EVENT_TYPES.QA_RETURNED,
+  EVENT_TYPES.CHART_DELETED
+]);
+
+class AuditService {
+
+  /**
+   * Extract request metadata for the audit record
+   */
+  getRequestMeta(req) {
+    if (!req) return null;
+
+    return {
+      requestId: req.requestId || null,
+      ip: req.ip || req.socket?.remoteAddress || null,
+      userAgent: req.headers?.['user-agent'] || null,
+      method: req.method,
+      path: req.originalUrl || req.url
+    };
+  }
+
+  /**
+   * Record an event performed by the authenticated user of a request
+   * Throws when a REQUIRED_EVENTS write fails (record PHI views before sending the data);
+   * other failed writes are logged with the full event, not surfaced to the caller
+   */
+  async record(req, event) {
+    return this.write({
+      ...event,
+      userId: req?.user?.userId || null,
+      userRole: req?.user?.role || null,
+      requestMeta: this.getRequestMeta(req)
+    });
+  }
+
+  /**
+   * Record an event performed by the system (worker, scheduled tasks)
+   */
+  async recordSystem(event) {
+    return this.write({
+      ...event,
+      userId: 'system',
+      userRole: 'system',
+      requestMeta: null
+    });
+  }
+
+  async write(event) {
+    try {
+      return await ChartEventRepository.record(event);
+    } catch (error) {
+      // The whole event goes to the log so it can be re-entered from there
+      console.error(`❌ Audit write failed (${event.eventType} on ${event.chartNumber}): ${error.message}`, JSON.stringify(event));
+
+      if (REQUIRED_EVENTS.has(event.eventType)) {
+        throw new Error(`Audit trail unavailable - ${event.eventType} could not be recorded`, { cause: error });
+      }
+      return null;
+    }
+  }
+}
+
+export const auditService = new AuditService();
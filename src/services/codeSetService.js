@@ -0,0 +1,298 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { CodeSetRepository, CODE_SYSTEMS } from '../db/codeSetRepository.js';
+import { config } from '../config.js';
+import {
+  normalizeCode,
+  formatIcd10Code,
+  parseIcd10OrderLine,
+  createDelimitedParser,
+  toDateString
+} from '../utils/codeSetParsers.js';
+
+export const VALIDATION_STATUS = {
+  VALID: 'valid',
+  NOT_FOUND: 'not_found',
+  NON_BILLABLE: 'non_billable',
+  NOT_EFFECTIVE: 'not_effective',
+  UNVERIFIED: 'unverified'
+};
+
+// Diagnosis categories in diagnosis_codes that carry ICD-10-CM codes
+const ICD10_CATEGORIES = ['reason_for_admit', 'primary_diagnosis', 'secondary_diagnoses'];
+
+// Shortest prefix tried when looking for the closest valid code
+const MIN_SUGGESTION_PREFIX = 3;
+
+class CodeSetService {
+  constructor() {
+    this.dir = config.codeSets.dir;
+    this.suggestionLimit = config.codeSets.suggestionLimit;
+  }
+
+  /**
+   * HCPCS Level II codes are a letter followed by four digits; everything else is CPT
+   */
+  detectProcedureSystem(code) {
+    return /^[A-V]\d{4}$/.test(normalizeCode(code)) ? CODE_SYSTEMS.HCPCS : CODE_SYSTEMS.CPT;
+  }
+
+  displayCode(codeSystem, code) {
+    return codeSystem === CODE_SYSTEMS.ICD10CM ? formatIcd10Code(code) : normalizeCode(code);
+  }
+
+  /**
+   * Default release dates for a year version:
+   * ICD-10-CM follows the federal fiscal year (FY2025 = 2024-10-01..2025-09-30),
+   * CPT/HCPCS the calendar year
+   */
+  defaultEffectiveRange(codeSystem, version) {
+    const year = /^\d{4}$/.test(String(version)) ? parseInt(version, 10) : null;
+    if (!year) return { effectiveFrom: null, effectiveTo: null };
+
+    if (codeSystem === CODE_SYSTEMS.ICD10CM) {
+      return { effectiveFrom: `${year - 1}-10-01`, effectiveTo: `${year}-09-30` };
+    }
+    return { effectiveFrom: `${year}-01-01`, effectiveTo: `${year}-12-31` };
+  }
+
+  /**
+   * Read a distribution file into code set entries
+   * Repeated codes (HCPCS continuation records) extend the first entry's long description
+   */
+  async readEntries(codeSystem, filePath) {
+    const entries = new Map();
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'latin1' }),
+      crlfDelay: Infinity
+    });
+
+    let parseLine = null;
+    let isFirstLine = true;
+
+    for await (const line of lines) {
+      if (isFirstLine) {
+        isFirstLine = false;
+        if (codeSystem === CODE_SYSTEMS.ICD10CM) {
+          parseLine = parseIcd10OrderLine;
+        } else {
+          const parser = createDelimitedParser(line);
+          parseLine = parser.parse;
+          if (parser.hasHeader) continue;
+        }
+      }
+
+      const entry = parseLine(line);
+      if (!entry) continue;
+
+      const existing = entries.get(entry.code);
+      if (existing) {
+        if (entry.longDescription) {
+          existing.longDescription = [existing.longDescription, entry.longDescription].filter(Boolean).join(' ');
+        }
+      } else {
+        entries.set(entry.code, entry);
+      }
+    }
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Load one release from local disk into Postgres, replacing a previous load of the same version
+   */
+  async loadFile({ codeSystem, filePath, version, effectiveFrom = null, effectiveTo = null }) {
+    if (!Object.values(CODE_SYSTEMS).includes(codeSystem)) {
+      throw new Error(`Unknown code system "${codeSystem}" - use one of: ${Object.values(CODE_SYSTEMS).join(', ')}`);
+    }
+    if (!version) {
+      throw new Error('A release version is required (e.g. 2025)');
+    }
+
+    const defaults = this.defaultEffectiveRange(codeSystem, version);
+    const from = effectiveFrom || defaults.effectiveFrom;
+    const to = effectiveTo || (effectiveFrom ? null : defaults.effectiveTo);
+    if (!from) {
+      throw new Error(`An effective-from date is required for version "${version}"`);
+    }
+
+    const resolvedPath = path.resolve(this.dir, filePath);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Code set file not found: ${resolvedPath}`);
+    }
+
+    const entries = await this.readEntries(codeSystem, resolvedPath);
+    if (entries.length === 0) {
+      throw new Error(`No ${codeSystem} codes found in ${resolvedPath}`);
+    }
+
+    return CodeSetRepository.replaceVersion({
+      codeSystem,
+      version: String(version),
+      effectiveFrom: from,
+      effectiveTo: to,
+      sourceFile: resolvedPath
+    }, entries);
+  }
+
+  /**
+   * Closest valid codes for a code that failed validation
+   * Category headers get their billable children; unknown codes walk back
+   * to the longest prefix that still has billable codes under it
+   */
+  async suggest(codeSystem, versionId, code, status) {
+    let rows = [];
+
+    if (status === VALIDATION_STATUS.NON_BILLABLE) {
+      rows = await CodeSetRepository.findBillableByPrefix(versionId, code, this.suggestionLimit);
+    } else {
+      for (let length = code.length - 1; length >= MIN_SUGGESTION_PREFIX && rows.length === 0; length--) {
+        rows = await CodeSetRepository.findBillableByPrefix(versionId, code.slice(0, length), this.suggestionLimit);
+      }
+    }
+
+    return rows.map(row => ({
+      code: this.displayCode(codeSystem, row.code),
+      description: row.long_description || row.short_description
+    }));
+  }
+
+  /**
+   * Check one code against the release in effect
+   */
+  async checkCode(codeSystem, release, code, row, dateOfService) {
+    const display = this.displayCode(codeSystem, code);
+    const codeFrom = toDateString(row?.effective_from);
+    const codeTo = toDateString(row?.effective_to);
+
+    let status;
+    let message;
+
+    if (!row) {
+      const releases = await CodeSetRepository.findCodeReleases(codeSystem, code);
+      if (releases.length > 0) {
+        status = VALIDATION_STATUS.NOT_EFFECTIVE;
+        message = `${display} is not in the ${codeSystem} ${release.version} release (found in ${releases.map(r => r.version).join(', ')})`;
+      } else {
+        status = VALIDATION_STATUS.NOT_FOUND;
+        message = `${display} does not exist in ${codeSystem}`;
+      }
+    } else if (dateOfService && ((codeFrom && dateOfService < codeFrom) || (codeTo && dateOfService > codeTo))) {
+      status = VALIDATION_STATUS.NOT_EFFECTIVE;
+      message = `${display} is only valid ${codeFrom || '...'} to ${codeTo || '...'}, not on ${dateOfService}`;
+    } else if (!row.is_billable) {
+      status = VALIDATION_STATUS.NON_BILLABLE;
+      message = `${display} is a category header - a more specific code is required`;
+    } else {
+      return {
+        status: VALIDATION_STATUS.VALID,
+        code_system: codeSystem,
+        version: release.version,
+        description: row.long_description || row.short_description
+      };
+    }
+
+    return {
+      status,
+      code_system: codeSystem,
+      version: release.version,
+      message,
+      suggestions: await this.suggest(codeSystem, release.id, code, status)
+    };
+  }
+
+  /**
+   * Collect the codes in a transformed AI result that can be validated
+   */
+  collectTargets(data) {
+    const targets = [];
+    const add = (category, entry, codeSystem) => {
+      const code = normalizeCode(entry?.icd_10_code || entry?.cpt_code || entry?.code);
+      if (code) targets.push({ category, entry, codeSystem, code });
+    };
+
+    for (const category of ICD10_CATEGORIES) {
+      for (const entry of data.diagnosis_codes?.[category] || []) {
+        add(category, entry, CODE_SYSTEMS.ICD10CM);
+      }
+    }
+    for (const entry of data.diagnosis_codes?.ed_em_level || []) {
+      add('ed_em_level', entry, CODE_SYSTEMS.CPT);
+    }
+    for (const entry of data.procedures || []) {
+      add('procedures', entry, this.detectProcedureSystem(entry?.cpt_code || entry?.code));
+    }
+
+    return targets;
+  }
+
+  /**
+   * Validate every code in a transformed AI result (AIService.transformToDBFormat output)
+   *
+   * Annotates each code entry in place with `code_validation` and records the
+   * problems under coding_notes.code_validation. Codes are flagged, never removed -
+   * the coder decides. Returns { checked, issues, unverifiedSystems }
+   */
+  async validateCodingResult(data, dateOfService) {
+    const dos = toDateString(dateOfService);
+    const targets = this.collectTargets(data);
+    const issues = [];
+    const releases = {};
+    const unverifiedSystems = [];
+
+    const systems = [...new Set(targets.map(t => t.codeSystem))];
+
+    for (const codeSystem of systems) {
+      const systemTargets = targets.filter(t => t.codeSystem === codeSystem);
+      const release = await CodeSetRepository.getVersionForDate(codeSystem, dos);
+
+      if (!release) {
+        unverifiedSystems.push(codeSystem);
+        for (const target of systemTargets) {
+          target.entry.code_validation = {
+            status: VALIDATION_STATUS.UNVERIFIED,
+            code_system: codeSystem,
+            message: `No ${codeSystem} release loaded${dos ? ` for ${dos}` : ''}`
+          };
+        }
+        continue;
+      }
+
+      releases[codeSystem] = release.version;
+
+      const rows = await CodeSetRepository.findCodes(release.id, [...new Set(systemTargets.map(t => t.code))]);
+      const rowsByCode = new Map(rows.map(row => [row.code, row]));
+
+      for (const target of systemTargets) {
+        const result = await this.checkCode(codeSystem, release, target.code, rowsByCode.get(target.code), dos);
+        target.entry.code_validation = result;
+
+        if (result.status !== VALIDATION_STATUS.VALID) {
+          issues.push({
+            category: target.category,
+            code: this.displayCode(codeSystem, target.code),
+            status: result.status,
+            message: result.message,
+            suggestions: result.suggestions
+          });
+        }
+      }
+    }
+
+    data.coding_notes = {
+      ...(data.coding_notes || {}),
+      code_validation: {
+        validated_at: new Date().toISOString(),
+        date_of_service: dos,
+        releases,
+        unverified_systems: unverifiedSystems,
+        issues
+      }
+    };
+
+    return { checked: targets.length, issues, unverifiedSystems };
+  }
+}
+
+export const codeSetService = new CodeSetService();
@@ -0,0 +1,265 @@
+import { config } from '../config.js';
+
+export const EVIDENCE_STATUS = {
+  VERIFIED: 'verified',
+  CORRECTED: 'corrected',
+  NOT_FOUND: 'not_found'
+};
+
+// Categories whose code entries carry evidence
+const DIAGNOSIS_CATEGORIES = ['reason_for_admit', 'primary_diagnosis', 'secondary_diagnoses', 'ed_em_level', 'modifiers'];
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const tokenize = (text) => normalizeText(text).split(' ').filter(Boolean);
+
+/**
+ * Levenshtein distance capped at `max` (returns max + 1 once exceeded)
+ */
+const boundedDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Tokens match exactly, or within one edit for longer words (OCR misreads)
+ */
+const tokensMatch = (a, b) => a === b || (a.length >= 5 && b.length >= 5 && boundedDistance(a, b, 1) <= 1);
+
+/**
+ * Score how well a window of OCR text contains a quote, 0-1
+ * 70% token recall (each quote token consumed at most once) + 30% adjacent-pair recall,
+ * so a quote with the right words in the wrong order scores lower than the real passage
+ */
+const scoreWindow = (quoteTokens, windowTokens) => {
+  if (quoteTokens.length === 0 || windowTokens.length === 0) return 0;
+
+  const available = [...windowTokens];
+  let matched = 0;
+  for (const token of quoteTokens) {
+    const index = available.findIndex(candidate => tokensMatch(token, candidate));
+    if (index !== -1) {
+      matched++;
+      available.splice(index, 1);
+    }
+  }
+  const tokenRecall = matched / quoteTokens.length;
+
+  if (quoteTokens.length === 1) return tokenRecall;
+
+  const windowPairs = new Set(windowTokens.slice(1).map((t, i) => `${windowTokens[i]} ${t}`));
+  let pairsMatched = 0;
+  for (let i = 1; i < quoteTokens.length; i++) {
+    if (windowPairs.has(`${quoteTokens[i - 1]} ${quoteTokens[i]}`)) pairsMatched++;
+  }
+  const pairRecall = pairsMatched / (quoteTokens.length - 1);
+
+  return 0.7 * tokenRecall + 0.3 * pairRecall;
+};
+
+class EvidenceService {
+  constructor() {
+    this.minScore = config.evidence.minScore;
+    this.maxLineSpan = config.evidence.maxLineSpan;
+  }
+
+  /**
+   * Pre-tokenize the numbered lines of each document (same numbering as the AI prompt)
+   */
+  indexDocuments(formattedDocuments) {
+    return formattedDocuments.map(doc => ({
+      name: doc.documentName,
+      normalizedName: normalizeText(doc.documentName),
+      lines: doc.content.map(line => ({ lineNumber: line.lineNumber, tokens: tokenize(line.text) }))
+    }));
+  }
+
+  /**
+   * The document an evidence item names - exact match first, then containment;
+   * null when the name matches nothing (all documents are searched then)
+   */
+  findDocument(index, documentName) {
+    const name = normalizeText(documentName);
+    if (!name) return null;
+
+    return index.find(doc => doc.normalizedName === name)
+      || index.find(doc => doc.normalizedName.includes(name) || name.includes(doc.normalizedName))
+      || null;
+  }
+
+  /**
+   * Best-matching window of 1..maxLineSpan consecutive lines in a document
+   * Ties go to the window closest to the line the AI claimed
+   */
+  bestMatchInDocument(doc, quoteTokens, claimedLine) {
+    let best = null;
+    const quoteSet = new Set(quoteTokens);
+
+    for (let start = 0; start < doc.lines.length; start++) {
+      // A window is only worth scoring from a line that shares a word with the quote
+      if (!doc.lines[start].tokens.some(token => quoteSet.has(token))) continue;
+
+      let windowTokens = [];
+      for (let span = 0; span < this.maxLineSpan && start + span < doc.lines.length; span++) {
+        windowTokens = windowTokens.concat(doc.lines[start + span].tokens);
+        const score = scoreWindow(quoteTokens, windowTokens);
+        const startLine = doc.lines[start].lineNumber;
+        const distance = Number.isFinite(claimedLine) ? Math.abs(startLine - claimedLine) : 0;
+
+        if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+          best = {
+            document: doc.name,
+            startLine,
+            endLine: doc.lines[start + span].lineNumber,
+            score,
+            distance
+          };
+        }
+
+        // A longer window cannot improve on a full match
+        if (score === 1) break;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Verify one evidence item in place
+   * Adds `verification` and rewrites line_number when the quote was found elsewhere
+   */
+  verifyItem(index, item) {
+    const quoteTokens = tokenize(item?.exact_text);
+    const claimedLine = parseInt(item?.line_number, 10);
+
+    if (quoteTokens.length === 0) {
+      item.verification = { status: EVIDENCE_STATUS.NOT_FOUND, score: 0, reason: 'No quote provided' };
+      return item.verification;
+    }
+
+    const named = this.findDocument(index, item.document_name);
+    const candidates = named ? [named] : index;
+
+    let best = null;
+    for (const doc of candidates) {
+      const match = this.bestMatchInDocument(doc, quoteTokens, claimedLine);
+      if (match && (!best || match.score > best.score)) best = match;
+    }
+
+    // Quote not in the named document - it may have been attributed to the wrong one
+    if (named && (!best || best.score < this.minScore)) {
+      for (const doc of index.filter(d => d !== named)) {
+        const match = this.bestMatchInDocument(doc, quoteTokens, NaN);
+        if (match && (!best || match.score > best.score)) best = match;
+      }
+    }
+
+    const score = best ? parseFloat(best.score.toFixed(2)) : 0;
+
+    if (!best || best.score < this.minScore) {
+      item.verification = {
+        status: EVIDENCE_STATUS.NOT_FOUND,
+        score,
+        claimed_line: Number.isFinite(claimedLine) ? claimedLine : null,
+        closest_document: best?.document ?? null,
+        closest_line: best?.startLine ?? null
+      };
+      return item.verification;
+    }
+
+    const lineCorrect = best.startLine <= claimedLine && claimedLine <= best.endLine;
+    const documentCorrect = !named || best.document === named.name;
+
+    item.verification = {
+      status: lineCorrect && documentCorrect ? EVIDENCE_STATUS.VERIFIED : EVIDENCE_STATUS.CORRECTED,
+      score,
+      claimed_line: Number.isFinite(claimedLine) ? claimedLine : null,
+      matched_lines: { start: best.startLine, end: best.endLine }
+    };
+
+    if (!lineCorrect) {
+      item.line_number = String(best.startLine);
+    }
+    if (!documentCorrect) {
+      item.verification.claimed_document = item.document_name;
+      item.document_name = best.document;
+    }
+
+    return item.verification;
+  }
+
+  /**
+   * Verify the evidence of every code in a transformed AI result, in place
+   *
+   * Each evidence item gets `verification` (status, score, matched lines) and a
+   * corrected line_number; each code gets `evidence_score` (best item score).
+   * Codes with no evidence found are downgraded to low confidence, keeping the
+   * model's value in `ai_confidence`. A summary goes to coding_notes.evidence_verification
+   */
+  verifyCodingResult(data, formattedDocuments) {
+    const index = this.indexDocuments(formattedDocuments);
+    const summary = { verified: 0, corrected: 0, not_found: 0, downgraded: [] };
+
+    const entries = [
+      ...DIAGNOSIS_CATEGORIES.flatMap(category =>
+        (data.diagnosis_codes?.[category] || []).map(entry => ({ category, entry }))),
+      ...(data.procedures || []).map(entry => ({ category: 'procedures', entry }))
+    ];
+
+    for (const { category, entry } of entries) {
+      if (!entry || typeof entry !== 'object') continue;
+
+      const items = [].concat(entry.evidence || []).filter(item => item && typeof item === 'object');
+      const results = items.map(item => this.verifyItem(index, item));
+      results.forEach(result => summary[result.status]++);
+
+      const bestScore = results.reduce((max, r) => Math.max(max, r.score), 0);
+      entry.evidence_score = bestScore;
+
+      if (!results.some(r => r.status !== EVIDENCE_STATUS.NOT_FOUND)) {
+        if (entry.confidence !== 'low') {
+          entry.ai_confidence = entry.confidence;
+          entry.confidence = 'low';
+        }
+        entry.evidence_unverified = true;
+        summary.downgraded.push({
+          category,
+          code: entry.icd_10_code || entry.cpt_code || entry.code || entry.modifier_code,
+          score: bestScore
+        });
+      }
+    }
+
+    data.coding_notes = {
+      ...(data.coding_notes || {}),
+      evidence_verification: {
+        verified_at: new Date().toISOString(),
+        min_score: this.minScore,
+        ...summary
+      }
+    };
+
+    return summary;
+  }
+}
+
+export const evidenceService = new EvidenceService();
@@ -0,0 +1,73 @@
+import { pool } from '../db/connection.js';
+import { QueueService } from '../db/queueService.js';
+import { config } from '../config.js';
+
+// pg advisory lock key - only one process runs a housekeeping pass at a time
+const HOUSEKEEPING_LOCK_KEY = 7342001;
+
+/**
+ * Periodic queue maintenance: release jobs whose worker stopped renewing the lock
+ * and delete old completed/cancelled jobs. Runs inside every worker process;
+ * the advisory lock makes concurrent passes a no-op.
+ */
+class HousekeepingService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (!config.housekeeping.enabled || this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), config.housekeeping.intervalMs);
+    console.log(`🧹 Housekeeping every ${Math.round(config.housekeeping.intervalMs / 1000)}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * One pass - returns what was done, or null when another process holds the lock
+   * Never throws: a failed pass is logged and the next interval tries again
+   */
+  async runOnce() {
+    if (this.running) return null;
+    this.running = true;
+
+    const client = await pool.connect().catch((error) => {
+      console.error('❌ Housekeeping could not get a connection:', error.message);
+      return null;
+    });
+    if (!client) {
+      this.running = false;
+      return null;
+    }
+
+    try {
+      await client.query('BEGIN');
+      const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS acquired', [HOUSEKEEPING_LOCK_KEY]);
+      if (!lock.rows[0].acquired) {
+        await client.query('COMMIT');
+        return null;
+      }
+
+      const released = await QueueService.releaseStuckJobs(config.worker.stuckJobMinutes);
+      const cleaned = await QueueService.cleanupOldJobs(config.housekeeping.jobRetentionDays);
+
+      await client.query('COMMIT');
+      return { releasedStuckJobs: released.length, cleanedJobs: cleaned };
+
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error('❌ Housekeeping pass failed:', error.message);
+      return null;
+    } finally {
+      client.release();
+      this.running = false;
+    }
+  }
+}
+
+export const housekeepingService = new HousekeepingService();
@@ -0,0 +1,186 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * LLM Providers - the chat-completion backends behind AIService
+ *
+ * Every provider implements:
+ *   complete({ purpose, messages, maxTokens, temperature, json })
+ *     -> { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+ *
+ * `purpose` names the call site ('coding', 'document_summary', ...) so fixtures
+ * and usage can be told apart.
+ */
+
+export const PROVIDERS = ['openai', 'azure', 'openai_compatible', 'fixture'];
+
+const toUsage = (usage) => ({
+  promptTokens: usage?.prompt_tokens ?? null,
+  completionTokens: usage?.completion_tokens ?? null,
+  totalTokens: usage?.total_tokens ?? null
+});
+
+/**
+ * OpenAI Chat Completions API - also the base for Azure and compatible servers,
+ * which speak the same wire format through a differently configured client
+ */
+class OpenAIProvider {
+  constructor({ client, model, maxTokensParam = 'max_completion_tokens', name = 'openai' }) {
+    this.name = name;
+    this.client = client;
+    this.model = model;
+    this.maxTokensParam = maxTokensParam;
+  }
+
+  async complete({ messages, maxTokens, temperature = 0.1, json = true }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      [this.maxTokensParam]: maxTokens,
+      temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return {
+      content: response.choices[0]?.message?.content || null,
+      model: response.model || this.model,
+      usage: toUsage(response.usage)
+    };
+  }
+}
+
+/**
+ * Fixture key - stable hash of what was asked, so a replay returns the response
+ * recorded for the same prompt
+ */
+const fixtureKey = (purpose, messages) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+  return `${purpose}-${hash}`;
+};
+
+/**
+ * Replays recorded responses from disk - deterministic, no network
+ *
+ * Looks up <dir>/<purpose>-<hash>.json first, then <dir>/<purpose>.json as a
+ * catch-all stub for the call site. Fixture files hold { content, model, usage }
+ * where content may be a string or a JSON object.
+ */
+class FixtureProvider {
+  constructor({ dir, model }) {
+    this.name = 'fixture';
+    this.dir = dir;
+    this.model = model || 'fixture';
+  }
+
+  async complete({ purpose = 'default', messages }) {
+    const key = fixtureKey(purpose, messages);
+    const candidates = [path.join(this.dir, `${key}.json`), path.join(this.dir, `${purpose}.json`)];
+    const file = candidates.find(candidate => fs.existsSync(candidate));
+
+    if (!file) {
+      throw new Error(`No AI fixture for ${key} in ${this.dir} (record one with AI_FIXTURE_RECORD=true)`);
+    }
+
+    const fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+
+    return {
+      content: typeof fixture.content === 'string' ? fixture.content : JSON.stringify(fixture.content),
+      model: fixture.model || this.model,
+      usage: {
+        promptTokens: fixture.usage?.promptTokens ?? 0,
+        completionTokens: fixture.usage?.completionTokens ?? 0,
+        totalTokens: fixture.usage?.totalTokens ?? 0
+      }
+    };
+  }
+}
+
+/**
+ * Wraps a live provider and writes every response as a fixture the replay provider can serve
+ */
+class RecordingProvider {
+  constructor(inner, { dir }) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.model = inner.model;
+    this.dir = dir;
+  }
+
+  async complete(request) {
+    const result = await this.inner.complete(request);
+    const key = fixtureKey(request.purpose || 'default', request.messages);
+
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(this.dir, `${key}.json`),
+        JSON.stringify({ purpose: request.purpose, recordedAt: new Date().toISOString(), ...result }, null, 2)
+      );
+    } catch (error) {
+      console.error(`⚠️ Failed to record AI fixture ${key}:`, error.message);
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Build the provider selected by config.ai
+ */
+export function createLLMProvider(aiConfig) {
+  const { provider = 'openai' } = aiConfig;
+  // The SDK would retry 429s and timeouts itself - aiService's withRateLimitRetry is the only retry policy
+  const clientOptions = { timeout: aiConfig.timeoutMs, maxRetries: 0 };
+  let instance;
+
+  switch (provider) {
+    case 'openai':
+      instance = new OpenAIProvider({
+        client: new OpenAI({ apiKey: aiConfig.apiKey, ...clientOptions }),
+        model: aiConfig.model,
+        maxTokensParam: aiConfig.maxTokensParam
+      });
+      break;
+
+    case 'azure':
+      instance = new OpenAIProvider({
+        name: 'azure',
+        client: new AzureOpenAI({
+          endpoint: aiConfig.azure.endpoint,
+          apiKey: aiConfig.azure.apiKey,
+          apiVersion: aiConfig.azure.apiVersion,
+          deployment: aiConfig.azure.deployment,
+          ...clientOptions
+        }),
+        // Azure routes by deployment; the model field is informational
+        model: aiConfig.azure.deployment,
+        maxTokensParam: aiConfig.maxTokensParam
+      });
+      break;
+
+    case 'openai_compatible':
+      if (!aiConfig.baseUrl) {
+        throw new Error('AI_BASE_URL is required for the openai_compatible provider');
+      }
+      instance = new OpenAIProvider({
+        name: 'openai_compatible',
+        // Self-hosted servers often ignore the key, but the client requires one
+        client: new OpenAI({ apiKey: aiConfig.apiKey || 'not-needed', baseURL: aiConfig.baseUrl, ...clientOptions }),
+        model: aiConfig.model,
+        maxTokensParam: aiConfig.maxTokensParam || 'max_tokens'
+      });
+      break;
+
+    case 'fixture':
+      return new FixtureProvider({ dir: aiConfig.fixtures.dir, model: aiConfig.model });
+
+    default:
+      throw new Error(`Unknown AI provider "${provider}" - use one of: ${PROVIDERS.join(', ')}`);
+  }
+
+  return aiConfig.fixtures.record
+    ? new RecordingProvider(instance, { dir: aiConfig.fixtures.dir })
+    : instance;
+}
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { NcciRepository, NCCI_EDIT_TYPES } from '../db/ncciRepository.js';
+import { config } from '../config.js';
+import { normalizeCode, toDateString } from '../utils/codeSetParsers.js';
+import { parsePtpLine, parseMueLine } from '../utils/ncciParsers.js';
+
+// NCCI-associated modifiers that bypass a PTP edit with modifier indicator 1
+// (anatomic, global surgery, 25/27/59/91 and the X{EPSU} subsets of 59)
+export const PTP_BYPASS_MODIFIERS = [
+  '59', 'XE', 'XP', 'XS', 'XU',
+  '24', '25', '27', '57', '58', '78', '79', '91',
+  'E1', 'E2', 'E3', 'E4', 'FA', 'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9',
+  'LC', 'LD', 'LM', 'LT', 'RC', 'RI', 'RT', 'TA', 'T1', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'T8', 'T9'
+];
+
+const EDIT_ACTIONS = ['block', 'warn'];
+
+const normalizeModifier = (value) => {
+  const modifier = typeof value === 'object' && value !== null ? value.modifier_code || value.code : value;
+  return modifier ? String(modifier).replace(/[\s-]/g, '').toUpperCase() : null;
+};
+
+class NcciService {
+  constructor() {
+    this.enabled = config.ncci.enabled;
+    this.dir = config.codeSets.dir;
+    this.ptpAction = EDIT_ACTIONS.includes(config.ncci.ptpAction) ? config.ncci.ptpAction : 'warn';
+    this.mueAction = EDIT_ACTIONS.includes(config.ncci.mueAction) ? config.ncci.mueAction : 'warn';
+  }
+
+  /**
+   * Default dates for a quarterly version (2025Q1 = 2025-01-01..2025-03-31)
+   */
+  defaultEffectiveRange(version) {
+    const match = String(version).match(/^(\d{4})Q([1-4])$/i);
+    if (!match) return { effectiveFrom: null, effectiveTo: null };
+
+    const year = parseInt(match[1], 10);
+    const quarter = parseInt(match[2], 10);
+    const startMonth = (quarter - 1) * 3 + 1;
+    const lastDay = new Date(Date.UTC(year, startMonth + 2, 0)).getUTCDate();
+    const pad = (n) => String(n).padStart(2, '0');
+
+    return {
+      effectiveFrom: `${year}-${pad(startMonth)}-01`,
+      effectiveTo: `${year}-${pad(startMonth + 2)}-${pad(lastDay)}`
+    };
+  }
+
+  /**
+   * Stream parsed rows from one or more files (the practitioner PTP table ships in several parts)
+   */
+  async *readRows(editType, filePaths) {
+    const parseLine = editType === NCCI_EDIT_TYPES.PTP ? parsePtpLine : parseMueLine;
+
+    for (const filePath of filePaths) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, { encoding: 'latin1' }),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        const row = parseLine(line);
+        if (row) yield row;
+      }
+    }
+  }
+
+  /**
+   * Load one quarterly release from local disk, replacing a previous load of the same version
+   */
+  async loadFiles({ editType, filePaths, version, effectiveFrom = null, effectiveTo = null }) {
+    if (!Object.values(NCCI_EDIT_TYPES).includes(editType)) {
+      throw new Error(`Unknown NCCI edit type "${editType}" - use one of: ${Object.values(NCCI_EDIT_TYPES).join(', ')}`);
+    }
+    if (!version) {
+      throw new Error('A release version is required (e.g. 2025Q1)');
+    }
+
+    const defaults = this.defaultEffectiveRange(version);
+    const from = effectiveFrom || defaults.effectiveFrom;
+    const to = effectiveTo || (effectiveFrom ? null : defaults.effectiveTo);
+    if (!from) {
+      throw new Error(`An effective-from date is required for version "${version}"`);
+    }
+
+    const resolvedPaths = filePaths.map(filePath => path.resolve(this.dir, filePath));
+    for (const resolvedPath of resolvedPaths) {
+      if (!fs.existsSync(resolvedPath)) {
+        throw new Error(`NCCI file not found: ${resolvedPath}`);
+      }
+    }
+
+    const release = await NcciRepository.replaceRelease({
+      editType,
+      version: String(version).toUpperCase(),
+      effectiveFrom: from,
+      effectiveTo: to,
+      sourceFile: resolvedPaths.join(', ')
+    }, this.readRows(editType, resolvedPaths));
+
+    if (release.row_count === 0) {
+      throw new Error(`No ${editType} rows found in ${resolvedPaths.join(', ')}`);
+    }
+
+    return release;
+  }
+
+  /**
+   * Billable services in a code set: procedures and E/M lines, units summed per code,
+   * modifiers gathered from the modifiers category (applies_to_code) and the line itself
+   */
+  collectServices(codeSet) {
+    const services = new Map();
+
+    const add = (entry) => {
+      const code = normalizeCode(entry?.cpt_code || entry?.code);
+      if (!code) return;
+
+      const units = Math.max(parseInt(entry.units ?? entry.quantity ?? 1, 10) || 1, 1);
+      const lineModifiers = [].concat(entry.modifiers || [], entry.modifier || []);
+
+      const service = services.get(code) || { code, units: 0, modifiers: new Set() };
+      service.units += units;
+      lineModifiers.map(normalizeModifier).filter(Boolean).forEach(m => service.modifiers.add(m));
+      services.set(code, service);
+    };
+
+    (codeSet?.procedures || []).forEach(add);
+    (codeSet?.ed_em_level || []).forEach(add);
+
+    for (const entry of codeSet?.modifiers || []) {
+      const service = services.get(normalizeCode(entry?.applies_to_code));
+      const modifier = normalizeModifier(entry);
+      if (service && modifier) service.modifiers.add(modifier);
+    }
+
+    return services;
+  }
+
+  /**
+   * Check PTP pairs among the submitted services
+   */
+  async checkPtp(release, services, dateOfService) {
+    const failures = [];
+    const bypassed = [];
+
+    const edits = await NcciRepository.findPtpEdits(release.id, [...services.keys()], dateOfService);
+
+    for (const edit of edits) {
+      if (edit.modifier_indicator === '9') continue;
+
+      const column2 = services.get(edit.column2_code);
+      const bypassable = edit.modifier_indicator === '1';
+
+      // The bypass modifier belongs on the column two code - a 59 on the comprehensive code does not count
+      const bypassModifier = bypassable
+        ? [...column2.modifiers].find(m => PTP_BYPASS_MODIFIERS.includes(m))
+        : null;
+
+      if (bypassModifier) {
+        bypassed.push({
+          type: NCCI_EDIT_TYPES.PTP,
+          column1Code: edit.column1_code,
+          column2Code: edit.column2_code,
+          modifier: bypassModifier
+        });
+        continue;
+      }
+
+      failures.push({
+        type: NCCI_EDIT_TYPES.PTP,
+        action: this.ptpAction,
+        column1Code: edit.column1_code,
+        column2Code: edit.column2_code,
+        modifierIndicator: edit.modifier_indicator,
+        bypassable,
+        rationale: edit.rationale,
+        message: bypassable
+          ? `${edit.column2_code} is bundled into ${edit.column1_code} - append an NCCI modifier (e.g. 59, XS) to ${edit.column2_code} only if the services were distinct`
+          : `${edit.column2_code} cannot be reported with ${edit.column1_code} - no modifier bypasses this edit`
+      });
+    }
+
+    return { failures, bypassed };
+  }
+
+  /**
+   * Check units against Medically Unlikely Edits
+   */
+  async checkMue(release, services) {
+    const limits = await NcciRepository.findMueLimits(release.id, [...services.keys()]);
+
+    return limits
+      .filter(limit => services.get(limit.code).units > limit.mue_value)
+      .map(limit => ({
+        type: NCCI_EDIT_TYPES.MUE,
+        action: this.mueAction,
+        code: limit.code,
+        units: services.get(limit.code).units,
+        limit: limit.mue_value,
+        adjudicationIndicator: limit.adjudication_indicator,
+        rationale: limit.rationale,
+        message: `${limit.code} billed ${services.get(limit.code).units} units - MUE allows ${limit.mue_value}`
+      }));
+  }
+
+  /**
+   * Run NCCI PTP and MUE edits on a submitted code set
+   * Returns { checked, blocking, releases, unavailable, failures, bypassed }
+   * `blocking` is true when any failure's configured action is 'block'
+   */
+  async check(codeSet, dateOfService) {
+    const result = {
+      checked: false,
+      blocking: false,
+      releases: {},
+      unavailable: [],
+      failures: [],
+      bypassed: []
+    };
+
+    if (!this.enabled) return result;
+
+    const dos = toDateString(dateOfService);
+    const services = this.collectServices(codeSet);
+    result.checked = true;
+
+    if (services.size === 0) return result;
+
+    const ptpRelease = await NcciRepository.getReleaseForDate(NCCI_EDIT_TYPES.PTP, dos);
+    if (ptpRelease) {
+      result.releases.PTP = ptpRelease.version;
+      const ptp = await this.checkPtp(ptpRelease, services, dos);
+      result.failures.push(...ptp.failures);
+      result.bypassed.push(...ptp.bypassed);
+    } else {
+      result.unavailable.push(NCCI_EDIT_TYPES.PTP);
+    }
+
+    const mueRelease = await NcciRepository.getReleaseForDate(NCCI_EDIT_TYPES.MUE, dos);
+    if (mueRelease) {
+      result.releases.MUE = mueRelease.version;
+      result.failures.push(...await this.checkMue(mueRelease, services));
+    } else {
+      result.unavailable.push(NCCI_EDIT_TYPES.MUE);
+    }
+
+    result.blocking = result.failures.some(f => f.action === 'block');
+    return result;
+  }
+}
+
+export const ncciService = new NcciService();
@@ -2,6 +2,7 @@ import axios from 'axios';
 import FormData from 'form-data';
 import fs from 'fs';
 import { config } from '../config.js';
+import { createLimiter, withRateLimitRetry } from '../utils/concurrency.js';
 
 class OCRService {
   constructor() {
@@ -10,31 +11,52 @@ class OCRService {
     
     // New endpoint (batch + grouping)
     this.processDocumentsUrl = this.extractTextUrl.replace('/extract-text', '/api/documents/process');
+
+    // Shared by every caller in the process - bounds load on the OCR service
+    this.limit = createLimiter(config.ocr.concurrency);
+    this.rateLimitRetries = config.ocr.rateLimitRetries;
   }
 
   /**
    * Extract text from a single file (OLD METHOD - Still works)
+   * file: { originalname, mimetype } plus either `path` (local file) or
+   * `openStream()` (async, e.g. a storage read stream) and its `size`
    */
   async extractText(file, documentType) {
     const startTime = Date.now();
 
     try {
-      const formData = new FormData();
-      const fileStream = fs.createReadStream(file.path);
+      // The form is rebuilt per attempt - a consumed file stream cannot be resent
+      const post = async () => {
+        const formData = new FormData();
+        const fileStream = file.openStream ? await file.openStream() : fs.createReadStream(file.path);
 
-      formData.append('pdf', fileStream, {
-        filename: file.originalname,
-        contentType: file.mimetype
-      });
+        // A known length lets the request carry Content-Length instead of being chunked
+        formData.append('pdf', fileStream, {
+          filename: file.originalname,
+          contentType: file.mimetype,
+          ...(file.openStream && file.size && { knownLength: Number(file.size) })
+        });
 
-      const response = await axios.post(this.extractTextUrl, formData, {
-        headers: {
-          ...formData.getHeaders(),
-          'accept': 'application/json'
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-      });
+        try {
+          return await axios.post(this.extractTextUrl, formData, {
+            headers: {
+              ...formData.getHeaders(),
+              'accept': 'application/json'
+            },
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity
+          });
+        } finally {
+          // Release the source (storage connection or file handle) if the request stopped early
+          fileStream.destroy?.();
+        }
+      };
+
+      const response = await this.limit(() => withRateLimitRetry(post, {
+        retries: this.rateLimitRetries,
+        label: `OCR ${file.originalname}`
+      }));
 
       const endTime = Date.now();
 
@@ -0,0 +1,189 @@
+import { PromptProfileRepository } from '../db/promptProfileRepository.js';
+
+// Coding categories a profile can request (the coding_categories of the AI response)
+export const CODING_CATEGORIES = [
+  'reason_for_admit',
+  'primary_diagnosis',
+  'secondary_diagnoses',
+  'procedures',
+  'ed_em_level',
+  'modifiers'
+];
+
+// E/M families of the built-in prompt: ED visits and office/outpatient visits
+export const DEFAULT_EM_CODE_FAMILIES = ['99281-99285', '99202-99215'];
+
+const EM_FAMILY_PATTERN = /^(\d{5})(?:-(\d{5}))?$/;
+
+// Criterion weights - a facility-specific profile beats a specialty-wide one,
+// which beats a document-type one
+const SPECIFICITY = { facility: 4, specialty: 2, document_type: 1 };
+
+/**
+ * Parse "99281-99285" / "99291" into a numeric range, null when malformed
+ */
+const parseFamily = (family) => {
+  const match = EM_FAMILY_PATTERN.exec(String(family || '').trim());
+  if (!match) return null;
+  const start = parseInt(match[1], 10);
+  const end = parseInt(match[2] || match[1], 10);
+  return start <= end ? { start, end } : null;
+};
+
+class PromptProfileService {
+
+  /**
+   * Convert a profile row (joined with its current version) to the shape AIService uses
+   */
+  toProfile(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      version: row.current_version,
+      systemPrompt: row.system_prompt,
+      guidelines: row.guidelines,
+      emCodeFamilies: row.em_code_families || [],
+      outputCategories: row.output_categories?.length ? row.output_categories : CODING_CATEGORIES
+    };
+  }
+
+  /**
+   * Select the profile for a chart - the most specific active profile whose
+   * criteria all match, then highest priority, then oldest
+   * Returns null when none matches (AIService then uses its built-in prompt)
+   */
+  async resolve({ specialty, facility, documentTypes = [] }) {
+    const candidates = await PromptProfileRepository.findCandidates({ specialty, facility, documentTypes });
+    if (candidates.length === 0) return null;
+
+    const score = (row) => Object.entries(SPECIFICITY)
+      .reduce((sum, [criterion, weight]) => sum + (row[criterion] ? weight : 0), 0);
+
+    const [best] = candidates.sort((a, b) =>
+      score(b) - score(a)
+      || (b.priority || 0) - (a.priority || 0)
+      || a.id - b.id
+    );
+
+    return this.toProfile(best);
+  }
+
+  /**
+   * Load a profile by id or name, at its current version or a given one
+   * Returns null when the profile or version does not exist (or the version is not a number)
+   */
+  async load(ref, version = null) {
+    const pinVersion = version !== null && version !== undefined;
+    if (pinVersion && (!Number.isInteger(version) || version < 1)) return null;
+
+    let id = parseInt(ref, 10);
+    if (!/^\d+$/.test(String(ref))) {
+      const byName = await PromptProfileRepository.findByName(ref);
+      if (!byName) return null;
+      id = byName.id;
+    }
+
+    const row = await PromptProfileRepository.findById(id);
+    if (!row) return null;
+    if (!pinVersion) return this.toProfile(row);
+
+    const pinned = await PromptProfileRepository.getVersion(row.id, version);
+    return pinned ? this.toProfile({ ...row, ...pinned, id: row.id, current_version: pinned.version }) : null;
+  }
+
+  /**
+   * Whether an E/M code falls in one of the allowed families
+   */
+  isEmCodeAllowed(code, families) {
+    const value = parseInt(String(code || '').trim(), 10);
+    if (!Number.isFinite(value)) return false;
+
+    return families.some(family => {
+      const range = parseFamily(family);
+      return range && value >= range.start && value <= range.end;
+    });
+  }
+
+  /**
+   * Validate admin input for a profile
+   * `existing` is the stored profile on update (fields not given keep its values)
+   * Returns a list of error messages - empty when valid
+   */
+  validate(input, existing = null) {
+    const errors = [];
+
+    if (!existing && !input.name) errors.push('name is required');
+    if (input.name !== undefined && !String(input.name).trim()) errors.push('name cannot be empty');
+
+    if (!existing && !input.systemPrompt) errors.push('systemPrompt is required');
+    if (input.systemPrompt !== undefined && !String(input.systemPrompt || '').trim()) {
+      errors.push('systemPrompt cannot be empty');
+    }
+
+    if (input.priority !== undefined && !Number.isInteger(input.priority)) {
+      errors.push('priority must be an integer');
+    }
+
+    const categories = input.outputCategories ?? existing?.output_categories ?? CODING_CATEGORIES;
+    if (!Array.isArray(categories) || categories.length === 0) {
+      errors.push('outputCategories must be a non-empty array');
+    } else {
+      const unknown = categories.filter(category => !CODING_CATEGORIES.includes(category));
+      if (unknown.length > 0) {
+        errors.push(`Unknown output categories: ${unknown.join(', ')} (use: ${CODING_CATEGORIES.join(', ')})`);
+      }
+      // Every chart needs a primary diagnosis - the coding response schema requires one
+      if (!categories.includes('primary_diagnosis')) {
+        errors.push('outputCategories must include primary_diagnosis');
+      }
+    }
+
+    const families = input.emCodeFamilies ?? existing?.em_code_families ?? DEFAULT_EM_CODE_FAMILIES;
+    if (!Array.isArray(families)) {
+      errors.push('emCodeFamilies must be an array');
+    } else {
+      const malformed = families.filter(family => !parseFamily(family));
+      if (malformed.length > 0) {
+        errors.push(`Invalid E/M code families: ${malformed.join(', ')} (use "99281-99285" or "99291")`);
+      }
+      if (Array.isArray(categories) && categories.includes('ed_em_level') && families.length === 0) {
+        errors.push('emCodeFamilies is required when outputCategories includes ed_em_level');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Split admin input into selection criteria and versioned content
+   * Content is null on update when no content field changed (no new version)
+   */
+  splitInput(input, existing = null) {
+    const profile = {
+      name: input.name,
+      description: input.description,
+      specialty: input.specialty,
+      facility: input.facility,
+      documentType: input.documentType,
+      priority: input.priority,
+      isActive: input.isActive
+    };
+
+    const contentFields = ['systemPrompt', 'guidelines', 'emCodeFamilies', 'outputCategories'];
+    if (existing && !contentFields.some(field => input[field] !== undefined)) {
+      return { profile, content: null };
+    }
+
+    return {
+      profile,
+      content: {
+        systemPrompt: input.systemPrompt ?? existing?.system_prompt,
+        guidelines: input.guidelines !== undefined ? input.guidelines : existing?.guidelines,
+        emCodeFamilies: input.emCodeFamilies ?? existing?.em_code_families ?? DEFAULT_EM_CODE_FAMILIES,
+        outputCategories: input.outputCategories ?? existing?.output_categories ?? CODING_CATEGORIES
+      }
+    };
+  }
+}
+
+export const promptProfileService = new PromptProfileService();
@@ -0,0 +1,123 @@
+import { ChartRepository } from '../db/chartRepository.js';
+import { config } from '../config.js';
+import { CODE_CATEGORIES, diffCodeSets } from '../utils/codeDiff.js';
+
+// Per-code QA verdicts
+export const FEEDBACK_VERDICTS = ['correct', 'incorrect', 'missing', 'unsupported'];
+
+// Why a submission was routed to QA
+export const ROUTING_REASONS = {
+  ON_DEMAND: 'on_demand',
+  RESUBMISSION: 'resubmission',
+  COMPLIANCE_ALERT: 'compliance_alert',
+  NEW_CODER: 'new_coder',
+  SAMPLING: 'sampling'
+};
+
+class QAService {
+  constructor() {
+    this.enabled = config.qa.enabled;
+    this.sampleRate = Math.min(Math.max(config.qa.sampleRate, 0), 1);
+    this.newCoderThreshold = config.qa.newCoderThreshold;
+    this.alertSeverities = config.qa.alertSeverities;
+  }
+
+  /**
+   * Decide whether a coder submission goes to QA
+   * Returns { route, reason }
+   *
+   * Explicit requests and returned charts always route; the sampling rules
+   * only apply while QA is enabled
+   */
+  async evaluateRouting(chart, coderUserId, { requested = false } = {}) {
+    if (chart.review_status === 'qa_returned') {
+      return { route: true, reason: ROUTING_REASONS.RESUBMISSION };
+    }
+
+    if (requested || chart.qa_required) {
+      return { route: true, reason: ROUTING_REASONS.ON_DEMAND };
+    }
+
+    if (!this.enabled) {
+      return { route: false, reason: null };
+    }
+
+    if (this.hasBlockingAlert(chart)) {
+      return { route: true, reason: ROUTING_REASONS.COMPLIANCE_ALERT };
+    }
+
+    // n = this coder's submission count including the current one
+    const n = (await ChartRepository.countSubmittedBy(coderUserId)) + 1;
+
+    if (n <= this.newCoderThreshold) {
+      return { route: true, reason: ROUTING_REASONS.NEW_CODER };
+    }
+
+    // Deterministic per-coder sampling: route every time n * rate crosses a whole number,
+    // so each coder gets exactly their share instead of a random approximation
+    if (Math.floor(n * this.sampleRate) > Math.floor((n - 1) * this.sampleRate)) {
+      return { route: true, reason: ROUTING_REASONS.SAMPLING };
+    }
+
+    return { route: false, reason: null };
+  }
+
+  /**
+   * Check the AI compliance alerts for a severity that forces QA
+   */
+  hasBlockingAlert(chart) {
+    const alerts = chart.coding_notes?.compliance_alerts;
+    if (!Array.isArray(alerts)) return false;
+
+    return alerts.some(alert =>
+      this.alertSeverities.includes(String(alert?.severity || '').toLowerCase())
+    );
+  }
+
+  /**
+   * Validate per-code feedback
+   * Returns an error message, or null when valid
+   */
+  validateFeedback(codeFeedback) {
+    if (!Array.isArray(codeFeedback)) {
+      return 'codeFeedback must be an array';
+    }
+
+    for (const [i, item] of codeFeedback.entries()) {
+      if (!item || !CODE_CATEGORIES.includes(item.category)) {
+        return `codeFeedback[${i}].category must be one of: ${CODE_CATEGORIES.join(', ')}`;
+      }
+      if (!item.code) {
+        return `codeFeedback[${i}].code is required`;
+      }
+      if (!FEEDBACK_VERDICTS.includes(item.verdict)) {
+        return `codeFeedback[${i}].verdict must be one of: ${FEEDBACK_VERDICTS.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Score a QA round against the coder's submitted codes
+   * A substituted code counts as one error, not one removal plus one addition
+   */
+  scoreReview(coderCodes, { correctedCodes = null, codeFeedback = [] } = {}) {
+    const codeDiff = correctedCodes ? diffCodeSets(coderCodes, correctedCodes) : null;
+    const coderCodeCount = diffCodeSets(coderCodes, {}).totals.before;
+
+    const feedbackErrors = codeFeedback.filter(f => f.verdict !== 'correct').length;
+    const diffErrors = codeDiff
+      ? Object.values(codeDiff.byCategory).reduce(
+        (sum, c) => sum + Math.max(c.added.length, c.removed.length), 0)
+      : 0;
+
+    return {
+      codeDiff,
+      coderCodeCount,
+      errorCount: Math.max(feedbackErrors, diffErrors)
+    };
+  }
+}
+
+export const qaService = new QAService();
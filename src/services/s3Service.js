@@ -1,9 +1,13 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, CopyObjectCommand, PutObjectAclCommand,
+  CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
-import fs from 'fs';
-import path from 'path';
+import crypto from 'crypto';
 import { config } from '../config.js';
 
+const sha256Base64 = (buffer) => crypto.createHash('sha256').update(buffer).digest('base64');
+
 class S3Service {
   constructor() {
     this.client = new S3Client({
@@ -19,72 +23,177 @@ class S3Service {
   }
 
   /**
-   * Generate a unique key for the file
-   * Structure: clinical_documents/{chartNumber}/{timestamp}_{filename}
+   * Server-side encryption parameters for writes (empty when disabled)
    */
-  generateKey(chartNumber, documentType, originalFilename) {
-    const timestamp = Date.now();
-    const ext = path.extname(originalFilename);
-    const basename = path.basename(originalFilename, ext).replace(/[^a-zA-Z0-9]/g, '_');
-    return `clinical_documents/${chartNumber}/${timestamp}_${basename}${ext}`;
+  encryptionParams() {
+    const { sse, kmsKeyId } = config.s3;
+    if (!sse || sse === 'none') return {};
+
+    return sse === 'aws:kms'
+      ? { ServerSideEncryption: 'aws:kms', ...(kmsKeyId && { SSEKMSKeyId: kmsKeyId }) }
+      : { ServerSideEncryption: sse };
   }
 
   /**
-   * Upload a file to S3
+   * Write an object - private, encrypted at rest
+   * Clinical documents are never publicly readable: read them with getObject,
+   * or hand out a short-lived getSignedUrl
    */
-  async uploadFile(file, chartNumber, documentType) {
-    const key = this.generateKey(chartNumber, documentType, file.originalname);
-
-    try {
-      const fileBuffer = fs.readFileSync(file.path);
+  async putObject(key, body, { contentType = null, contentLength = null, metadata = {}, bucket = null } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: bucket || this.bucket,
+      Key: key,
+      Body: body,
+      ...(contentType && { ContentType: contentType }),
+      ...(contentLength !== null && { ContentLength: contentLength }),
+      ...(config.s3.uploadChecksums && Buffer.isBuffer(body) && { ChecksumSHA256: sha256Base64(body) }),
+      ...this.encryptionParams(),
+      Metadata: metadata
+    }));
+
+    return { key, bucket: bucket || this.bucket };
+  }
 
-      const command = new PutObjectCommand({
-        Bucket: this.bucket,
+  /**
+   * Stream an object into S3 without holding it in memory: parts of
+   * config.s3.multipartPartSize are sent as they fill (one part buffered at a time);
+   * anything smaller than one part goes up as a single PUT.
+   * Every part carries a SHA-256 checksum that S3 verifies; the whole-object
+   * SHA-256 (hex) and size are returned. A failed upload is aborted so no parts linger.
+   */
+  async uploadStream(key, stream, { contentType = null, metadata = {}, bucket = null } = {}) {
+    const Bucket = bucket || this.bucket;
+    const partSize = Math.max(config.s3.multipartPartSize, 5 * 1024 * 1024);
+    const checksums = config.s3.uploadChecksums;
+    const objectHash = crypto.createHash('sha256');
+
+    let size = 0;
+    let uploadId = null;
+    let pending = [];
+    let pendingBytes = 0;
+    const parts = [];
+
+    const sendPart = async (body) => {
+      if (!uploadId) {
+        const created = await this.client.send(new CreateMultipartUploadCommand({
+          Bucket,
+          Key: key,
+          ...(contentType && { ContentType: contentType }),
+          ...this.encryptionParams(),
+          ...(checksums && { ChecksumAlgorithm: 'SHA256' }),
+          Metadata: metadata
+        }));
+        uploadId = created.UploadId;
+      }
+
+      const PartNumber = parts.length + 1;
+      const response = await this.client.send(new UploadPartCommand({
+        Bucket,
         Key: key,
-        Body: fileBuffer,
-        ContentType: file.mimetype,
-        // Make the file publicly readable
-        ACL: 'public-read',
-        Metadata: {
-          'original-filename': file.originalname,
-          'chart-number': chartNumber,
-          'document-type': documentType
-        }
+        UploadId: uploadId,
+        PartNumber,
+        Body: body,
+        ContentLength: body.length,
+        ...(checksums && { ChecksumSHA256: sha256Base64(body) })
+      }));
+
+      parts.push({
+        PartNumber,
+        ETag: response.ETag,
+        ...(checksums && { ChecksumSHA256: response.ChecksumSHA256 || sha256Base64(body) })
       });
+    };
 
-      await this.client.send(command);
+    try {
+      for await (const chunk of stream) {
+        objectHash.update(chunk);
+        size += chunk.length;
+        pending.push(chunk);
+        pendingBytes += chunk.length;
+
+        if (pendingBytes >= partSize) {
+          const body = Buffer.concat(pending);
+          pending = [];
+          pendingBytes = 0;
+          await sendPart(body);
+        }
+      }
 
-      // Construct the public URL
-      const url = `${config.s3.endpoint}/${this.bucket}/${key}`;
+      const rest = Buffer.concat(pending);
 
-      console.log(`   ☁️  Uploaded to S3: ${key}`);
+      if (!uploadId) {
+        await this.putObject(key, rest, { contentType, contentLength: rest.length, metadata, bucket: Bucket });
+      } else {
+        if (rest.length > 0) await sendPart(rest);
+        await this.client.send(new CompleteMultipartUploadCommand({
+          Bucket,
+          Key: key,
+          UploadId: uploadId,
+          MultipartUpload: { Parts: parts }
+        }));
+      }
+
+      return { key, bucket: Bucket, size, sha256: objectHash.digest('hex'), parts: Math.max(parts.length, 1) };
 
-      return {
-        success: true,
-        key,
-        url,
-        bucket: this.bucket,
-        originalFilename: file.originalname,
-        contentType: file.mimetype,
-        size: file.size
-      };
     } catch (error) {
-      console.error(`   ❌ S3 upload failed: ${error.message}`);
+      if (uploadId) {
+        await this.client.send(new AbortMultipartUploadCommand({ Bucket, Key: key, UploadId: uploadId }))
+          .catch(abortError => console.error(`   ❌ Could not abort multipart upload ${key}: ${abortError.message}`));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Object metadata without the body - null when the object does not exist
+   */
+  async headObject(key, { bucket = null } = {}) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: bucket || this.bucket, Key: key }));
       return {
-        success: false,
-        error: error.message
+        contentType: response.ContentType,
+        contentLength: response.ContentLength,
+        lastModified: response.LastModified,
+        metadata: response.Metadata || {}
       };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
     }
   }
 
+  /**
+   * Read an object through the S3 client
+   * Returns the SDK body (a readable stream) with its content type and length
+   */
+  async getObject(key, { bucket = null, timeoutMs = null } = {}) {
+    const response = await this.client.send(
+      new GetObjectCommand({ Bucket: bucket || this.bucket, Key: key }),
+      timeoutMs ? { abortSignal: AbortSignal.timeout(timeoutMs) } : {}
+    );
+
+    return {
+      body: response.Body,
+      contentType: response.ContentType,
+      contentLength: response.ContentLength
+    };
+  }
+
   /**
    * Get a signed URL for temporary access
+   * filename sets Content-Disposition so the browser shows the original name
    */
-  async getSignedUrl(key, expiresIn = 3600) {
+  async getSignedUrl(key, expiresIn = config.storage.signedUrlExpiresSeconds, options = {}) {
+    const { filename = null, contentType = null, bucket = this.bucket, inline = true } = options;
+
     try {
       const command = new GetObjectCommand({
-        Bucket: this.bucket,
-        Key: key
+        Bucket: bucket || this.bucket,
+        Key: key,
+        ...(filename && {
+          ResponseContentDisposition: `${inline ? 'inline' : 'attachment'}; filename="${filename.replace(/["\\\r\n]/g, '_')}"`
+        }),
+        ...(contentType && { ResponseContentType: contentType })
       });
 
       const signedUrl = await getSignedUrl(this.client, command, { expiresIn });
@@ -95,13 +204,37 @@ class S3Service {
     }
   }
 
+  /**
+   * Make an object uploaded before private storage private and encrypted
+   * (copy onto itself to apply server-side encryption, then reset the ACL)
+   */
+  async makePrivate(key, bucket = this.bucket) {
+    try {
+      const encryption = this.encryptionParams();
+      if (encryption.ServerSideEncryption) {
+        await this.client.send(new CopyObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          CopySource: `${bucket}/${encodeURIComponent(key).replace(/%2F/g, '/')}`,
+          MetadataDirective: 'COPY',
+          ...encryption
+        }));
+      }
+
+      await this.client.send(new PutObjectAclCommand({ Bucket: bucket, Key: key, ACL: 'private' }));
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Delete a file from S3
    */
-  async deleteFile(key) {
+  async deleteFile(key, { bucket = null } = {}) {
     try {
       const command = new DeleteObjectCommand({
-        Bucket: this.bucket,
+        Bucket: bucket || this.bucket,
         Key: key
       });
 
@@ -112,23 +245,6 @@ class S3Service {
       return { success: false, error: error.message };
     }
   }
-
-  /**
-   * Upload multiple files
-   */
-  async uploadFiles(files, chartNumber, documentType) {
-    const results = [];
-
-    for (const file of files) {
-      const result = await this.uploadFile(file, chartNumber, documentType);
-      results.push({
-        ...result,
-        originalFilename: file.originalname
-      });
-    }
-
-    return results;
-  }
 }
 
 export const s3Service = new S3Service();
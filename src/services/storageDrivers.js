@@ -0,0 +1,298 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { s3Service } from './s3Service.js';
+
+/**
+ * Storage Drivers - where uploaded documents live, behind StorageService
+ *
+ * Every driver implements:
+ *   put(key, body, { contentType, contentLength, metadata })  body: Buffer | Readable
+ *     -> { key, bucket, size, sha256 }   (sha256: hex digest of what was stored)
+ *   getStream(key, { bucket, timeoutMs }) -> { stream, contentType, contentLength }
+ *   head(key, { bucket }) -> { contentType, contentLength, lastModified, metadata } | null
+ *   delete(key, { bucket })
+ *   presign(key, { bucket, expiresIn, filename, contentType, inline }) -> url
+ *
+ * `bucket` is whatever the driver returned from put (stored as documents.s3_bucket).
+ */
+
+export const STORAGE_DRIVERS = ['s3', 'local', 'memory'];
+
+const toBuffer = async (body) => {
+  if (Buffer.isBuffer(body)) return body;
+  if (typeof body === 'string') return Buffer.from(body);
+
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+const sha256Hex = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Pass-through that counts and hashes whatever flows through it
+ */
+const createDigestStream = () => {
+  const hash = crypto.createHash('sha256');
+  const digest = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      digest.size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  digest.size = 0;
+  digest.sha256 = () => hash.digest('hex');
+  return digest;
+};
+
+const contentDisposition = (filename, inline) =>
+  `${inline ? 'inline' : 'attachment'}; filename="${filename.replace(/["\\\r\n]/g, '_')}"`;
+
+/**
+ * S3 / S3-compatible object storage (private objects, SSE - see s3Service)
+ */
+class S3StorageDriver {
+  constructor() {
+    this.name = 's3';
+  }
+
+  async put(key, body, { contentType, contentLength = null, metadata = {} } = {}) {
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      const data = Buffer.from(body);
+      const { bucket } = await s3Service.putObject(key, data, { contentType, contentLength: data.length, metadata });
+      return { key, bucket, size: data.length, sha256: sha256Hex(data) };
+    }
+
+    const { bucket, size, sha256 } = await s3Service.uploadStream(key, body, { contentType, metadata });
+    return { key, bucket, size, sha256 };
+  }
+
+  async getStream(key, { bucket = null, timeoutMs = null } = {}) {
+    const { body, contentType, contentLength } = await s3Service.getObject(key, { bucket, timeoutMs });
+    return { stream: body, contentType, contentLength };
+  }
+
+  async head(key, { bucket = null } = {}) {
+    return s3Service.headObject(key, { bucket });
+  }
+
+  async delete(key, { bucket = null } = {}) {
+    const result = await s3Service.deleteFile(key, { bucket });
+    if (!result.success) throw new Error(result.error);
+  }
+
+  async presign(key, { bucket = null, expiresIn, filename = null, contentType = null, inline = true } = {}) {
+    const signed = await s3Service.getSignedUrl(key, expiresIn, { bucket, filename, contentType, inline });
+    if (!signed.success) throw new Error(signed.error);
+    return signed.url;
+  }
+}
+
+/**
+ * Files under a local directory - for development and single-host installs
+ * Metadata sits next to each file in <file>.meta.json. Presigned URLs point at
+ * the API's /api/storage/local route and carry an HMAC of key + expiry.
+ */
+class LocalStorageDriver {
+  constructor({ root, signingSecret, baseUrl = '' }) {
+    if (!signingSecret) {
+      throw new Error('Local storage needs a signing secret (STORAGE_SIGNING_SECRET)');
+    }
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.signingSecret = signingSecret;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Absolute path for a key - keys cannot climb out of the root
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  isValidKey(key) {
+    try {
+      this.resolve(key);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async put(key, body, { contentType = null, metadata = {} } = {}) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const digest = createDigestStream();
+    try {
+      await pipeline(Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([Buffer.from(body)]) : body, digest, fs.createWriteStream(filePath));
+    } catch (error) {
+      // Don't leave half a file behind when the source stream is cut off
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    await fs.promises.writeFile(`${filePath}.meta.json`, JSON.stringify({ contentType, metadata }));
+    return { key, bucket: null, size: digest.size, sha256: digest.sha256() };
+  }
+
+  async readMeta(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(`${filePath}.meta.json`, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async getStream(key) {
+    const filePath = this.resolve(key);
+    const stats = await fs.promises.stat(filePath);
+    const meta = await this.readMeta(filePath);
+
+    return {
+      stream: fs.createReadStream(filePath),
+      contentType: meta.contentType || 'application/octet-stream',
+      contentLength: stats.size
+    };
+  }
+
+  async head(key) {
+    const filePath = this.resolve(key);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      const meta = await this.readMeta(filePath);
+      return {
+        contentType: meta.contentType || 'application/octet-stream',
+        contentLength: stats.size,
+        lastModified: stats.mtime,
+        metadata: meta.metadata || {}
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.rm(filePath, { force: true });
+    await fs.promises.rm(`${filePath}.meta.json`, { force: true });
+  }
+
+  sign(key, expires, disposition, contentType) {
+    return crypto.createHmac('sha256', this.signingSecret)
+      .update([key, expires, disposition || '', contentType || ''].join('\n'))
+      .digest('hex');
+  }
+
+  async presign(key, { expiresIn, filename = null, contentType = null, inline = true } = {}) {
+    this.resolve(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const disposition = filename ? contentDisposition(filename, inline) : null;
+
+    const params = new URLSearchParams({ key, expires: String(expires) });
+    if (disposition) params.set('disposition', disposition);
+    if (contentType) params.set('type', contentType);
+    params.set('signature', this.sign(key, expires, disposition, contentType));
+
+    return `${this.baseUrl}/api/storage/local?${params.toString()}`;
+  }
+
+  /**
+   * Check a presigned URL's query - returns the signed parameters or null
+   */
+  verify({ key, expires, disposition, type, signature }) {
+    if (!key || !expires || !signature) return null;
+    if (parseInt(expires) < Date.now() / 1000) return null;
+    if (!this.isValidKey(key)) return null;
+
+    const expected = Buffer.from(this.sign(key, expires, disposition, type));
+    const given = Buffer.from(String(signature));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    return { key, disposition: disposition || null, contentType: type || null };
+  }
+}
+
+/**
+ * Process memory - for tests; everything is lost on exit
+ */
+class MemoryStorageDriver {
+  constructor() {
+    this.name = 'memory';
+    this.objects = new Map();
+  }
+
+  async put(key, body, { contentType = null, metadata = {} } = {}) {
+    const data = await toBuffer(body);
+    this.objects.set(key, { data, contentType, metadata, lastModified: new Date() });
+    return { key, bucket: null, size: data.length, sha256: sha256Hex(data) };
+  }
+
+  get(key) {
+    const object = this.objects.get(key);
+    if (!object) {
+      const error = new Error(`NoSuchKey: ${key}`);
+      error.name = 'NoSuchKey';
+      throw error;
+    }
+    return object;
+  }
+
+  async getStream(key) {
+    const object = this.get(key);
+    return {
+      stream: Readable.from([object.data]),
+      contentType: object.contentType || 'application/octet-stream',
+      contentLength: object.data.length
+    };
+  }
+
+  async head(key) {
+    const object = this.objects.get(key);
+    return object
+      ? { contentType: object.contentType, contentLength: object.data.length, lastModified: object.lastModified, metadata: object.metadata }
+      : null;
+  }
+
+  async delete(key) {
+    this.objects.delete(key);
+  }
+
+  async presign(key, { expiresIn } = {}) {
+    this.get(key);
+    return `memory://${encodeURIComponent(key)}?expires=${Math.floor(Date.now() / 1000) + expiresIn}`;
+  }
+}
+
+/**
+ * Build the driver named by storageConfig.driver
+ */
+export function createStorageDriver(name, storageConfig) {
+  switch (name) {
+    case 's3':
+      return new S3StorageDriver();
+
+    case 'local':
+      return new LocalStorageDriver({
+        root: storageConfig.local.root,
+        signingSecret: storageConfig.local.signingSecret,
+        baseUrl: storageConfig.local.baseUrl
+      });
+
+    case 'memory':
+      return new MemoryStorageDriver();
+
+    default:
+      throw new Error(`Unknown storage driver "${name}". Must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+}
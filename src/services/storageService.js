@@ -0,0 +1,112 @@
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { createStorageDriver } from './storageDrivers.js';
+
+/**
+ * Document storage - uploads go to the driver selected by config.storage.driver;
+ * reads go to the driver each document was written with (documents.storage_driver),
+ * so switching drivers does not strand earlier uploads
+ *
+ * A location is { driver, key, bucket } - see locationOf for document rows
+ */
+class StorageService {
+  constructor() {
+    this.defaultDriver = config.storage.driver;
+    this.drivers = new Map();
+  }
+
+  driver(name = this.defaultDriver) {
+    if (!this.drivers.has(name)) {
+      this.drivers.set(name, createStorageDriver(name, config.storage));
+    }
+    return this.drivers.get(name);
+  }
+
+  /**
+   * Location of a stored document (DB row or worker document)
+   */
+  locationOf(doc) {
+    return {
+      driver: doc.storage_driver || doc.storageDriver || 's3',
+      key: doc.s3_key || doc.s3Key,
+      bucket: doc.s3_bucket || doc.s3Bucket || null
+    };
+  }
+
+  /**
+   * Generate a unique key for the file
+   * Structure: clinical_documents/{chartNumber}/{timestamp}_{uuid}_{filename}
+   * The UUID keeps same-named files in one request (same millisecond) apart
+   */
+  generateKey(chartNumber, documentType, originalFilename) {
+    const timestamp = Date.now();
+    const ext = path.extname(originalFilename);
+    const basename = path.basename(originalFilename, ext).replace(/[^a-zA-Z0-9]/g, '_');
+    return `clinical_documents/${chartNumber}/${timestamp}_${crypto.randomUUID()}_${basename}${ext}`;
+  }
+
+  /**
+   * Stream an incoming upload into the default driver as it arrives
+   * file: multer's { originalname, mimetype }; stream: the file's bytes
+   * Returns { key, bucket, driver, size, sha256 } - throws when the store fails
+   */
+  async putUpload(stream, file, { chartNumber, documentType } = {}) {
+    const key = this.generateKey(chartNumber, documentType, file.originalname);
+    const driver = this.driver();
+
+    try {
+      const { bucket, size, sha256 } = await driver.put(key, stream, {
+        contentType: file.mimetype,
+        metadata: {
+          'original-filename': file.originalname,
+          'chart-number': chartNumber,
+          'document-type': documentType || 'unknown'
+        }
+      });
+
+      console.log(`   ☁️  Stored (${driver.name}): ${key} (${(size / 1024).toFixed(1)}KB)`);
+
+      return { key, bucket, driver: driver.name, size, sha256 };
+    } catch (error) {
+      console.error(`   ❌ Storage upload failed (${driver.name}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getStream(location, options = {}) {
+    return this.driver(location.driver).getStream(location.key, { bucket: location.bucket, ...options });
+  }
+
+  /**
+   * Read a whole object into a Buffer
+   */
+  async getBuffer(location, options = {}) {
+    const { stream } = await this.getStream(location, options);
+
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+  }
+
+  async head(location) {
+    return this.driver(location.driver).head(location.key, { bucket: location.bucket });
+  }
+
+  async delete(location) {
+    return this.driver(location.driver).delete(location.key, { bucket: location.bucket });
+  }
+
+  /**
+   * Short-lived URL for the browser (options: expiresIn, filename, contentType, inline)
+   */
+  async presign(location, options = {}) {
+    return this.driver(location.driver).presign(location.key, {
+      bucket: location.bucket,
+      expiresIn: config.storage.signedUrlExpiresSeconds,
+      ...options
+    });
+  }
+}
+
+export const storageService = new StorageService();
@@ -0,0 +1,198 @@
+import { Transform } from 'stream';
+import { config } from '../config.js';
+import { createMalwareScanner } from './malwareScanners.js';
+import {
+  SNIFF_BYTES, sniffContentType, matchesDeclaredType, createPatternScanner, PDF_RISK_PATTERNS
+} from '../utils/contentSniffer.js';
+
+/**
+ * Upload inspection - checks each upload while it streams into storage
+ *
+ *   - content sniffing: the first bytes must match the declared MIME type, or
+ *     the upload is rejected before anything is stored
+ *   - malware scan (config.upload.scan.scanner) fed the same bytes
+ *   - encrypted / JavaScript-bearing PDFs
+ *
+ * Findings quarantine the document (stored, recorded with a reason, never
+ * processed or served) rather than failing the request.
+ */
+
+export const SCAN_STATUS = {
+  CLEAN: 'clean',              // Scanned, nothing found
+  UNSCANNED: 'unscanned',      // No malware scanner configured (or it failed with onError=allow)
+  QUARANTINED: 'quarantined'
+};
+
+/**
+ * Errors that turn an upload away - answered with 400 rather than 500
+ */
+export const uploadRejected = (message) => {
+  const error = new Error(message);
+  error.code = 'UPLOAD_REJECTED';
+  return error;
+};
+
+/**
+ * Pass-through stream that inspects what flows into storage
+ * Call verdict() once storage has consumed it
+ */
+class UploadInspection extends Transform {
+  constructor(file, { scanner, scanConfig }) {
+    super();
+    this.file = file;
+    this.scanConfig = scanConfig;
+    this.scanner = scanner;
+    this.scan = scanner ? scanner.startScan(file.originalname) : null;
+    this.scanError = null;
+    this.pdfScanner = null;
+
+    this.detectedType = undefined;
+    this.head = [];
+    this.headBytes = 0;
+  }
+
+  /**
+   * Decide the type from the buffered head - rejects mismatches
+   */
+  checkHead() {
+    const head = Buffer.concat(this.head);
+    this.head = [];
+    this.detectedType = sniffContentType(head.subarray(0, SNIFF_BYTES));
+
+    if (!matchesDeclaredType(this.file.mimetype, this.detectedType)) {
+      throw uploadRejected(
+        `Content of ${this.file.originalname} does not match its type ${this.file.mimetype}` +
+        ` (detected ${this.detectedType || 'unknown content'})`
+      );
+    }
+
+    if (this.detectedType === 'application/pdf') {
+      this.pdfScanner = createPatternScanner(PDF_RISK_PATTERNS);
+    }
+    return head;
+  }
+
+  async inspect(chunk) {
+    this.pdfScanner?.update(chunk);
+
+    if (this.scan) {
+      try {
+        await this.scan.write(chunk);
+      } catch (error) {
+        this.scanError = error;
+        this.scan.abort();
+        this.scan = null;
+      }
+    }
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.detectedType !== undefined) {
+      this.inspect(chunk).then(() => callback(null, chunk), callback);
+      return;
+    }
+
+    // Hold the first bytes back until the type is known
+    this.head.push(chunk);
+    this.headBytes += chunk.length;
+    if (this.headBytes < SNIFF_BYTES) return callback();
+
+    this.releaseHead(callback);
+  }
+
+  _flush(callback) {
+    if (this.detectedType !== undefined) return callback();
+    this.releaseHead(callback);
+  }
+
+  releaseHead(callback) {
+    let head;
+    try {
+      head = this.checkHead();
+    } catch (error) {
+      return callback(error);
+    }
+    this.inspect(head).then(() => callback(null, head), callback);
+  }
+
+  _destroy(error, callback) {
+    // Streams are destroyed after a normal end too - the scan verdict is still to come then
+    if (error || !this.writableFinished) this.scan?.abort();
+    callback(error);
+  }
+
+  /**
+   * Outcome once the whole file has passed through:
+   * { detectedType, scanStatus, quarantineReason, scanner }
+   * Throws (UPLOAD_REJECTED) when the scan failed and onError is 'reject'
+   */
+  async verdict() {
+    const reasons = [];
+    let scanned = false;
+
+    if (this.scan) {
+      try {
+        const { clean, signature } = await this.scan.end();
+        scanned = true;
+        if (!clean) reasons.push(`malware: ${signature}`);
+      } catch (error) {
+        this.scanError = error;
+      }
+    }
+
+    if (this.scanError) {
+      console.error(`   ❌ Malware scan failed for ${this.file.originalname}: ${this.scanError.message}`);
+
+      if (this.scanConfig.onError === 'reject') {
+        throw uploadRejected(`Could not scan ${this.file.originalname} for malware`);
+      }
+      if (this.scanConfig.onError === 'quarantine') {
+        reasons.push('scan_failed');
+      }
+    }
+
+    const pdfRisks = this.pdfScanner?.found || new Set();
+    if (pdfRisks.has('encrypted_pdf') && this.scanConfig.quarantineEncryptedPdfs) reasons.push('encrypted_pdf');
+    if (pdfRisks.has('pdf_javascript') && this.scanConfig.quarantineScriptedPdfs) reasons.push('pdf_javascript');
+
+    let scanStatus = scanned ? SCAN_STATUS.CLEAN : SCAN_STATUS.UNSCANNED;
+    if (reasons.length > 0) scanStatus = SCAN_STATUS.QUARANTINED;
+
+    return {
+      detectedType: this.detectedType,
+      scanStatus,
+      quarantineReason: reasons.length > 0 ? reasons.join('; ') : null,
+      scanner: this.scanner?.name || null
+    };
+  }
+}
+
+class UploadInspectionService {
+  constructor() {
+    this.scanConfig = config.upload.scan;
+    this.scanner = undefined;
+  }
+
+  /**
+   * The configured malware scanner - swap with setScanner (e.g. a stub in tests)
+   */
+  getScanner() {
+    if (this.scanner === undefined) {
+      this.scanner = createMalwareScanner(this.scanConfig.scanner, this.scanConfig);
+    }
+    return this.scanner;
+  }
+
+  setScanner(scanner) {
+    this.scanner = scanner;
+  }
+
+  /**
+   * Start inspecting one upload (multer file: { originalname, mimetype })
+   */
+  inspect(file) {
+    return new UploadInspection(file, { scanner: this.getScanner(), scanConfig: this.scanConfig });
+  }
+}
+
+export const uploadInspectionService = new UploadInspectionService();
@@ -0,0 +1,116 @@
+/**
+ * Code Diff - compares code sets category by category
+ * Used for QA verdicts and coder accuracy
+ */
+
+export const CODE_CATEGORIES = [
+  'reason_for_admit',
+  'ed_em_level',
+  'procedures',
+  'primary_diagnosis',
+  'secondary_diagnoses',
+  'modifiers'
+];
+
+/**
+ * Get the code value from a code entry
+ * AI output uses icd_10_code / cpt_code / code / modifier_code depending on category
+ */
+export function extractCode(entry) {
+  if (!entry) return null;
+  if (typeof entry === 'string') return entry.trim().toUpperCase();
+
+  const value = entry.code || entry.icd_10_code || entry.cpt_code || entry.modifier_code;
+  return value ? String(value).trim().toUpperCase() : null;
+}
+
+/**
+ * Get the list of code values in one category of a code set
+ */
+export function codesInCategory(codeSet, category) {
+  const entries = codeSet?.[category];
+  if (!Array.isArray(entries)) return [];
+  return entries.map(extractCode).filter(Boolean);
+}
+
+/**
+ * Diff two code sets
+ * Returns { byCategory: { [category]: { added, removed, unchanged } }, totals }
+ * "added" = in `after` only, "removed" = in `before` only
+ */
+export function diffCodeSets(before = {}, after = {}) {
+  const byCategory = {};
+  const totals = { before: 0, after: 0, added: 0, removed: 0, unchanged: 0 };
+
+  for (const category of CODE_CATEGORIES) {
+    const beforeCodes = codesInCategory(before, category);
+    const afterCodes = codesInCategory(after, category);
+    const beforeSet = new Set(beforeCodes);
+    const afterSet = new Set(afterCodes);
+
+    const added = [...afterSet].filter(c => !beforeSet.has(c));
+    const removed = [...beforeSet].filter(c => !afterSet.has(c));
+    const unchanged = [...beforeSet].filter(c => afterSet.has(c));
+
+    totals.before += beforeSet.size;
+    totals.after += afterSet.size;
+    totals.added += added.length;
+    totals.removed += removed.length;
+    totals.unchanged += unchanged.length;
+
+    if (added.length > 0 || removed.length > 0 || unchanged.length > 0) {
+      byCategory[category] = { added, removed, unchanged };
+    }
+  }
+
+  return {
+    byCategory,
+    totals,
+    hasChanges: totals.added > 0 || totals.removed > 0
+  };
+}
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+/**
+ * Precision / recall / F1 from match counts (null when undefined, e.g. nothing predicted)
+ */
+export function scoreCounts({ tp, fp, fn }) {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? (2 * precision * recall) / (precision + recall)
+    : (precision === 0 || recall === 0 ? 0 : null);
+
+  return { tp, fp, fn, precision, recall, f1 };
+}
+
+/**
+ * Score a predicted code set against a gold code set, category by category
+ * Codes are compared without dots, so "R07.9" matches "R079"; categories the
+ * gold set does not carry at all are not graded
+ * Returns { byCategory: { [category]: { tp, fp, fn, precision, recall, f1 } }, overall }
+ */
+export function scoreCodeSets(predicted = {}, gold = {}) {
+  const byCategory = {};
+  const overall = { tp: 0, fp: 0, fn: 0 };
+  const normalized = (codeSet, category) =>
+    new Set(codesInCategory(codeSet, category).map(code => code.replace(/\./g, '')));
+
+  for (const category of CODE_CATEGORIES) {
+    if (!Array.isArray(gold?.[category])) continue;
+
+    const predictedSet = normalized(predicted, category);
+    const goldSet = normalized(gold, category);
+
+    const tp = [...predictedSet].filter(c => goldSet.has(c)).length;
+    const counts = { tp, fp: predictedSet.size - tp, fn: goldSet.size - tp };
+
+    overall.tp += counts.tp;
+    overall.fp += counts.fp;
+    overall.fn += counts.fn;
+    byCategory[category] = scoreCounts(counts);
+  }
+
+  return { byCategory, overall: scoreCounts(overall) };
+}
@@ -0,0 +1,165 @@
+/**
+ * Code Set Parsers - turn CMS / AMA distribution files into code set entries
+ *
+ * ICD-10-CM: the CMS "order" file (icd10cm_order_YYYY.txt), fixed width:
+ *   1-5 order number, 7-13 code, 15 header flag (0 = category header, 1 = billable),
+ *   17-76 short description, 78-end long description
+ *
+ * CPT / HCPCS: delimited text (tab or comma). Files with a header row are mapped by
+ * column name (CMS HCPCS "HCPC", "LONG DESCRIPTION", "ACT EFF DT", ...); headerless
+ * files are read as code<delimiter>description (AMA LONGULT/MEDU layout)
+ */
+
+export function normalizeCode(code) {
+  if (code === null || code === undefined) return '';
+  return String(code).replace(/[\s.]/g, '').toUpperCase();
+}
+
+/**
+ * Display form of an ICD-10-CM code - dot after the category (E1165 -> E11.65)
+ */
+export function formatIcd10Code(code) {
+  const normalized = normalizeCode(code);
+  return normalized.length > 3 ? `${normalized.slice(0, 3)}.${normalized.slice(3)}` : normalized;
+}
+
+/**
+ * Parse one line of the ICD-10-CM order file
+ */
+export function parseIcd10OrderLine(line) {
+  if (!line || line.length < 16) return null;
+
+  const code = normalizeCode(line.slice(6, 13));
+  if (!code) return null;
+
+  return {
+    code,
+    isBillable: line.charAt(14) === '1',
+    shortDescription: line.slice(16, 76).trim(),
+    longDescription: line.slice(77).trim() || line.slice(16, 76).trim()
+  };
+}
+
+// Header names seen in CMS HCPCS and AMA CPT exports, normalized to lowercase
+const COLUMN_ALIASES = {
+  code: ['hcpc', 'hcpcs', 'hcpcs code', 'code', 'cpt', 'cpt code', 'cpt_code'],
+  recordId: ['recid', 'record id'],
+  longDescription: ['long description', 'long_description', 'long descriptor', 'description'],
+  shortDescription: ['short description', 'short_description', 'short descriptor'],
+  effectiveFrom: ['act eff dt', 'effective date', 'add dt'],
+  effectiveTo: ['term dt', 'termination date']
+};
+
+// HCPCS record ids 7/8 are modifiers, not procedure codes
+const MODIFIER_RECORD_IDS = ['7', '8'];
+
+/**
+ * Split a delimited line, honouring double-quoted fields for CSV
+ */
+export function splitDelimited(line, delimiter) {
+  if (delimiter === '\t') return line.split('\t');
+
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+
+  return fields;
+}
+
+/**
+ * Convert YYYYMMDD / YYYY-MM-DD / MM/DD/YYYY to YYYY-MM-DD
+ */
+export function parseFileDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+
+  return null;
+}
+
+/**
+ * Normalize a date of service or DATE column value to YYYY-MM-DD
+ * DATE columns come back from pg as local-midnight Date objects
+ */
+export function toDateString(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return value.slice(0, 10);
+  if (!(value instanceof Date)) return parseFileDate(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * Build a line parser for a CPT/HCPCS delimited file from its first line
+ * Returns { hasHeader, parse(line) } - parse returns an entry or null
+ */
+export function createDelimitedParser(firstLine) {
+  const delimiter = firstLine.includes('\t') ? '\t' : ',';
+  const headerFields = splitDelimited(firstLine, delimiter).map(f => f.trim().toLowerCase());
+
+  const columns = {};
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = headerFields.findIndex(f => aliases.includes(f));
+    if (index !== -1) columns[key] = index;
+  }
+
+  const hasHeader = columns.code !== undefined;
+  if (!hasHeader) {
+    columns.code = 0;
+    columns.longDescription = 1;
+  }
+
+  const field = (fields, key) => columns[key] !== undefined ? (fields[columns[key]] || '').trim() : '';
+
+  return {
+    hasHeader,
+    parse(line) {
+      if (!line || !line.trim()) return null;
+
+      const fields = splitDelimited(line, delimiter);
+      const code = normalizeCode(field(fields, 'code'));
+      if (!/^[A-Z0-9]{5}$/.test(code)) return null;
+      if (MODIFIER_RECORD_IDS.includes(field(fields, 'recordId'))) return null;
+
+      const longDescription = hasHeader
+        ? field(fields, 'longDescription')
+        : fields.slice(1).join(delimiter).trim();
+
+      return {
+        code,
+        isBillable: true,
+        shortDescription: field(fields, 'shortDescription') || null,
+        longDescription: longDescription || null,
+        effectiveFrom: parseFileDate(field(fields, 'effectiveFrom')),
+        effectiveTo: parseFileDate(field(fields, 'effectiveTo'))
+      };
+    }
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * Coding Merge - reduces per-chunk AI coding responses into one response
+ * (same structure as a single-call response, before transformToDBFormat)
+ *
+ * - one primary diagnosis: highest confidence, then most chunks, then most evidence;
+ *   the other primary candidates become secondary diagnoses
+ * - one E/M level: highest confidence, then the higher level (no part of the chart
+ *   can be more complex than the whole)
+ * - reason for admit, secondary diagnoses, procedures and modifiers are unioned by code
+ * - evidence of duplicate codes is concatenated, so every pointer into the
+ *   original documents survives
+ */
+
+import { extractCode } from './codeDiff.js';
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+const rank = (entry) => CONFIDENCE_RANK[String(entry?.confidence || '').toLowerCase()] || 0;
+
+const codeOf = (entry) => (extractCode(entry) || '').replace(/\./g, '');
+
+const evidenceList = (entry) => [].concat(entry?.evidence || []).filter(Boolean);
+
+const evidenceKey = (item) => `${item.document_name}|${item.line_number}|${item.exact_text}`;
+
+/**
+ * Combine entries for the same code: keep the most confident entry's fields,
+ * union the evidence, count the chunks that reported it
+ */
+function combineEntries(entries) {
+  const best = [...entries].sort((a, b) => rank(b) - rank(a))[0];
+  const seen = new Set();
+  const evidence = [];
+
+  for (const entry of entries) {
+    for (const item of evidenceList(entry)) {
+      const key = evidenceKey(item);
+      if (!seen.has(key)) {
+        seen.add(key);
+        evidence.push(item);
+      }
+    }
+  }
+
+  const combined = { ...best, chunk_count: entries.length };
+  // Single-object evidence stays an object unless merging produced several pointers
+  if (evidence.length > 1 || Array.isArray(best.evidence)) {
+    combined.evidence = evidence;
+  }
+  return combined;
+}
+
+/**
+ * Union a category across chunks, grouping by `keyOf`, in first-seen order
+ */
+function unionBy(lists, keyOf) {
+  const groups = new Map();
+
+  for (const entry of lists.flat()) {
+    const key = keyOf(entry);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  return [...groups.values()].map(combineEntries);
+}
+
+/**
+ * Pick one entry: highest confidence, then reported by most chunks, then most evidence,
+ * then `tieBreak` (higher wins)
+ */
+function pickOne(candidates, tieBreak = () => 0) {
+  return [...candidates].sort((a, b) =>
+    rank(b) - rank(a)
+    || (b.chunk_count || 1) - (a.chunk_count || 1)
+    || evidenceList(b).length - evidenceList(a).length
+    || tieBreak(b) - tieBreak(a)
+  )[0] || null;
+}
+
+/**
+ * Concatenate lists of objects, dropping exact duplicates and items whose `key` field repeats
+ */
+function concatUnique(lists, key = null) {
+  const seen = new Set();
+  const result = [];
+
+  for (const item of lists.flat()) {
+    if (!item) continue;
+    const id = key && item[key] ? String(item[key]).trim().toLowerCase() : JSON.stringify(item);
+    if (!seen.has(id)) {
+      seen.add(id);
+      result.push(item);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Deep-merge narrative objects: first non-empty scalar wins, arrays are concatenated
+ */
+function mergeNarrative(values) {
+  const present = values.filter(v => v !== undefined && v !== null && v !== '');
+  if (present.length === 0) return values[0];
+
+  if (present.every(Array.isArray)) {
+    return concatUnique(present);
+  }
+
+  if (present.every(v => typeof v === 'object' && !Array.isArray(v))) {
+    const keys = [...new Set(present.flatMap(Object.keys))];
+    return Object.fromEntries(keys.map(key => [key, mergeNarrative(present.map(v => v[key]))]));
+  }
+
+  return present[0];
+}
+
+const categoryCodes = (response, category) => response?.coding_categories?.[category]?.codes || [];
+
+/**
+ * Merge per-chunk coding responses into one
+ */
+export function mergeCodingResponses(responses) {
+  const collect = (category) => responses.map(r => categoryCodes(r, category));
+
+  const primaryCandidates = unionBy(collect('primary_diagnosis'), codeOf);
+  const primary = pickOne(primaryCandidates);
+  const primaryCode = primary ? codeOf(primary) : null;
+
+  // Losing primary candidates are still documented conditions
+  const demoted = primaryCandidates.filter(entry => entry !== primary);
+  const secondary = unionBy([...collect('secondary_diagnoses'), demoted], codeOf)
+    .filter(entry => codeOf(entry) !== primaryCode);
+
+  const emLevels = unionBy(collect('ed_em_level'), codeOf);
+  const emLevel = pickOne(emLevels, entry => parseInt(codeOf(entry), 10) || 0);
+
+  const modifierKey = (entry) => {
+    const modifier = (entry?.modifier_code || '').toUpperCase();
+    return modifier ? `${modifier}|${String(entry.applies_to_code || '').toUpperCase()}` : null;
+  };
+
+  const coding = {
+    reason_for_admit: unionBy(collect('reason_for_admit'), codeOf),
+    primary_diagnosis: primary ? [primary] : [],
+    secondary_diagnoses: secondary,
+    procedures: unionBy(collect('procedures'), codeOf),
+    ed_em_level: emLevel ? [emLevel] : [],
+    modifiers: unionBy(collect('modifiers'), modifierKey)
+  };
+
+  const feedback = (key, field) => concatUnique(responses.map(r => r?.feedback?.[key] || []), field);
+  const totalCodes = Object.values(coding).reduce((sum, codes) => sum + codes.length, 0);
+
+  return {
+    ai_narrative_summary: mergeNarrative(responses.map(r => r?.ai_narrative_summary)),
+    coding_categories: Object.fromEntries(
+      Object.entries(coding).map(([category, codes]) => [category, { codes }])
+    ),
+    feedback: {
+      documentation_gaps: feedback('documentation_gaps', 'gap'),
+      physician_queries_needed: feedback('physician_queries_needed', 'query'),
+      coding_tips: feedback('coding_tips', 'tip'),
+      compliance_alerts: feedback('compliance_alerts', 'alert')
+    },
+    medications: concatUnique(responses.map(r => r?.medications || []), 'name'),
+    vitals_summary: mergeNarrative(responses.map(r => r?.vitals_summary)) || {},
+    lab_results_summary: concatUnique(responses.map(r => r?.lab_results_summary || [])),
+    metadata: {
+      ...mergeNarrative(responses.map(r => r?.metadata)),
+      total_codes_extracted: totalCodes,
+      chunks_merged: responses.length
+    }
+  };
+}
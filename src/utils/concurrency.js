@@ -0,0 +1,103 @@
+/**
+ * Concurrency helpers for calls to external services (OCR service, LLM provider)
+ */
+
+/**
+ * Limit how many calls run at once - returns limit(fn), which runs fn when a
+ * slot is free and resolves/rejects with its result
+ * Share one limiter per external service so every caller in the process counts
+ */
+export function createLimiter(concurrency) {
+  const max = Math.max(parseInt(concurrency, 10) || 1, 1);
+  const waiting = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || waiting.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const limit = (fn) => new Promise((resolve, reject) => {
+    waiting.push({ fn, resolve, reject });
+    next();
+  });
+
+  limit.concurrency = max;
+  return limit;
+}
+
+/**
+ * Map over items with at most `concurrency` calls in flight
+ * Results keep the order of `items`; fn receives (item, index)
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Math.min(Math.max(parseInt(concurrency, 10) || 1, 1), items.length);
+  await Promise.all(Array.from({ length: workers }, runNext));
+
+  return results;
+}
+
+/**
+ * Whether an error is an HTTP 429 (axios and OpenAI SDK errors)
+ */
+export function isRateLimited(error) {
+  return error?.status === 429 || error?.response?.status === 429;
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or HTTP date), null when absent
+ */
+export function retryAfterMs(error) {
+  const headers = error?.headers || error?.response?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn, retrying on HTTP 429 - waits the server's Retry-After when given,
+ * otherwise exponential backoff with jitter; other errors are thrown at once
+ */
+export async function withRateLimitRetry(fn, options = {}) {
+  const { retries = 5, baseDelayMs = 1000, maxDelayMs = 60000, label = 'request' } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!isRateLimited(error) || attempt >= retries) throw error;
+
+      const requested = retryAfterMs(error);
+      const backoff = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+      const delay = Math.min(requested ?? Math.round(backoff / 2 + Math.random() * backoff / 2), maxDelayMs);
+
+      console.warn(`⚠️ ${label} rate limited (429) - retrying in ${delay}ms (${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+}
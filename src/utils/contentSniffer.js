@@ -0,0 +1,92 @@
+/**
+ * Content Sniffer - what an upload actually is, from its bytes rather than the
+ * client-supplied Content-Type, plus streaming pattern checks for risky PDFs
+ */
+
+// Bytes read before deciding the type (PDF readers accept junk before %PDF- within the first 1KB)
+export const SNIFF_BYTES = 1024;
+
+const startsWith = (head, bytes, offset = 0) =>
+  head.length >= offset + bytes.length && bytes.every((byte, i) => head[offset + i] === byte);
+
+const SIGNATURES = [
+  { type: 'application/pdf', test: head => head.indexOf('%PDF-', 0, 'latin1') !== -1 },
+  { type: 'image/jpeg', test: head => startsWith(head, [0xFF, 0xD8, 0xFF]) },
+  { type: 'image/png', test: head => startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { type: 'image/tiff', test: head => startsWith(head, [0x49, 0x49, 0x2A, 0x00]) || startsWith(head, [0x4D, 0x4D, 0x00, 0x2A]) },
+  { type: 'image/webp', test: head => head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP' },
+  // OLE2 compound file (.doc) and zip (.docx)
+  { type: 'application/x-cfb', test: head => startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+  { type: 'application/zip', test: head => startsWith(head, [0x50, 0x4B, 0x03, 0x04]) }
+];
+
+// Declared (allowed) type -> detected types it may contain
+const COMPATIBLE_TYPES = {
+  'application/pdf': ['application/pdf'],
+  'image/jpeg': ['image/jpeg'],
+  'image/png': ['image/png'],
+  'image/tiff': ['image/tiff'],
+  'image/webp': ['image/webp'],
+  'text/plain': ['text/plain'],
+  'application/msword': ['application/x-cfb'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['application/zip']
+};
+
+/**
+ * Text has no NUL bytes and next to no other control characters
+ */
+const looksLikeText = (head) => {
+  if (head.length === 0 || head.includes(0)) return false;
+
+  let control = 0;
+  for (const byte of head) {
+    if (byte < 0x09 || (byte > 0x0D && byte < 0x20) || byte === 0x7F) control++;
+  }
+  return control / head.length < 0.02;
+};
+
+/**
+ * Detected MIME type of a file's first bytes, null when unrecognised
+ */
+export function sniffContentType(head) {
+  const signature = SIGNATURES.find(({ test }) => test(head));
+  if (signature) return signature.type;
+  return looksLikeText(head) ? 'text/plain' : null;
+}
+
+/**
+ * Whether sniffed content is acceptable for the declared MIME type
+ */
+export function matchesDeclaredType(declaredType, detectedType) {
+  return !!detectedType && (COMPATIBLE_TYPES[declaredType] || []).includes(detectedType);
+}
+
+/**
+ * Search a stream for regex patterns without holding it - each chunk is checked
+ * together with the tail of the previous one so matches across chunk boundaries count
+ * patterns: { name: RegExp }; overlap: longest match expected
+ */
+export function createPatternScanner(patterns, overlap = 64) {
+  const found = new Set();
+  let tail = '';
+
+  return {
+    update(chunk) {
+      const window = tail + chunk.toString('latin1');
+      for (const [name, pattern] of Object.entries(patterns)) {
+        if (!found.has(name) && pattern.test(window)) found.add(name);
+      }
+      tail = window.slice(-overlap);
+    },
+    found
+  };
+}
+
+/**
+ * PDF features that stop a file going to OCR
+ * Lexical only - names inside compressed object streams are not seen
+ */
+export const PDF_RISK_PATTERNS = {
+  encrypted_pdf: /\/Encrypt(?![A-Za-z0-9])/,
+  pdf_javascript: /\/(?:JavaScript|JS)(?![A-Za-z0-9])/
+};
@@ -0,0 +1,79 @@
+/**
+ * Document Chunker - splits formatted documents (ocrService.formatForAI output)
+ * into groups that fit the model's context window
+ *
+ * Whole documents are packed greedily; a document larger than the budget is
+ * split into line ranges. Line numbers and document names are never changed,
+ * so evidence from any chunk still points at the original document line.
+ */
+
+/**
+ * Rough token estimate - ~4 characters per token for English clinical text
+ */
+export function estimateTokens(text, charsPerToken = 4) {
+  return Math.ceil(String(text || '').length / charsPerToken);
+}
+
+/**
+ * Estimated prompt tokens for one numbered line ("[Line N] text\n")
+ */
+const lineTokens = (line, charsPerToken) =>
+  estimateTokens(`[Line ${line.lineNumber}] ${line.text}\n`, charsPerToken);
+
+// Per-document header in the prompt (name, type, line count)
+const DOCUMENT_OVERHEAD_TOKENS = 40;
+
+/**
+ * Split one document into parts of at most `budget` tokens
+ */
+function splitDocument(doc, budget, charsPerToken) {
+  const parts = [];
+  let current = [];
+  let currentTokens = DOCUMENT_OVERHEAD_TOKENS;
+
+  for (const line of doc.content) {
+    const tokens = lineTokens(line, charsPerToken);
+    if (current.length > 0 && currentTokens + tokens > budget) {
+      parts.push(current);
+      current = [];
+      currentTokens = DOCUMENT_OVERHEAD_TOKENS;
+    }
+    current.push(line);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) parts.push(current);
+
+  return parts.map((content, i) => ({
+    ...doc,
+    content,
+    part: parts.length > 1
+      ? { index: i + 1, total: parts.length, startLine: content[0].lineNumber, endLine: content[content.length - 1].lineNumber }
+      : null,
+    estimatedTokens: DOCUMENT_OVERHEAD_TOKENS + content.reduce((sum, line) => sum + lineTokens(line, charsPerToken), 0)
+  }));
+}
+
+/**
+ * Group documents into chunks of at most `budget` estimated tokens
+ * Returns an array of document arrays, in original document order
+ */
+export function chunkDocuments(formattedDocuments, { budget, charsPerToken = 4 }) {
+  const pieces = formattedDocuments.flatMap(doc => splitDocument(doc, budget, charsPerToken));
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const piece of pieces) {
+    if (current.length > 0 && currentTokens + piece.estimatedTokens > budget) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(piece);
+    currentTokens += piece.estimatedTokens;
+  }
+  if (current.length > 0) chunks.push(current);
+
+  return chunks;
+}
@@ -0,0 +1,58 @@
+/**
+ * Job Errors - sorts processing failures into the class of system that failed
+ * Stored on processing_queue.error_class so the dead-letter view can filter and bulk-requeue by it
+ */
+
+export const JOB_ERROR_CLASSES = {
+  OCR: 'ocr',          // OCR service / text extraction
+  AI: 'ai',            // LLM provider or coding response
+  S3: 's3',            // Reading the uploaded file from storage
+  DB: 'db',            // PostgreSQL
+  WORKER: 'worker',    // Worker stopped or timed out mid-job
+  UNKNOWN: 'unknown'
+};
+
+const S3_PATTERN = /S3 download failed|Storage download failed|NoSuchKey|NoSuchBucket|AccessDenied|SignatureDoesNotMatch/i;
+const DB_PATTERN = /relation .* does not exist|duplicate key|deadlock detected|violates .* constraint|Connection terminated|timeout exceeded when trying to connect|ECONNREFUSED .*:5432/i;
+const WORKER_PATTERN = /^Released:|worker timeout|drain deadline|stopped by SIG/i;
+const AI_PATTERN = /AI processing failed|No response from AI|coding response|rate limit|OpenAI|Azure/i;
+const OCR_PATTERN = /OCR|text extraction/i;
+
+// Worker phases (processing_queue.current_phase) that point at one system
+const PHASE_CLASSES = {
+  ocr_started: JOB_ERROR_CLASSES.OCR,
+  ocr_progress: JOB_ERROR_CLASSES.OCR,
+  ocr_completed: JOB_ERROR_CLASSES.OCR,
+  ai_started: JOB_ERROR_CLASSES.AI,
+  ai_completed: JOB_ERROR_CLASSES.AI,
+  summary_progress: JOB_ERROR_CLASSES.AI,
+  saving_results: JOB_ERROR_CLASSES.DB
+};
+
+/**
+ * Postgres errors carry a five character SQLSTATE code
+ */
+const isDatabaseError = (error) => typeof error?.code === 'string' && /^[0-9A-Z]{5}$/.test(error.code) && !!error.severity;
+
+/**
+ * Classify a job failure
+ * error: the thrown Error (or just { message }); phase: the job's current_phase when it failed;
+ * documentErrors: per-document messages when every document failed extraction
+ */
+export function classifyJobError(error, { phase = null, documentErrors = [] } = {}) {
+  const message = error?.message || String(error || '');
+
+  if (WORKER_PATTERN.test(message)) return JOB_ERROR_CLASSES.WORKER;
+  if (isDatabaseError(error) || DB_PATTERN.test(message)) return JOB_ERROR_CLASSES.DB;
+  if (S3_PATTERN.test(message)) return JOB_ERROR_CLASSES.S3;
+
+  // Extraction fails per document - blame S3 when none of the files could even be downloaded
+  if (documentErrors.length > 0 && documentErrors.every(docError => S3_PATTERN.test(docError || ''))) {
+    return JOB_ERROR_CLASSES.S3;
+  }
+
+  if (AI_PATTERN.test(message)) return JOB_ERROR_CLASSES.AI;
+  if (OCR_PATTERN.test(message)) return JOB_ERROR_CLASSES.OCR;
+
+  return PHASE_CLASSES[phase] || JOB_ERROR_CLASSES.UNKNOWN;
+}
@@ -0,0 +1,39 @@
+/**
+ * JSON Diff - lists the leaf values that differ between two JSON documents
+ * Used to store modification saves as diffs in the audit trail
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Diff two JSON-compatible values
+ * Returns [{ path, before, after }] - path uses dot/bracket notation, e.g. "procedures[0].reason"
+ * Keys listed in `ignore` are skipped at every depth (e.g. autosave timestamps)
+ */
+export function diffJson(before, after, { ignore = [] } = {}, path = '') {
+  if (before === after) return [];
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      changes.push(...diffJson(before[i], after[i], { ignore }, `${path}[${i}]`));
+    }
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      if (ignore.includes(key)) continue;
+      changes.push(...diffJson(before[key], after[key], { ignore }, path ? `${path}.${key}` : key));
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  return [{ path: path || '$', before: before ?? null, after: after ?? null }];
+}
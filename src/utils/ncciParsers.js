@@ -0,0 +1,53 @@
+/**
+ * NCCI Parsers - rows of the CMS quarterly practitioner PTP and MUE files
+ *
+ * Both files ship as spreadsheets / tab-delimited text with several lines of
+ * copyright and header text on top; any line whose leading fields are not
+ * codes is skipped, so the files can be loaded as exported
+ *
+ * PTP: Column 1 | Column 2 | prior-1996 flag | Effective Date | Deletion Date ('*' = none) | Modifier | Rationale
+ * MUE: HCPCS/CPT Code | MUE Value | MUE Adjudication Indicator | MUE Rationale
+ */
+
+import { normalizeCode, splitDelimited, parseFileDate } from './codeSetParsers.js';
+
+const CODE_PATTERN = /^[A-Z0-9]{5}$/;
+
+const splitLine = (line) => splitDelimited(line, line.includes('\t') ? '\t' : ',').map(f => f.trim());
+
+export function parsePtpLine(line) {
+  if (!line || !line.trim()) return null;
+
+  const fields = splitLine(line);
+  const column1Code = normalizeCode(fields[0]);
+  const column2Code = normalizeCode(fields[1]);
+  if (!CODE_PATTERN.test(column1Code) || !CODE_PATTERN.test(column2Code)) return null;
+
+  const modifierIndicator = fields[5];
+  if (!['0', '1', '9'].includes(modifierIndicator)) return null;
+
+  return {
+    column1Code,
+    column2Code,
+    effectiveDate: parseFileDate(fields[3]),
+    deletionDate: fields[4] === '*' ? null : parseFileDate(fields[4]),
+    modifierIndicator,
+    rationale: fields[6] || null
+  };
+}
+
+export function parseMueLine(line) {
+  if (!line || !line.trim()) return null;
+
+  const fields = splitLine(line);
+  const code = normalizeCode(fields[0]);
+  const mueValue = parseInt(fields[1], 10);
+  if (!CODE_PATTERN.test(code) || Number.isNaN(mueValue)) return null;
+
+  return {
+    code,
+    mueValue,
+    adjudicationIndicator: fields[2] || null,
+    rationale: fields[3] || null
+  };
+}
@@ -1,7 +1,8 @@
 /**
  * Document Processing Worker
  * 
- * Run this as a separate process: node workers/documentWorker.js
+ * Run this as a separate process: npm run worker (node src/worker/documentWorker.js)
+ * Each process runs WORKER_CONCURRENCY job slots; SIGTERM drains in-flight jobs before exiting
  * 
  * UPDATED: Added comprehensive logging at every step
  * UPDATED: Added support for text/plain files - skips OCR and uses content directly
@@ -9,15 +10,29 @@
  */
 
 import { QueueService } from '../db/queueService.js';
+import { runMigrations } from '../db/migrate.js';
+import { pool } from '../db/connection.js';
+import { config } from '../config.js';
 import { ChartRepository, DocumentRepository } from '../db/chartRepository.js';
 import { ocrService } from '../services/ocrService.js';
+import { storageService } from '../services/storageService.js';
 import { aiService } from '../services/aiService.js';
+import { codeSetService } from '../services/codeSetService.js';
+import { evidenceService } from '../services/evidenceService.js';
+import { promptProfileService } from '../services/promptProfileService.js';
+import { assignmentService } from '../services/assignmentService.js';
+import { auditService } from '../services/auditService.js';
+import { housekeepingService } from '../services/housekeepingService.js';
+import { SCAN_STATUS } from '../services/uploadInspectionService.js';
+import { EVENT_TYPES } from '../db/chartEventRepository.js';
 import { createSLATracker } from '../utils/slaTracker.js';
-import fs from 'fs';
-import path from 'path';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { classifyJobError } from '../utils/jobErrors.js';
 import os from 'os';
-import axios from 'axios';
 import mammoth from 'mammoth';
+import pg from 'pg';
+
+const { Client } = pg;
 
 // ═══════════════════════════════════════════════════════════════
 // LOGGING UTILITY
@@ -64,60 +79,119 @@ class DocumentWorker {
   constructor() {
     this.workerId = `worker-${os.hostname()}-${process.pid}`;
     this.isRunning = false;
-    this.pollInterval = 2000;
+    this.concurrency = Math.max(config.worker.concurrency, 1);
+    this.pollInterval = config.worker.pollIntervalMs;
     this.shutdownRequested = false;
+
+    // job_id -> { job, slot, startedAt } for every job currently being processed
+    this.activeJobs = new Map();
+    this.jobsCompleted = 0;
+    this.jobsFailed = 0;
+
+    this.heartbeatTimer = null;
+    this.drainTimer = null;
+    this.releasing = false;
+    // Resolvers of idle slot sleeps, so shutdown and job notifications wake them at once
+    this.idleWaiters = new Set();
+
+    // Dedicated LISTEN connection for job_enqueued (null while disconnected)
+    this.listenClient = null;
+    this.listenReconnecting = false;
+    // Timer that wakes the slots when the earliest scheduled retry becomes due
+    this.retryTimer = null;
+    this.retryTimerAt = null;
   }
 
   async start() {
     log.divider();
     log.info('WORKER', `Started with ID: ${this.workerId}`);
-    log.info('WORKER', `Poll interval: ${this.pollInterval}ms`);
+    log.info('WORKER', `Job slots: ${this.concurrency}, fallback poll interval: ${this.pollInterval}ms`);
     log.divider();
 
     this.isRunning = true;
 
-    process.on('SIGTERM', () => this.shutdown());
-    process.on('SIGINT', () => this.shutdown());
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+
+    // Bring the schema up to date before claiming jobs (no-op when the server already did)
+    if (config.database.migrateOnStartup) {
+      await runMigrations({ log: (message) => log.info('MIGRATE', message) });
+    }
+
+    // Release stuck jobs on startup (live workers keep renewing their locks, so only orphans qualify),
+    // then keep doing so - plus old job cleanup - on the housekeeping interval
+    const housekeeping = await housekeepingService.runOnce();
+    if (housekeeping?.releasedStuckJobs > 0) {
+      log.warn('WORKER', `Released ${housekeeping.releasedStuckJobs} stuck jobs on startup`);
+    }
+    housekeepingService.start();
 
-    // Release stuck jobs on startup
     try {
-      const stuckJobs = await QueueService.releaseStuckJobs(30);
-      if (stuckJobs.length > 0) {
-        log.warn('WORKER', `Released ${stuckJobs.length} stuck jobs on startup`);
-      }
+      await this.startListener();
     } catch (error) {
-      log.error('WORKER', 'Failed to release stuck jobs', error);
+      log.warn('LISTEN', `Could not LISTEN for new jobs, polling every ${config.worker.disconnectedPollIntervalMs}ms until reconnected: ${error.message}`);
+      this.reconnectListener();
     }
+    await this.refreshRetryTimer();
 
-    // Main processing loop
+    await this.sendHeartbeat();
+    this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), config.worker.heartbeatIntervalMs);
+
+    // Each slot claims and processes one job at a time
+    await Promise.all(Array.from({ length: this.concurrency }, (_, slot) => this.runSlot(slot + 1)));
+
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.drainTimer);
+    housekeepingService.stop();
+    await this.stopListener();
+    await this.sendHeartbeat('stopped');
+
+    log.divider();
+    log.info('WORKER', `Stopped (${this.jobsCompleted} completed, ${this.jobsFailed} failed)`);
+    log.divider();
+  }
+
+  async runSlot(slot) {
     while (this.isRunning) {
+      let claimed = false;
       try {
-        await this.processNextJob();
+        claimed = await this.processNextJob(slot);
       } catch (error) {
-        log.error('WORKER', 'Unexpected error in main loop', error);
-        await this.sleep(5000);
+        log.error('WORKER', `Unexpected error in slot ${slot}`, error);
+        await this.idle(5000);
       }
 
-      if (this.isRunning) {
-        await this.sleep(this.pollInterval);
+      // Go straight for the next job while the queue has work; otherwise wait for
+      // a job_enqueued notification, a due retry or the fallback poll
+      if (this.isRunning && !claimed) {
+        await this.idle(this.listenClient ? this.pollInterval : config.worker.disconnectedPollIntervalMs);
       }
     }
-
-    log.divider();
-    log.info('WORKER', 'Stopped');
-    log.divider();
   }
 
-  async processNextJob() {
+  /**
+   * Claim and process one job - returns false when the queue had nothing ready
+   */
+  async processNextJob(slot) {
     // Try to claim a job
     const job = await QueueService.claimNextJob(this.workerId);
 
     if (!job) {
-      return; // No jobs available
+      return false; // No jobs available
     }
 
+    this.activeJobs.set(job.job_id, { job, slot, startedAt: new Date() });
+    try {
+      await this.processJob(job, slot);
+    } finally {
+      this.activeJobs.delete(job.job_id);
+    }
+    return true;
+  }
+
+  async processJob(job, slot) {
     log.divider();
-    log.info('JOB_START', `Claimed job: ${job.job_id}`);
+    log.info('JOB_START', `Slot ${slot} claimed job: ${job.job_id}`);
     log.info('JOB_START', `Attempt ${job.attempts}/${job.max_attempts}`);
 
     const sla = createSLATracker();
@@ -144,15 +218,26 @@ class DocumentWorker {
 
       // Fetch ALL documents for this chart (includes previously uploaded docs with same session_id)
       const allChartDocs = await DocumentRepository.getByChartId(chartId);
-      const documents = allChartDocs.map(doc => ({
+
+      // Quarantined uploads (malware, risky PDFs) never reach OCR or the model
+      const quarantinedDocs = allChartDocs.filter(doc => doc.scan_status === SCAN_STATUS.QUARANTINED);
+      if (quarantinedDocs.length > 0) {
+        log.warn('JOB_START', `Skipping ${quarantinedDocs.length} quarantined document(s): ${quarantinedDocs.map(doc => doc.original_name).join(', ')}`);
+      }
+
+      const documents = allChartDocs.filter(doc => doc.scan_status !== SCAN_STATUS.QUARANTINED).map(doc => ({
         documentId: doc.id,
         documentType: doc.document_type,
         originalName: doc.original_name,
         mimeType: doc.mime_type,
         fileSize: doc.file_size,
         s3Key: doc.s3_key,
-        s3Url: doc.s3_url,
-        transactionId: doc.transaction_id
+        s3Bucket: doc.s3_bucket,
+        storageDriver: doc.storage_driver,
+        transactionId: doc.transaction_id,
+        contentSha256: doc.content_sha256,
+        ocrStatus: doc.ocr_status,
+        ocrText: doc.ocr_text
       }));
 
       log.info('JOB_START', `Total documents for chart (all uploads): ${documents.length}`);
@@ -161,25 +246,35 @@ class DocumentWorker {
       // PHASE 1: TEXT EXTRACTION (OCR for PDFs/images, direct for text/Word)
       // ═══════════════════════════════════════════════════════════════
       log.subDivider();
-      log.info('OCR_START', `Starting text extraction for ${documents.length} document(s)`);
+      log.info('OCR_START', `Starting text extraction for ${documents.length} document(s), ${config.ocr.concurrency} at a time`);
       sla.markOCRStarted();
       await QueueService.notifyStatusChange(job.job_id, 'processing', 'ocr_started', `Starting text extraction for ${documents.length} document(s)`);
 
-      const ocrResults = [];
       let ocrSuccessCount = 0;
       let ocrFailCount = 0;
       let textFileCount = 0;
       let wordFileCount = 0;
+      let reusedCount = 0;
+      let ocrDoneCount = 0;
 
-      for (let i = 0; i < documents.length; i++) {
-        const doc = documents[i];
+      // Documents are extracted concurrently (bounded by config.ocr.concurrency);
+      // results keep upload order so line numbering and prompts stay stable
+      const ocrResults = await mapWithConcurrency(documents, config.ocr.concurrency, async (doc, i) => {
         log.info('OCR_PROCESS', `Processing document ${i + 1}/${documents.length}: ${doc.originalName}`);
 
+        let entry;
         try {
           let ocrResult;
+          const reused = config.ocr.reuseByContentHash ? await this.findReusableText(doc) : null;
 
+          // Already extracted - this document on an earlier run, or identical content elsewhere
+          if (reused) {
+            reusedCount++;
+            log.info('OCR_REUSE', `Reusing extracted text for ${doc.originalName} (from document ${reused.reusedFromDocumentId})`);
+            ocrResult = reused;
+          }
           // Check if this is a plain text file - skip OCR and read content directly
-          if (doc.mimeType === 'text/plain') {
+          else if (doc.mimeType === 'text/plain') {
             textFileCount++;
             log.info('TEXT_FILE', `Skipping OCR for text file: ${doc.originalName}`);
             ocrResult = await this.extractTextFile(doc);
@@ -206,22 +301,23 @@ class DocumentWorker {
               isWordFile: WORD_MIME_TYPES.includes(doc.mimeType)
             });
 
-            // Update document with OCR text
-            await DocumentRepository.updateOCRResults(
-              doc.documentId,
-              typeof ocrResult.extractedText === 'string'
-                ? ocrResult.extractedText
-                : JSON.stringify(ocrResult.extractedText),
-              ocrResult.processingTime
-            );
-
-            ocrResults.push({
+            // Update document with OCR text (already stored when it is the document's own earlier text)
+            if (ocrResult.reusedFromDocumentId !== doc.documentId) {
+              await DocumentRepository.updateOCRResults(
+                doc.documentId,
+                typeof ocrResult.extractedText === 'string'
+                  ? ocrResult.extractedText
+                  : JSON.stringify(ocrResult.extractedText),
+                ocrResult.processingTime
+              );
+            }
+
+            entry = {
               ...ocrResult,
               documentId: doc.documentId,
-              s3Url: doc.s3Url,
               filename: doc.originalName,
               documentType: doc.documentType
-            });
+            };
 
           } else {
             ocrFailCount++;
@@ -229,14 +325,13 @@ class DocumentWorker {
 
             await DocumentRepository.markOCRFailed(doc.documentId, ocrResult.error);
 
-            ocrResults.push({
+            entry = {
               success: false,
               documentId: doc.documentId,
-              s3Url: doc.s3Url,
               filename: doc.originalName,
               documentType: doc.documentType,
               error: ocrResult.error
-            });
+            };
           }
         } catch (ocrError) {
           ocrFailCount++;
@@ -244,23 +339,31 @@ class DocumentWorker {
 
           await DocumentRepository.markOCRFailed(doc.documentId, ocrError.message);
 
-          ocrResults.push({
+          entry = {
             success: false,
             documentId: doc.documentId,
             filename: doc.originalName,
             error: ocrError.message
-          });
+          };
         }
-      }
+
+        ocrDoneCount++;
+        await this.notifyProgress(job.job_id, 'ocr_progress',
+          `Text extraction ${ocrDoneCount}/${documents.length}: ${doc.originalName} ${entry.success ? 'done' : 'failed'}`);
+
+        return entry;
+      });
 
       sla.markOCRCompleted();
-      log.info('OCR_SUMMARY', `Text Extraction Complete: ${ocrSuccessCount} success, ${ocrFailCount} failed, ${textFileCount} text files, ${wordFileCount} Word files (no OCR needed)`);
+      log.info('OCR_SUMMARY', `Text Extraction Complete: ${ocrSuccessCount} success, ${ocrFailCount} failed, ${textFileCount} text files, ${wordFileCount} Word files (no OCR needed), ${reusedCount} reused`);
       await QueueService.notifyStatusChange(job.job_id, 'processing', 'ocr_completed', `Text extraction complete: ${ocrSuccessCount} success, ${ocrFailCount} failed`);
 
       const successfulOCR = ocrResults.filter(r => r.success);
 
       if (successfulOCR.length === 0) {
-        throw new Error(`All text extraction failed (${ocrFailCount} documents)`);
+        const extractionError = new Error(`All text extraction failed (${ocrFailCount} documents)`);
+        extractionError.documentErrors = ocrResults.map(r => r.error);
+        throw extractionError;
       }
 
       // ═══════════════════════════════════════════════════════════════
@@ -272,14 +375,33 @@ class DocumentWorker {
       sla.markAIStarted();
       await QueueService.notifyStatusChange(job.job_id, 'processing', 'ai_started', `Starting AI analysis with ${successfulOCR.length} document(s)`);
 
+      // Every model call for this job is written to the AI usage ledger
+      const usageContext = {
+        chartId,
+        chartNumber,
+        jobId: job.job_id,
+        facility: chartInfo?.facility,
+        specialty: chartInfo?.specialty
+      };
+
       let aiResult;
+      let formattedDocs;
       try {
-        const formattedDocs = ocrService.formatForAI(ocrResults);
+        formattedDocs = ocrService.formatForAI(ocrResults);
         log.info('AI_PROCESS', `Formatted ${formattedDocs.length} documents for AI`);
         log.info('AI_PROCESS', `Sending to AI service...`);
 
+        const promptProfile = await promptProfileService.resolve({
+          specialty: chartInfo?.specialty,
+          facility: chartInfo?.facility,
+          documentTypes: [...new Set(formattedDocs.map(doc => doc.documentType).filter(Boolean))]
+        });
+        log.info('AI_PROCESS', promptProfile
+          ? `Prompt profile: ${promptProfile.name} v${promptProfile.version}`
+          : 'Prompt profile: built-in default');
+
         const aiStartTime = Date.now();
-        aiResult = await aiService.processForCoding(formattedDocs, chartInfo);
+        aiResult = await aiService.processForCoding(formattedDocs, chartInfo, { profile: promptProfile, usageContext });
         const aiDuration = Date.now() - aiStartTime;
 
         log.info('AI_RESPONSE', `AI responded in ${aiDuration}ms`);
@@ -323,6 +445,32 @@ class DocumentWorker {
       sla.markAICompleted();
       await QueueService.notifyStatusChange(job.job_id, 'processing', 'ai_completed', 'AI analysis complete');
 
+      // Ground each code's evidence quote in the OCR lines it cites (advisory - never fails the job)
+      if (config.evidence.verify) {
+        try {
+          const evidence = evidenceService.verifyCodingResult(aiResult.data, formattedDocs);
+          log.info('EVIDENCE', `Evidence: ${evidence.verified} verified, ${evidence.corrected} corrected, ${evidence.not_found} not found`);
+          if (evidence.downgraded.length > 0) {
+            log.warn('EVIDENCE', `Downgraded ${evidence.downgraded.length} code(s) with unverified evidence to low confidence`);
+          }
+        } catch (evidenceError) {
+          log.warn('EVIDENCE', `Evidence verification skipped: ${evidenceError.message}`);
+        }
+      }
+
+      // Check AI codes against the loaded code sets (advisory - flags codes, never fails the job)
+      if (config.codeSets.validate) {
+        try {
+          const validation = await codeSetService.validateCodingResult(aiResult.data, chartInfo?.dateOfService);
+          log.info('CODE_VALIDATION', `Checked ${validation.checked} codes: ${validation.issues.length} issue(s)`);
+          if (validation.unverifiedSystems.length > 0) {
+            log.warn('CODE_VALIDATION', `No release loaded for: ${validation.unverifiedSystems.join(', ')}`);
+          }
+        } catch (validationError) {
+          log.warn('CODE_VALIDATION', `Code validation skipped: ${validationError.message}`);
+        }
+      }
+
       // ═══════════════════════════════════════════════════════════════
       // PHASE 3: DOCUMENT SUMMARIES (Optional - don't fail if this fails)
       // ═══════════════════════════════════════════════════════════════
@@ -330,9 +478,13 @@ class DocumentWorker {
       log.info('SUMMARY_START', `Generating document summaries`);
 
       let summaryCount = 0;
-      for (const ocrResult of successfulOCR) {
+      let summaryDoneCount = 0;
+      await mapWithConcurrency(successfulOCR, config.ai.concurrency, async (ocrResult) => {
         try {
-          const docSummary = await aiService.generateDocumentSummary(ocrResult, chartInfo);
+          const docSummary = await aiService.generateDocumentSummary(ocrResult, chartInfo, {
+            ...usageContext,
+            documentId: ocrResult.documentId
+          });
           if (docSummary.success) {
             await DocumentRepository.updateAISummary(ocrResult.documentId, docSummary.data);
             summaryCount++;
@@ -340,7 +492,11 @@ class DocumentWorker {
         } catch (summaryError) {
           log.warn('SUMMARY_SKIP', `Summary failed for ${ocrResult.filename}: ${summaryError.message}`);
         }
-      }
+
+        summaryDoneCount++;
+        await this.notifyProgress(job.job_id, 'summary_progress',
+          `Document summaries ${summaryDoneCount}/${successfulOCR.length}: ${ocrResult.filename}`);
+      });
 
       log.info('SUMMARY_COMPLETE', `Generated ${summaryCount}/${successfulOCR.length} summaries`);
 
@@ -362,8 +518,32 @@ class DocumentWorker {
         throw saveError;
       }
 
+      // Route the ready chart to a coder's queue (non-fatal - chart stays in the unassigned pool)
+      try {
+        const assigned = await assignmentService.autoAssign(chartNumber);
+        if (assigned) {
+          log.info('ASSIGN', `Chart ${chartNumber} assigned to ${assigned.assigned_to}`);
+        }
+      } catch (assignError) {
+        log.warn('ASSIGN', `Auto-assignment failed for chart ${chartNumber}: ${assignError.message}`);
+      }
+
+      await auditService.recordSystem({
+        chartId,
+        chartNumber,
+        eventType: EVENT_TYPES.AI_COMPLETED,
+        details: {
+          jobId: job.job_id,
+          attempt: job.attempts,
+          documentsProcessed: successfulOCR.length,
+          documentsFailed: ocrFailCount,
+          aiMetadata: aiResult.data.ai_metadata || null
+        }
+      });
+
       // Mark job as completed
       await QueueService.completeJob(job.job_id);
+      this.jobsCompleted++;
       await QueueService.notifyStatusChange(job.job_id, 'completed', 'completed', `Chart ${chartNumber} processed successfully`);
       if (chartInfo?.sessionId) await QueueService.notifyChartStatus(chartInfo.sessionId, 'ready');
 
@@ -378,20 +558,39 @@ class DocumentWorker {
     } catch (error) {
       log.divider();
       log.error('JOB_FAILED', `Chart ${chartNumber} processing failed`, error);
+      this.jobsFailed++;
 
-      await this.handleJobFailure(job, error.message, chartNumber);
+      // The last phase the job reported says which system it was talking to
+      const current = await QueueService.getJob(job.job_id).catch(() => null);
+      const errorClass = classifyJobError(error, {
+        phase: current?.current_phase,
+        documentErrors: error.documentErrors
+      });
+
+      await this.handleJobFailure(job, error.message, chartNumber, errorClass);
+    }
+  }
+
+  /**
+   * Per-document progress notification - a failed notify must not fail the document
+   */
+  async notifyProgress(jobId, phase, message) {
+    try {
+      await QueueService.notifyStatusChange(jobId, 'processing', phase, message);
+    } catch (error) {
+      log.warn('NOTIFY', `Progress notification failed: ${error.message}`);
     }
   }
 
   /**
    * Handle job failure with proper status updates and logging
    */
-  async handleJobFailure(job, errorMessage, chartNumber) {
-    log.info('FAILURE_HANDLING', `Processing failure for chart ${chartNumber}`);
+  async handleJobFailure(job, errorMessage, chartNumber, errorClass = null) {
+    log.info('FAILURE_HANDLING', `Processing failure for chart ${chartNumber} (${errorClass || 'unclassified'})`);
 
     try {
       // Mark job as failed
-      const failResult = await QueueService.failJob(job.job_id, errorMessage);
+      const failResult = await QueueService.failJob(job.job_id, errorMessage, errorClass);
 
       if (!failResult) {
         log.error('FAILURE_HANDLING', `Could not update job status for ${job.job_id}`);
@@ -427,6 +626,20 @@ class DocumentWorker {
 
       // Update chart status
       const jd = typeof job.job_data === 'string' ? JSON.parse(job.job_data) : job.job_data;
+
+      await auditService.recordSystem({
+        chartId: jd?.chartId || job.chart_id,
+        chartNumber,
+        eventType: EVENT_TYPES.AI_FAILED,
+        details: {
+          jobId: job.job_id,
+          attempt: failResult.attempts,
+          error: errorMessage,
+          errorClass,
+          willRetry: failResult.willRetry
+        }
+      });
+
       const failSessionId = jd?.chartInfo?.sessionId;
       if (failResult.isPermanentlyFailed) {
         log.warn('FAILURE_HANDLING', `Chart ${chartNumber} PERMANENTLY FAILED (max attempts reached)`);
@@ -449,23 +662,44 @@ class DocumentWorker {
     }
   }
 
+  /**
+   * Text extracted earlier from the same content, as an OCR result - null when there is none
+   * The document's own completed text wins; otherwise any document with the same SHA-256
+   */
+  async findReusableText(doc) {
+    let source = null;
+
+    if (doc.ocrStatus === 'completed' && doc.ocrText) {
+      source = { id: doc.documentId, ocr_text: doc.ocrText };
+    } else if (doc.contentSha256) {
+      source = await DocumentRepository.findCompletedOCRByHash(doc.contentSha256);
+    }
+
+    if (!source) return null;
+
+    return {
+      success: true,
+      filename: doc.originalName,
+      documentType: doc.documentType,
+      // Stored text is what formatForAI would have produced from the original result
+      extractedText: source.ocr_text,
+      processingTime: 0,
+      reusedFromDocumentId: source.id
+    };
+  }
+
   /**
    * Extract text from a plain text file (no OCR needed)
-   * Downloads from S3 and reads the content directly
+   * Downloads from storage and reads the content directly
    */
   async extractTextFile(doc) {
     const startTime = Date.now();
 
     try {
-      log.info('TEXT_DOWNLOAD', `Downloading text file from S3: ${doc.s3Url?.substring(0, 80)}...`);
+      log.info('TEXT_DOWNLOAD', `Downloading text file from storage: ${doc.s3Key}`);
 
       // Download file from S3
-      const response = await axios.get(doc.s3Url, {
-        responseType: 'text',
-        timeout: 30000
-      });
-
-      const textContent = response.data;
+      const textContent = (await this.downloadDocument(doc, 30000)).toString('utf8');
       const processingTime = Date.now() - startTime;
 
       log.success('TEXT_EXTRACT', `Text file extracted: ${textContent.length} characters in ${processingTime}ms`);
@@ -501,33 +735,22 @@ class DocumentWorker {
 
   /**
    * Extract text from a Word document (.doc, .docx)
-   * Downloads from S3 and extracts text using mammoth
+   * Downloads from storage and extracts text using mammoth
    */
   async extractWordDocument(doc) {
     const startTime = Date.now();
-    let tempPath = null;
 
     try {
-      log.info('WORD_DOWNLOAD', `Downloading Word document from S3: ${doc.s3Url?.substring(0, 80)}...`);
-
-      // Download file from S3
-      const response = await axios.get(doc.s3Url, {
-        responseType: 'arraybuffer',
-        timeout: 60000
-      });
+      log.info('WORD_DOWNLOAD', `Downloading Word document from storage: ${doc.s3Key}`);
 
-      log.info('WORD_DOWNLOAD', `Downloaded ${(response.data.length / 1024).toFixed(1)}KB`);
-
-      // Create temp file for mammoth
-      const tempDir = os.tmpdir();
-      const safeFilename = doc.originalName.replace(/[^a-zA-Z0-9._-]/g, '_');
-      tempPath = path.join(tempDir, `word_${Date.now()}_${safeFilename}`);
-      fs.writeFileSync(tempPath, Buffer.from(response.data));
+      // .docx is a zip archive - mammoth needs random access, so this one is read into memory
+      const fileBuffer = await this.downloadDocument(doc, 60000);
 
+      log.info('WORD_DOWNLOAD', `Downloaded ${(fileBuffer.length / 1024).toFixed(1)}KB`);
       log.info('WORD_EXTRACT', `Extracting text from Word document...`);
 
       // Extract text using mammoth
-      const result = await mammoth.extractRawText({ path: tempPath });
+      const result = await mammoth.extractRawText({ buffer: fileBuffer });
       const textContent = result.value;
       const processingTime = Date.now() - startTime;
 
@@ -568,52 +791,26 @@ class DocumentWorker {
         error: error.message,
         processingTime: Date.now() - startTime
       };
-    } finally {
-      // Clean up temp file
-      if (tempPath) {
-        try {
-          fs.unlinkSync(tempPath);
-        } catch (e) {
-          // Ignore cleanup errors
-        }
-      }
     }
   }
 
   /**
    * Perform OCR on a document (PDF or image)
+   * The stored object is streamed straight into the OCR request - nothing is
+   * buffered or written to disk; each OCR attempt opens a fresh stream
    */
   async performOCR(doc) {
     const startTime = Date.now();
-    let tempPath = null;
 
     try {
-      log.info('OCR_DOWNLOAD', `Downloading from S3: ${doc.s3Url?.substring(0, 80)}...`);
+      log.info('OCR_EXTRACT', `Streaming from storage into OCR: ${doc.s3Key}`);
 
-      // Download file from S3
-      const response = await axios.get(doc.s3Url, {
-        responseType: 'arraybuffer',
-        timeout: 60000
-      });
-
-      log.info('OCR_DOWNLOAD', `Downloaded ${(response.data.length / 1024).toFixed(1)}KB`);
-
-      // Create temp file
-      const tempDir = os.tmpdir();
-      const safeFilename = doc.originalName.replace(/[^a-zA-Z0-9._-]/g, '_');
-      tempPath = path.join(tempDir, `ocr_${Date.now()}_${safeFilename}`);
-      fs.writeFileSync(tempPath, response.data);
-
-      const tempFile = {
-        path: tempPath,
+      const ocrResult = await ocrService.extractText({
         originalname: doc.originalName,
-        mimetype: doc.mimeType
-      };
-
-      log.info('OCR_EXTRACT', `Running OCR extraction...`);
-
-      // Run OCR
-      const ocrResult = await ocrService.extractText(tempFile, doc.documentType);
+        mimetype: doc.mimeType,
+        size: doc.fileSize,
+        openStream: () => this.openDocumentStream(doc)
+      }, doc.documentType);
 
       return ocrResult;
 
@@ -626,14 +823,32 @@ class DocumentWorker {
         error: error.message,
         processingTime: Date.now() - startTime
       };
-    } finally {
-      if (tempPath) {
-        try {
-          fs.unlinkSync(tempPath);
-        } catch (e) {
-          // Ignore cleanup errors
-        }
-      }
+    }
+  }
+
+  /**
+   * Open a read stream on an uploaded file (no timeout - the consumer's own
+   * request timeout applies while it reads)
+   * Failures are labelled so they classify as storage (s3) errors
+   */
+  async openDocumentStream(doc) {
+    try {
+      const { stream } = await storageService.getStream(storageService.locationOf(doc));
+      return stream;
+    } catch (error) {
+      throw new Error(`Storage download failed for ${doc.originalName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read an uploaded file from its storage driver into a Buffer
+   * Failures are labelled so they classify as storage (s3) errors
+   */
+  async downloadDocument(doc, timeoutMs) {
+    try {
+      return await storageService.getBuffer(storageService.locationOf(doc), { timeoutMs });
+    } catch (error) {
+      throw new Error(`Storage download failed for ${doc.originalName}: ${error.message}`);
     }
   }
 
@@ -641,17 +856,238 @@ class DocumentWorker {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  shutdown() {
+  /**
+   * Sleep between polls - cut short when shutdown is requested
+   */
+  idle(ms) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.idleWaiters.delete(done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      this.idleWaiters.add(done);
+    });
+  }
+
+  /**
+   * Wake every idle slot to try claiming
+   */
+  wake() {
+    this.idleWaiters.forEach(wakeSlot => wakeSlot());
+  }
+
+  /**
+   * LISTEN for job_enqueued on a dedicated connection (pooled clients cannot hold a LISTEN)
+   */
+  async startListener() {
+    const client = new Client({
+      connectionString: config.database.url,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+      keepAlive: true,
+      keepAliveInitialDelayMillis: 10000
+    });
+
+    client.on('error', (error) => {
+      log.warn('LISTEN', `Listener connection error: ${error.message}`);
+      this.reconnectListener();
+    });
+
+    client.on('notification', (msg) => this.handleJobNotification(msg.payload));
+
+    await client.connect();
+    await client.query(`LISTEN ${QueueService.JOB_ENQUEUED_CHANNEL}`);
+    this.listenClient = client;
+
+    log.info('LISTEN', `Listening on ${QueueService.JOB_ENQUEUED_CHANNEL}`);
+  }
+
+  /**
+   * Drop the broken connection and retry every 5s; slots poll at the short interval meanwhile
+   */
+  async reconnectListener() {
+    if (this.listenReconnecting || this.shutdownRequested) return;
+    this.listenReconnecting = true;
+
+    const broken = this.listenClient;
+    this.listenClient = null;
+    if (broken) {
+      try { await broken.end(); } catch (e) { /* ignore */ }
+    }
+
+    while (!this.shutdownRequested) {
+      await this.sleep(5000);
+      try {
+        await this.startListener();
+        // Anything enqueued while disconnected was missed
+        this.wake();
+        await this.refreshRetryTimer();
+        break;
+      } catch (error) {
+        log.warn('LISTEN', `Listener reconnect failed: ${error.message}`);
+      }
+    }
+
+    this.listenReconnecting = false;
+  }
+
+  async stopListener() {
+    const client = this.listenClient;
+    this.listenClient = null;
+    clearTimeout(this.retryTimer);
+    if (client) {
+      try { await client.end(); } catch (e) { /* ignore */ }
+    }
+  }
+
+  /**
+   * job_enqueued payload: { jobId, readyAt } - readyAt is set for scheduled retries
+   */
+  handleJobNotification(payload) {
+    if (this.shutdownRequested) return;
+
+    let readyAt = null;
+    try {
+      const { readyAt: at } = JSON.parse(payload) || {};
+      readyAt = at ? new Date(at) : null;
+    } catch (e) {
+      // Malformed payload - treat as ready now
+    }
+
+    if (readyAt && readyAt.getTime() > Date.now()) {
+      this.scheduleRetryWakeup(readyAt);
+    } else {
+      this.wake();
+    }
+  }
+
+  /**
+   * Keep one timer aimed at the earliest known retry_after
+   */
+  scheduleRetryWakeup(at) {
+    const time = new Date(at).getTime();
+    if (this.retryTimer && this.retryTimerAt <= time) return;
+
+    clearTimeout(this.retryTimer);
+    this.retryTimerAt = time;
+    this.retryTimer = setTimeout(async () => {
+      this.retryTimer = null;
+      this.retryTimerAt = null;
+      this.wake();
+      await this.refreshRetryTimer();
+    }, Math.max(time - Date.now(), 0));
+  }
+
+  /**
+   * Aim the retry timer at the earliest pending retry in the queue
+   */
+  async refreshRetryTimer() {
     if (this.shutdownRequested) return;
-    log.warn('WORKER', 'Shutdown requested, finishing current job...');
+
+    try {
+      const nextRetryAt = await QueueService.getNextRetryAt();
+      if (nextRetryAt) this.scheduleRetryWakeup(nextRetryAt);
+    } catch (error) {
+      log.warn('RETRY_TIMER', `Could not look up the next retry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Refresh this worker's heartbeat row and the locks on its in-flight jobs
+   * A missed heartbeat is only logged - the next one catches up
+   */
+  async sendHeartbeat(status = null) {
+    const jobIds = [...this.activeJobs.keys()];
+
+    try {
+      if (jobIds.length > 0) {
+        await QueueService.renewLocks(this.workerId, jobIds);
+      }
+      await QueueService.heartbeat({
+        workerId: this.workerId,
+        hostname: os.hostname(),
+        pid: process.pid,
+        slots: this.concurrency,
+        status: status || (this.shutdownRequested ? 'draining' : 'running'),
+        activeJobs: jobIds,
+        jobsCompleted: this.jobsCompleted,
+        jobsFailed: this.jobsFailed
+      });
+    } catch (error) {
+      log.warn('HEARTBEAT', `Heartbeat failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * First signal: stop claiming and let in-flight jobs finish, up to the drain deadline
+   * Second signal (or the deadline): release unfinished jobs back to the queue and exit
+   */
+  shutdown(signal) {
+    if (this.shutdownRequested) {
+      log.warn('WORKER', `${signal} received again, releasing in-flight jobs now`);
+      this.releaseAndExit(`Worker ${this.workerId} stopped by ${signal}`);
+      return;
+    }
+
     this.shutdownRequested = true;
     this.isRunning = false;
+    clearTimeout(this.retryTimer);
+    housekeepingService.stop();
+    this.wake();
+
+    if (this.activeJobs.size === 0) {
+      log.warn('WORKER', `${signal} received, no jobs in flight - stopping`);
+      return;
+    }
+
+    log.warn('WORKER', `${signal} received, draining ${this.activeJobs.size} in-flight job(s) (up to ${Math.round(config.worker.drainTimeoutMs / 1000)}s)...`);
+    this.sendHeartbeat();
+    this.drainTimer = setTimeout(
+      () => this.releaseAndExit(`Worker ${this.workerId} drain deadline passed`),
+      config.worker.drainTimeoutMs
+    );
+  }
+
+  /**
+   * Put unfinished jobs back in the queue without burning an attempt, then exit
+   */
+  async releaseAndExit(reason) {
+    if (this.releasing) return;
+    this.releasing = true;
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.drainTimer);
+
+    const active = [...this.activeJobs.values()];
+    try {
+      const released = await QueueService.releaseJobs(this.workerId, active.map(entry => entry.job.job_id), reason);
+
+      for (const row of released) {
+        const jobData = typeof row.job_data === 'string' ? JSON.parse(row.job_data) : row.job_data;
+        log.warn('WORKER', `Released job ${row.job_id} (chart ${jobData?.chartNumber}) back to the queue`);
+        await QueueService.notifyStatusChange(row.job_id, 'failed', 'released', reason);
+        if (jobData?.chartNumber) {
+          await ChartRepository.updateWithError(jobData.chartNumber, reason, true, row.attempts);
+        }
+        if (jobData?.chartInfo?.sessionId) await QueueService.notifyChartStatus(jobData.chartInfo.sessionId, 'retry_pending');
+      }
+    } catch (error) {
+      log.error('WORKER', 'Failed to release in-flight jobs (they will be reclaimed as stuck jobs)', error);
+    }
+
+    await this.sendHeartbeat('stopped');
+    await pool.end().catch(() => {});
+    log.warn('WORKER', 'Stopped before in-flight jobs finished');
+    process.exit(1);
   }
 }
 
 // Run the worker
 const worker = new DocumentWorker();
-worker.start().catch(error => {
+worker.start().then(async () => {
+  await pool.end();
+  process.exit(0);
+}).catch(error => {
   log.error('FATAL', 'Worker crashed', error);
   process.exit(1);
 });
@@ -0,0 +1,192 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCodingResponse, normalizeCodingResponse } from '../../src/schemas/codingResponse.js';
+
+const evidence = (exact_text, line_number = '3') => ({
+  document_type: 'ED Note',
+  document_name: 'ed_note.pdf',
+  line_number,
+  exact_text
+});
+
+const codingResponse = () => ({
+  ai_narrative_summary: { chief_complaint: 'Chest pain' },
+  coding_categories: {
+    reason_for_admit: { codes: [] },
+    primary_diagnosis: {
+      codes: [{
+        icd_10_code: 'R07.9',
+        description: 'Chest pain, unspecified',
+        confidence: 'high',
+        evidence: [evidence('Chest pain since this morning')]
+      }]
+    },
+    secondary_diagnoses: {
+      codes: [{
+        icd_10_code: 'I10',
+        description: 'Essential hypertension',
+        confidence: 'medium',
+        evidence: [evidence('History of hypertension', 5)]
+      }]
+    },
+    procedures: {
+      codes: [{ cpt_code: '93010', procedure_name: 'ECG interpretation', confidence: 'high', evidence: evidence('ECG read') }]
+    },
+    ed_em_level: {
+      codes: [{ code: '99284', confidence: 'medium', evidence: [evidence('Moderate complexity MDM')] }]
+    },
+    modifiers: {
+      codes: [{ modifier_code: '25', applies_to_code: '99284', confidence: 'medium' }]
+    }
+  },
+  feedback: {
+    documentation_gaps: [{ gap: 'Onset time not documented' }],
+    physician_queries_needed: [],
+    coding_tips: [{ tip: 'Document troponin results' }],
+    compliance_alerts: [{ alert: 'Verify medical necessity', severity: 'low' }]
+  },
+  medications: [{ name: 'Aspirin' }],
+  metadata: { model: 'test' }
+});
+
+describe('validateCodingResponse', () => {
+  it('accepts a complete response', () => {
+    assert.deepEqual(validateCodingResponse(codingResponse()), { valid: true, errors: [] });
+  });
+
+  it('reports missing required sections by path', () => {
+    const response = codingResponse();
+    delete response.feedback;
+    delete response.coding_categories.procedures;
+
+    const { valid, errors } = validateCodingResponse(response);
+    assert.equal(valid, false);
+    assert.ok(errors.includes("/: must have required property 'feedback'"), errors.join('\n'));
+    assert.ok(errors.includes("/coding_categories: must have required property 'procedures'"), errors.join('\n'));
+  });
+
+  it('rejects malformed codes and lists the allowed enum values', () => {
+    const response = codingResponse();
+    response.coding_categories.secondary_diagnoses.codes[0].icd_10_code = '401.9';
+    response.coding_categories.procedures.codes[0].confidence = 'certain';
+
+    const { errors } = validateCodingResponse(response);
+    assert.ok(errors.some(e => e.startsWith('/coding_categories/secondary_diagnoses/codes/0/icd_10_code: must match pattern')), errors.join('\n'));
+    assert.ok(errors.includes('/coding_categories/procedures/codes/0/confidence: must be equal to one of the allowed values (high, medium, low)'), errors.join('\n'));
+  });
+
+  it('explains evidence failures once instead of per anyOf branch', () => {
+    const response = codingResponse();
+    response.coding_categories.primary_diagnosis.codes[0].evidence = [{ line_number: 4 }];
+
+    const { errors } = validateCodingResponse(response);
+    assert.deepEqual(errors, [
+      '/coding_categories/primary_diagnosis/codes/0/evidence: must match a schema in anyOf' +
+      " (/coding_categories/primary_diagnosis/codes/0/evidence/0: must have required property 'exact_text')"
+    ]);
+  });
+
+  it('accepts evidence as a single object or a non-empty array only', () => {
+    const response = codingResponse();
+    response.coding_categories.primary_diagnosis.codes[0].evidence = evidence('Chest pain');
+    assert.equal(validateCodingResponse(response).valid, true);
+
+    response.coding_categories.primary_diagnosis.codes[0].evidence = [];
+    assert.equal(validateCodingResponse(response).valid, false);
+  });
+
+  describe('primary diagnosis', () => {
+    it('is required in a full response', () => {
+      const response = codingResponse();
+      response.coding_categories.primary_diagnosis.codes = [];
+
+      const { valid, errors } = validateCodingResponse(response);
+      assert.equal(valid, false);
+      assert.deepEqual(errors, ['/coding_categories/primary_diagnosis/codes: must NOT have fewer than 1 items']);
+    });
+
+    it('is optional in a partial (chunk) response', () => {
+      const response = codingResponse();
+      response.coding_categories.primary_diagnosis.codes = [];
+
+      assert.deepEqual(validateCodingResponse(response, { partial: true }), { valid: true, errors: [] });
+    });
+
+    it('is limited to one code in both variants', () => {
+      const response = codingResponse();
+      const [primary] = response.coding_categories.primary_diagnosis.codes;
+      response.coding_categories.primary_diagnosis.codes.push({ ...primary, icd_10_code: 'R07.89' });
+
+      assert.equal(validateCodingResponse(response).valid, false);
+      assert.equal(validateCodingResponse(response, { partial: true }).valid, false);
+    });
+
+    it('keeps every other rule in a partial response', () => {
+      const response = codingResponse();
+      delete response.coding_categories.modifiers;
+
+      assert.equal(validateCodingResponse(response, { partial: true }).valid, false);
+    });
+  });
+});
+
+describe('normalizeCodingResponse', () => {
+  it('fills missing categories and feedback lists with empty lists', () => {
+    const response = codingResponse();
+    delete response.coding_categories.reason_for_admit;
+    response.coding_categories.modifiers = null;
+    delete response.feedback.coding_tips;
+    response.feedback.physician_queries_needed = null;
+
+    normalizeCodingResponse(response);
+
+    assert.deepEqual(response.coding_categories.reason_for_admit, { codes: [] });
+    assert.deepEqual(response.coding_categories.modifiers, { codes: [] });
+    assert.deepEqual(response.feedback.coding_tips, []);
+    assert.deepEqual(response.feedback.physician_queries_needed, []);
+    assert.equal(validateCodingResponse(response).valid, true);
+  });
+
+  it('wraps a category given as a bare array', () => {
+    const response = codingResponse();
+    const codes = response.coding_categories.secondary_diagnoses.codes;
+    response.coding_categories.secondary_diagnoses = codes;
+
+    normalizeCodingResponse(response);
+
+    assert.deepEqual(response.coding_categories.secondary_diagnoses, { codes });
+  });
+
+  it('lowercases confidence and severity values', () => {
+    const response = codingResponse();
+    response.coding_categories.primary_diagnosis.codes[0].confidence = 'High';
+    response.coding_categories.ed_em_level.codes[0].confidence = ' MEDIUM ';
+    response.feedback.compliance_alerts[0].severity = 'LOW';
+
+    normalizeCodingResponse(response);
+
+    assert.equal(response.coding_categories.primary_diagnosis.codes[0].confidence, 'high');
+    assert.equal(response.coding_categories.ed_em_level.codes[0].confidence, 'medium');
+    assert.equal(response.feedback.compliance_alerts[0].severity, 'low');
+    assert.equal(validateCodingResponse(response).valid, true);
+  });
+
+  it('leaves the narrative and real structural problems alone', () => {
+    const response = codingResponse();
+    response.ai_narrative_summary.confidence = 'HIGH';
+    response.coding_categories.procedures.codes[0].cpt_code = '9301';
+
+    normalizeCodingResponse(response);
+
+    assert.equal(response.ai_narrative_summary.confidence, 'HIGH');
+    assert.equal(validateCodingResponse(response).valid, false);
+  });
+
+  it('passes through values that are not objects', () => {
+    assert.equal(normalizeCodingResponse(null), null);
+    assert.equal(normalizeCodingResponse('not json'), 'not json');
+
+    const list = [1, 2];
+    assert.equal(normalizeCodingResponse(list), list);
+  });
+});
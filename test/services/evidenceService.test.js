@@ -0,0 +1,220 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { evidenceService, EVIDENCE_STATUS } from '../../src/services/evidenceService.js';
+
+// Same shape as ocrService.formatForAI output - line numbers as shown to the model
+const formatDocument = (documentName, text) => ({
+  documentName,
+  content: text.split('\n').map((line, i) => ({ lineNumber: i + 1, text: line }))
+});
+
+const DOCUMENTS = [
+  formatDocument('ed_note.pdf', [
+    'EMERGENCY DEPARTMENT NOTE',
+    'Chief complaint: chest pain since this morning.',
+    'Patient has a history of essential',
+    'hypertension, on lisinopril 10 mg daily.',
+    'ECG shows normal slnus rhythm.',
+    'Plan: serial troponins, observation.'
+  ].join('\n')),
+  formatDocument('lab_report.pdf', [
+    'LABORATORY RESULTS',
+    'Troponin I negative x2',
+    'Hemoglobin A1c 8.2 percent'
+  ].join('\n'))
+];
+
+const index = () => evidenceService.indexDocuments(DOCUMENTS);
+
+const verify = (item) => evidenceService.verifyItem(index(), item);
+
+describe('evidenceService', () => {
+  let settings;
+
+  before(() => {
+    settings = { minScore: evidenceService.minScore, maxLineSpan: evidenceService.maxLineSpan };
+    evidenceService.minScore = 0.8;
+    evidenceService.maxLineSpan = 3;
+  });
+
+  after(() => {
+    Object.assign(evidenceService, settings);
+  });
+
+  describe('verifyItem', () => {
+    it('verifies a quote found on the claimed line', () => {
+      const item = { document_name: 'ed_note.pdf', line_number: '2', exact_text: 'chest pain since this morning' };
+
+      assert.deepEqual(verify(item), {
+        status: EVIDENCE_STATUS.VERIFIED,
+        score: 1,
+        claimed_line: 2,
+        matched_lines: { start: 2, end: 2 }
+      });
+      assert.equal(item.line_number, '2');
+    });
+
+    it('ignores case and punctuation', () => {
+      const item = { document_name: 'ed_note.pdf', line_number: 2, exact_text: 'CHIEF COMPLAINT - Chest Pain!' };
+
+      assert.equal(verify(item).status, EVIDENCE_STATUS.VERIFIED);
+    });
+
+    it('corrects the line number when the quote is on another line', () => {
+      const item = { document_name: 'ed_note.pdf', line_number: '5', exact_text: 'Chief complaint: chest pain since this morning.' };
+
+      const result = verify(item);
+      assert.equal(result.status, EVIDENCE_STATUS.CORRECTED);
+      assert.equal(result.claimed_line, 5);
+      assert.deepEqual(result.matched_lines, { start: 2, end: 2 });
+      assert.equal(item.line_number, '2');
+    });
+
+    it('matches a quote that wraps across OCR lines', () => {
+      const item = { document_name: 'ed_note.pdf', line_number: '4', exact_text: 'history of essential hypertension, on lisinopril' };
+
+      const result = verify(item);
+      assert.equal(result.status, EVIDENCE_STATUS.VERIFIED);
+      assert.deepEqual(result.matched_lines, { start: 3, end: 4 });
+      assert.equal(item.line_number, '4');
+    });
+
+    it('does not join more lines than maxLineSpan', () => {
+      const item = {
+        document_name: 'ed_note.pdf',
+        line_number: '2',
+        exact_text: 'chest pain since this morning. Patient has a history of essential hypertension, on lisinopril'
+      };
+
+      evidenceService.maxLineSpan = 2;
+      try {
+        assert.equal(verify(item).status, EVIDENCE_STATUS.NOT_FOUND);
+      } finally {
+        evidenceService.maxLineSpan = 3;
+      }
+      assert.equal(verify({ ...item }).status, EVIDENCE_STATUS.VERIFIED);
+    });
+
+    it('tolerates single-character OCR misreads in longer words', () => {
+      const item = { document_name: 'ed_note.pdf', line_number: '5', exact_text: 'ECG shows normal sinus rhythm' };
+
+      const result = verify(item);
+      assert.equal(result.status, EVIDENCE_STATUS.VERIFIED);
+      assert.ok(result.score >= 0.8 && result.score < 1, `score ${result.score}`);
+    });
+
+    it('moves a quote attributed to the wrong document to the one that holds it', () => {
+      const item = { document_name: 'ed_note.pdf', line_number: '6', exact_text: 'Troponin I negative x2' };
+
+      const result = verify(item);
+      assert.equal(result.status, EVIDENCE_STATUS.CORRECTED);
+      assert.equal(result.claimed_document, 'ed_note.pdf');
+      assert.equal(item.document_name, 'lab_report.pdf');
+      assert.equal(item.line_number, '2');
+    });
+
+    it('searches every document when the named one does not exist', () => {
+      const item = { document_name: 'discharge summary', line_number: '3', exact_text: 'Hemoglobin A1c 8.2 percent' };
+
+      const result = verify(item);
+      assert.deepEqual(result.matched_lines, { start: 3, end: 3 });
+      assert.equal(result.status, EVIDENCE_STATUS.VERIFIED);
+    });
+
+    it('prefers the occurrence closest to the claimed line', () => {
+      const repeated = formatDocument('progress.pdf', ['BP 150/90', 'Day 1', 'Day 2', 'Day 3', 'BP 150/90'].join('\n'));
+      const item = { document_name: 'progress.pdf', line_number: '5', exact_text: 'BP 150/90' };
+
+      const result = evidenceService.verifyItem(evidenceService.indexDocuments([repeated]), item);
+      assert.equal(result.status, EVIDENCE_STATUS.VERIFIED);
+      assert.deepEqual(result.matched_lines, { start: 5, end: 5 });
+    });
+
+    it('does not accept the right words in the wrong order', () => {
+      const item = { document_name: 'ed_note.pdf', line_number: '2', exact_text: 'morning this since pain chest' };
+
+      const result = verify(item);
+      assert.equal(result.status, EVIDENCE_STATUS.NOT_FOUND);
+      assert.equal(result.score, 0.7);
+      assert.equal(result.closest_line, 2);
+    });
+
+    it('reports quotes that are not in any document', () => {
+      const item = { document_name: 'ed_note.pdf', line_number: '3', exact_text: 'Acute appendicitis with perforation' };
+
+      assert.deepEqual(verify(item), {
+        status: EVIDENCE_STATUS.NOT_FOUND,
+        score: 0,
+        claimed_line: 3,
+        closest_document: null,
+        closest_line: null
+      });
+      assert.equal(item.line_number, '3');
+    });
+
+    it('reports an empty quote', () => {
+      const item = { document_name: 'ed_note.pdf', line_number: '3', exact_text: '  ' };
+
+      assert.deepEqual(verify(item), { status: EVIDENCE_STATUS.NOT_FOUND, score: 0, reason: 'No quote provided' });
+    });
+  });
+
+  describe('verifyCodingResult', () => {
+    it('scores every code and downgrades codes with no evidence found', () => {
+      const data = {
+        diagnosis_codes: {
+          primary_diagnosis: [{
+            icd_10_code: 'R07.9',
+            confidence: 'high',
+            evidence: [{ document_name: 'ed_note.pdf', line_number: '2', exact_text: 'chest pain since this morning' }]
+          }],
+          secondary_diagnoses: [
+            {
+              icd_10_code: 'I10',
+              confidence: 'medium',
+              evidence: [
+                { document_name: 'ed_note.pdf', line_number: '9', exact_text: 'Acute appendicitis' },
+                { document_name: 'ed_note.pdf', line_number: '1', exact_text: 'essential hypertension' }
+              ]
+            },
+            {
+              icd_10_code: 'K35.80',
+              confidence: 'high',
+              evidence: [{ document_name: 'ed_note.pdf', line_number: '9', exact_text: 'Acute appendicitis' }]
+            }
+          ]
+        },
+        procedures: [{
+          cpt_code: '93010',
+          confidence: 'medium',
+          evidence: { document_name: 'ed_note.pdf', line_number: '5', exact_text: 'ECG shows normal sinus rhythm' }
+        }],
+        coding_notes: { source: 'test' }
+      };
+
+      const summary = evidenceService.verifyCodingResult(data, DOCUMENTS);
+
+      assert.deepEqual(summary, {
+        verified: 2,
+        corrected: 1,
+        not_found: 2,
+        downgraded: [{ category: 'secondary_diagnoses', code: 'K35.80', score: 0 }]
+      });
+
+      const [hypertension, appendicitis] = data.diagnosis_codes.secondary_diagnoses;
+      assert.equal(hypertension.confidence, 'medium');
+      assert.equal(hypertension.evidence_score, 1);
+      assert.equal(hypertension.evidence_unverified, undefined);
+
+      assert.equal(appendicitis.confidence, 'low');
+      assert.equal(appendicitis.ai_confidence, 'high');
+      assert.equal(appendicitis.evidence_unverified, true);
+
+      assert.equal(data.procedures[0].evidence.verification.status, EVIDENCE_STATUS.VERIFIED);
+
+      assert.equal(data.coding_notes.source, 'test');
+      assert.equal(data.coding_notes.evidence_verification.min_score, 0.8);
+      assert.equal(data.coding_notes.evidence_verification.verified, 2);
+    });
+  });
+});
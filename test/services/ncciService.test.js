@@ -0,0 +1,225 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ncciService } from '../../src/services/ncciService.js';
+import { NcciRepository, NCCI_EDIT_TYPES } from '../../src/db/ncciRepository.js';
+import { parsePtpLine, parseMueLine } from '../../src/utils/ncciParsers.js';
+
+// Column 1 | Column 2 | prior-1996 | effective | deletion | modifier indicator | rationale
+const PTP_EDITS = [
+  { column1_code: '29881', column2_code: '29877', modifier_indicator: '0', rationale: 'Standards of medical / surgical practice' },
+  { column1_code: '99285', column2_code: '36415', modifier_indicator: '1', rationale: 'Misuse of column two code with column one code' },
+  { column1_code: '93010', column2_code: '93042', modifier_indicator: '9', rationale: 'Deleted edit' }
+];
+
+const MUE_LIMITS = [
+  { code: '36415', mue_value: 2, adjudication_indicator: '3 Date of Service Edit: Clinical', rationale: 'Clinical data' }
+];
+
+const RELEASES = {
+  [NCCI_EDIT_TYPES.PTP]: { id: 1, version: '2025Q1' },
+  [NCCI_EDIT_TYPES.MUE]: { id: 2, version: '2025Q1' }
+};
+
+const procedure = (cpt_code, extra = {}) => ({ cpt_code, confidence: 'high', ...extra });
+
+describe('NCCI parsers', () => {
+  it('parses tab-delimited PTP rows', () => {
+    assert.deepEqual(parsePtpLine('29881\t29877\t*\t20020101\t*\t0\tStandards of medical / surgical practice'), {
+      column1Code: '29881',
+      column2Code: '29877',
+      effectiveDate: '2002-01-01',
+      deletionDate: null,
+      modifierIndicator: '0',
+      rationale: 'Standards of medical / surgical practice'
+    });
+  });
+
+  it('parses comma-delimited PTP rows with quoted rationale and a deletion date', () => {
+    assert.deepEqual(parsePtpLine('99285,36415,,20150101,20231231,1,"Misuse of column two code, with column one code"'), {
+      column1Code: '99285',
+      column2Code: '36415',
+      effectiveDate: '2015-01-01',
+      deletionDate: '2023-12-31',
+      modifierIndicator: '1',
+      rationale: 'Misuse of column two code, with column one code'
+    });
+  });
+
+  it('skips header, copyright and malformed PTP rows', () => {
+    assert.equal(parsePtpLine('Column 1\tColumn 2\t*=in existence prior to 1996\tEffective Date'), null);
+    assert.equal(parsePtpLine('CPT only copyright 2024 American Medical Association.'), null);
+    assert.equal(parsePtpLine('29881\t29877\t*\t20020101\t*\t2\tUnknown indicator'), null);
+    assert.equal(parsePtpLine(''), null);
+  });
+
+  it('parses MUE rows and skips everything else', () => {
+    assert.deepEqual(parseMueLine('36415\t2\t3 Date of Service Edit: Clinical\tClinical: Data'), {
+      code: '36415',
+      mueValue: 2,
+      adjudicationIndicator: '3 Date of Service Edit: Clinical',
+      rationale: 'Clinical: Data'
+    });
+    assert.equal(parseMueLine('HCPCS/CPT Code\tPractitioner Services MUE Values'), null);
+    assert.equal(parseMueLine('36415\tN/A'), null);
+  });
+});
+
+describe('ncciService.check', () => {
+  let settings;
+
+  before(() => {
+    settings = { enabled: ncciService.enabled, ptpAction: ncciService.ptpAction, mueAction: ncciService.mueAction };
+
+    mock.method(NcciRepository, 'getReleaseForDate', async (editType) => RELEASES[editType] || null);
+    mock.method(NcciRepository, 'findPtpEdits', async (releaseId, codes) =>
+      PTP_EDITS.filter(edit => codes.includes(edit.column1_code) && codes.includes(edit.column2_code)));
+    mock.method(NcciRepository, 'findMueLimits', async (releaseId, codes) =>
+      MUE_LIMITS.filter(limit => codes.includes(limit.code)));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    Object.assign(ncciService, settings);
+  });
+
+  beforeEach(() => {
+    Object.assign(ncciService, { enabled: true, ptpAction: 'warn', mueAction: 'warn' });
+  });
+
+  describe('PTP edits', () => {
+    it('fails a modifier indicator 0 pair even with a bypass modifier', async () => {
+      const result = await ncciService.check({
+        procedures: [procedure('29881'), procedure('29877', { modifiers: ['59'] })]
+      }, '2025-02-01');
+
+      assert.equal(result.failures.length, 1);
+      const { message, ...failure } = result.failures[0];
+      assert.deepEqual(failure, {
+        type: NCCI_EDIT_TYPES.PTP,
+        action: 'warn',
+        column1Code: '29881',
+        column2Code: '29877',
+        modifierIndicator: '0',
+        bypassable: false,
+        rationale: 'Standards of medical / surgical practice'
+      });
+      assert.match(message, /no modifier bypasses this edit/);
+      assert.deepEqual(result.bypassed, []);
+    });
+
+    it('fails a modifier indicator 1 pair without a bypass modifier', async () => {
+      const result = await ncciService.check({
+        procedures: [procedure('36415')],
+        ed_em_level: [{ code: '99285', confidence: 'medium' }]
+      }, '2025-02-01');
+
+      assert.equal(result.failures.length, 1);
+      assert.equal(result.failures[0].bypassable, true);
+      assert.match(result.failures[0].message, /append an NCCI modifier \(e\.g\. 59, XS\) to 36415/);
+    });
+
+    it('clears a modifier indicator 1 pair with a bypass modifier on the column two code', async () => {
+      const result = await ncciService.check({
+        procedures: [procedure('36415')],
+        ed_em_level: [{ code: '99285', confidence: 'medium' }],
+        modifiers: [{ modifier_code: '-xu', applies_to_code: '36415' }]
+      }, '2025-02-01');
+
+      assert.deepEqual(result.failures, []);
+      assert.deepEqual(result.bypassed, [{
+        type: NCCI_EDIT_TYPES.PTP,
+        column1Code: '99285',
+        column2Code: '36415',
+        modifier: 'XU'
+      }]);
+    });
+
+    it('does not clear the pair with a bypass modifier on the column one code only', async () => {
+      const result = await ncciService.check({
+        procedures: [procedure('36415')],
+        ed_em_level: [{ code: '99285', confidence: 'medium', modifiers: ['25', '59'] }]
+      }, '2025-02-01');
+
+      assert.equal(result.failures.length, 1);
+      assert.deepEqual(result.bypassed, []);
+    });
+
+    it('does not clear the pair with a modifier that is not NCCI-associated', async () => {
+      const result = await ncciService.check({
+        procedures: [procedure('36415', { modifier: '26' })],
+        ed_em_level: [{ code: '99285', confidence: 'medium' }]
+      }, '2025-02-01');
+
+      assert.equal(result.failures.length, 1);
+    });
+
+    it('ignores modifier indicator 9 pairs', async () => {
+      const result = await ncciService.check({
+        procedures: [procedure('93010'), procedure('93042')]
+      }, '2025-02-01');
+
+      assert.deepEqual(result.failures, []);
+      assert.deepEqual(result.bypassed, []);
+      assert.equal(result.blocking, false);
+    });
+  });
+
+  describe('MUE edits', () => {
+    it('sums units per code across lines', async () => {
+      const result = await ncciService.check({
+        procedures: [procedure('36415', { units: 2 }), procedure('36415')]
+      }, '2025-02-01');
+
+      assert.deepEqual(result.failures.map(f => [f.type, f.code, f.units, f.limit]), [[NCCI_EDIT_TYPES.MUE, '36415', 3, 2]]);
+    });
+
+    it('passes units within the limit', async () => {
+      const result = await ncciService.check({ procedures: [procedure('36415', { units: 2 })] }, '2025-02-01');
+
+      assert.deepEqual(result.failures, []);
+    });
+  });
+
+  describe('result', () => {
+    it('blocks only when a failing edit type is configured to block', async () => {
+      const codeSet = {
+        procedures: [procedure('29881'), procedure('29877'), procedure('36415', { units: 1 })]
+      };
+
+      ncciService.mueAction = 'block';
+      assert.equal((await ncciService.check(codeSet, '2025-02-01')).blocking, false);
+
+      ncciService.ptpAction = 'block';
+      const result = await ncciService.check(codeSet, '2025-02-01');
+      assert.equal(result.blocking, true);
+      assert.equal(result.failures[0].action, 'block');
+    });
+
+    it('reports the releases used and edit types with no release loaded', async () => {
+      NcciRepository.getReleaseForDate.mock.mockImplementationOnce(async () => null);
+
+      const result = await ncciService.check({ procedures: [procedure('36415')] }, '2025-02-01');
+      assert.deepEqual(result.unavailable, [NCCI_EDIT_TYPES.PTP]);
+      assert.deepEqual(result.releases, { MUE: '2025Q1' });
+    });
+
+    it('does nothing when disabled or there is nothing billable', async () => {
+      assert.equal((await ncciService.check({ procedures: [procedure('36415')] }, '2025-02-01')).checked, true);
+
+      ncciService.enabled = false;
+      assert.deepEqual(await ncciService.check({ procedures: [procedure('36415')] }, '2025-02-01'), {
+        checked: false,
+        blocking: false,
+        releases: {},
+        unavailable: [],
+        failures: [],
+        bypassed: []
+      });
+
+      ncciService.enabled = true;
+      const empty = await ncciService.check({ primary_diagnosis: [{ icd_10_code: 'R07.9' }] }, '2025-02-01');
+      assert.equal(empty.checked, true);
+      assert.deepEqual(empty.releases, {});
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { createStorageDriver } from '../../src/services/storageDrivers.js';
+
+const SECRET = 'test-signing-secret';
+
+const readAll = async (stream) => Buffer.concat(await stream.toArray());
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+/**
+ * Behaviour every driver shares - put / getStream / head / delete / presign
+ */
+const driverContract = (name, setup) => {
+  describe(`${name} driver`, () => {
+    let driver;
+
+    before(async () => {
+      driver = await setup();
+    });
+
+    it('stores a buffer and reads it back', async () => {
+      const data = Buffer.from('%PDF-1.7 chart note');
+      const stored = await driver.put('charts/A1/note.pdf', data, {
+        contentType: 'application/pdf',
+        metadata: { chartNumber: 'A1' }
+      });
+
+      assert.equal(stored.key, 'charts/A1/note.pdf');
+      assert.equal(stored.size, data.length);
+      assert.equal(stored.sha256, sha256Hex(data));
+
+      const { stream, contentType, contentLength } = await driver.getStream('charts/A1/note.pdf');
+      assert.equal(contentType, 'application/pdf');
+      assert.equal(contentLength, data.length);
+      assert.deepEqual(await readAll(stream), data);
+    });
+
+    it('stores a stream and reports its size and digest', async () => {
+      const parts = [Buffer.from('first part, '), Buffer.from('second part')];
+      const stored = await driver.put('charts/A1/streamed.txt', Readable.from(parts), { contentType: 'text/plain' });
+
+      const whole = Buffer.concat(parts);
+      assert.equal(stored.size, whole.length);
+      assert.equal(stored.sha256, sha256Hex(whole));
+
+      const { stream } = await driver.getStream('charts/A1/streamed.txt');
+      assert.deepEqual(await readAll(stream), whole);
+    });
+
+    it('heads stored objects and returns null for missing ones', async () => {
+      await driver.put('charts/A2/scan.png', Buffer.from('png bytes'), {
+        contentType: 'image/png',
+        metadata: { documentType: 'scan' }
+      });
+
+      const head = await driver.head('charts/A2/scan.png');
+      assert.equal(head.contentType, 'image/png');
+      assert.equal(head.contentLength, 9);
+      assert.deepEqual(head.metadata, { documentType: 'scan' });
+      assert.ok(head.lastModified instanceof Date);
+
+      assert.equal(await driver.head('charts/A2/missing.png'), null);
+    });
+
+    it('deletes objects, and deleting a missing object is not an error', async () => {
+      await driver.put('charts/A3/gone.txt', Buffer.from('bye'), { contentType: 'text/plain' });
+      await driver.delete('charts/A3/gone.txt');
+
+      assert.equal(await driver.head('charts/A3/gone.txt'), null);
+      await assert.rejects(driver.getStream('charts/A3/gone.txt'));
+      await driver.delete('charts/A3/gone.txt');
+    });
+
+    it('presigns a URL that names the key', async () => {
+      await driver.put('charts/A4/report.pdf', Buffer.from('%PDF-'), { contentType: 'application/pdf' });
+
+      const url = await driver.presign('charts/A4/report.pdf', { expiresIn: 60 });
+      assert.ok(url.includes(encodeURIComponent('charts/A4/report.pdf')));
+    });
+  });
+};
+
+driverContract('memory', () => createStorageDriver('memory', {}));
+
+describe('memory driver specifics', () => {
+  it('fails with NoSuchKey for missing objects', async () => {
+    const driver = createStorageDriver('memory', {});
+
+    await assert.rejects(driver.getStream('nope'), { name: 'NoSuchKey' });
+    await assert.rejects(driver.presign('nope', { expiresIn: 60 }), { name: 'NoSuchKey' });
+  });
+});
+
+describe('local driver', () => {
+  let root;
+  let driver;
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'medcode-storage-'));
+    driver = createStorageDriver('local', { local: { root, signingSecret: SECRET, baseUrl: 'https://api.example.test/' } });
+  });
+
+  after(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  driverContract('local (shared)', () => driver);
+
+  it('requires a signing secret', () => {
+    assert.throws(
+      () => createStorageDriver('local', { local: { root, signingSecret: null } }),
+      /signing secret/
+    );
+  });
+
+  it('writes files under the root with their metadata alongside', async () => {
+    await driver.put('charts/B1/note.txt', Buffer.from('note'), { contentType: 'text/plain', metadata: { a: '1' } });
+
+    const filePath = path.join(root, 'charts/B1/note.txt');
+    assert.equal(await fs.promises.readFile(filePath, 'utf8'), 'note');
+    assert.deepEqual(
+      JSON.parse(await fs.promises.readFile(`${filePath}.meta.json`, 'utf8')),
+      { contentType: 'text/plain', metadata: { a: '1' } }
+    );
+  });
+
+  it('removes a partial file when the source stream fails', async () => {
+    const failing = new Readable({
+      read() {
+        this.push(Buffer.from('partial'));
+        this.destroy(new Error('client went away'));
+      }
+    });
+
+    await assert.rejects(driver.put('charts/B2/cut.pdf', failing), /client went away/);
+    assert.equal(fs.existsSync(path.join(root, 'charts/B2/cut.pdf')), false);
+  });
+
+  it('refuses keys that climb out of the storage root', async () => {
+    for (const key of ['../outside.txt', 'charts/../../outside.txt', '/etc/passwd']) {
+      await assert.rejects(driver.put(key, Buffer.from('x')), /Invalid storage key/);
+      await assert.rejects(driver.getStream(key), /Invalid storage key/);
+      await assert.rejects(driver.presign(key, { expiresIn: 60 }), /Invalid storage key/);
+    }
+    assert.equal(fs.existsSync(path.join(path.dirname(root), 'outside.txt')), false);
+  });
+
+  describe('presigned links', () => {
+    before(async () => {
+      await driver.put('charts/C1/visit.pdf', Buffer.from('%PDF-1.4'), { contentType: 'application/pdf' });
+    });
+
+    it('point at the local content route and verify', async () => {
+      const url = await driver.presign('charts/C1/visit.pdf', {
+        expiresIn: 300,
+        filename: 'visit.pdf',
+        contentType: 'application/pdf',
+        inline: false
+      });
+      assert.ok(url.startsWith('https://api.example.test/api/storage/local?'));
+
+      assert.deepEqual(driver.verify(queryOf(url)), {
+        key: 'charts/C1/visit.pdf',
+        disposition: 'attachment; filename="visit.pdf"',
+        contentType: 'application/pdf'
+      });
+    });
+
+    it('reject an expired link', async () => {
+      const url = await driver.presign('charts/C1/visit.pdf', { expiresIn: -1 });
+      assert.equal(driver.verify(queryOf(url)), null);
+    });
+
+    it('reject a link whose parameters were changed', async () => {
+      const query = queryOf(await driver.presign('charts/C1/visit.pdf', { expiresIn: 300, filename: 'visit.pdf' }));
+
+      assert.equal(driver.verify({ ...query, key: 'charts/C2/other.pdf' }), null);
+      assert.equal(driver.verify({ ...query, expires: String(parseInt(query.expires) + 3600) }), null);
+      assert.equal(driver.verify({ ...query, disposition: 'inline; filename="x.html"' }), null);
+      assert.equal(driver.verify({ ...query, type: 'text/html' }), null);
+      assert.equal(driver.verify({ ...query, signature: query.signature.replace(/.$/, c => (c === '0' ? '1' : '0')) }), null);
+      assert.equal(driver.verify({ ...query, signature: 'short' }), null);
+      assert.equal(driver.verify({ key: query.key, expires: query.expires }), null);
+    });
+
+    it('reject a link for a key outside the storage root, even when signed', () => {
+      const key = '../../etc/passwd';
+      const expires = String(Math.floor(Date.now() / 1000) + 300);
+
+      assert.equal(driver.verify({ key, expires, signature: driver.sign(key, expires, null, null) }), null);
+    });
+  });
+});
+
+describe('createStorageDriver', () => {
+  it('rejects unknown drivers', () => {
+    assert.throws(() => createStorageDriver('ftp', {}), /Unknown storage driver "ftp"/);
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { uploadInspectionService, SCAN_STATUS } from '../../src/services/uploadInspectionService.js';
+import { createMalwareScanner } from '../../src/services/malwareScanners.js';
+
+// The anti-virus test file - harmless, flagged by every scanner (and the stub)
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const SCAN_CONFIG = {
+  scanner: 'stub',
+  onError: 'quarantine',
+  quarantineEncryptedPdfs: true,
+  quarantineScriptedPdfs: true
+};
+
+const textFile = { originalname: 'note.txt', mimetype: 'text/plain' };
+const pdfFile = { originalname: 'visit.pdf', mimetype: 'application/pdf' };
+
+/**
+ * Stream chunks through an inspection the way storage would read it
+ */
+const inspect = async (file, chunks) => {
+  const inspection = uploadInspectionService.inspect(file);
+  Readable.from(chunks.map(chunk => Buffer.from(chunk))).pipe(inspection);
+  const stored = Buffer.concat(await inspection.toArray());
+  return { inspection, stored };
+};
+
+/**
+ * Scanner whose sessions fail - at write or at the verdict
+ */
+const failingScanner = (failAt) => ({
+  name: 'failing',
+  aborted: 0,
+  startScan() {
+    return {
+      write: async () => { if (failAt === 'write') throw new Error('scanner unreachable'); },
+      end: async () => { throw new Error('scanner crashed'); },
+      abort: () => { this.aborted++; }
+    };
+  }
+});
+
+describe('uploadInspectionService', () => {
+  let originalConfig;
+
+  beforeEach(() => {
+    originalConfig = uploadInspectionService.scanConfig;
+    uploadInspectionService.scanConfig = { ...SCAN_CONFIG };
+    uploadInspectionService.setScanner(createMalwareScanner('stub', SCAN_CONFIG));
+  });
+
+  afterEach(() => {
+    uploadInspectionService.scanConfig = originalConfig;
+    uploadInspectionService.setScanner(undefined);
+  });
+
+  describe('content sniffing', () => {
+    it('passes matching content through unchanged', async () => {
+      const chunks = ['%PDF-1.7\n', '1 0 obj << /Type /Catalog >> endobj\n', '%%EOF'];
+      const { inspection, stored } = await inspect(pdfFile, chunks);
+
+      assert.equal(stored.toString(), chunks.join(''));
+      assert.deepEqual(await inspection.verdict(), {
+        detectedType: 'application/pdf',
+        scanStatus: SCAN_STATUS.CLEAN,
+        quarantineReason: null,
+        scanner: 'stub'
+      });
+    });
+
+    it('decides the type from the first bytes even when they arrive in small chunks', async () => {
+      const content = `%PDF-1.4\n${'x'.repeat(3000)}`;
+      const chunks = content.match(/[\s\S]{1,100}/g);
+      const { inspection, stored } = await inspect(pdfFile, chunks);
+
+      assert.equal(stored.toString(), content);
+      assert.equal((await inspection.verdict()).detectedType, 'application/pdf');
+    });
+
+    it('rejects content that does not match the declared type', async () => {
+      // Windows executable uploaded as a PDF
+      await assert.rejects(
+        inspect(pdfFile, [Buffer.from([0x4D, 0x5A, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00])]),
+        { code: 'UPLOAD_REJECTED', message: /does not match its type application\/pdf \(detected unknown content\)/ }
+      );
+
+      // PNG uploaded as plain text
+      await assert.rejects(
+        inspect(textFile, [Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00])]),
+        { code: 'UPLOAD_REJECTED', message: /detected image\/png/ }
+      );
+    });
+
+    it('rejects a PDF header that starts after the sniffed bytes', async () => {
+      await assert.rejects(
+        inspect(pdfFile, [' '.repeat(2048), '%PDF-1.4']),
+        { code: 'UPLOAD_REJECTED' }
+      );
+    });
+
+    it('stops the malware scan when it rejects an upload', async () => {
+      const scanner = failingScanner(null);
+      uploadInspectionService.setScanner(scanner);
+
+      await assert.rejects(inspect(pdfFile, ['GIF89a not a pdf']), { code: 'UPLOAD_REJECTED' });
+      assert.equal(scanner.aborted, 1);
+    });
+  });
+
+  describe('malware scanning', () => {
+    it('quarantines the EICAR test file with the stub scanner', async () => {
+      const { inspection, stored } = await inspect(textFile, ['Progress note\n', EICAR]);
+
+      assert.equal(stored.toString(), `Progress note\n${EICAR}`);
+      assert.deepEqual(await inspection.verdict(), {
+        detectedType: 'text/plain',
+        scanStatus: SCAN_STATUS.QUARANTINED,
+        quarantineReason: 'malware: Eicar-Test-Signature',
+        scanner: 'stub'
+      });
+    });
+
+    it('finds the EICAR string split across chunks', async () => {
+      const { inspection } = await inspect(textFile, ['Progress note\n', EICAR.slice(0, 40), EICAR.slice(40)]);
+
+      assert.equal((await inspection.verdict()).scanStatus, SCAN_STATUS.QUARANTINED);
+    });
+
+    it('marks uploads unscanned when no scanner is configured', async () => {
+      uploadInspectionService.setScanner(null);
+      const { inspection } = await inspect(textFile, [EICAR]);
+
+      assert.deepEqual(await inspection.verdict(), {
+        detectedType: 'text/plain',
+        scanStatus: SCAN_STATUS.UNSCANNED,
+        quarantineReason: null,
+        scanner: null
+      });
+    });
+  });
+
+  describe('scanner failures (onError)', () => {
+    for (const failAt of ['write', 'end']) {
+      describe(`failing at ${failAt}`, () => {
+        beforeEach(() => {
+          uploadInspectionService.setScanner(failingScanner(failAt));
+        });
+
+        it('quarantines with onError=quarantine', async () => {
+          uploadInspectionService.scanConfig.onError = 'quarantine';
+          const { inspection } = await inspect(textFile, ['Progress note']);
+
+          const verdict = await inspection.verdict();
+          assert.equal(verdict.scanStatus, SCAN_STATUS.QUARANTINED);
+          assert.equal(verdict.quarantineReason, 'scan_failed');
+        });
+
+        it('rejects the upload with onError=reject', async () => {
+          uploadInspectionService.scanConfig.onError = 'reject';
+          const { inspection } = await inspect(textFile, ['Progress note']);
+
+          await assert.rejects(inspection.verdict(), { code: 'UPLOAD_REJECTED', message: /Could not scan note\.txt/ });
+        });
+
+        it('lets the upload through unscanned with onError=allow', async () => {
+          uploadInspectionService.scanConfig.onError = 'allow';
+          const { inspection } = await inspect(textFile, ['Progress note']);
+
+          const verdict = await inspection.verdict();
+          assert.equal(verdict.scanStatus, SCAN_STATUS.UNSCANNED);
+          assert.equal(verdict.quarantineReason, null);
+        });
+      });
+    }
+  });
+
+  describe('risky PDFs', () => {
+    it('quarantines encrypted PDFs, including when /Encrypt spans two chunks', async () => {
+      const { inspection } = await inspect(pdfFile, ['%PDF-1.7\n', 'x'.repeat(2000), 'trailer << /Enc', 'rypt 5 0 R >>']);
+
+      const verdict = await inspection.verdict();
+      assert.equal(verdict.scanStatus, SCAN_STATUS.QUARANTINED);
+      assert.equal(verdict.quarantineReason, 'encrypted_pdf');
+    });
+
+    it('quarantines PDFs carrying JavaScript, including when /JS spans two chunks', async () => {
+      const { inspection } = await inspect(pdfFile, ['%PDF-1.7\n', 'x'.repeat(2000), '<< /S /J', 'S (app.alert(1)) >>']);
+
+      assert.equal((await inspection.verdict()).quarantineReason, 'pdf_javascript');
+    });
+
+    it('reports every reason found', async () => {
+      const { inspection } = await inspect(pdfFile, ['%PDF-1.7\n/Encrypt 5 0 R\n/JavaScript\n', EICAR]);
+
+      assert.equal(
+        (await inspection.verdict()).quarantineReason,
+        'malware: Eicar-Test-Signature; encrypted_pdf; pdf_javascript'
+      );
+    });
+
+    it('lets risky PDFs through when quarantining them is turned off', async () => {
+      uploadInspectionService.scanConfig.quarantineEncryptedPdfs = false;
+      uploadInspectionService.scanConfig.quarantineScriptedPdfs = false;
+      const { inspection } = await inspect(pdfFile, ['%PDF-1.7\n/Encrypt 5 0 R\n/JS (x)\n']);
+
+      assert.equal((await inspection.verdict()).scanStatus, SCAN_STATUS.CLEAN);
+    });
+
+    it('does not apply PDF checks to other types', async () => {
+      const { inspection } = await inspect(textFile, ['See /Encrypt and /JS in the spec']);
+
+      assert.equal((await inspection.verdict()).scanStatus, SCAN_STATUS.CLEAN);
+    });
+  });
+});
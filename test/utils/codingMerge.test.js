@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeCodingResponses } from '../../src/utils/codingMerge.js';
+
+const evidence = (document_name, line_number, exact_text) => ({ document_name, line_number, exact_text });
+
+const response = ({ categories = {}, feedback = {}, ...rest } = {}) => ({
+  ai_narrative_summary: {},
+  coding_categories: Object.fromEntries(
+    ['reason_for_admit', 'primary_diagnosis', 'secondary_diagnoses', 'procedures', 'ed_em_level', 'modifiers']
+      .map(category => [category, { codes: categories[category] || [] }])
+  ),
+  feedback: {
+    documentation_gaps: [],
+    physician_queries_needed: [],
+    coding_tips: [],
+    compliance_alerts: [],
+    ...feedback
+  },
+  metadata: {},
+  ...rest
+});
+
+const codes = (merged, category) => merged.coding_categories[category].codes;
+
+const E1 = evidence('ed_note.pdf', '2', 'chest pain since this morning');
+const E2 = evidence('ed_note.pdf', '4', 'history of hypertension');
+const E3 = evidence('progress_note.pdf', '12', 'BP 168/95, continue lisinopril');
+
+describe('mergeCodingResponses', () => {
+  it('unions duplicate codes across chunks, keeping every evidence pointer once', () => {
+    const merged = mergeCodingResponses([
+      response({
+        categories: {
+          primary_diagnosis: [{ icd_10_code: 'R07.9', confidence: 'high', evidence: [E1] }],
+          secondary_diagnoses: [{ icd_10_code: 'I10', description: 'from chunk 1', confidence: 'medium', evidence: [E2] }]
+        }
+      }),
+      response({
+        categories: {
+          secondary_diagnoses: [
+            { icd_10_code: 'I10', description: 'from chunk 2', confidence: 'high', evidence: [E3, E2] },
+            { icd_10_code: 'E11.9', confidence: 'medium', evidence: [E3] }
+          ]
+        }
+      })
+    ]);
+
+    assert.deepEqual(codes(merged, 'secondary_diagnoses'), [
+      { icd_10_code: 'I10', description: 'from chunk 2', confidence: 'high', evidence: [E2, E3], chunk_count: 2 },
+      { icd_10_code: 'E11.9', confidence: 'medium', evidence: [E3], chunk_count: 1 }
+    ]);
+  });
+
+  it('treats dotted and undotted forms of a code as the same code', () => {
+    const merged = mergeCodingResponses([
+      response({ categories: { reason_for_admit: [{ icd_10_code: 'R07.9', confidence: 'medium', evidence: [E1] }] } }),
+      response({ categories: { reason_for_admit: [{ icd_10_code: 'r079', confidence: 'medium', evidence: [E1] }] } })
+    ]);
+
+    assert.equal(codes(merged, 'reason_for_admit').length, 1);
+    assert.equal(codes(merged, 'reason_for_admit')[0].chunk_count, 2);
+  });
+
+  it('keeps single-object evidence an object unless merging adds pointers', () => {
+    const P1 = evidence('ed_note.pdf', '7', 'ECG interpreted by me');
+    const P2 = evidence('ecg.pdf', '1', '12-lead ECG');
+
+    const once = mergeCodingResponses([
+      response({ categories: { procedures: [{ cpt_code: '93010', confidence: 'high', evidence: P1 }] } }),
+      response({ categories: { procedures: [{ cpt_code: '93010', confidence: 'high', evidence: P1 }] } })
+    ]);
+    assert.deepEqual(codes(once, 'procedures')[0].evidence, P1);
+
+    const twice = mergeCodingResponses([
+      response({ categories: { procedures: [{ cpt_code: '93010', confidence: 'high', evidence: P1 }] } }),
+      response({ categories: { procedures: [{ cpt_code: '93010', confidence: 'medium', evidence: P2 }] } })
+    ]);
+    assert.deepEqual(codes(twice, 'procedures')[0].evidence, [P1, P2]);
+  });
+
+  describe('primary diagnosis', () => {
+    it('keeps the most confident candidate and demotes the others to secondary', () => {
+      const merged = mergeCodingResponses([
+        response({ categories: { primary_diagnosis: [{ icd_10_code: 'I21.4', confidence: 'medium', evidence: [E3] }] } }),
+        response({ categories: { primary_diagnosis: [{ icd_10_code: 'R07.9', confidence: 'high', evidence: [E1] }] } })
+      ]);
+
+      assert.deepEqual(codes(merged, 'primary_diagnosis').map(entry => entry.icd_10_code), ['R07.9']);
+      assert.deepEqual(codes(merged, 'secondary_diagnoses').map(entry => entry.icd_10_code), ['I21.4']);
+    });
+
+    it('breaks confidence ties by the number of chunks reporting the code', () => {
+      const merged = mergeCodingResponses([
+        response({ categories: { primary_diagnosis: [{ icd_10_code: 'I21.4', confidence: 'high', evidence: [E3] }] } }),
+        response({ categories: { primary_diagnosis: [{ icd_10_code: 'R07.9', confidence: 'high', evidence: [E1] }] } }),
+        response({ categories: { primary_diagnosis: [{ icd_10_code: 'R07.9', confidence: 'medium', evidence: [E1] }] } })
+      ]);
+
+      assert.equal(codes(merged, 'primary_diagnosis')[0].icd_10_code, 'R07.9');
+    });
+
+    it('is not repeated among the secondary diagnoses', () => {
+      const merged = mergeCodingResponses([
+        response({ categories: { primary_diagnosis: [{ icd_10_code: 'R07.9', confidence: 'high', evidence: [E1] }] } }),
+        response({ categories: { secondary_diagnoses: [{ icd_10_code: 'R079', confidence: 'low', evidence: [E1] }] } })
+      ]);
+
+      assert.deepEqual(codes(merged, 'secondary_diagnoses'), []);
+    });
+
+    it('is empty when no chunk found one', () => {
+      const merged = mergeCodingResponses([response(), response()]);
+
+      assert.deepEqual(codes(merged, 'primary_diagnosis'), []);
+    });
+  });
+
+  it('keeps one E/M level - the higher level when confidence is equal', () => {
+    const merged = mergeCodingResponses([
+      response({ categories: { ed_em_level: [{ code: '99284', confidence: 'medium', evidence: [E1] }] } }),
+      response({ categories: { ed_em_level: [{ code: '99285', confidence: 'medium', evidence: [E3] }] } })
+    ]);
+
+    assert.deepEqual(codes(merged, 'ed_em_level').map(entry => entry.code), ['99285']);
+
+    const confident = mergeCodingResponses([
+      response({ categories: { ed_em_level: [{ code: '99284', confidence: 'high', evidence: [E1] }] } }),
+      response({ categories: { ed_em_level: [{ code: '99285', confidence: 'low', evidence: [E3] }] } })
+    ]);
+    assert.deepEqual(codes(confident, 'ed_em_level').map(entry => entry.code), ['99284']);
+  });
+
+  it('unions modifiers by modifier and the code they apply to', () => {
+    const merged = mergeCodingResponses([
+      response({ categories: { modifiers: [{ modifier_code: '25', applies_to_code: '99284', confidence: 'high' }] } }),
+      response({
+        categories: {
+          modifiers: [
+            { modifier_code: '25', applies_to_code: '99284', confidence: 'medium' },
+            { modifier_code: '59', applies_to_code: '93010', confidence: 'medium' }
+          ]
+        }
+      })
+    ]);
+
+    assert.deepEqual(
+      codes(merged, 'modifiers').map(entry => [entry.modifier_code, entry.applies_to_code, entry.chunk_count]),
+      [['25', '99284', 2], ['59', '93010', 1]]
+    );
+  });
+
+  it('drops repeated feedback and medications and merges the narrative', () => {
+    const merged = mergeCodingResponses([
+      response({
+        ai_narrative_summary: { chief_complaint: 'Chest pain', findings: ['ECG normal'] },
+        feedback: { documentation_gaps: [{ gap: 'Onset time not documented' }] },
+        medications: [{ name: 'Aspirin', dose: '81 mg' }]
+      }),
+      response({
+        ai_narrative_summary: { chief_complaint: 'Hypertension follow-up', findings: ['BP elevated'], disposition: 'Admit' },
+        feedback: {
+          documentation_gaps: [{ gap: ' onset time not documented' }, { gap: 'No pain scale' }],
+          compliance_alerts: [{ alert: 'Verify medical necessity', severity: 'low' }]
+        },
+        medications: [{ name: 'aspirin', dose: '325 mg' }, { name: 'Lisinopril' }]
+      })
+    ]);
+
+    assert.deepEqual(merged.feedback.documentation_gaps, [{ gap: 'Onset time not documented' }, { gap: 'No pain scale' }]);
+    assert.deepEqual(merged.feedback.compliance_alerts, [{ alert: 'Verify medical necessity', severity: 'low' }]);
+    assert.deepEqual(merged.medications.map(m => m.name), ['Aspirin', 'Lisinopril']);
+    assert.deepEqual(merged.ai_narrative_summary, {
+      chief_complaint: 'Chest pain',
+      findings: ['ECG normal', 'BP elevated'],
+      disposition: 'Admit'
+    });
+  });
+
+  it('records how many codes and chunks went into the result', () => {
+    const merged = mergeCodingResponses([
+      response({
+        categories: {
+          primary_diagnosis: [{ icd_10_code: 'R07.9', confidence: 'high', evidence: [E1] }],
+          secondary_diagnoses: [{ icd_10_code: 'I10', confidence: 'high', evidence: [E2] }]
+        },
+        metadata: { model: 'test-model' }
+      }),
+      response({ categories: { secondary_diagnoses: [{ icd_10_code: 'I10', confidence: 'high', evidence: [E3] }] } })
+    ]);
+
+    assert.deepEqual(merged.metadata, { model: 'test-model', total_codes_extracted: 2, chunks_merged: 2 });
+  });
+});
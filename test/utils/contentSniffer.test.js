@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  sniffContentType, matchesDeclaredType, createPatternScanner, PDF_RISK_PATTERNS
+} from '../../src/utils/contentSniffer.js';
+
+const bytes = (...values) => Buffer.from(values);
+
+describe('sniffContentType', () => {
+  it('recognises the allowed formats by their signatures', () => {
+    assert.equal(sniffContentType(Buffer.from('%PDF-1.7\n...')), 'application/pdf');
+    assert.equal(sniffContentType(bytes(0xFF, 0xD8, 0xFF, 0xE0, 0x00)), 'image/jpeg');
+    assert.equal(sniffContentType(bytes(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00)), 'image/png');
+    assert.equal(sniffContentType(bytes(0x49, 0x49, 0x2A, 0x00, 0x08)), 'image/tiff');
+    assert.equal(sniffContentType(bytes(0x4D, 0x4D, 0x00, 0x2A, 0x00)), 'image/tiff');
+    assert.equal(sniffContentType(Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8 ', 'latin1')), 'image/webp');
+    assert.equal(sniffContentType(bytes(0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1)), 'application/x-cfb');
+    assert.equal(sniffContentType(bytes(0x50, 0x4B, 0x03, 0x04, 0x14)), 'application/zip');
+  });
+
+  it('finds a PDF header after leading junk within the sniffed bytes', () => {
+    const head = Buffer.concat([Buffer.alloc(200, 0x20), Buffer.from('%PDF-1.4')]);
+    assert.equal(sniffContentType(head), 'application/pdf');
+  });
+
+  it('treats printable content as text and binary content as unknown', () => {
+    assert.equal(sniffContentType(Buffer.from('Chief complaint: cough\r\n\tfor 3 days')), 'text/plain');
+    assert.equal(sniffContentType(bytes(0x4D, 0x5A, 0x90, 0x00, 0x03)), null);
+    assert.equal(sniffContentType(Buffer.alloc(0)), null);
+  });
+});
+
+describe('matchesDeclaredType', () => {
+  it('accepts content of the declared type', () => {
+    assert.equal(matchesDeclaredType('application/pdf', 'application/pdf'), true);
+    assert.equal(matchesDeclaredType('application/msword', 'application/x-cfb'), true);
+    assert.equal(
+      matchesDeclaredType('application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/zip'),
+      true
+    );
+  });
+
+  it('rejects content that does not match the declared type', () => {
+    // An executable renamed to .pdf, an image sent as text, a PDF sent as a PNG
+    assert.equal(matchesDeclaredType('application/pdf', null), false);
+    assert.equal(matchesDeclaredType('text/plain', 'image/png'), false);
+    assert.equal(matchesDeclaredType('image/png', 'application/pdf'), false);
+    assert.equal(matchesDeclaredType('image/jpeg', 'image/png'), false);
+    assert.equal(matchesDeclaredType('application/msword', 'application/zip'), false);
+  });
+
+  it('rejects types that are not allowed at all', () => {
+    assert.equal(matchesDeclaredType('text/html', 'text/plain'), false);
+    assert.equal(matchesDeclaredType('application/zip', 'application/zip'), false);
+  });
+});
+
+describe('createPatternScanner', () => {
+  it('finds PDF risk markers inside a single chunk', () => {
+    const scanner = createPatternScanner(PDF_RISK_PATTERNS);
+    scanner.update(Buffer.from('trailer << /Root 1 0 R /Encrypt 5 0 R >>'));
+    scanner.update(Buffer.from('<< /S /JavaScript /JS (app.alert(1)) >>'));
+
+    assert.deepEqual([...scanner.found].sort(), ['encrypted_pdf', 'pdf_javascript']);
+  });
+
+  it('finds markers split across chunk boundaries', () => {
+    const encrypted = createPatternScanner(PDF_RISK_PATTERNS);
+    encrypted.update(Buffer.from('trailer << /Root 1 0 R /Enc'));
+    encrypted.update(Buffer.from('rypt 5 0 R >>'));
+    assert.deepEqual([...encrypted.found], ['encrypted_pdf']);
+
+    const scripted = createPatternScanner(PDF_RISK_PATTERNS);
+    scripted.update(Buffer.from('<< /OpenAction << /S /J'));
+    scripted.update(Buffer.from('S (app.alert(1)) >> >>'));
+    assert.deepEqual([...scripted.found], ['pdf_javascript']);
+  });
+
+  it('does not flag names that only start with a risk marker', () => {
+    const scanner = createPatternScanner(PDF_RISK_PATTERNS);
+    scanner.update(Buffer.from('<< /EncryptMetadata false /JSONData 1 >>'));
+
+    assert.equal(scanner.found.size, 0);
+  });
+
+  it('only joins chunks within the overlap', () => {
+    const scanner = createPatternScanner({ marker: /ABCDEF/ }, 2);
+    scanner.update(Buffer.from('xxxABC'));
+    scanner.update(Buffer.from('DEFxxx'));
+
+    assert.equal(scanner.found.size, 0);
+  });
+});
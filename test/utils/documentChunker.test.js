@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, chunkDocuments } from '../../src/utils/documentChunker.js';
+
+// A formatted document (ocrService.formatForAI shape) of `lines` lines of `width` characters
+const makeDocument = (documentName, lines, width = 76) => ({
+  documentName,
+  documentType: 'Progress Note',
+  content: Array.from({ length: lines }, (_, i) => ({ lineNumber: i + 1, text: 'x'.repeat(width) }))
+});
+
+const chunkTokens = (chunk) => chunk.reduce((sum, piece) => sum + piece.estimatedTokens, 0);
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token, rounding up', () => {
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+    assert.equal(estimateTokens('abcdef', 2), 3);
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens(null), 0);
+  });
+});
+
+describe('chunkDocuments', () => {
+  it('keeps everything in one chunk when it fits', () => {
+    const docs = [makeDocument('a.pdf', 5), makeDocument('b.pdf', 5)];
+    const chunks = chunkDocuments(docs, { budget: 10000 });
+
+    assert.equal(chunks.length, 1);
+    assert.deepEqual(chunks[0].map(piece => piece.documentName), ['a.pdf', 'b.pdf']);
+    assert.deepEqual(chunks[0].map(piece => piece.part), [null, null]);
+  });
+
+  it('packs whole documents greedily, in order, within the budget', () => {
+    // Each line is "[Line N] " + 76 chars + "\n" = 86-87 chars = 22 tokens; each document ~40 + 10 * 22 tokens
+    const docs = ['a.pdf', 'b.pdf', 'c.pdf', 'd.pdf'].map(name => makeDocument(name, 10));
+    const budget = 600;
+    const chunks = chunkDocuments(docs, { budget });
+
+    assert.deepEqual(chunks.map(chunk => chunk.map(piece => piece.documentName)), [['a.pdf', 'b.pdf'], ['c.pdf', 'd.pdf']]);
+    for (const chunk of chunks) {
+      assert.ok(chunkTokens(chunk) <= budget, `chunk of ${chunkTokens(chunk)} tokens`);
+    }
+  });
+
+  it('splits a document larger than the budget into line ranges', () => {
+    const doc = makeDocument('long.pdf', 100);
+    const budget = 500;
+    const chunks = chunkDocuments([doc], { budget });
+
+    assert.ok(chunks.length > 1);
+
+    const pieces = chunks.flat();
+    pieces.forEach((piece, i) => {
+      assert.equal(piece.documentName, 'long.pdf');
+      assert.equal(piece.part.index, i + 1);
+      assert.equal(piece.part.total, pieces.length);
+      assert.equal(piece.part.startLine, piece.content[0].lineNumber);
+      assert.equal(piece.part.endLine, piece.content[piece.content.length - 1].lineNumber);
+      assert.ok(piece.estimatedTokens <= budget, `part of ${piece.estimatedTokens} tokens`);
+    });
+
+    // Every line exactly once, with its original number
+    assert.deepEqual(
+      pieces.flatMap(piece => piece.content.map(line => line.lineNumber)),
+      doc.content.map(line => line.lineNumber)
+    );
+  });
+
+  it('fills the space after a split document with the next one', () => {
+    const docs = [makeDocument('long.pdf', 30), makeDocument('short.pdf', 2)];
+    const budget = 500;
+    const chunks = chunkDocuments(docs, { budget });
+
+    const last = chunks[chunks.length - 1];
+    assert.deepEqual(last.map(piece => piece.documentName), ['long.pdf', 'short.pdf']);
+    assert.ok(chunkTokens(last) <= budget);
+  });
+
+  it('gives a single line over the budget a part of its own', () => {
+    const doc = {
+      documentName: 'scan.pdf',
+      content: [
+        { lineNumber: 1, text: 'short' },
+        { lineNumber: 2, text: 'y'.repeat(4000) },
+        { lineNumber: 3, text: 'short' }
+      ]
+    };
+    const pieces = chunkDocuments([doc], { budget: 200 }).flat();
+
+    assert.deepEqual(pieces.map(piece => piece.content.map(line => line.lineNumber)), [[1], [2], [3]]);
+  });
+
+  it('uses charsPerToken for the estimate', () => {
+    const docs = [makeDocument('a.pdf', 10), makeDocument('b.pdf', 10)];
+
+    assert.equal(chunkDocuments(docs, { budget: 600, charsPerToken: 4 }).length, 1);
+    assert.equal(chunkDocuments(docs, { budget: 600, charsPerToken: 2 }).length > 1, true);
+  });
+
+  it('returns no chunks for no documents', () => {
+    assert.deepEqual(chunkDocuments([], { budget: 500 }), []);
+  });
+});